@@ -18,6 +18,11 @@ const mockPrismaClient = {
     delete: jest.fn(),
     count: jest.fn(),
   },
+  serviceTypeComponent: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
 };
 
 // Mock Prisma error types
@@ -6,10 +6,15 @@ process.on('uncaughtException', (err) => {
 });
 dotenv.config({ path: './.env' });
 const app = require('./app');
+const { startEventConsumer } = require('./src/events/eventConsumer');
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
   console.log(`App running on port ${PORT}...`);
 });
+startEventConsumer().catch((err) => {
+  // Reads still work without the consumer, they just rely on the cache TTL
+  console.log('Failed to start injection event consumer:', err.message);
+});
 process.on('unhandledRejection', (err) => {
   console.log('UNHANDLED REJECTION! Shutting down...');
   console.log(err.name, err.message);
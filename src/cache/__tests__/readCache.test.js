@@ -0,0 +1,178 @@
+// src/cache/__tests__/readCache.test.js
+const { createReadCache, toVersion, getReadOptions } = require('../readCache');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const V1 = '2024-06-10T06:13:20.000Z';
+const V2 = '2024-06-10T06:13:21.000Z';
+
+describe('readCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = createReadCache({
+      enabled: true,
+      ttlSeconds: 60,
+      consistencyTimeoutMs: 200,
+      pollIntervalMs: 10,
+    });
+  });
+
+  describe('toVersion', () => {
+    it('should derive the version from updatedAt', () => {
+      expect(toVersion({ updatedAt: V1 })).toBe(Date.parse(V1));
+    });
+
+    it('should return null when updatedAt is missing', () => {
+      expect(toVersion({})).toBeNull();
+      expect(toVersion(null)).toBeNull();
+    });
+  });
+
+  describe('readThrough', () => {
+    it('should serve repeated reads from the cache', async () => {
+      const loader = jest.fn().mockResolvedValue({ id: 1, updatedAt: V1 });
+
+      await cache.readThrough('type:1', loader);
+      const value = await cache.readThrough('type:1', loader);
+
+      expect(value).toEqual({ id: 1, updatedAt: V1 });
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache when disabled', async () => {
+      cache = createReadCache({ enabled: false });
+      const loader = jest.fn().mockResolvedValue({ id: 1 });
+
+      await cache.readThrough('type:1', loader);
+      await cache.readThrough('type:1', loader);
+
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reload after the entry is invalidated', async () => {
+      const loader = jest.fn().mockResolvedValue({ id: 1, updatedAt: V1 });
+
+      await cache.readThrough('type:1', loader);
+      cache.invalidate('type:1');
+      await cache.readThrough('type:1', loader);
+
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should load a fresh read from the database and cache it', async () => {
+      const loader = jest
+        .fn()
+        .mockResolvedValueOnce({ id: 1, updatedAt: V1 })
+        .mockResolvedValue({ id: 1, updatedAt: V2 });
+
+      await cache.readThrough('type:1', loader);
+      const fresh = await cache.readThrough('type:1', loader, { fresh: true });
+      const cached = await cache.readThrough('type:1', loader);
+
+      expect(fresh).toEqual({ id: 1, updatedAt: V2 });
+      expect(cached).toEqual({ id: 1, updatedAt: V2 });
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop a cached entry older than a recorded version', async () => {
+      const loader = jest
+        .fn()
+        .mockResolvedValueOnce({ id: 1, updatedAt: V1 })
+        .mockResolvedValueOnce({ id: 1, updatedAt: V2 });
+
+      await cache.readThrough('type:1', loader);
+      cache.recordVersion('type:1', Date.parse(V2));
+      const value = await cache.readThrough('type:1', loader);
+
+      expect(value.updatedAt).toBe(V2);
+    });
+
+    it('should wait until the requested minimum version is readable', async () => {
+      const loader = jest
+        .fn()
+        .mockResolvedValueOnce({ id: 1, updatedAt: V1 })
+        .mockResolvedValue({ id: 1, updatedAt: V2 });
+
+      const value = await cache.readThrough('type:1', loader, {
+        minVersion: Date.parse(V2),
+      });
+
+      expect(value.updatedAt).toBe(V2);
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw a 503 STALE_READ error when the version never arrives', async () => {
+      const loader = jest.fn().mockResolvedValue({ id: 1, updatedAt: V1 });
+
+      await expect(
+        cache.readThrough('type:1', loader, { minVersion: Date.parse(V2) }),
+      ).rejects.toMatchObject({ statusCode: 503, code: 'STALE_READ' });
+    });
+  });
+
+  describe('waitForVersion', () => {
+    it('should resolve once the version is recorded', async () => {
+      const waiting = cache.waitForVersion('type:1', Date.parse(V2), 1000);
+      cache.recordVersion('type:1', Date.parse(V2));
+
+      await expect(waiting).resolves.toBe(true);
+    });
+
+    it('should resolve false on timeout', async () => {
+      await expect(
+        cache.waitForVersion('type:1', Date.parse(V2), 10),
+      ).resolves.toBe(false);
+    });
+  });
+
+  describe('recordVersion', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should forget the version of an invalidated key', () => {
+      cache.recordVersion('type:1', Date.parse(V2));
+      cache.invalidate('type:1');
+
+      expect(cache.knownVersionCount()).toBe(0);
+    });
+
+    it('should sweep versions and entries of keys not read within the TTL', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      cache = createReadCache({ enabled: true, ttlSeconds: 60 });
+      cache.recordVersion('type:1', Date.parse(V1));
+      cache.set('type:2', { id: 2, updatedAt: V1 });
+
+      now.mockReturnValue(61 * 1000);
+      cache.recordVersion('type:3', Date.parse(V2));
+
+      expect(cache.knownVersionCount()).toBe(1);
+      expect(cache.size()).toBe(0);
+    });
+  });
+
+  describe('getReadOptions', () => {
+    it('should read the minimum version from the header', () => {
+      expect(
+        getReadOptions({ headers: { 'x-min-version': '1718000000000' } }),
+      ).toEqual({ minVersion: 1718000000000 });
+    });
+
+    it('should fall back to the minVersion query parameter', () => {
+      expect(
+        getReadOptions({ headers: {}, query: { minVersion: '5' } }),
+      ).toEqual({ minVersion: 5 });
+    });
+
+    it('should return no options when no version is given', () => {
+      expect(getReadOptions({ headers: {}, query: {} })).toEqual({});
+    });
+  });
+});
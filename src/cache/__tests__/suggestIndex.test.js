@@ -0,0 +1,170 @@
+// src/cache/__tests__/suggestIndex.test.js
+const { createSuggestIndex, tokenize } = require('../suggestIndex');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const ENTRIES = [
+  {
+    entity: 'category',
+    id: 'category-1',
+    name: 'Brakes & Suspension',
+    vehicleType: 'CAR',
+    isPopular: false,
+    displayOrder: 2,
+  },
+  {
+    entity: 'type',
+    id: 'type-1',
+    name: 'Brake Pad Replacement',
+    vehicleType: 'CAR',
+    isPopular: true,
+    displayOrder: 1,
+  },
+  {
+    entity: 'type',
+    id: 'type-2',
+    name: 'Disc Brake Service',
+    vehicleType: 'BIKE',
+    isPopular: false,
+    displayOrder: 0,
+  },
+  {
+    entity: 'component',
+    id: 'component-1',
+    name: 'Brake Fluid',
+    vehicleType: 'NONE',
+  },
+  {
+    entity: 'component',
+    id: 'component-2',
+    name: 'Engine Oil',
+    vehicleType: 'NONE',
+  },
+];
+
+describe('suggestIndex', () => {
+  let index;
+  let loader;
+
+  beforeEach(() => {
+    index = createSuggestIndex({ ttlSeconds: 60 });
+    loader = jest.fn().mockResolvedValue(ENTRIES);
+  });
+
+  describe('tokenize', () => {
+    it('should lowercase, strip accents and split on punctuation', () => {
+      expect(tokenize('Café Brake-Pads & Oil')).toEqual([
+        'cafe',
+        'brake',
+        'pads',
+        'oil',
+      ]);
+    });
+  });
+
+  describe('suggest', () => {
+    it('should rank names starting with the query and popular entries first', async () => {
+      const suggestions = await index.suggest('bra', loader);
+
+      expect(suggestions.map(({ id }) => id)).toEqual([
+        'type-1',
+        'component-1',
+        'category-1',
+        'type-2',
+      ]);
+      expect(suggestions[0]).toEqual(ENTRIES[1]);
+    });
+
+    it('should require every word to start a word of the name', async () => {
+      const suggestions = await index.suggest('brake pa', loader);
+
+      expect(suggestions.map(({ id }) => id)).toEqual(['type-1']);
+    });
+
+    it('should filter by vehicle type and limit the suggestions', async () => {
+      expect(
+        (await index.suggest('brake', loader, { vehicleType: 'BIKE' })).map(
+          ({ id }) => id,
+        ),
+      ).toEqual(['type-2']);
+      expect(await index.suggest('brake', loader, { limit: 2 })).toHaveLength(
+        2,
+      );
+    });
+
+    it('should return nothing for a query without words', async () => {
+      expect(await index.suggest(' - ', loader)).toEqual([]);
+      expect(loader).not.toHaveBeenCalled();
+    });
+
+    it('should build the index once and share a rebuild between requests', async () => {
+      await Promise.all([
+        index.suggest('brake', loader),
+        index.suggest('oil', loader),
+      ]);
+      await index.suggest('engine', loader);
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(index.size()).toBe(ENTRIES.length);
+    });
+
+    it('should rebuild after being invalidated', async () => {
+      await index.suggest('oil', loader);
+      loader.mockResolvedValue([
+        ...ENTRIES,
+        {
+          entity: 'component',
+          id: 'component-3',
+          name: 'Oil Filter',
+          vehicleType: 'NONE',
+        },
+      ]);
+
+      index.invalidate();
+      const suggestions = await index.suggest('oil', loader);
+
+      expect(loader).toHaveBeenCalledTimes(2);
+      expect(suggestions.map(({ id }) => id)).toEqual([
+        'component-3',
+        'component-2',
+      ]);
+    });
+
+    it('should rebuild once the TTL has passed', async () => {
+      jest.useFakeTimers({ now: Date.parse('2024-06-10T06:00:00.000Z') });
+      try {
+        await index.suggest('oil', loader);
+        jest.setSystemTime(Date.parse('2024-06-10T06:01:01.000Z'));
+        await index.suggest('oil', loader);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep serving the previous index when a rebuild fails', async () => {
+      await index.suggest('oil', loader);
+      loader.mockRejectedValue(new Error('Database unavailable'));
+
+      index.invalidate();
+      const suggestions = await index.suggest('oil', loader);
+
+      expect(suggestions.map(({ id }) => id)).toEqual(['component-2']);
+    });
+
+    it('should fail when the first build fails', async () => {
+      loader.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(index.suggest('oil', loader)).rejects.toThrow(
+        'Database unavailable',
+      );
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * In-process read cache for catalog lookups by ID
+ * Entries are kept fresh by the injection-service event consumer and by this
+ * service's own writes. Every entry carries a version (the row's updatedAt in
+ * milliseconds) so that a client which has just written can ask for a read that
+ * is at least as new as its write (read-your-writes).
+ */
+const config = require('../config');
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+
+/**
+ * Cache keys for the cached lookups
+ */
+const cacheKeys = {
+  category: (serviceCategoryId) => `category:${serviceCategoryId}`,
+  type: (serviceTypeId) => `type:${serviceTypeId}`,
+  component: (serviceComponentId) => `component:${serviceComponentId}`,
+  offering: (serviceCenterId, serviceCenterOfferingId) =>
+    `offering:${serviceCenterId}:${serviceCenterOfferingId}`,
+};
+
+/**
+ * Derive the version of a record from its updatedAt timestamp
+ * @param {Object} record - Record returned by Prisma or the injection service
+ * @returns {number|null} Version in milliseconds since epoch, or null if unknown
+ */
+const toVersion = (record) => {
+  if (!record || !record.updatedAt) return null;
+  const version = new Date(record.updatedAt).getTime();
+  return Number.isNaN(version) ? null : version;
+};
+
+/**
+ * Create a read cache
+ * @param {Object} options - Cache options
+ * @param {boolean} options.enabled - Whether values are cached at all
+ * @param {number} options.ttlSeconds - Time an entry is served without reloading
+ * @param {number} options.consistencyTimeoutMs - Longest a read waits for a minimum version
+ * @param {number} options.pollIntervalMs - Interval between reloads while waiting
+ * @returns {Object} Read cache
+ */
+const createReadCache = ({
+  enabled = true,
+  ttlSeconds = 60,
+  consistencyTimeoutMs = 3000,
+  pollIntervalMs = 100,
+} = {}) => {
+  const ttlMs = ttlSeconds * 1000;
+  const entries = new Map();
+  const knownVersions = new Map();
+  const waiters = new Map();
+  let nextSweepAt = Date.now() + ttlMs;
+
+  // Drop expired entries and versions of keys that are not read again, at most
+  // once per TTL
+  const sweep = () => {
+    const now = Date.now();
+    if (now < nextSweepAt) return;
+    nextSweepAt = now + ttlMs;
+    for (const map of [entries, knownVersions]) {
+      for (const [key, { expiresAt }] of map) {
+        if (expiresAt <= now) map.delete(key);
+      }
+    }
+  };
+
+  // A known version only spares a read-your-writes read its reloads, so it is
+  // forgotten after the TTL like the entries
+  const knownVersion = (key) => {
+    const known = knownVersions.get(key);
+    if (!known) return 0;
+    if (known.expiresAt <= Date.now()) {
+      knownVersions.delete(key);
+      return 0;
+    }
+    return known.version;
+  };
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const set = (key, value) => {
+    if (!enabled) return;
+    sweep();
+    entries.set(key, {
+      value,
+      version: toVersion(value),
+      expiresAt: Date.now() + ttlMs,
+    });
+  };
+
+  const invalidate = (key) => {
+    entries.delete(key);
+    knownVersions.delete(key);
+  };
+
+  /**
+   * Record that a newer version of a record exists
+   * Cached copies older than the version are dropped and pending waiters are released.
+   * @param {string} key - Cache key
+   * @param {number|null} version - Version that has been written
+   */
+  const recordVersion = (key, version) => {
+    if (!version) {
+      invalidate(key);
+      return;
+    }
+
+    sweep();
+    if (version > knownVersion(key)) {
+      knownVersions.set(key, { version, expiresAt: Date.now() + ttlMs });
+    }
+
+    const entry = entries.get(key);
+    if (entry && (entry.version || 0) < version) {
+      entries.delete(key);
+    }
+
+    const pending = waiters.get(key) || [];
+    const remaining = pending.filter((waiter) => {
+      if (waiter.minVersion <= version) {
+        waiter.resolve(true);
+        return false;
+      }
+      return true;
+    });
+    if (remaining.length > 0) {
+      waiters.set(key, remaining);
+    } else {
+      waiters.delete(key);
+    }
+  };
+
+  /**
+   * Wait until a version at least as new as minVersion has been recorded
+   * @param {string} key - Cache key
+   * @param {number} minVersion - Minimum version to wait for
+   * @param {number} timeoutMs - Longest time to wait
+   * @returns {Promise<boolean>} Whether the version was recorded before the timeout
+   */
+  const waitForVersion = (key, minVersion, timeoutMs) => {
+    if (knownVersion(key) >= minVersion) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const waiter = { minVersion };
+      const timer = setTimeout(() => {
+        const pending = waiters.get(key) || [];
+        waiters.set(
+          key,
+          pending.filter((item) => item !== waiter),
+        );
+        resolve(false);
+      }, timeoutMs);
+      waiter.resolve = (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      };
+      waiters.set(key, [...(waiters.get(key) || []), waiter]);
+    });
+  };
+
+  /**
+   * Read a value through the cache
+   * When minVersion is given, the loader is retried until it returns a record at
+   * least that new; if the projection has not caught up within the consistency
+   * timeout a 503 STALE_READ error is thrown. A fresh read skips the cached
+   * entry and replaces it with the loaded value.
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function that loads the value from the database
+   * @param {Object} [options] - Read options
+   * @param {number} [options.minVersion] - Minimum acceptable version
+   * @param {boolean} [options.fresh] - Load from the database even when cached
+   * @returns {Promise<*>} The value
+   */
+  const readThrough = async (key, loader, { minVersion, fresh } = {}) => {
+    const cached = !fresh && get(key);
+    if (cached && (!minVersion || (cached.version || 0) >= minVersion)) {
+      return cached.value;
+    }
+
+    const deadline = Date.now() + consistencyTimeoutMs;
+    let value = await loader();
+
+    while (minVersion && value && (toVersion(value) || 0) < minVersion) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        logger.warn({
+          message: 'Read did not reach the requested version in time',
+          metadata: { key, minVersion, version: toVersion(value) },
+        });
+        throw new AppError(
+          'The requested version is not available yet, please retry',
+          503,
+          'STALE_READ',
+          { minVersion, currentVersion: toVersion(value) },
+        );
+      }
+
+      await waitForVersion(
+        key,
+        minVersion,
+        Math.min(pollIntervalMs, remaining),
+      );
+      value = await loader();
+    }
+
+    if (value) {
+      set(key, value);
+    }
+    return value;
+  };
+
+  const clear = () => {
+    entries.clear();
+    knownVersions.clear();
+  };
+
+  return {
+    get: (key) => get(key)?.value,
+    set,
+    invalidate,
+    recordVersion,
+    waitForVersion,
+    readThrough,
+    clear,
+    size: () => entries.size,
+    knownVersionCount: () => knownVersions.size,
+  };
+};
+
+const readCache = createReadCache(config.readCache);
+
+/**
+ * Extract read options from a request
+ * The minimum version comes from the X-Min-Version header or the minVersion query
+ * parameter, and is the value returned in X-Resource-Version by a previous write.
+ * @param {Object} req - Express request object
+ * @returns {Object} Read options ({ minVersion } or an empty object)
+ */
+const getReadOptions = (req) => {
+  const raw = req.headers?.['x-min-version'] ?? req.query?.minVersion;
+  if (raw === undefined || raw === '') return {};
+
+  const minVersion = Number(raw);
+  if (!Number.isInteger(minVersion) || minVersion < 0) {
+    throw AppError.badRequest(
+      'minVersion must be a non-negative integer',
+      'VALIDATION_ERROR',
+      { minVersion: raw },
+    );
+  }
+  return { minVersion };
+};
+
+/**
+ * Expose the version of a written record in the X-Resource-Version header
+ * Clients send it back as X-Min-Version to read their own write.
+ * @param {Object} res - Express response object
+ * @param {Object} record - Record returned by the write
+ */
+const setResourceVersion = (res, record) => {
+  const version = toVersion(record);
+  if (version) {
+    res.set('X-Resource-Version', String(version));
+  }
+};
+
+module.exports = {
+  readCache,
+  createReadCache,
+  cacheKeys,
+  toVersion,
+  getReadOptions,
+  setResourceVersion,
+};
@@ -0,0 +1,199 @@
+/**
+ * In-memory prefix index for typeahead suggestions on catalog names
+ * The index holds the name of every category, service type and component and is
+ * rebuilt from the database when it is first used, after the injection-service
+ * event consumer marks it stale, or once its TTL has passed.
+ */
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * @typedef {Object} SuggestEntry
+ * @property {string} entity - category, type or component
+ * @property {string} id - Primary key of the record
+ * @property {string} name - Name shown as the suggestion
+ * @property {string|null} vehicleType - Vehicle type (a type's is its category's)
+ * @property {boolean} [isPopular] - Boosts the entry
+ * @property {number} [displayOrder] - Orders entries of equal score, lowest first
+ */
+
+// Lowercase, strip accents and split on anything that is not a letter or digit
+const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Index of the first token that is not less than the prefix
+const lowerBound = (tokens, prefix) => {
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (tokens[middle].token < prefix) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * Build the lookup structure for a list of entries
+ * Every word of every name is kept in one sorted array, so the words starting
+ * with a prefix are a contiguous range found by binary search.
+ * @param {Array<SuggestEntry>} entries - Catalog names
+ * @returns {Object} { entries, tokens }
+ */
+const buildIndex = (entries) => {
+  const indexed = entries.map((entry) => ({
+    ...entry,
+    words: tokenize(entry.name),
+  }));
+  const tokens = indexed
+    .flatMap((entry) => entry.words.map((token) => ({ token, entry })))
+    .sort((a, b) => (a.token < b.token ? -1 : a.token > b.token ? 1 : 0));
+  return { entries: indexed, tokens };
+};
+
+/**
+ * Score an entry for the words of a query, or return null when it does not match
+ * Every query word must start a word of the name. Names that start with the
+ * query score highest, then popular entries.
+ * @param {Object} entry - Indexed entry
+ * @param {Array<string>} words - Query words
+ * @returns {number|null} Score, higher is better
+ */
+const scoreEntry = (entry, words) => {
+  const matches = words.every((word) =>
+    entry.words.some((token) => token.startsWith(word)),
+  );
+  if (!matches) return null;
+
+  let score = 1;
+  if (entry.words.join(' ').startsWith(words.join(' '))) score += 2;
+  if (entry.isPopular) score += 1;
+  return score;
+};
+
+const compareHits = (a, b) =>
+  b.score - a.score ||
+  (a.entry.displayOrder ?? 0) - (b.entry.displayOrder ?? 0) ||
+  a.entry.name.length - b.entry.name.length ||
+  a.entry.name.localeCompare(b.entry.name);
+
+/**
+ * Create a suggest index
+ * @param {Object} options - Index options
+ * @param {number} options.ttlSeconds - Longest time the index is used without a rebuild
+ * @returns {Object} Suggest index
+ */
+const createSuggestIndex = ({ ttlSeconds = 300 } = {}) => {
+  let index = null;
+  let builtAt = 0;
+  let stale = true;
+  let building = null;
+
+  const isFresh = () =>
+    index && !stale && Date.now() - builtAt < ttlSeconds * 1000;
+
+  /**
+   * Get the index, rebuilding it with the loader when it is stale
+   * Concurrent requests share one rebuild. When a rebuild fails and an older
+   * index exists, the older index keeps being served.
+   * @param {Function} loader - Async function that loads every SuggestEntry
+   * @returns {Promise<Object>} The index
+   */
+  const load = async (loader) => {
+    if (isFresh()) return index;
+
+    if (!building) {
+      // Changes that arrive during the rebuild mark the new index stale again
+      stale = false;
+      building = (async () => {
+        try {
+          const entries = await loader();
+          index = buildIndex(entries);
+          builtAt = Date.now();
+          logger.info({
+            message: 'Rebuilt catalog suggest index',
+            metadata: { entries: entries.length },
+          });
+        } catch (error) {
+          stale = true;
+          if (!index) throw error;
+          logger.warn({
+            message:
+              'Failed to rebuild catalog suggest index, serving the previous one',
+            metadata: { error: error.message },
+          });
+        } finally {
+          building = null;
+        }
+        return index;
+      })();
+    }
+    return building;
+  };
+
+  /**
+   * Suggest catalog names starting with the words of a query
+   * @param {string} query - Text typed so far
+   * @param {Function} loader - Async function that loads every SuggestEntry
+   * @param {Object} [options] - Suggest options
+   * @param {string} [options.vehicleType] - Only entries for this vehicle type
+   * @param {number} [options.limit=10] - Number of suggestions
+   * @returns {Promise<Array<SuggestEntry>>} Best suggestions first
+   */
+  const suggest = async (query, loader, { vehicleType, limit = 10 } = {}) => {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+
+    const { tokens } = await load(loader);
+
+    // Candidates come from the range of the longest word, the most selective one
+    const longest = words.reduce((a, b) => (b.length > a.length ? b : a));
+    const candidates = new Set();
+    for (
+      let i = lowerBound(tokens, longest);
+      i < tokens.length && tokens[i].token.startsWith(longest);
+      i += 1
+    ) {
+      candidates.add(tokens[i].entry);
+    }
+
+    return [...candidates]
+      .filter((entry) => !vehicleType || entry.vehicleType === vehicleType)
+      .map((entry) => ({ entry, score: scoreEntry(entry, words) }))
+      .filter(({ score }) => score !== null)
+      .sort(compareHits)
+      .slice(0, limit)
+      .map(({ entry }) => {
+        const suggestion = { ...entry };
+        delete suggestion.words;
+        return suggestion;
+      });
+  };
+
+  // Rebuild on next use
+  const invalidate = () => {
+    stale = true;
+  };
+
+  return {
+    suggest,
+    invalidate,
+    size: () => (index ? index.entries.length : 0),
+  };
+};
+
+const suggestIndex = createSuggestIndex(config.suggestIndex);
+
+module.exports = {
+  suggestIndex,
+  createSuggestIndex,
+  tokenize,
+};
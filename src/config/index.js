@@ -22,6 +22,71 @@ module.exports = {
     s3BucketName: process.env.AWS_S3_BUCKET_NAME,
   },
 
+  // Injection service (owner of all catalog writes)
+  injectionService: {
+    url: process.env.INJECTION_SERVICE_URL || 'http://localhost:5001',
+    timeoutMs: parseInt(process.env.INJECTION_TIMEOUT_MS, 10) || 5000,
+    // Retries apply to GET, PUT, DELETE and writes with an Idempotency-Key
+    retries: process.env.INJECTION_RETRIES
+      ? parseInt(process.env.INJECTION_RETRIES, 10)
+      : 2,
+    retryBaseDelayMs: parseInt(process.env.INJECTION_RETRY_DELAY_MS, 10) || 200,
+    retryMaxDelayMs: 2000,
+    circuitBreaker: {
+      failureThreshold:
+        parseInt(process.env.INJECTION_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+      resetTimeoutMs:
+        parseInt(process.env.INJECTION_CIRCUIT_RESET_TIMEOUT_MS, 10) || 30000,
+    },
+  },
+
+  // Idempotency-Key support for write endpoints
+  idempotency: {
+    // 'memory' (single instance) or 'prisma' (shared across instances)
+    store: process.env.IDEMPOTENCY_STORE || 'memory',
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400,
+    // How often expired records are deleted
+    purgeIntervalSeconds:
+      parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_SECONDS, 10) || 3600,
+  },
+
+  // RabbitMQ settings for catalog domain events
+  rabbitmq: {
+    url: process.env.RABBITMQ_URL,
+    exchange: process.env.RABBITMQ_EXCHANGE || 'catalog.events',
+    // Change events published by the injection service
+    injectionExchange:
+      process.env.RABBITMQ_INJECTION_EXCHANGE || 'injection.events',
+  },
+
+  // In-process cache for lookups by ID, kept in sync by injection events
+  readCache: {
+    enabled: process.env.READ_CACHE_ENABLED
+      ? process.env.READ_CACHE_ENABLED === 'true'
+      : process.env.NODE_ENV !== 'test',
+    ttlSeconds: parseInt(process.env.READ_CACHE_TTL_SECONDS, 10) || 60,
+    consistencyTimeoutMs:
+      parseInt(process.env.READ_CONSISTENCY_TIMEOUT_MS, 10) || 3000,
+  },
+
+  // Prefix index behind the catalog suggest endpoint, rebuilt on injection events
+  suggestIndex: {
+    ttlSeconds: parseInt(process.env.SUGGEST_INDEX_TTL_SECONDS, 10) || 300,
+  },
+
+  // Component-derived durations of service types
+  durationRollup: {
+    // Minutes a declared duration may differ from its components' before it is flagged
+    mismatchThresholdMinutes:
+      parseInt(process.env.DURATION_MISMATCH_THRESHOLD_MINUTES, 10) || 15,
+  },
+
+  // List endpoints (filter, sort and field selection)
+  listQueries: {
+    // Reject unknown filter fields with 400 instead of ignoring them
+    strictFilters: process.env.STRICT_QUERY_FILTERS === 'true',
+  },
+
   // CORS settings
   cors: {
     origin: process.env.CORS_ORIGIN || 'http://localhost:8085',
@@ -0,0 +1,123 @@
+// src/controllers/__tests__/additionalFeatureController.test.js
+const additionalFeatureController = require('../additionalFeatureController');
+const additionalFeatureService = require('../../services/additionalFeatureService');
+const { formatSuccess } = require('../../utils/responseFormatter');
+
+// Mock dependencies
+jest.mock('../../services/additionalFeatureService');
+
+// Mock formatSuccess to return a predictable object
+jest.mock('../../utils/responseFormatter', () => ({
+  formatSuccess: jest.fn((data, message, statusCode) => ({
+    success: true,
+    message,
+    statusCode,
+    data,
+  })),
+}));
+
+// Mock catchAsync to invoke the callback directly
+jest.mock('../../utils/catchAsync', () => (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+describe('additionalFeatureController', () => {
+  let req;
+  let res;
+  let next;
+
+  const feature = {
+    additionalFeatureId: 'feature-1',
+    name: 'Interior vacuum',
+    isComplimentary: true,
+    price: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {},
+      params: {
+        serviceCenterId: 'center-1',
+        serviceCenterOfferingId: 'offering-1',
+      },
+      query: {},
+      headers: {},
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  describe('createFeature', () => {
+    it('should forward the feature fields and icon and respond 201', async () => {
+      req.body = {
+        name: 'Interior vacuum',
+        isComplimentary: 'true',
+        unknownField: 'ignored',
+      };
+      req.fileData = { location: 'https://cdn/features/vacuum.png' };
+      additionalFeatureService.createFeature.mockResolvedValue(feature);
+
+      await additionalFeatureController.createFeature(req, res, next);
+
+      expect(additionalFeatureService.createFeature).toHaveBeenCalledWith(
+        'center-1',
+        'offering-1',
+        {
+          name: 'Interior vacuum',
+          isComplimentary: 'true',
+          price: null,
+          displayIcon: 'https://cdn/features/vacuum.png',
+        },
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        feature,
+        'Additional feature created successfully',
+        201,
+      );
+    });
+  });
+
+  describe('updateFeature', () => {
+    it('should pass errors to next', async () => {
+      const error = new Error('additional feature not found');
+      req.params.additionalFeatureId = 'feature-1';
+      req.body = { price: 249 };
+      additionalFeatureService.updateFeature.mockRejectedValue(error);
+
+      await additionalFeatureController.updateFeature(req, res, next);
+
+      expect(additionalFeatureService.updateFeature).toHaveBeenCalledWith(
+        'center-1',
+        'offering-1',
+        'feature-1',
+        { price: 249 },
+        req,
+      );
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('deleteFeature', () => {
+    it('should respond 204', async () => {
+      req.params.additionalFeatureId = 'feature-1';
+      additionalFeatureService.deleteFeature.mockResolvedValue(true);
+
+      await additionalFeatureController.deleteFeature(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(204);
+      expect(res.send).toHaveBeenCalled();
+    });
+  });
+});
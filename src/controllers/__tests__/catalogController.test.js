@@ -0,0 +1,278 @@
+// src/controllers/__tests__/catalogController.test.js
+const catalogController = require('../catalogController');
+const catalogService = require('../../services/catalogService');
+const { formatSuccess } = require('../../utils/responseFormatter');
+
+// Mock dependencies
+jest.mock('../../services/catalogService');
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+// Mock formatSuccess to return a predictable object
+jest.mock('../../utils/responseFormatter', () => ({
+  formatSuccess: jest.fn((data, message, statusCode) => ({
+    success: true,
+    message,
+    statusCode,
+    data,
+  })),
+}));
+
+// Mock catchAsync to invoke the callback directly
+jest.mock('../../utils/catchAsync', () => (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+describe('catalogController', () => {
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      headers: {},
+      is: jest.fn().mockReturnValue(false),
+    };
+    res = {
+      headersSent: false,
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      write: jest.fn().mockReturnValue(true),
+      end: jest.fn(),
+      destroy: jest.fn(),
+    };
+    next = jest.fn();
+  });
+
+  describe('getCatalogTree', () => {
+    const tree = [{ serviceCategoryId: 'category-1', serviceTypes: [] }];
+
+    it('should return the tree with a content ETag', async () => {
+      req.query = { vehicleType: 'CAR' };
+      catalogService.getCatalogTree.mockResolvedValue(tree);
+
+      await catalogController.getCatalogTree(req, res, next);
+
+      expect(catalogService.getCatalogTree).toHaveBeenCalledWith(req.query);
+      expect(res.set).toHaveBeenCalledWith({
+        ETag: expect.stringMatching(/^".+"$/),
+        'Cache-Control': 'private, no-cache',
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        tree,
+        'Catalog tree retrieved successfully',
+        200,
+      );
+    });
+
+    it('should respond 304 when the client has the current tree', async () => {
+      catalogService.getCatalogTree.mockResolvedValue(tree);
+      await catalogController.getCatalogTree(req, res, next);
+      const { ETag } = res.set.mock.calls[0][0];
+      jest.clearAllMocks();
+
+      req.headers['if-none-match'] = ETag;
+      await catalogController.getCatalogTree(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.json).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchCatalog', () => {
+    it('should return the grouped search results', async () => {
+      const results = {
+        query: 'brake',
+        categories: [],
+        serviceTypes: [],
+        components: [{ serviceComponentId: 'component-1', rank: 0.5 }],
+      };
+      req.query = { q: 'brake', limit: '5' };
+      catalogService.searchCatalog.mockResolvedValue(results);
+
+      await catalogController.searchCatalog(req, res, next);
+
+      expect(catalogService.searchCatalog).toHaveBeenCalledWith(req.query);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        results,
+        'Catalog search completed successfully',
+        200,
+      );
+    });
+  });
+
+  describe('suggestCatalog', () => {
+    it('should return the suggestions', async () => {
+      const result = {
+        query: 'bra',
+        suggestions: [{ entity: 'type', id: 'type-1', name: 'Brake Pads' }],
+      };
+      req.query = { q: 'bra', vehicleType: 'CAR' };
+      catalogService.suggestCatalog.mockResolvedValue(result);
+
+      await catalogController.suggestCatalog(req, res, next);
+
+      expect(catalogService.suggestCatalog).toHaveBeenCalledWith(req.query);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        result,
+        'Catalog suggestions retrieved successfully',
+        200,
+      );
+    });
+  });
+
+  describe('auditCatalog', () => {
+    it('should return the audit report', async () => {
+      const audit = {
+        auditedAt: '2026-10-19T00:00:00.000Z',
+        summary: { total: 0, error: 0, warning: 0, info: 0 },
+        checks: [],
+      };
+      catalogService.auditCatalog.mockResolvedValue(audit);
+
+      await catalogController.auditCatalog(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        audit,
+        'Catalog audit completed successfully',
+        200,
+      );
+    });
+  });
+
+  describe('exportCatalog', () => {
+    it('should stream the export as a CSV attachment', async () => {
+      req.query = { format: 'csv' };
+      catalogService.exportCatalog.mockImplementation(async (format, write) => {
+        await write('entity,name\r\n');
+        await write('category,Repairs\r\n');
+      });
+
+      await catalogController.exportCatalog(req, res, next);
+
+      expect(catalogService.exportCatalog).toHaveBeenCalledWith(
+        'csv',
+        expect.any(Function),
+      );
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': expect.stringMatching(
+            /^attachment; filename="catalog-\d{4}-\d{2}-\d{2}\.csv"$/,
+          ),
+        }),
+      );
+      expect(res.write).toHaveBeenCalledTimes(2);
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should pass errors on when nothing has been sent yet', async () => {
+      const error = new Error('Database unavailable');
+      catalogService.exportCatalog.mockRejectedValue(error);
+
+      await catalogController.exportCatalog(req, res, next);
+
+      expect(catalogService.exportCatalog).toHaveBeenCalledWith(
+        'json',
+        expect.any(Function),
+      );
+      expect(next).toHaveBeenCalledWith(error);
+    });
+
+    it('should cut the stream when the export fails midway', async () => {
+      const error = new Error('Database unavailable');
+      catalogService.exportCatalog.mockImplementation(async (format, write) => {
+        await write('{"categories":[');
+        res.headersSent = true;
+        throw error;
+      });
+
+      await catalogController.exportCatalog(req, res, next);
+
+      expect(res.destroy).toHaveBeenCalledWith(error);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importCatalog', () => {
+    const report = { dryRun: true, changes: [], conflicts: [], errors: [] };
+
+    it('should import a JSON document in dry-run mode', async () => {
+      req.query = { dryRun: 'true' };
+      req.body = { categories: [{ name: 'Repairs' }] };
+      catalogService.importCatalog.mockResolvedValue(report);
+
+      await catalogController.importCatalog(req, res, next);
+
+      expect(catalogService.importCatalog).toHaveBeenCalledWith(
+        req.body,
+        { dryRun: true },
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        report,
+        'Catalog import dry run completed',
+        200,
+      );
+    });
+
+    it('should parse a CSV body before importing', async () => {
+      const catalog = { categories: [{ name: 'Repairs' }] };
+      req.is.mockReturnValue(true);
+      req.body = 'entity,name\r\ncategory,Repairs\r\n';
+      catalogService.parseCatalogCsv.mockReturnValue(catalog);
+      catalogService.importCatalog.mockResolvedValue({
+        ...report,
+        dryRun: false,
+      });
+
+      await catalogController.importCatalog(req, res, next);
+
+      expect(req.is).toHaveBeenCalledWith('text/csv');
+      expect(catalogService.parseCatalogCsv).toHaveBeenCalledWith(req.body);
+      expect(catalogService.importCatalog).toHaveBeenCalledWith(
+        catalog,
+        { dryRun: false },
+        req,
+      );
+      expect(formatSuccess).toHaveBeenCalledWith(
+        expect.anything(),
+        'Catalog imported successfully',
+        200,
+      );
+    });
+
+    it('should reject an empty CSV body', async () => {
+      req.is.mockReturnValue(true);
+      req.body = {};
+
+      await catalogController.importCatalog(req, res, next);
+
+      expect(catalogService.importCatalog).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ statusCode: 400, code: 'INVALID_CSV' }),
+      );
+    });
+  });
+});
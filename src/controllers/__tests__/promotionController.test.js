@@ -0,0 +1,128 @@
+// src/controllers/__tests__/promotionController.test.js
+const promotionController = require('../promotionController');
+const promotionService = require('../../services/promotionService');
+const { formatSuccess } = require('../../utils/responseFormatter');
+
+// Mock dependencies
+jest.mock('../../services/promotionService');
+
+// Mock formatSuccess to return a predictable object
+jest.mock('../../utils/responseFormatter', () => ({
+  formatSuccess: jest.fn((data, message, statusCode) => ({
+    success: true,
+    message,
+    statusCode,
+    data,
+  })),
+}));
+
+// Mock catchAsync to invoke the callback directly
+jest.mock('../../utils/catchAsync', () => (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+describe('promotionController', () => {
+  let req;
+  let res;
+  let next;
+
+  const promotion = {
+    promotionId: 'promo-1',
+    name: 'Monsoon Sale',
+    discountPercentage: 10,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = { body: {}, params: {}, query: {}, headers: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  describe('createPromotion', () => {
+    it('should forward only promotion fields and respond 201', async () => {
+      req.body = {
+        name: 'Monsoon Sale',
+        discountPercentage: 10,
+        startDate: '2026-10-01',
+        endDate: '2026-11-01',
+        unknownField: 'ignored',
+      };
+      promotionService.createPromotion.mockResolvedValue(promotion);
+
+      await promotionController.createPromotion(req, res, next);
+
+      expect(promotionService.createPromotion).toHaveBeenCalledWith(
+        {
+          name: 'Monsoon Sale',
+          discountPercentage: 10,
+          startDate: '2026-10-01',
+          endDate: '2026-11-01',
+        },
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        promotion,
+        'Promotion created successfully',
+        201,
+      );
+    });
+  });
+
+  describe('getAllPromotions', () => {
+    it('should return the promotions for the query', async () => {
+      const result = { data: [promotion], meta: { total: 1 } };
+      req.query = { isActive: 'true' };
+      promotionService.getAllPromotions.mockResolvedValue(result);
+
+      await promotionController.getAllPromotions(req, res, next);
+
+      expect(promotionService.getAllPromotions).toHaveBeenCalledWith(req.query);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('updatePromotion', () => {
+    it('should pass errors to next', async () => {
+      const error = new Error('promotion not found');
+      req.params.id = 'promo-1';
+      req.body = { priority: 2 };
+      promotionService.updatePromotion.mockRejectedValue(error);
+
+      await promotionController.updatePromotion(req, res, next);
+
+      expect(promotionService.updatePromotion).toHaveBeenCalledWith(
+        'promo-1',
+        { priority: 2 },
+        req,
+      );
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('deletePromotion', () => {
+    it('should respond 204', async () => {
+      req.params.id = 'promo-1';
+      promotionService.deletePromotion.mockResolvedValue(true);
+
+      await promotionController.deletePromotion(req, res, next);
+
+      expect(promotionService.deletePromotion).toHaveBeenCalledWith(
+        'promo-1',
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(204);
+      expect(res.send).toHaveBeenCalled();
+    });
+  });
+});
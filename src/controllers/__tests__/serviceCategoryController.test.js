@@ -103,6 +103,7 @@ describe('serviceCategoryController', () => {
           isPopular: true,
           icon: 'https://example.com/icon.png',
         },
+        req,
       );
 
       expect(logger.info).toHaveBeenCalled();
@@ -143,6 +144,7 @@ describe('serviceCategoryController', () => {
           description: 'Test Description',
           vehicleType: 'CAR',
         },
+        req,
       );
 
       expect(res.status).toHaveBeenCalledWith(201);
@@ -299,7 +301,7 @@ describe('serviceCategoryController', () => {
       // Assertions
       expect(
         serviceCategoryService.getServiceCategoryById,
-      ).toHaveBeenCalledWith('12345678-1234-1234-1234-123456789012');
+      ).toHaveBeenCalledWith('12345678-1234-1234-1234-123456789012', {});
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalled();
       expect(formatSuccess).toHaveBeenCalledWith(
@@ -386,6 +388,7 @@ describe('serviceCategoryController', () => {
           isPopular: undefined,
           vehicleType: undefined,
         },
+        req,
       );
 
       expect(res.status).toHaveBeenCalledWith(200);
@@ -431,6 +434,7 @@ describe('serviceCategoryController', () => {
           vehicleType: undefined,
           icon: 'https://example.com/updated-icon.png',
         },
+        req,
       );
 
       expect(logger.info).toHaveBeenCalled();
@@ -480,6 +484,7 @@ describe('serviceCategoryController', () => {
       // Assertions
       expect(serviceCategoryService.deleteServiceCategory).toHaveBeenCalledWith(
         '12345678-1234-1234-1234-123456789012',
+        req,
       );
       expect(res.status).toHaveBeenCalledWith(204);
       expect(res.send).toHaveBeenCalled();
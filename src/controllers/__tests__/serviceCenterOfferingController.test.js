@@ -196,7 +196,13 @@ describe('serviceCenterOfferingController', () => {
       // Assertions
       expect(
         serviceCenterOfferingService.getServiceCenterOfferings,
-      ).toHaveBeenCalledWith('12345678-1234-1234-1234-123456789012', req.query);
+      ).toHaveBeenCalledWith(
+        '12345678-1234-1234-1234-123456789012',
+        req.query,
+        {
+          user: req.user,
+        },
+      );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalled();
       expect(formatSuccess).toHaveBeenCalledWith(mockOfferings);
@@ -280,12 +286,50 @@ describe('serviceCenterOfferingController', () => {
       ).toHaveBeenCalledWith(
         '12345678-1234-1234-1234-123456789012',
         '98765432-9876-9876-9876-987654321098',
+        { vehicle: {}, user: req.user },
       );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalled();
       expect(formatSuccess).toHaveBeenCalledWith(mockOffering);
     });
 
+    it('should price the offering for the vehicle in the query', async () => {
+      req.params = {
+        serviceCenterId: '12345678-1234-1234-1234-123456789012',
+        serviceCenterOfferingId: '98765432-9876-9876-9876-987654321098',
+      };
+      req.query = { vehicleId: '44444444-4444-4444-4444-444444444444' };
+      req.user = { id: 'user-1', role: 'USER' };
+      const mockOffering = {
+        serviceCenterOfferingId: '98765432-9876-9876-9876-987654321098',
+      };
+      serviceCenterOfferingService.getServiceCenterOffering.mockResolvedValue(
+        mockOffering,
+      );
+
+      await serviceCenterOfferingController.getServiceCenterOffering(
+        req,
+        res,
+        next,
+      );
+
+      expect(
+        serviceCenterOfferingService.getServiceCenterOffering,
+      ).toHaveBeenCalledWith(
+        '12345678-1234-1234-1234-123456789012',
+        '98765432-9876-9876-9876-987654321098',
+        {
+          vehicle: {
+            brandId: undefined,
+            modelId: undefined,
+            vehicleId: '44444444-4444-4444-4444-444444444444',
+          },
+          user: { id: 'user-1', role: 'USER' },
+        },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
     it('should return an error if service center ID is invalid', async () => {
       // Set up request parameters with invalid service center ID
       req.params = {
@@ -677,4 +721,284 @@ describe('serviceCenterOfferingController', () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe('getServiceCenterOfferingQuote', () => {
+    it('should return a price quote for the offering', async () => {
+      req.params = {
+        serviceCenterId: '12345678-1234-1234-1234-123456789012',
+        serviceCenterOfferingId: '98765432-9876-9876-9876-987654321098',
+      };
+      req.query = { priority: 'EXPRESS', emergency: 'true' };
+
+      const mockQuote = {
+        serviceCenterOfferingId: '98765432-9876-9876-9876-987654321098',
+        priority: 'EXPRESS',
+        emergency: true,
+        breakdown: {
+          basePrice: 1000,
+          discount: { percentage: 10, amount: 100, validUntil: null },
+          prioritySurcharge: 200,
+          emergencyFee: 150,
+        },
+        total: 1250,
+      };
+
+      serviceCenterOfferingService.getServiceCenterOfferingQuote.mockResolvedValue(
+        mockQuote,
+      );
+
+      await serviceCenterOfferingController.getServiceCenterOfferingQuote(
+        req,
+        res,
+        next,
+      );
+
+      expect(
+        serviceCenterOfferingService.getServiceCenterOfferingQuote,
+      ).toHaveBeenCalledWith(
+        '12345678-1234-1234-1234-123456789012',
+        '98765432-9876-9876-9876-987654321098',
+        { priority: 'EXPRESS', emergency: 'true' },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        mockQuote,
+        'Price quote calculated successfully',
+        200,
+      );
+    });
+
+    it('should return an error if service center offering ID is invalid', async () => {
+      req.params = {
+        serviceCenterId: '12345678-1234-1234-1234-123456789012',
+        serviceCenterOfferingId: 'invalid-id',
+      };
+
+      await serviceCenterOfferingController.getServiceCenterOfferingQuote(
+        req,
+        res,
+        next,
+      );
+
+      expect(next).toHaveBeenCalled();
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(
+        serviceCenterOfferingService.getServiceCenterOfferingQuote,
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should pass service errors to the next middleware', async () => {
+      req.params = {
+        serviceCenterId: '12345678-1234-1234-1234-123456789012',
+        serviceCenterOfferingId: '98765432-9876-9876-9876-987654321098',
+      };
+
+      const error = new Error('Service error');
+      serviceCenterOfferingService.getServiceCenterOfferingQuote.mockRejectedValue(
+        error,
+      );
+
+      await serviceCenterOfferingController.getServiceCenterOfferingQuote(
+        req,
+        res,
+        next,
+      );
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('configureServiceCenterOffering', () => {
+    it('should price the offering with the selected components', async () => {
+      req.params = {
+        serviceCenterId: '12345678-1234-1234-1234-123456789012',
+        serviceCenterOfferingId: '98765432-9876-9876-9876-987654321098',
+      };
+      req.body = {
+        componentIds: ['11111111-1111-1111-1111-111111111111'],
+        priority: 'NORMAL',
+      };
+      const mockConfiguration = {
+        total: 1150,
+        estimatedDuration: { base: 60, addOns: 15, total: 75 },
+      };
+      serviceCenterOfferingService.configureServiceCenterOffering.mockResolvedValue(
+        mockConfiguration,
+      );
+
+      await serviceCenterOfferingController.configureServiceCenterOffering(
+        req,
+        res,
+        next,
+      );
+
+      expect(
+        serviceCenterOfferingService.configureServiceCenterOffering,
+      ).toHaveBeenCalledWith(
+        '12345678-1234-1234-1234-123456789012',
+        '98765432-9876-9876-9876-987654321098',
+        {
+          componentIds: ['11111111-1111-1111-1111-111111111111'],
+          priority: 'NORMAL',
+          emergency: undefined,
+        },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        mockConfiguration,
+        'Service center offering configured successfully',
+        200,
+      );
+    });
+
+    it('should return an error if service center ID is invalid', async () => {
+      req.params = {
+        serviceCenterId: 'invalid-id',
+        serviceCenterOfferingId: '98765432-9876-9876-9876-987654321098',
+      };
+
+      await serviceCenterOfferingController.configureServiceCenterOffering(
+        req,
+        res,
+        next,
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(
+        serviceCenterOfferingService.configureServiceCenterOffering,
+      ).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulkUpsertServiceCenterOfferings', () => {
+    const serviceCenterId = '12345678-1234-1234-1234-123456789012';
+    const serviceTypeId = '98765432-9876-9876-9876-987654321098';
+
+    it('should validate each offering and respond 200 when all succeed', async () => {
+      req.params = { serviceCenterId };
+      req.body = {
+        offerings: [{ serviceTypeId, basePrice: 100 }],
+        allOrNothing: true,
+      };
+      const mockResult = {
+        results: [{ index: 0, serviceTypeId, status: 'created' }],
+        summary: { total: 1, created: 1, updated: 0, failed: 0 },
+      };
+      serviceCenterOfferingService.bulkUpsertServiceCenterOfferings.mockResolvedValue(
+        mockResult,
+      );
+
+      await serviceCenterOfferingController.bulkUpsertServiceCenterOfferings(
+        req,
+        res,
+        next,
+      );
+
+      expect(
+        serviceCenterOfferingService.bulkUpsertServiceCenterOfferings,
+      ).toHaveBeenCalledWith(
+        serviceCenterId,
+        req.body.offerings,
+        { allOrNothing: true, validationErrors: [null] },
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        mockResult,
+        'Bulk offering upsert processed',
+        200,
+      );
+    });
+
+    it('should pass per-item validation errors and respond 207 on partial failure', async () => {
+      req.params = { serviceCenterId };
+      req.body = {
+        offerings: [{ serviceTypeId }, { basePrice: -1 }],
+      };
+      serviceCenterOfferingService.bulkUpsertServiceCenterOfferings.mockResolvedValue(
+        {
+          results: [],
+          summary: { total: 2, created: 1, updated: 0, failed: 1 },
+        },
+      );
+
+      await serviceCenterOfferingController.bulkUpsertServiceCenterOfferings(
+        req,
+        res,
+        next,
+      );
+
+      const [, , options] =
+        serviceCenterOfferingService.bulkUpsertServiceCenterOfferings.mock
+          .calls[0];
+      expect(options.allOrNothing).toBe(false);
+      expect(options.validationErrors[0]).toBeNull();
+      expect(options.validationErrors[1]).toEqual({
+        serviceTypeId: [
+          'Service Type ID is required',
+          'Service Type ID must be a valid UUID',
+        ],
+        basePrice: 'Base price must be a non-negative number',
+      });
+      expect(res.status).toHaveBeenCalledWith(207);
+    });
+
+    it('should reject an invalid service center ID', async () => {
+      req.params = { serviceCenterId: 'invalid-id' };
+      req.body = { offerings: [] };
+
+      await serviceCenterOfferingController.bulkUpsertServiceCenterOfferings(
+        req,
+        res,
+        next,
+      );
+
+      expect(
+        serviceCenterOfferingService.bulkUpsertServiceCenterOfferings,
+      ).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ statusCode: 400 }),
+      );
+    });
+  });
+
+  describe('searchOfferings', () => {
+    it('should return matching offerings across service centers', async () => {
+      req.query = { serviceTypeId: '98765432-9876-9876-9876-987654321098' };
+      const mockResult = {
+        data: [{ serviceCenterOfferingId: 'offering-id-1', distanceKm: 1.2 }],
+        meta: { total: 1, page: 1, limit: 10 },
+      };
+      serviceCenterOfferingService.searchServiceCenterOfferings.mockResolvedValue(
+        mockResult,
+      );
+
+      await serviceCenterOfferingController.searchOfferings(req, res, next);
+
+      expect(
+        serviceCenterOfferingService.searchServiceCenterOfferings,
+      ).toHaveBeenCalledWith(req.query, { user: req.user });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        mockResult,
+        'Service center offerings retrieved successfully',
+        200,
+      );
+    });
+
+    it('should return an empty list when nothing matches', async () => {
+      const meta = { total: 0, page: 1, limit: 10 };
+      serviceCenterOfferingService.searchServiceCenterOfferings.mockResolvedValue(
+        { data: [], meta },
+      );
+
+      await serviceCenterOfferingController.searchOfferings(req, res, next);
+
+      expect(formatSuccess).toHaveBeenCalledWith(
+        { data: [], meta },
+        'No service center offerings found matching the criteria',
+        200,
+      );
+    });
+  });
 });
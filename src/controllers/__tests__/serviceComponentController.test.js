@@ -89,13 +89,16 @@ describe('serviceComponentController', () => {
       // Assertions
       expect(
         serviceComponentService.createServiceComponent,
-      ).toHaveBeenCalledWith({
-        name: 'Test Component',
-        description: 'Test Description',
-        estimatedDuration: 30,
-        vehicleType: 'CAR',
-        cost: 50.99,
-      });
+      ).toHaveBeenCalledWith(
+        {
+          name: 'Test Component',
+          description: 'Test Description',
+          estimatedDuration: 30,
+          vehicleType: 'CAR',
+          cost: 50.99,
+        },
+        req,
+      );
 
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalled();
@@ -236,7 +239,7 @@ describe('serviceComponentController', () => {
       // Assertions
       expect(
         serviceComponentService.getServiceComponentById,
-      ).toHaveBeenCalledWith('12345678-1234-1234-1234-123456789012');
+      ).toHaveBeenCalledWith('12345678-1234-1234-1234-123456789012', {});
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalled();
       expect(formatSuccess).toHaveBeenCalledWith(
@@ -320,13 +323,17 @@ describe('serviceComponentController', () => {
       // Assertions
       expect(
         serviceComponentService.updateServiceComponent,
-      ).toHaveBeenCalledWith('12345678-1234-1234-1234-123456789012', {
-        name: 'Updated Component',
-        description: 'Updated Description',
-        estimatedDuration: 45,
-        cost: 75.99,
-        vehicleType: 'SUV',
-      });
+      ).toHaveBeenCalledWith(
+        '12345678-1234-1234-1234-123456789012',
+        {
+          name: 'Updated Component',
+          description: 'Updated Description',
+          estimatedDuration: 45,
+          cost: 75.99,
+          vehicleType: 'SUV',
+        },
+        req,
+      );
 
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalled();
@@ -370,7 +377,7 @@ describe('serviceComponentController', () => {
       // Assertions
       expect(
         serviceComponentService.deleteServiceComponent,
-      ).toHaveBeenCalledWith('12345678-1234-1234-1234-123456789012');
+      ).toHaveBeenCalledWith('12345678-1234-1234-1234-123456789012', req);
       expect(res.status).toHaveBeenCalledWith(204);
       expect(res.send).toHaveBeenCalled();
     });
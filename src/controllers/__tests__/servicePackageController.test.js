@@ -0,0 +1,148 @@
+// src/controllers/__tests__/servicePackageController.test.js
+const servicePackageController = require('../servicePackageController');
+const servicePackageService = require('../../services/servicePackageService');
+const { formatSuccess } = require('../../utils/responseFormatter');
+
+// Mock dependencies
+jest.mock('../../services/servicePackageService');
+
+// Mock formatSuccess to return a predictable object
+jest.mock('../../utils/responseFormatter', () => ({
+  formatSuccess: jest.fn((data, message, statusCode) => ({
+    success: true,
+    message,
+    statusCode,
+    data,
+  })),
+}));
+
+// Mock catchAsync to invoke the callback directly
+jest.mock('../../utils/catchAsync', () => (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+describe('servicePackageController', () => {
+  let req;
+  let res;
+  let next;
+
+  const servicePackage = {
+    servicePackageId: 'package-1',
+    name: 'Monsoon Care',
+    price: 1500,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = { body: {}, params: {}, query: {}, headers: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  describe('createServicePackage', () => {
+    it('should forward the package fields, items and image and respond 201', async () => {
+      req.body = {
+        name: 'Monsoon Care',
+        vehicleType: 'CAR',
+        price: 1500,
+        items: [{ serviceTypeId: 'type-1', quantity: 2, unknown: 'ignored' }],
+        unknownField: 'ignored',
+      };
+      req.fileData = { location: 'https://cdn/packages/monsoon.png' };
+      servicePackageService.createServicePackage.mockResolvedValue(
+        servicePackage,
+      );
+
+      await servicePackageController.createServicePackage(req, res, next);
+
+      expect(servicePackageService.createServicePackage).toHaveBeenCalledWith(
+        {
+          name: 'Monsoon Care',
+          vehicleType: 'CAR',
+          price: 1500,
+          displayImage: 'https://cdn/packages/monsoon.png',
+          items: [{ serviceTypeId: 'type-1', quantity: 2 }],
+        },
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        servicePackage,
+        'Service package created successfully',
+        201,
+      );
+    });
+  });
+
+  describe('getServicePackageById', () => {
+    it('should read the package for the requested service center and vehicle', async () => {
+      req.params.id = 'package-1';
+      req.query = { serviceCenterId: 'center-1', vehicleId: 'vehicle-1' };
+      req.user = { id: 'user-1', role: 'USER' };
+      servicePackageService.getServicePackageById.mockResolvedValue(
+        servicePackage,
+      );
+
+      await servicePackageController.getServicePackageById(req, res, next);
+
+      expect(servicePackageService.getServicePackageById).toHaveBeenCalledWith(
+        'package-1',
+        {
+          serviceCenterId: 'center-1',
+          vehicle: {
+            brandId: undefined,
+            modelId: undefined,
+            vehicleId: 'vehicle-1',
+          },
+          user: req.user,
+        },
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('setPackageAvailability', () => {
+    it('should pass errors to next', async () => {
+      const error = new Error('service package not found');
+      req.params = { id: 'package-1', serviceCenterId: 'center-1' };
+      req.body = { price: 1200, status: 'ACTIVE' };
+      servicePackageService.setPackageAvailability.mockRejectedValue(error);
+
+      await servicePackageController.setPackageAvailability(req, res, next);
+
+      expect(servicePackageService.setPackageAvailability).toHaveBeenCalledWith(
+        'package-1',
+        'center-1',
+        { price: 1200, status: 'ACTIVE' },
+        req,
+      );
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('removePackageItem', () => {
+    it('should respond 204', async () => {
+      req.params = { id: 'package-1', serviceTypeId: 'type-1' };
+      servicePackageService.removePackageItem.mockResolvedValue(true);
+
+      await servicePackageController.removePackageItem(req, res, next);
+
+      expect(servicePackageService.removePackageItem).toHaveBeenCalledWith(
+        'package-1',
+        'type-1',
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(204);
+      expect(res.send).toHaveBeenCalled();
+    });
+  });
+});
@@ -95,18 +95,21 @@ describe('serviceTypeController', () => {
       await serviceTypeController.createType(req, res, next);
 
       // Assertions
-      expect(serviceTypeService.createServiceType).toHaveBeenCalledWith({
-        name: 'Test Type',
-        description: 'Test Description',
-        longDescription: 'Long test description',
-        estimatedDuration: 60,
-        categoryId: '12345678-1234-1234-1234-123456789012',
-        recommendedFrequency: 30,
-        warningThreshold: 45,
-        displayOrder: 1,
-        isPopular: true,
-        displayImage: 'https://example.com/image.png',
-      });
+      expect(serviceTypeService.createServiceType).toHaveBeenCalledWith(
+        {
+          name: 'Test Type',
+          description: 'Test Description',
+          longDescription: 'Long test description',
+          estimatedDuration: 60,
+          categoryId: '12345678-1234-1234-1234-123456789012',
+          recommendedFrequency: 30,
+          warningThreshold: 45,
+          displayOrder: 1,
+          isPopular: true,
+          displayImage: 'https://example.com/image.png',
+        },
+        req,
+      );
 
       expect(logger.info).toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(201);
@@ -138,11 +141,14 @@ describe('serviceTypeController', () => {
       await serviceTypeController.createType(req, res, next);
 
       // Assertions
-      expect(serviceTypeService.createServiceType).toHaveBeenCalledWith({
-        name: 'Test Type',
-        description: 'Test Description',
-        categoryId: '12345678-1234-1234-1234-123456789012',
-      });
+      expect(serviceTypeService.createServiceType).toHaveBeenCalledWith(
+        {
+          name: 'Test Type',
+          description: 'Test Description',
+          categoryId: '12345678-1234-1234-1234-123456789012',
+        },
+        req,
+      );
 
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalled();
@@ -198,7 +204,17 @@ describe('serviceTypeController', () => {
         description: 'Test Description',
       };
 
+      const durationRollup = {
+        declaredDuration: 60,
+        componentDuration: 30,
+        difference: 30,
+        isMismatched: true,
+      };
+
       serviceTypeService.getServiceTypeById.mockResolvedValue(mockType);
+      serviceTypeService.withDurationRollups.mockImplementation(async (types) =>
+        types.map((type) => ({ ...type, durationRollup })),
+      );
 
       // Call the controller method
       await serviceTypeController.getTypeById(req, res, next);
@@ -206,11 +222,15 @@ describe('serviceTypeController', () => {
       // Assertions
       expect(serviceTypeService.getServiceTypeById).toHaveBeenCalledWith(
         '12345678-1234-1234-1234-123456789012',
+        {},
       );
+      expect(serviceTypeService.withDurationRollups).toHaveBeenCalledWith([
+        mockType,
+      ]);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalled();
       expect(formatSuccess).toHaveBeenCalledWith(
-        mockType,
+        { ...mockType, durationRollup },
         'Service type retrieved successfully',
         200,
       );
@@ -240,9 +260,48 @@ describe('serviceTypeController', () => {
       // Assertions
       expect(next).toHaveBeenCalledWith(error);
     });
+
+    it('should pass the X-Min-Version header as the minimum version', async () => {
+      req.params = { id: '12345678-1234-1234-1234-123456789012' };
+      req.headers = { 'x-min-version': '1718000000000' };
+      serviceTypeService.getServiceTypeById.mockResolvedValue({});
+
+      await serviceTypeController.getTypeById(req, res, next);
+
+      expect(serviceTypeService.getServiceTypeById).toHaveBeenCalledWith(
+        '12345678-1234-1234-1234-123456789012',
+        { minVersion: 1718000000000 },
+      );
+    });
+
+    it('should reject a minVersion that is not an integer', async () => {
+      req.params = { id: '12345678-1234-1234-1234-123456789012' };
+      req.query = { minVersion: 'yesterday' };
+
+      await serviceTypeController.getTypeById(req, res, next);
+
+      expect(serviceTypeService.getServiceTypeById).not.toHaveBeenCalled();
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
   });
 
   describe('updateType', () => {
+    it('should return the new version in the X-Resource-Version header', async () => {
+      req.params = { id: '12345678-1234-1234-1234-123456789012' };
+      res.set = jest.fn().mockReturnThis();
+      serviceTypeService.updateServiceType.mockResolvedValue({
+        serviceTypeId: '12345678-1234-1234-1234-123456789012',
+        updatedAt: '2024-06-10T06:13:20.000Z',
+      });
+
+      await serviceTypeController.updateType(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith(
+        'X-Resource-Version',
+        String(Date.parse('2024-06-10T06:13:20.000Z')),
+      );
+    });
+
     it('should update a service type', async () => {
       // Set up request parameters
       req.params = { id: '12345678-1234-1234-1234-123456789012' };
@@ -280,6 +339,7 @@ describe('serviceTypeController', () => {
           longDescription: 'Updated long description',
           displayImage: 'https://example.com/updated-image.png',
         },
+        req,
       );
 
       expect(logger.info).toHaveBeenCalled();
@@ -319,6 +379,7 @@ describe('serviceTypeController', () => {
           name: 'Updated Type',
           description: 'Updated Description',
         },
+        req,
       );
 
       expect(res.status).toHaveBeenCalledWith(200);
@@ -475,6 +536,7 @@ describe('serviceTypeController', () => {
       // Assertions
       expect(serviceTypeService.deleteServiceType).toHaveBeenCalledWith(
         '12345678-1234-1234-1234-123456789012',
+        req,
       );
       expect(res.status).toHaveBeenCalledWith(204);
       expect(res.send).toHaveBeenCalled();
@@ -534,7 +596,8 @@ describe('serviceTypeController', () => {
       // Check that service was called with correct parameters
       expect(serviceTypeService.associateComponentWithType).toHaveBeenCalledWith(
         '12345678-1234-1234-1234-123456789012',
-        req.body
+        req.body,
+        req,
       );
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalled();
@@ -688,6 +751,7 @@ describe('serviceTypeController', () => {
       expect(serviceTypeService.removeComponentFromType).toHaveBeenCalledWith(
         '12345678-1234-1234-1234-123456789012',
         '98765432-9876-9876-9876-987654321098',
+        req,
       );
       expect(res.status).toHaveBeenCalledWith(204);
       expect(res.send).toHaveBeenCalled();
@@ -739,4 +803,74 @@ describe('serviceTypeController', () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe('getTypeDuration', () => {
+    it('should return the duration roll-up with the requested threshold', async () => {
+      const rollup = {
+        serviceTypeId: '12345678-1234-1234-1234-123456789012',
+        declaredDuration: 60,
+        componentDuration: 40,
+        threshold: 10,
+        isMismatched: true,
+      };
+      req.params = { id: '12345678-1234-1234-1234-123456789012' };
+      req.query = { threshold: '10' };
+      serviceTypeService.getTypeDurationRollup.mockResolvedValue(rollup);
+
+      await serviceTypeController.getTypeDuration(req, res, next);
+
+      expect(serviceTypeService.getTypeDurationRollup).toHaveBeenCalledWith(
+        '12345678-1234-1234-1234-123456789012',
+        { threshold: 10 },
+      );
+      expect(formatSuccess).toHaveBeenCalledWith(
+        rollup,
+        'Service type duration computed successfully',
+        200,
+      );
+    });
+  });
+
+  describe('updateTypeComponent', () => {
+    it('should update the options of a type component', async () => {
+      const typeComponent = {
+        serviceTypeComponentId: 'link-id',
+        isDefault: true,
+        isRequired: true,
+      };
+      req.params = {
+        id: '12345678-1234-1234-1234-123456789012',
+        componentId: '98765432-9876-9876-9876-987654321098',
+      };
+      req.body = { isRequired: true };
+      serviceTypeService.updateTypeComponent.mockResolvedValue(typeComponent);
+
+      await serviceTypeController.updateTypeComponent(req, res, next);
+
+      expect(serviceTypeService.updateTypeComponent).toHaveBeenCalledWith(
+        '12345678-1234-1234-1234-123456789012',
+        '98765432-9876-9876-9876-987654321098',
+        { isRequired: true },
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        typeComponent,
+        'Component association updated successfully',
+        200,
+      );
+    });
+
+    it('should return an error if the component ID is invalid', async () => {
+      req.params = {
+        id: '12345678-1234-1234-1234-123456789012',
+        componentId: 'not-a-uuid',
+      };
+
+      await serviceTypeController.updateTypeComponent(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(serviceTypeService.updateTypeComponent).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,123 @@
+// src/controllers/__tests__/taxRuleController.test.js
+const taxRuleController = require('../taxRuleController');
+const taxRuleService = require('../../services/taxRuleService');
+const { formatSuccess } = require('../../utils/responseFormatter');
+
+// Mock dependencies
+jest.mock('../../services/taxRuleService');
+
+// Mock formatSuccess to return a predictable object
+jest.mock('../../utils/responseFormatter', () => ({
+  formatSuccess: jest.fn((data, message, statusCode) => ({
+    success: true,
+    message,
+    statusCode,
+    data,
+  })),
+}));
+
+// Mock catchAsync to invoke the callback directly
+jest.mock('../../utils/catchAsync', () => (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+describe('taxRuleController', () => {
+  let req;
+  let res;
+  let next;
+
+  const taxRule = {
+    taxRuleId: 'gst-1',
+    name: 'GST',
+    rate: 18,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = { body: {}, params: {}, query: {}, headers: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  describe('createTaxRule', () => {
+    it('should forward only tax rule fields and respond 201', async () => {
+      req.body = {
+        name: 'GST',
+        rate: 18,
+        effectiveFrom: '2026-01-01',
+        unknownField: 'ignored',
+      };
+      taxRuleService.createTaxRule.mockResolvedValue(taxRule);
+
+      await taxRuleController.createTaxRule(req, res, next);
+
+      expect(taxRuleService.createTaxRule).toHaveBeenCalledWith(
+        {
+          name: 'GST',
+          rate: 18,
+          effectiveFrom: '2026-01-01',
+        },
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        taxRule,
+        'Tax rule created successfully',
+        201,
+      );
+    });
+  });
+
+  describe('getAllTaxRules', () => {
+    it('should return the tax rules for the query', async () => {
+      const result = { data: [taxRule], meta: { total: 1 } };
+      req.query = { name: 'GST' };
+      taxRuleService.getAllTaxRules.mockResolvedValue(result);
+
+      await taxRuleController.getAllTaxRules(req, res, next);
+
+      expect(taxRuleService.getAllTaxRules).toHaveBeenCalledWith(req.query);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('updateTaxRule', () => {
+    it('should pass errors to next', async () => {
+      const error = new Error('tax rule not found');
+      req.params.id = 'gst-1';
+      req.body = { rate: 12 };
+      taxRuleService.updateTaxRule.mockRejectedValue(error);
+
+      await taxRuleController.updateTaxRule(req, res, next);
+
+      expect(taxRuleService.updateTaxRule).toHaveBeenCalledWith(
+        'gst-1',
+        { rate: 12 },
+        req,
+      );
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('deleteTaxRule', () => {
+    it('should respond 204', async () => {
+      req.params.id = 'gst-1';
+      taxRuleService.deleteTaxRule.mockResolvedValue(true);
+
+      await taxRuleController.deleteTaxRule(req, res, next);
+
+      expect(taxRuleService.deleteTaxRule).toHaveBeenCalledWith('gst-1', req);
+      expect(res.status).toHaveBeenCalledWith(204);
+      expect(res.send).toHaveBeenCalled();
+    });
+  });
+});
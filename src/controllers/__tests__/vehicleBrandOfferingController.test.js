@@ -0,0 +1,128 @@
+// src/controllers/__tests__/vehicleBrandOfferingController.test.js
+const vehicleBrandOfferingController = require('../vehicleBrandOfferingController');
+const vehicleBrandOfferingService = require('../../services/vehicleBrandOfferingService');
+const { formatSuccess } = require('../../utils/responseFormatter');
+
+// Mock dependencies
+jest.mock('../../services/vehicleBrandOfferingService');
+
+// Mock formatSuccess to return a predictable object
+jest.mock('../../utils/responseFormatter', () => ({
+  formatSuccess: jest.fn((data, message, statusCode) => ({
+    success: true,
+    message,
+    statusCode,
+    data,
+  })),
+}));
+
+// Mock catchAsync to invoke the callback directly
+jest.mock('../../utils/catchAsync', () => (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+describe('vehicleBrandOfferingController', () => {
+  let req;
+  let res;
+  let next;
+
+  const pricing = {
+    vehicleBrandServiceOfferingId: 'pricing-1',
+    brandId: 'brand-1',
+    price: 1500,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {},
+      params: {
+        serviceCenterId: 'center-1',
+        serviceCenterOfferingId: 'offering-1',
+      },
+      query: {},
+      headers: {},
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+  });
+
+  describe('createVehiclePricing', () => {
+    it('should forward only pricing fields and respond 201', async () => {
+      req.body = { brandId: 'brand-1', price: 1500, offeringId: 'other' };
+      vehicleBrandOfferingService.createVehiclePricing.mockResolvedValue(
+        pricing,
+      );
+
+      await vehicleBrandOfferingController.createVehiclePricing(req, res, next);
+
+      expect(
+        vehicleBrandOfferingService.createVehiclePricing,
+      ).toHaveBeenCalledWith(
+        'center-1',
+        'offering-1',
+        { brandId: 'brand-1', price: 1500 },
+        req,
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(formatSuccess).toHaveBeenCalledWith(
+        pricing,
+        'Vehicle pricing created successfully',
+        201,
+      );
+    });
+  });
+
+  describe('getVehiclePricing', () => {
+    it('should return the pricing of the offering', async () => {
+      req.query = { modelId: 'model-1' };
+      vehicleBrandOfferingService.getVehiclePricing.mockResolvedValue({
+        data: [pricing],
+        meta: {},
+      });
+
+      await vehicleBrandOfferingController.getVehiclePricing(req, res, next);
+
+      expect(
+        vehicleBrandOfferingService.getVehiclePricing,
+      ).toHaveBeenCalledWith('center-1', 'offering-1', req.query);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('updateVehiclePricing', () => {
+    it('should pass errors to next', async () => {
+      const error = new Error('vehicle pricing not found');
+      req.params.vehicleBrandServiceOfferingId = 'pricing-1';
+      req.body = { price: 1600 };
+      vehicleBrandOfferingService.updateVehiclePricing.mockRejectedValue(error);
+
+      await vehicleBrandOfferingController.updateVehiclePricing(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('deleteVehiclePricing', () => {
+    it('should respond 204', async () => {
+      req.params.vehicleBrandServiceOfferingId = 'pricing-1';
+      vehicleBrandOfferingService.deleteVehiclePricing.mockResolvedValue(true);
+
+      await vehicleBrandOfferingController.deleteVehiclePricing(req, res, next);
+
+      expect(
+        vehicleBrandOfferingService.deleteVehiclePricing,
+      ).toHaveBeenCalledWith('center-1', 'offering-1', 'pricing-1', req);
+      expect(res.status).toHaveBeenCalledWith(204);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const catchAsync = require('../utils/catchAsync');
+const additionalFeatureService = require('../services/additionalFeatureService');
+const { formatSuccess } = require('../utils/responseFormatter');
+
+// Fields of an additional feature accepted on create and update
+const FEATURE_FIELDS = [
+  'name',
+  'description',
+  'isComplimentary',
+  'price',
+  'isPopular',
+  'isAvailable',
+  'displayOrder',
+];
+
+// Feature fields present in a request body, with the uploaded display icon; a
+// feature made complimentary loses its price
+const featureDataOf = (req) => ({
+  ...Object.fromEntries(
+    FEATURE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+      (field) => [field, req.body[field]],
+    ),
+  ),
+  ...(String(req.body.isComplimentary) === 'true' && { price: null }),
+  ...(req.fileData && { displayIcon: req.fileData.location }),
+});
+
+/**
+ * Create an additional feature for a service center offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createFeature = catchAsync(async (req, res) => {
+  const { serviceCenterId, serviceCenterOfferingId } = req.params;
+  const feature = await additionalFeatureService.createFeature(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    featureDataOf(req),
+    req,
+  );
+
+  res
+    .status(201)
+    .json(
+      formatSuccess(feature, 'Additional feature created successfully', 201),
+    );
+});
+
+/**
+ * Get the additional features of a service center offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFeatures = catchAsync(async (req, res) => {
+  const { serviceCenterId, serviceCenterOfferingId } = req.params;
+  const result = await additionalFeatureService.getFeatures(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    req.query,
+  );
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(result, 'Additional features retrieved successfully', 200),
+    );
+});
+
+/**
+ * Update an additional feature of a service center offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateFeature = catchAsync(async (req, res) => {
+  const { serviceCenterId, serviceCenterOfferingId, additionalFeatureId } =
+    req.params;
+  const feature = await additionalFeatureService.updateFeature(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    additionalFeatureId,
+    featureDataOf(req),
+    req,
+  );
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(feature, 'Additional feature updated successfully', 200),
+    );
+});
+
+/**
+ * Delete an additional feature of a service center offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteFeature = catchAsync(async (req, res) => {
+  const { serviceCenterId, serviceCenterOfferingId, additionalFeatureId } =
+    req.params;
+  await additionalFeatureService.deleteFeature(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    additionalFeatureId,
+    req,
+  );
+  res.status(204).send();
+});
+
+module.exports = {
+  createFeature,
+  getFeatures,
+  updateFeature,
+  deleteFeature,
+};
@@ -0,0 +1,154 @@
+const { once } = require('events');
+const catchAsync = require('../utils/catchAsync');
+const catalogService = require('../services/catalogService');
+const { formatSuccess } = require('../utils/responseFormatter');
+const { logger } = require('../utils/logger');
+const AppError = require('../utils/appError');
+const { createETag, matchesETag } = require('../utils/etag');
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+/**
+ * Stream the whole service catalog as a CSV or JSON download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const exportCatalog = catchAsync(async (req, res, next) => {
+  const format = req.query.format || 'json';
+  const fileName = `catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200);
+  res.set({
+    'Content-Type': EXPORT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+  });
+
+  try {
+    await catalogService.exportCatalog(format, async (chunk) => {
+      // Respect backpressure so large catalogs are not buffered in memory
+      if (!res.write(chunk)) {
+        await once(res, 'drain');
+      }
+    });
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+    // The status line is already out, so the only signal left is a cut stream
+    logger.error({
+      message: 'Service catalog export failed mid-stream',
+      metadata: { format, error: error.message },
+    });
+    res.destroy(error);
+  }
+});
+
+/**
+ * Import a catalog from a CSV (text/csv) or JSON body
+ * With ?dryRun=true nothing is written and the planned changes are returned.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importCatalog = catchAsync(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === true;
+
+  let catalog;
+  if (req.is('text/csv')) {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      throw AppError.badRequest('CSV body is empty', 'INVALID_CSV');
+    }
+    catalog = catalogService.parseCatalogCsv(req.body);
+  } else {
+    catalog = req.body || {};
+  }
+
+  const report = await catalogService.importCatalog(catalog, { dryRun }, req);
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(
+        report,
+        dryRun
+          ? 'Catalog import dry run completed'
+          : 'Catalog imported successfully',
+        200,
+      ),
+    );
+});
+
+/**
+ * Get categories with their service types and components in one response
+ * The ETag is a hash of the tree, so If-None-Match gets a 304 while it is unchanged.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCatalogTree = catchAsync(async (req, res) => {
+  const tree = await catalogService.getCatalogTree(req.query);
+
+  const etag = createETag(tree);
+  res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+  if (matchesETag(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+
+  res
+    .status(200)
+    .json(formatSuccess(tree, 'Catalog tree retrieved successfully', 200));
+});
+
+/**
+ * Search categories, service types and components by relevance
+ * Hits are grouped by entity; each has a snippet with the matches in <mark>.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const searchCatalog = catchAsync(async (req, res) => {
+  const results = await catalogService.searchCatalog(req.query);
+
+  res
+    .status(200)
+    .json(formatSuccess(results, 'Catalog search completed successfully', 200));
+});
+
+/**
+ * Suggest catalog names for a search box as the user types
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const suggestCatalog = catchAsync(async (req, res) => {
+  const result = await catalogService.suggestCatalog(req.query);
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(result, 'Catalog suggestions retrieved successfully', 200),
+    );
+});
+
+/**
+ * Audit the catalog for consistency problems
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const auditCatalog = catchAsync(async (req, res) => {
+  const audit = await catalogService.auditCatalog();
+
+  res
+    .status(200)
+    .json(formatSuccess(audit, 'Catalog audit completed successfully', 200));
+});
+
+module.exports = {
+  getCatalogTree,
+  searchCatalog,
+  suggestCatalog,
+  auditCatalog,
+  exportCatalog,
+  importCatalog,
+};
@@ -0,0 +1,105 @@
+const catchAsync = require('../utils/catchAsync');
+const promotionService = require('../services/promotionService');
+const { formatSuccess } = require('../utils/responseFormatter');
+
+// Fields of a promotion accepted on create and update
+const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'startDate',
+  'endDate',
+  'discountPercentage',
+  'discountAbsolute',
+  'serviceCenterId',
+  'serviceTypeId',
+  'categoryId',
+  'vehicleType',
+  'isStackable',
+  'priority',
+  'isActive',
+];
+
+// Promotion fields present in a request body
+const promotionDataOf = (body) =>
+  Object.fromEntries(
+    PROMOTION_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]],
+    ),
+  );
+
+/**
+ * Create a promotion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.createPromotion(
+    promotionDataOf(req.body),
+    req,
+  );
+
+  res
+    .status(201)
+    .json(formatSuccess(promotion, 'Promotion created successfully', 201));
+});
+
+/**
+ * Get promotions with filtering, search, sorting and pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllPromotions = catchAsync(async (req, res) => {
+  const result = await promotionService.getAllPromotions(req.query);
+
+  res
+    .status(200)
+    .json(formatSuccess(result, 'Promotions retrieved successfully', 200));
+});
+
+/**
+ * Get a promotion by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPromotionById = catchAsync(async (req, res) => {
+  const promotion = await promotionService.getPromotionById(req.params.id);
+
+  res
+    .status(200)
+    .json(formatSuccess(promotion, 'Promotion retrieved successfully', 200));
+});
+
+/**
+ * Update a promotion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePromotion = catchAsync(async (req, res) => {
+  const promotion = await promotionService.updatePromotion(
+    req.params.id,
+    promotionDataOf(req.body),
+    req,
+  );
+
+  res
+    .status(200)
+    .json(formatSuccess(promotion, 'Promotion updated successfully', 200));
+});
+
+/**
+ * Delete a promotion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deletePromotion = catchAsync(async (req, res) => {
+  await promotionService.deletePromotion(req.params.id, req);
+  res.status(204).send();
+});
+
+module.exports = {
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+};
@@ -2,6 +2,7 @@ const catchAsync = require('../utils/catchAsync');
 // const AppError = require('../utils/appError');
 const serviceCategoryService = require('../services/serviceCategoryService');
 const { formatSuccess } = require('../utils/responseFormatter');
+const { getReadOptions, setResourceVersion } = require('../cache/readCache');
 const { logger } = require('../utils/logger');
 const {
   createInvalidIdError,
@@ -36,8 +37,10 @@ const createCategory = catchAsync(async (req, res) => {
   }
 
   // Create the service category using the service layer
-  const serviceCategory =
-    await serviceCategoryService.createServiceCategory(categoryData);
+  const serviceCategory = await serviceCategoryService.createServiceCategory(
+    categoryData,
+    req,
+  );
 
   // Return success response
   res
@@ -123,8 +126,11 @@ const updateCategory = catchAsync(async (req, res) => {
   const updatedCategory = await serviceCategoryService.updateServiceCategory(
     id,
     updateData,
+    req,
   );
 
+  setResourceVersion(res, updatedCategory);
+
   // Return success response
   res
     .status(200)
@@ -145,8 +151,10 @@ const getCategoryById = catchAsync(async (req, res, next) => {
     return next(createInvalidIdError(id, 'service category'));
   }
   // Get the service category by ID using the service layer
-  const serviceCategory =
-    await serviceCategoryService.getServiceCategoryById(id);
+  const serviceCategory = await serviceCategoryService.getServiceCategoryById(
+    id,
+    getReadOptions(req),
+  );
 
   if (!serviceCategory) {
     return next(createNotFoundError(id, 'service category'));
@@ -175,8 +183,10 @@ const deleteCategory = catchAsync(async (req, res, next) => {
   }
 
   // Delete the service category using the service layer
-  const deletedCategory =
-    await serviceCategoryService.deleteServiceCategory(id);
+  const deletedCategory = await serviceCategoryService.deleteServiceCategory(
+    id,
+    req,
+  );
 
   if (!deletedCategory) {
     return next(createNotFoundError(id, 'service category'));
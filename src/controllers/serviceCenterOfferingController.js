@@ -1,9 +1,14 @@
 const { formatSuccess } = require('../utils/responseFormatter');
+const { getReadOptions, setResourceVersion } = require('../cache/readCache');
 const {
   createInvalidIdError,
   createNotFoundError,
 } = require('../controllers/errorController');
 const serviceCenterOfferingService = require('../services/serviceCenterOfferingService');
+const { validateItems } = require('../middlewares/validationMiddlewares');
+const {
+  validateServiceCenterOffering,
+} = require('../validators/serviceCenterOfferingValidator');
 const catchAsync = require('../utils/catchAsync');
 
 /**
@@ -42,6 +47,48 @@ const createServiceCenterOffering = catchAsync(async (req, res, next) => {
   }
 });
 
+/**
+ * Create or update many offerings for a specific service center
+ * Responds 200 when every item was written and 207 when some items failed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} - Per-item results and a summary
+ */
+const bulkUpsertServiceCenterOfferings = catchAsync(async (req, res, next) => {
+  const { serviceCenterId } = req.params;
+
+  // Basic UUID validation for service center ID
+  const uuidRegex =
+    /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+  if (!serviceCenterId || !uuidRegex.test(serviceCenterId)) {
+    return next(createInvalidIdError(serviceCenterId, 'service center'));
+  }
+
+  const { offerings } = req.body;
+  const allOrNothing =
+    req.body.allOrNothing === true || req.body.allOrNothing === 'true';
+
+  // Each item gets the same rules as a single create
+  const validationErrors = await validateItems(
+    validateServiceCenterOffering,
+    offerings,
+  );
+
+  const result =
+    await serviceCenterOfferingService.bulkUpsertServiceCenterOfferings(
+      serviceCenterId,
+      offerings,
+      { allOrNothing, validationErrors },
+      req,
+    );
+
+  const statusCode = result.summary.failed > 0 ? 207 : 200;
+  return res
+    .status(statusCode)
+    .json(formatSuccess(result, 'Bulk offering upsert processed', statusCode));
+});
+
 /**
  * Get all service offerings for a specific service center
  * @param {Object} req - Express request object
@@ -64,6 +111,7 @@ const getServiceCenterOfferings = catchAsync(async (req, res, next) => {
     await serviceCenterOfferingService.getServiceCenterOfferings(
       serviceCenterId,
       req.query,
+      { user: req.user },
     );
 
   return res.status(200).json(formatSuccess(offerings));
@@ -94,6 +142,15 @@ const getServiceCenterOffering = catchAsync(async (req, res, next) => {
   const offering = await serviceCenterOfferingService.getServiceCenterOffering(
     serviceCenterId,
     serviceCenterOfferingId,
+    {
+      ...getReadOptions(req),
+      vehicle: {
+        brandId: req.query.brandId,
+        modelId: req.query.modelId,
+        vehicleId: req.query.vehicleId,
+      },
+      user: req.user,
+    },
   );
 
   if (!offering) {
@@ -144,6 +201,7 @@ const updateServiceCenterOffering = catchAsync(async (req, res, next) => {
     }
 
     // Return the updated offering
+    setResourceVersion(res, updatedOffering);
     return res.status(200).json(formatSuccess(updatedOffering));
   } catch (error) {
     next(error);
@@ -210,10 +268,134 @@ const getServiceCenterOfferingWithComponents = catchAsync(
   },
 );
 
+/**
+ * Get an itemized price quote for a specific service offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} - Price breakdown (base, discount, priority surcharge, emergency fee, total)
+ */
+const getServiceCenterOfferingQuote = catchAsync(async (req, res, next) => {
+  const { serviceCenterId, serviceCenterOfferingId } = req.params;
+
+  // Basic UUID validation for IDs
+  const uuidRegex =
+    /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+  if (!serviceCenterId || !uuidRegex.test(serviceCenterId)) {
+    return next(createInvalidIdError(serviceCenterId, 'service center'));
+  }
+  if (!serviceCenterOfferingId || !uuidRegex.test(serviceCenterOfferingId)) {
+    return next(
+      createInvalidIdError(serviceCenterOfferingId, 'service center offering'),
+    );
+  }
+
+  const quote =
+    await serviceCenterOfferingService.getServiceCenterOfferingQuote(
+      serviceCenterId,
+      serviceCenterOfferingId,
+      {
+        priority: req.query.priority,
+        emergency: req.query.emergency,
+        brandId: req.query.brandId,
+        modelId: req.query.modelId,
+        vehicleId: req.query.vehicleId,
+        user: req.user,
+      },
+    );
+
+  return res
+    .status(200)
+    .json(formatSuccess(quote, 'Price quote calculated successfully', 200));
+});
+
+/**
+ * Price a service center offering with the components a customer selected
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Object} - Price breakdown, total and estimated duration
+ */
+const configureServiceCenterOffering = catchAsync(async (req, res, next) => {
+  const { serviceCenterId, serviceCenterOfferingId } = req.params;
+
+  // Basic UUID validation for IDs
+  const uuidRegex =
+    /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+  if (!serviceCenterId || !uuidRegex.test(serviceCenterId)) {
+    return next(createInvalidIdError(serviceCenterId, 'service center'));
+  }
+  if (!serviceCenterOfferingId || !uuidRegex.test(serviceCenterOfferingId)) {
+    return next(
+      createInvalidIdError(serviceCenterOfferingId, 'service center offering'),
+    );
+  }
+
+  const configuration =
+    await serviceCenterOfferingService.configureServiceCenterOffering(
+      serviceCenterId,
+      serviceCenterOfferingId,
+      {
+        componentIds: req.body.componentIds,
+        priority: req.body.priority,
+        emergency: req.body.emergency,
+      },
+    );
+
+  return res
+    .status(200)
+    .json(
+      formatSuccess(
+        configuration,
+        'Service center offering configured successfully',
+        200,
+      ),
+    );
+});
+
+/**
+ * Search service offerings across all service centers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - Matching service center offerings with pagination metadata
+ */
+const searchOfferings = catchAsync(async (req, res) => {
+  const result =
+    await serviceCenterOfferingService.searchServiceCenterOfferings(req.query, {
+      user: req.user,
+    });
+
+  if (!result.data || result.data.length === 0) {
+    return res
+      .status(200)
+      .json(
+        formatSuccess(
+          { data: [], meta: result.meta },
+          'No service center offerings found matching the criteria',
+          200,
+        ),
+      );
+  }
+
+  return res
+    .status(200)
+    .json(
+      formatSuccess(
+        result,
+        'Service center offerings retrieved successfully',
+        200,
+      ),
+    );
+});
+
 module.exports = {
   createServiceCenterOffering,
+  bulkUpsertServiceCenterOfferings,
   getServiceCenterOfferings,
   getServiceCenterOffering,
   updateServiceCenterOffering,
   getServiceCenterOfferingWithComponents,
+  getServiceCenterOfferingQuote,
+  configureServiceCenterOffering,
+  searchOfferings,
 };
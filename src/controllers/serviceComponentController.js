@@ -1,6 +1,7 @@
 const catchAsync = require('../utils/catchAsync');
 const serviceComponentService = require('../services/serviceComponentService');
 const { formatSuccess } = require('../utils/responseFormatter');
+const { getReadOptions, setResourceVersion } = require('../cache/readCache');
 const { logger } = require('../utils/logger');
 const {
   createInvalidIdError,
@@ -16,8 +17,10 @@ const createComponent = catchAsync(async (req, res, next) => {
     vehicleType: req.body.vehicleType,
     cost: req.body.cost,
   };
-  const serviceComponent =
-    await serviceComponentService.createServiceComponent(componentData);
+  const serviceComponent = await serviceComponentService.createServiceComponent(
+    componentData,
+    req,
+  );
   if (!serviceComponent) {
     return next(createInternalError('Failed to create service component'));
   }
@@ -67,7 +70,10 @@ const getComponentById = catchAsync(async (req, res, next) => {
     return next(createInvalidIdError(id, 'service category'));
   }
   const serviceComponent =
-    await serviceComponentService.getServiceComponentById(id);
+    await serviceComponentService.getServiceComponentById(
+      id,
+      getReadOptions(req),
+    );
   if (!serviceComponent) {
     return next(createNotFoundError(id, 'Service component not found'));
   }
@@ -93,8 +99,10 @@ const updateComponent = catchAsync(async (req, res) => {
   const updatedComponent = await serviceComponentService.updateServiceComponent(
     id,
     updateData,
+    req,
   );
 
+  setResourceVersion(res, updatedComponent);
   res
     .status(200)
     .json(
@@ -113,7 +121,7 @@ const deleteComponent = catchAsync(async (req, res, next) => {
   if (!id || !uuidRegex.test(id)) {
     return next(createInvalidIdError(id, 'service component'));
   }
-  await serviceComponentService.deleteServiceComponent(id);
+  await serviceComponentService.deleteServiceComponent(id, req);
   return res.status(204).send();
 });
 
@@ -0,0 +1,224 @@
+const catchAsync = require('../utils/catchAsync');
+const servicePackageService = require('../services/servicePackageService');
+const { formatSuccess } = require('../utils/responseFormatter');
+
+// Fields of a service package accepted on create and update
+const PACKAGE_FIELDS = [
+  'name',
+  'description',
+  'longDescription',
+  'packageType',
+  'vehicleType',
+  'price',
+  'validityDays',
+  'usageLimit',
+  'isPopular',
+  'isActive',
+];
+
+// Fields of a package item and of its availability at a service center
+const ITEM_FIELDS = ['quantity', 'displayOrder'];
+const AVAILABILITY_FIELDS = ['status', 'price', 'termsAndConditions'];
+
+// Fields present in a request body
+const dataOf = (fields, body) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => body[field] !== undefined)
+      .map((field) => [field, body[field]]),
+  );
+
+// Package fields present in a request body, with the uploaded display image
+const packageDataOf = (req) => ({
+  ...dataOf(PACKAGE_FIELDS, req.body),
+  ...(req.fileData && { displayImage: req.fileData.location }),
+});
+
+/**
+ * Create a service package with its items
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createServicePackage = catchAsync(async (req, res) => {
+  const servicePackage = await servicePackageService.createServicePackage(
+    {
+      ...packageDataOf(req),
+      items: req.body.items.map((item) =>
+        dataOf(['serviceTypeId', ...ITEM_FIELDS], item),
+      ),
+    },
+    req,
+  );
+
+  res
+    .status(201)
+    .json(
+      formatSuccess(
+        servicePackage,
+        'Service package created successfully',
+        201,
+      ),
+    );
+});
+
+/**
+ * Get service packages with filtering, search, sorting and pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllServicePackages = catchAsync(async (req, res) => {
+  const result = await servicePackageService.getAllServicePackages(req.query, {
+    user: req.user,
+  });
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(result, 'Service packages retrieved successfully', 200),
+    );
+});
+
+/**
+ * Get a service package by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getServicePackageById = catchAsync(async (req, res) => {
+  const servicePackage = await servicePackageService.getServicePackageById(
+    req.params.id,
+    {
+      serviceCenterId: req.query.serviceCenterId,
+      vehicle: {
+        brandId: req.query.brandId,
+        modelId: req.query.modelId,
+        vehicleId: req.query.vehicleId,
+      },
+      user: req.user,
+    },
+  );
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(
+        servicePackage,
+        'Service package retrieved successfully',
+        200,
+      ),
+    );
+});
+
+/**
+ * Update a service package
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateServicePackage = catchAsync(async (req, res) => {
+  const servicePackage = await servicePackageService.updateServicePackage(
+    req.params.id,
+    packageDataOf(req),
+    req,
+  );
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(
+        servicePackage,
+        'Service package updated successfully',
+        200,
+      ),
+    );
+});
+
+/**
+ * Delete a service package
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteServicePackage = catchAsync(async (req, res) => {
+  await servicePackageService.deleteServicePackage(req.params.id, req);
+  res.status(204).send();
+});
+
+/**
+ * Add a service type to a package or change its quantity or order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setPackageItem = catchAsync(async (req, res) => {
+  const item = await servicePackageService.setPackageItem(
+    req.params.id,
+    req.params.serviceTypeId,
+    dataOf(ITEM_FIELDS, req.body),
+    req,
+  );
+
+  res
+    .status(200)
+    .json(formatSuccess(item, 'Service package item saved successfully', 200));
+});
+
+/**
+ * Remove a service type from a package
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removePackageItem = catchAsync(async (req, res) => {
+  await servicePackageService.removePackageItem(
+    req.params.id,
+    req.params.serviceTypeId,
+    req,
+  );
+  res.status(204).send();
+});
+
+/**
+ * Make a package available at a service center or change it there
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setPackageAvailability = catchAsync(async (req, res) => {
+  const availability = await servicePackageService.setPackageAvailability(
+    req.params.id,
+    req.params.serviceCenterId,
+    dataOf(AVAILABILITY_FIELDS, req.body),
+    req,
+  );
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(
+        availability,
+        'Service package availability saved successfully',
+        200,
+      ),
+    );
+});
+
+/**
+ * Withdraw a package from a service center
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removePackageAvailability = catchAsync(async (req, res) => {
+  await servicePackageService.removePackageAvailability(
+    req.params.id,
+    req.params.serviceCenterId,
+    req,
+  );
+  res.status(204).send();
+});
+
+module.exports = {
+  createServicePackage,
+  getAllServicePackages,
+  getServicePackageById,
+  updateServicePackage,
+  deleteServicePackage,
+  setPackageItem,
+  removePackageItem,
+  setPackageAvailability,
+  removePackageAvailability,
+};
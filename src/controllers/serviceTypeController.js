@@ -7,6 +7,7 @@ const {
 } = require('../controllers/errorController');
 const serviceTypeService = require('../services/serviceTypeService');
 const { formatSuccess } = require('../utils/responseFormatter');
+const { getReadOptions, setResourceVersion } = require('../cache/readCache');
 const { logger } = require('../utils/logger');
 
 const createType = catchAsync(async (req, res, next) => {
@@ -33,7 +34,7 @@ const createType = catchAsync(async (req, res, next) => {
     });
   }
 
-  const serviceType = await serviceTypeService.createServiceType(typeData);
+  const serviceType = await serviceTypeService.createServiceType(typeData, req);
 
   if (!serviceType) {
     return next(createInternalError('Failed to create service type'));
@@ -54,12 +55,37 @@ const getTypeById = catchAsync(async (req, res, next) => {
   }
 
   // Service layer now handles the 'not found' case (404)
-  const serviceType = await serviceTypeService.getServiceTypeById(id);
+  const serviceType = await serviceTypeService.getServiceTypeById(
+    id,
+    getReadOptions(req),
+  );
+  // The component-derived duration is computed on every read, not cached
+  const [withRollup] = await serviceTypeService.withDurationRollups([
+    serviceType,
+  ]);
 
   res
     .status(200)
     .json(
-      formatSuccess(serviceType, 'Service type retrieved successfully', 200),
+      formatSuccess(withRollup, 'Service type retrieved successfully', 200),
+    );
+});
+
+// Compare the declared duration of a service type with its components'
+const getTypeDuration = catchAsync(async (req, res) => {
+  const threshold =
+    req.query.threshold !== undefined
+      ? parseInt(req.query.threshold, 10)
+      : undefined;
+
+  const rollup = await serviceTypeService.getTypeDurationRollup(req.params.id, {
+    threshold,
+  });
+
+  res
+    .status(200)
+    .json(
+      formatSuccess(rollup, 'Service type duration computed successfully', 200),
     );
 });
 
@@ -95,8 +121,10 @@ const updateType = catchAsync(async (req, res, next) => {
   const updatedType = await serviceTypeService.updateServiceType(
     id,
     updateData,
+    req,
   );
 
+  setResourceVersion(res, updatedType);
   res
     .status(200)
     .json(formatSuccess(updatedType, 'Service type updated successfully', 200));
@@ -151,7 +179,7 @@ const deleteType = catchAsync(async (req, res, next) => {
     return next(createInvalidIdError(id, 'service type'));
   }
 
-  const deletedType = await serviceTypeService.deleteServiceType(id);
+  const deletedType = await serviceTypeService.deleteServiceType(id, req);
   if (!deletedType) {
     return next(createNotFoundError(id, 'Service type not found'));
   }
@@ -179,6 +207,7 @@ const associateComponentWithType = catchAsync(async (req, res, next) => {
     const typeComponent = await serviceTypeService.associateComponentWithType(
       id,
       req.body,
+      req,
     );
 
     return res
@@ -304,7 +333,7 @@ const removeTypeComponent = catchAsync(async (req, res, next) => {
   }
 
   try {
-    await serviceTypeService.removeComponentFromType(id, componentId);
+    await serviceTypeService.removeComponentFromType(id, componentId, req);
 
     // Return 204 No Content for successful deletion
     return res.status(204).send();
@@ -313,13 +342,53 @@ const removeTypeComponent = catchAsync(async (req, res, next) => {
   }
 });
 
+// Update the options (isDefault, isRequired, additionalPrice) of a type component
+const updateTypeComponent = catchAsync(async (req, res, next) => {
+  const { id, componentId } = req.params;
+
+  // Basic UUID validation for service type ID
+  const uuidRegex =
+    /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+  if (!id || !uuidRegex.test(id)) {
+    return next(createInvalidIdError(id, 'service type'));
+  }
+
+  // Basic UUID validation for component ID
+  if (!componentId || !uuidRegex.test(componentId)) {
+    return next(createInvalidIdError(componentId, 'service component'));
+  }
+
+  try {
+    const typeComponent = await serviceTypeService.updateTypeComponent(
+      id,
+      componentId,
+      req.body,
+      req,
+    );
+
+    return res
+      .status(200)
+      .json(
+        formatSuccess(
+          typeComponent,
+          'Component association updated successfully',
+          200,
+        ),
+      );
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = {
   createType,
   getTypeById,
+  getTypeDuration,
   updateType,
   getTypesByCategoryId,
   deleteType,
   associateComponentWithType,
   getTypeComponents,
   removeTypeComponent,
+  updateTypeComponent,
 };
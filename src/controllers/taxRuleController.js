@@ -0,0 +1,100 @@
+const catchAsync = require('../utils/catchAsync');
+const taxRuleService = require('../services/taxRuleService');
+const { formatSuccess } = require('../utils/responseFormatter');
+
+// Fields of a tax rule accepted on create and update
+const TAX_RULE_FIELDS = [
+  'name',
+  'description',
+  'rate',
+  'categoryId',
+  'serviceTypeId',
+  'effectiveFrom',
+  'effectiveTo',
+  'isActive',
+];
+
+// Tax rule fields present in a request body
+const taxRuleDataOf = (body) =>
+  Object.fromEntries(
+    TAX_RULE_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]],
+    ),
+  );
+
+/**
+ * Create a tax rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createTaxRule = catchAsync(async (req, res) => {
+  const taxRule = await taxRuleService.createTaxRule(
+    taxRuleDataOf(req.body),
+    req,
+  );
+
+  res
+    .status(201)
+    .json(formatSuccess(taxRule, 'Tax rule created successfully', 201));
+});
+
+/**
+ * Get tax rules with filtering, search, sorting and pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllTaxRules = catchAsync(async (req, res) => {
+  const result = await taxRuleService.getAllTaxRules(req.query);
+
+  res
+    .status(200)
+    .json(formatSuccess(result, 'Tax rules retrieved successfully', 200));
+});
+
+/**
+ * Get a tax rule by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTaxRuleById = catchAsync(async (req, res) => {
+  const taxRule = await taxRuleService.getTaxRuleById(req.params.id);
+
+  res
+    .status(200)
+    .json(formatSuccess(taxRule, 'Tax rule retrieved successfully', 200));
+});
+
+/**
+ * Update a tax rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateTaxRule = catchAsync(async (req, res) => {
+  const taxRule = await taxRuleService.updateTaxRule(
+    req.params.id,
+    taxRuleDataOf(req.body),
+    req,
+  );
+
+  res
+    .status(200)
+    .json(formatSuccess(taxRule, 'Tax rule updated successfully', 200));
+});
+
+/**
+ * Delete a tax rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTaxRule = catchAsync(async (req, res) => {
+  await taxRuleService.deleteTaxRule(req.params.id, req);
+  res.status(204).send();
+});
+
+module.exports = {
+  createTaxRule,
+  getAllTaxRules,
+  getTaxRuleById,
+  updateTaxRule,
+  deleteTaxRule,
+};
@@ -0,0 +1,114 @@
+const catchAsync = require('../utils/catchAsync');
+const vehicleBrandOfferingService = require('../services/vehicleBrandOfferingService');
+const { formatSuccess } = require('../utils/responseFormatter');
+
+// Fields of vehicle pricing accepted on create and update
+const VEHICLE_PRICING_FIELDS = [
+  'brandId',
+  'modelId',
+  'manufactureYearStart',
+  'manufactureYearEnd',
+  'fuelType',
+  'status',
+  'price',
+  'discountPercentage',
+  'timeToComplete',
+  'specialNotes',
+  'partsIncluded',
+];
+
+// Vehicle pricing fields present in a request body
+const pricingDataOf = (body) =>
+  Object.fromEntries(
+    VEHICLE_PRICING_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]],
+    ),
+  );
+
+/**
+ * Create vehicle pricing for a service center offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createVehiclePricing = catchAsync(async (req, res) => {
+  const { serviceCenterId, serviceCenterOfferingId } = req.params;
+  const pricing = await vehicleBrandOfferingService.createVehiclePricing(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    pricingDataOf(req.body),
+    req,
+  );
+
+  res
+    .status(201)
+    .json(formatSuccess(pricing, 'Vehicle pricing created successfully', 201));
+});
+
+/**
+ * Get the vehicle pricing of a service center offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVehiclePricing = catchAsync(async (req, res) => {
+  const { serviceCenterId, serviceCenterOfferingId } = req.params;
+  const result = await vehicleBrandOfferingService.getVehiclePricing(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    req.query,
+  );
+
+  res
+    .status(200)
+    .json(formatSuccess(result, 'Vehicle pricing retrieved successfully', 200));
+});
+
+/**
+ * Update vehicle pricing of a service center offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateVehiclePricing = catchAsync(async (req, res) => {
+  const {
+    serviceCenterId,
+    serviceCenterOfferingId,
+    vehicleBrandServiceOfferingId,
+  } = req.params;
+  const pricing = await vehicleBrandOfferingService.updateVehiclePricing(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    vehicleBrandServiceOfferingId,
+    pricingDataOf(req.body),
+    req,
+  );
+
+  res
+    .status(200)
+    .json(formatSuccess(pricing, 'Vehicle pricing updated successfully', 200));
+});
+
+/**
+ * Delete vehicle pricing of a service center offering
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteVehiclePricing = catchAsync(async (req, res) => {
+  const {
+    serviceCenterId,
+    serviceCenterOfferingId,
+    vehicleBrandServiceOfferingId,
+  } = req.params;
+  await vehicleBrandOfferingService.deleteVehiclePricing(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    vehicleBrandServiceOfferingId,
+    req,
+  );
+  res.status(204).send();
+});
+
+module.exports = {
+  createVehiclePricing,
+  getVehiclePricing,
+  updateVehiclePricing,
+  deleteVehiclePricing,
+};
@@ -0,0 +1,138 @@
+// src/events/__tests__/eventConsumer.test.js
+const {
+  startEventConsumer,
+  stopEventConsumer,
+  registerEventHandler,
+} = require('../eventConsumer');
+const createMemoryBroker = require('../brokers/memoryBroker');
+const { readCache, cacheKeys } = require('../../cache/readCache');
+const { suggestIndex } = require('../../cache/suggestIndex');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('eventConsumer', () => {
+  let broker;
+
+  beforeEach(async () => {
+    broker = createMemoryBroker();
+    await startEventConsumer({ broker });
+    jest.spyOn(readCache, 'recordVersion');
+    jest.spyOn(readCache, 'invalidate');
+    jest.spyOn(suggestIndex, 'invalidate');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await stopEventConsumer();
+  });
+
+  it('should record the new version when a category is updated', async () => {
+    await broker.publish('category.updated', {
+      type: 'category.updated',
+      data: {
+        serviceCategoryId: 'category-id',
+        updatedAt: '2024-06-10T06:13:20.000Z',
+      },
+    });
+
+    expect(readCache.recordVersion).toHaveBeenCalledWith(
+      cacheKeys.category('category-id'),
+      Date.parse('2024-06-10T06:13:20.000Z'),
+    );
+  });
+
+  it('should invalidate a deleted component', async () => {
+    await broker.publish('component.deleted', {
+      type: 'component.deleted',
+      data: { serviceComponentId: 'component-id' },
+    });
+
+    expect(readCache.invalidate).toHaveBeenCalledWith(
+      cacheKeys.component('component-id'),
+    );
+  });
+
+  it('should mark the suggest index stale when a name can change', async () => {
+    await broker.publish('type.updated', {
+      type: 'type.updated',
+      data: { serviceTypeId: 'type-id' },
+    });
+    expect(suggestIndex.invalidate).toHaveBeenCalledTimes(1);
+
+    await broker.publish('type.component_associated', {
+      type: 'type.component_associated',
+      data: { serviceTypeId: 'type-id', serviceTypeComponentId: 'link-id' },
+    });
+    await broker.publish('offering.updated', { data: {} });
+    expect(suggestIndex.invalidate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should key offering events by service center and offering', async () => {
+    await broker.publish('offering.price_changed', {
+      type: 'offering.price_changed',
+      data: {
+        serviceCenterId: 'center-id',
+        serviceCenterOfferingId: 'offering-id',
+        offering: { updatedAt: '2024-06-10T06:13:20.000Z' },
+      },
+    });
+
+    expect(readCache.recordVersion).toHaveBeenCalledWith(
+      cacheKeys.offering('center-id', 'offering-id'),
+      Date.parse('2024-06-10T06:13:20.000Z'),
+    );
+  });
+
+  it('should drop the cached offering when its features or vehicle pricing change', async () => {
+    const offeringKey = cacheKeys.offering('center-id', 'offering-id');
+    const routingKeys = [
+      'offering.feature_created',
+      'offering.feature_updated',
+      'offering.feature_deleted',
+      'offering.vehicle_pricing_updated',
+    ];
+
+    for (const routingKey of routingKeys) {
+      await broker.publish(routingKey, {
+        type: routingKey,
+        data: {
+          serviceCenterId: 'center-id',
+          serviceCenterOfferingId: 'offering-id',
+          offeringId: 'offering-id',
+          additionalFeatureId: 'feature-id',
+          updatedAt: '2024-06-10T06:13:20.000Z',
+        },
+      });
+    }
+
+    expect(readCache.invalidate).toHaveBeenCalledTimes(routingKeys.length);
+    expect(readCache.invalidate).toHaveBeenCalledWith(offeringKey);
+    expect(readCache.recordVersion).not.toHaveBeenCalled();
+  });
+
+  it('should return null when no broker is available', async () => {
+    await stopEventConsumer();
+    await expect(startEventConsumer()).resolves.toBeNull();
+  });
+
+  it('should deliver events to registered handlers', async () => {
+    const handler = jest.fn();
+    registerEventHandler('type.#', handler);
+    await stopEventConsumer();
+    broker = createMemoryBroker();
+    await startEventConsumer({ broker });
+
+    await broker.publish('type.component_removed', { data: {} });
+
+    expect(handler).toHaveBeenCalledWith(
+      { data: {} },
+      'type.component_removed',
+    );
+  });
+});
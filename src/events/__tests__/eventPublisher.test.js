@@ -0,0 +1,88 @@
+// src/events/__tests__/eventPublisher.test.js
+const {
+  publishEvent,
+  setBroker,
+  closePublisher,
+} = require('../eventPublisher');
+const createMemoryBroker = require('../brokers/memoryBroker');
+const { CATALOG_EVENTS } = require('../eventTypes');
+const { logger } = require('../../utils/logger');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('eventPublisher', () => {
+  let broker;
+
+  beforeEach(() => {
+    broker = createMemoryBroker({ record: true });
+    setBroker(broker);
+  });
+
+  afterEach(async () => {
+    await closePublisher();
+  });
+
+  it('should publish an event envelope using the type as routing key', async () => {
+    const event = await publishEvent(CATALOG_EVENTS.CATEGORY_UPDATED, {
+      serviceCategoryId: 'category-id',
+    });
+
+    expect(broker.messages).toHaveLength(1);
+    expect(broker.messages[0].routingKey).toBe('category.updated');
+    expect(broker.messages[0].message).toEqual(event);
+    expect(event).toMatchObject({
+      type: 'category.updated',
+      source: 'service-offering',
+      data: { serviceCategoryId: 'category-id' },
+    });
+    expect(event.eventId).toEqual(expect.any(String));
+  });
+
+  it('should deliver events to subscribers matching a topic pattern', async () => {
+    const offeringHandler = jest.fn();
+    const categoryHandler = jest.fn();
+    broker.subscribe('offering.#', offeringHandler);
+    broker.subscribe('category.*', categoryHandler);
+
+    await publishEvent(CATALOG_EVENTS.OFFERING_PRICE_CHANGED, {
+      serviceCenterOfferingId: 'offering-id',
+    });
+
+    expect(offeringHandler).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'offering.price_changed' }),
+      'offering.price_changed',
+    );
+    expect(categoryHandler).not.toHaveBeenCalled();
+  });
+
+  it('should not keep published messages unless asked to record them', async () => {
+    const quietBroker = createMemoryBroker();
+    const handler = jest.fn();
+    quietBroker.subscribe('category.*', handler);
+    setBroker(quietBroker);
+
+    await publishEvent(CATALOG_EVENTS.CATEGORY_UPDATED, {});
+
+    expect(handler).toHaveBeenCalled();
+    expect(quietBroker.messages).toHaveLength(0);
+  });
+
+  it('should log and swallow broker failures', async () => {
+    setBroker({
+      publish: jest.fn().mockRejectedValue(new Error('Broker unavailable')),
+    });
+
+    const result = await publishEvent(CATALOG_EVENTS.TYPE_CREATED, {});
+
+    expect(result).toBeNull();
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Failed to publish catalog event' }),
+    );
+  });
+});
@@ -0,0 +1,43 @@
+// src/events/__tests__/topicMatcher.test.js
+const matchesTopic = require('../topicMatcher');
+
+describe('matchesTopic', () => {
+  it('should match literal words exactly', () => {
+    expect(matchesTopic('category.updated', 'category.updated')).toBe(true);
+    expect(matchesTopic('category.updated', 'category.created')).toBe(false);
+    expect(matchesTopic('category.updated', 'category.updated.extra')).toBe(
+      false,
+    );
+  });
+
+  it('should match exactly one word with *', () => {
+    expect(matchesTopic('category.*', 'category.updated')).toBe(true);
+    expect(matchesTopic('category.*', 'category')).toBe(false);
+    expect(matchesTopic('category.*', 'category.updated.extra')).toBe(false);
+  });
+
+  it('should match zero or more words with a trailing #', () => {
+    expect(matchesTopic('offering.#', 'offering')).toBe(true);
+    expect(matchesTopic('offering.#', 'offering.price_changed')).toBe(true);
+    expect(matchesTopic('offering.#', 'offering.feature.created')).toBe(true);
+    expect(matchesTopic('offering.#', 'offerings')).toBe(false);
+  });
+
+  it('should match zero or more words with a leading or inner #', () => {
+    expect(matchesTopic('#.deleted', 'deleted')).toBe(true);
+    expect(matchesTopic('#.deleted', 'offering.feature.deleted')).toBe(true);
+    expect(matchesTopic('#.deleted', 'offering.undeleted')).toBe(false);
+    expect(matchesTopic('offering.#.deleted', 'offering.deleted')).toBe(true);
+    expect(matchesTopic('offering.#.deleted', 'offering.a.b.deleted')).toBe(
+      true,
+    );
+    expect(matchesTopic('#', 'anything.at.all')).toBe(true);
+  });
+
+  it('should not treat other characters as patterns', () => {
+    expect(
+      matchesTopic('offering.price_changed', 'offering.priceXchanged'),
+    ).toBe(false);
+    expect(matchesTopic('a+b.c', 'a+b.c')).toBe(true);
+  });
+});
@@ -0,0 +1,186 @@
+const amqp = require('amqplib');
+const { logger } = require('../../utils/logger');
+const matchesTopic = require('../topicMatcher');
+
+/**
+ * Create a broker on a RabbitMQ topic exchange
+ * The connection is opened lazily on first use. Publishing re-opens it after it
+ * drops; subscriptions are re-established automatically after a reconnect delay.
+ * Subscriptions are consumed from an exclusive, server-named queue, so every
+ * process receives every matching message.
+ * @param {Object} options - Broker options
+ * @param {string} options.url - AMQP connection URL
+ * @param {string} options.exchange - Name of the topic exchange
+ * @param {number} [options.reconnectDelayMs] - Delay before re-subscribing after a drop
+ * @returns {Object} Broker with publish, subscribe and close methods
+ */
+const createAmqpBroker = ({ url, exchange, reconnectDelayMs = 5000 }) => {
+  let connection = null;
+  let channelPromise = null;
+  let closing = false;
+  let consumingChannel = null;
+  let queue = null;
+  const subscribers = [];
+
+  const reset = () => {
+    connection = null;
+    channelPromise = null;
+    consumingChannel = null;
+    queue = null;
+  };
+
+  const handleClose = () => {
+    reset();
+    if (!closing && subscribers.length > 0) {
+      setTimeout(() => {
+        getChannel().catch((error) => {
+          logger.error({
+            message: 'Failed to re-subscribe to RabbitMQ',
+            metadata: { exchange, error: error.message },
+          });
+        });
+      }, reconnectDelayMs);
+    }
+  };
+
+  const onMessage = (channel) => async (msg) => {
+    if (!msg) return;
+    const routingKey = msg.fields.routingKey;
+
+    try {
+      const message = JSON.parse(msg.content.toString());
+      for (const { pattern, handler } of subscribers) {
+        if (matchesTopic(pattern, routingKey)) {
+          await handler(message, routingKey);
+        }
+      }
+      channel.ack(msg);
+    } catch (error) {
+      logger.error({
+        message: 'Failed to handle RabbitMQ message',
+        metadata: { routingKey, error: error.message, stack: error.stack },
+      });
+      // Do not requeue: a message that fails once will fail again
+      channel.nack(msg, false, false);
+    }
+  };
+
+  const startConsuming = async (channel) => {
+    // The queue is deleted with the connection; a reconnect declares a new one
+    ({ queue } = await channel.assertQueue('', {
+      exclusive: true,
+      autoDelete: true,
+    }));
+    for (const { pattern } of subscribers) {
+      await channel.bindQueue(queue, exchange, pattern);
+    }
+    await channel.prefetch(10);
+    await channel.consume(queue, onMessage(channel));
+    consumingChannel = channel;
+  };
+
+  const getChannel = () => {
+    if (!channelPromise) {
+      channelPromise = (async () => {
+        connection = await amqp.connect(url);
+        connection.on('error', (error) => {
+          logger.error({
+            message: 'RabbitMQ connection error',
+            metadata: { error: error.message },
+          });
+        });
+        connection.on('close', handleClose);
+
+        const owner = connection;
+        const channel = await owner.createChannel();
+        // A channel error (e.g. an exchange declared with another type) closes
+        // the channel only: close its connection as well, so that the channel
+        // is re-opened on the next publish or after the reconnect delay
+        channel.on('error', (error) => {
+          logger.error({
+            message: 'RabbitMQ channel error',
+            metadata: { exchange, error: error.message },
+          });
+        });
+        channel.on('close', () => {
+          if (!closing) {
+            owner.close().catch(() => {});
+          }
+        });
+        await channel.assertExchange(exchange, 'topic', { durable: true });
+        if (subscribers.length > 0) {
+          await startConsuming(channel);
+        }
+
+        logger.info({
+          message: 'Connected to RabbitMQ',
+          metadata: { exchange },
+        });
+
+        return channel;
+      })().catch((error) => {
+        reset();
+        throw error;
+      });
+    }
+    return channelPromise;
+  };
+
+  return {
+    name: 'amqp',
+
+    /**
+     * Publish a message to the exchange
+     * @param {string} routingKey - Routing key (the event type)
+     * @param {Object} message - Message body, serialized as JSON
+     * @returns {Promise<boolean>} Whether the message was accepted by the channel
+     */
+    publish: async (routingKey, message) => {
+      const channel = await getChannel();
+      return channel.publish(
+        exchange,
+        routingKey,
+        Buffer.from(JSON.stringify(message)),
+        {
+          persistent: true,
+          contentType: 'application/json',
+          messageId: message.eventId,
+          timestamp: Date.now(),
+        },
+      );
+    },
+
+    /**
+     * Subscribe to messages whose routing key matches a topic pattern
+     * Messages are acknowledged once every matching handler has resolved.
+     * @param {string} pattern - Topic pattern (e.g. 'category.*')
+     * @param {Function} handler - Async handler called with (message, routingKey)
+     * @returns {Promise<void>}
+     */
+    subscribe: async (pattern, handler) => {
+      subscribers.push({ pattern, handler });
+      const channel = await getChannel();
+
+      if (consumingChannel !== channel) {
+        await startConsuming(channel);
+      } else {
+        await channel.bindQueue(queue, exchange, pattern);
+      }
+    },
+
+    /**
+     * Close the underlying connection
+     * @returns {Promise<void>}
+     */
+    close: async () => {
+      closing = true;
+      if (connection) {
+        const current = connection;
+        reset();
+        await current.close();
+      }
+    },
+  };
+};
+
+module.exports = createAmqpBroker;
@@ -0,0 +1,47 @@
+const matchesTopic = require('../topicMatcher');
+
+/**
+ * Create an in-memory broker
+ * Stands in for RabbitMQ in tests and local development: published messages are
+ * delivered synchronously to matching subscribers. They are only kept, in order,
+ * in `messages` when recording is asked for (e.g. by tests), so that a service
+ * running without RabbitMQ does not hold on to every event.
+ * @param {Object} [options] - Broker options
+ * @param {boolean} [options.record] - Keep published messages in `messages`
+ * @returns {Object} Broker with publish, subscribe, clear and close methods
+ */
+const createMemoryBroker = ({ record = false } = {}) => {
+  const messages = [];
+  const subscribers = [];
+
+  return {
+    name: 'memory',
+    messages,
+
+    publish: async (routingKey, message) => {
+      if (record) {
+        messages.push({ routingKey, message });
+      }
+      for (const { pattern, handler } of subscribers) {
+        if (matchesTopic(pattern, routingKey)) {
+          await handler(message, routingKey);
+        }
+      }
+      return true;
+    },
+
+    subscribe: (pattern, handler) => {
+      subscribers.push({ pattern, handler });
+    },
+
+    clear: () => {
+      messages.length = 0;
+    },
+
+    close: async () => {
+      subscribers.length = 0;
+    },
+  };
+};
+
+module.exports = createMemoryBroker;
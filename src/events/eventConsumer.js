@@ -0,0 +1,79 @@
+/**
+ * Injection-service event consumer
+ * Subscribes registered handlers to the injection service's change events so
+ * that local projections (such as the read cache and the suggest index) stay in
+ * sync with writes.
+ */
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const createAmqpBroker = require('./brokers/amqpBroker');
+const readCacheHandlers = require('./handlers/readCacheHandlers');
+const suggestIndexHandlers = require('./handlers/suggestIndexHandlers');
+
+const handlers = [];
+let consumerBroker = null;
+
+/**
+ * Register a handler for events whose routing key matches a topic pattern
+ * Handlers must be registered before the consumer is started.
+ * @param {string} pattern - Topic pattern (e.g. 'offering.*')
+ * @param {Function} handler - Async handler called with (message, routingKey)
+ */
+const registerEventHandler = (pattern, handler) => {
+  handlers.push({ pattern, handler });
+};
+
+/**
+ * Start consuming injection-service events
+ * @param {Object} [options] - Consumer options
+ * @param {Object} [options.broker] - Broker to subscribe on (defaults to RabbitMQ)
+ * @returns {Promise<Object|null>} The broker in use, or null if none is configured
+ */
+const startEventConsumer = async ({ broker } = {}) => {
+  if (!broker && !config.rabbitmq.url) {
+    logger.warn({
+      message:
+        'RABBITMQ_URL is not configured, injection events will not be consumed',
+    });
+    return null;
+  }
+
+  consumerBroker =
+    broker ||
+    createAmqpBroker({
+      url: config.rabbitmq.url,
+      exchange: config.rabbitmq.injectionExchange,
+    });
+
+  for (const { pattern, handler } of handlers) {
+    await consumerBroker.subscribe(pattern, handler);
+  }
+
+  logger.info({
+    message: 'Injection event consumer started',
+    metadata: { patterns: handlers.map(({ pattern }) => pattern) },
+  });
+
+  return consumerBroker;
+};
+
+/**
+ * Stop consuming and close the consumer connection
+ * @returns {Promise<void>}
+ */
+const stopEventConsumer = async () => {
+  if (consumerBroker && consumerBroker.close) {
+    await consumerBroker.close();
+  }
+  consumerBroker = null;
+};
+
+[...readCacheHandlers, ...suggestIndexHandlers].forEach(
+  ({ pattern, handler }) => registerEventHandler(pattern, handler),
+);
+
+module.exports = {
+  registerEventHandler,
+  startEventConsumer,
+  stopEventConsumer,
+};
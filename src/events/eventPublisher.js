@@ -0,0 +1,104 @@
+/**
+ * Catalog event publisher
+ * Publishes domain events after successful catalog writes. The broker is pluggable:
+ * RabbitMQ is used when RABBITMQ_URL is configured, otherwise an in-memory broker,
+ * and tests can swap in their own with setBroker().
+ */
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const createAmqpBroker = require('./brokers/amqpBroker');
+const createMemoryBroker = require('./brokers/memoryBroker');
+
+const EVENT_SOURCE = 'service-offering';
+
+let broker = null;
+
+/**
+ * Create the default broker from configuration
+ * @returns {Object} Broker instance
+ */
+const createDefaultBroker = () => {
+  if (config.rabbitmq.url) {
+    return createAmqpBroker(config.rabbitmq);
+  }
+
+  logger.warn({
+    message:
+      'RABBITMQ_URL is not configured, catalog events will only be delivered in-process',
+  });
+  return createMemoryBroker();
+};
+
+/**
+ * Get the active broker, creating the default one on first use
+ * @returns {Object} Broker instance
+ */
+const getBroker = () => {
+  if (!broker) {
+    broker = createDefaultBroker();
+  }
+  return broker;
+};
+
+/**
+ * Replace the active broker (e.g. with an in-memory broker in tests)
+ * @param {Object|null} newBroker - Broker with a publish(routingKey, message) method
+ */
+const setBroker = (newBroker) => {
+  broker = newBroker;
+};
+
+/**
+ * Publish a catalog domain event
+ * Failures are logged and swallowed so that a broker outage never fails a write
+ * that the injection service has already accepted.
+ * @param {string} type - Event type, used as the routing key (e.g. 'category.updated')
+ * @param {Object} data - Event payload
+ * @returns {Promise<Object|null>} The published event envelope, or null on failure
+ */
+const publishEvent = async (type, data) => {
+  const event = {
+    eventId: randomUUID(),
+    type,
+    source: EVENT_SOURCE,
+    occurredAt: new Date().toISOString(),
+    requestId: global.requestId || null,
+    data,
+  };
+
+  try {
+    await getBroker().publish(type, event);
+
+    logger.info({
+      message: 'Catalog event published',
+      metadata: { eventId: event.eventId, type },
+    });
+
+    return event;
+  } catch (error) {
+    logger.error({
+      message: 'Failed to publish catalog event',
+      metadata: { type, error: error.message, stack: error.stack },
+    });
+    return null;
+  }
+};
+
+/**
+ * Close the active broker connection
+ * @returns {Promise<void>}
+ */
+const closePublisher = async () => {
+  if (broker && broker.close) {
+    await broker.close();
+  }
+  broker = null;
+};
+
+module.exports = {
+  publishEvent,
+  setBroker,
+  getBroker,
+  closePublisher,
+};
@@ -0,0 +1,63 @@
+/**
+ * Catalog domain event types
+ * Used as routing keys on the catalog events exchange
+ */
+const CATALOG_EVENTS = {
+  CATEGORY_CREATED: 'category.created',
+  CATEGORY_UPDATED: 'category.updated',
+  CATEGORY_DELETED: 'category.deleted',
+
+  TYPE_CREATED: 'type.created',
+  TYPE_UPDATED: 'type.updated',
+  TYPE_DELETED: 'type.deleted',
+  TYPE_COMPONENT_ASSOCIATED: 'type.component_associated',
+  TYPE_COMPONENT_UPDATED: 'type.component_updated',
+  TYPE_COMPONENT_REMOVED: 'type.component_removed',
+
+  COMPONENT_CREATED: 'component.created',
+  COMPONENT_UPDATED: 'component.updated',
+  COMPONENT_DELETED: 'component.deleted',
+
+  OFFERING_CREATED: 'offering.created',
+  OFFERING_UPDATED: 'offering.updated',
+  OFFERING_DELETED: 'offering.deleted',
+  OFFERING_PRICE_CHANGED: 'offering.price_changed',
+  OFFERING_VEHICLE_PRICING_CREATED: 'offering.vehicle_pricing_created',
+  OFFERING_VEHICLE_PRICING_UPDATED: 'offering.vehicle_pricing_updated',
+  OFFERING_VEHICLE_PRICING_DELETED: 'offering.vehicle_pricing_deleted',
+  OFFERING_FEATURE_CREATED: 'offering.feature_created',
+  OFFERING_FEATURE_UPDATED: 'offering.feature_updated',
+  OFFERING_FEATURE_DELETED: 'offering.feature_deleted',
+
+  PROMOTION_CREATED: 'promotion.created',
+  PROMOTION_UPDATED: 'promotion.updated',
+  PROMOTION_DELETED: 'promotion.deleted',
+
+  TAX_RULE_CREATED: 'tax_rule.created',
+  TAX_RULE_UPDATED: 'tax_rule.updated',
+  TAX_RULE_DELETED: 'tax_rule.deleted',
+
+  PACKAGE_CREATED: 'package.created',
+  PACKAGE_UPDATED: 'package.updated',
+  PACKAGE_DELETED: 'package.deleted',
+  PACKAGE_ITEM_SET: 'package.item_set',
+  PACKAGE_ITEM_REMOVED: 'package.item_removed',
+  PACKAGE_AVAILABILITY_SET: 'package.availability_set',
+  PACKAGE_AVAILABILITY_REMOVED: 'package.availability_removed',
+};
+
+/**
+ * Offering fields that affect the price a customer pays
+ */
+const OFFERING_PRICE_FIELDS = [
+  'basePrice',
+  'discountPercentage',
+  'discountValidUntil',
+  'priorityPrices',
+  'emergencyServiceFee',
+];
+
+module.exports = {
+  CATALOG_EVENTS,
+  OFFERING_PRICE_FIELDS,
+};
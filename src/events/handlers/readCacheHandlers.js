@@ -0,0 +1,75 @@
+/**
+ * Event handlers that keep the read cache in sync with injection-service writes
+ * Updates record the new version (releasing read-your-writes waiters) and deletes
+ * drop the cached entry, as do writes to the relations cached with a record.
+ */
+const { readCache, cacheKeys, toVersion } = require('../../cache/readCache');
+
+/**
+ * Unwrap the payload of an event, accepting both enveloped and bare messages
+ * @param {Object} message - Message received from the broker
+ * @returns {Object} Event payload
+ */
+const payloadOf = (message) => message?.data || message || {};
+
+/**
+ * Build a handler that refreshes one cache key per event
+ * @param {Function} keyOf - Derives the cache key from the payload
+ * @param {Function} [recordOf] - Derives the changed record from the payload
+ * @param {Function} [invalidatesOn] - Whether an event drops the entry rather
+ * than recording a version (deletes always do)
+ * @returns {Function} Event handler called with (message, routingKey)
+ */
+const syncCacheEntry =
+  (keyOf, recordOf = (payload) => payload, invalidatesOn = () => false) =>
+  async (message, routingKey) => {
+    const payload = payloadOf(message);
+    const key = keyOf(payload);
+    if (!key) return;
+
+    if (routingKey.endsWith('.deleted') || invalidatesOn(routingKey)) {
+      readCache.invalidate(key);
+      return;
+    }
+    readCache.recordVersion(key, toVersion(recordOf(payload)));
+  };
+
+const readCacheHandlers = [
+  {
+    pattern: 'category.*',
+    handler: syncCacheEntry(
+      ({ serviceCategoryId }) =>
+        serviceCategoryId && cacheKeys.category(serviceCategoryId),
+    ),
+  },
+  {
+    pattern: 'type.*',
+    handler: syncCacheEntry(
+      ({ serviceTypeId }) => serviceTypeId && cacheKeys.type(serviceTypeId),
+      // Component associations change the link table, not the type row itself
+      (payload) => (payload.serviceTypeComponentId ? null : payload),
+    ),
+  },
+  {
+    pattern: 'component.*',
+    handler: syncCacheEntry(
+      ({ serviceComponentId }) =>
+        serviceComponentId && cacheKeys.component(serviceComponentId),
+    ),
+  },
+  {
+    pattern: 'offering.*',
+    handler: syncCacheEntry(
+      ({ serviceCenterId, serviceCenterOfferingId }) =>
+        serviceCenterId &&
+        serviceCenterOfferingId &&
+        cacheKeys.offering(serviceCenterId, serviceCenterOfferingId),
+      (payload) => payload.offering || payload,
+      // Features are cached with the offering and vehicle pricing is written
+      // next to it; neither changes the offering row or its version
+      (routingKey) => /^offering\.(feature|vehicle_pricing)_/.test(routingKey),
+    ),
+  },
+];
+
+module.exports = readCacheHandlers;
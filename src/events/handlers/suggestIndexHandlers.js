@@ -0,0 +1,22 @@
+/**
+ * Event handlers that mark the catalog suggest index stale on injection-service
+ * writes to categories, service types and components
+ */
+const { suggestIndex } = require('../../cache/suggestIndex');
+
+/**
+ * Mark the suggest index stale so the next suggestion rebuilds it
+ * Component associations do not change any name and are ignored.
+ * @param {Object} message - Message received from the broker
+ * @param {string} routingKey - Routing key of the event
+ */
+const invalidateSuggestIndex = async (message, routingKey) => {
+  if (routingKey.startsWith('type.component_')) return;
+  suggestIndex.invalidate();
+};
+
+const suggestIndexHandlers = ['category.*', 'type.*', 'component.*'].map(
+  (pattern) => ({ pattern, handler: invalidateSuggestIndex }),
+);
+
+module.exports = suggestIndexHandlers;
@@ -0,0 +1,35 @@
+/**
+ * Match routing key words against topic pattern words
+ * @param {Array<string>} parts - Remaining words of the pattern
+ * @param {Array<string>} words - Remaining words of the routing key
+ * @returns {boolean} Whether the words match the pattern
+ */
+const matchWords = (parts, words) => {
+  if (parts.length === 0) return words.length === 0;
+  const [part, ...rest] = parts;
+  if (part === '#') {
+    // '#' takes no word, or takes one and may take more
+    return (
+      matchWords(rest, words) ||
+      (words.length > 0 && matchWords(parts, words.slice(1)))
+    );
+  }
+  return (
+    words.length > 0 &&
+    (part === '*' || part === words[0]) &&
+    matchWords(rest, words.slice(1))
+  );
+};
+
+/**
+ * Check whether a routing key matches an AMQP topic pattern
+ * '*' matches exactly one word and '#' matches zero or more words, so
+ * 'offering.#' matches 'offering' as well as 'offering.price_changed'.
+ * @param {string} pattern - Topic pattern (e.g. 'offering.#')
+ * @param {string} routingKey - Routing key (e.g. 'offering.price_changed')
+ * @returns {boolean} Whether the routing key matches the pattern
+ */
+const matchesTopic = (pattern, routingKey) =>
+  matchWords(pattern.split('.'), routingKey.split('.'));
+
+module.exports = matchesTopic;
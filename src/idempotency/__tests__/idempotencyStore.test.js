@@ -0,0 +1,67 @@
+// src/idempotency/__tests__/idempotencyStore.test.js
+const { setStore, purgeExpired } = require('../idempotencyStore');
+const createMemoryStore = require('../stores/memoryStore');
+const { logger } = require('../../utils/logger');
+
+jest.mock('../../models/index', () => ({}));
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('idempotencyStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+    setStore(null);
+  });
+
+  describe('purgeExpired', () => {
+    it('should delete the expired records of the memory store only', async () => {
+      const store = createMemoryStore();
+      setStore(store);
+      await store.begin('user-1:old', 'hash', 1);
+      await store.begin('user-1:new', 'hash', 60);
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+      const count = await purgeExpired();
+      Date.now.mockRestore();
+
+      expect(count).toBe(1);
+      await expect(store.begin('user-1:new', 'hash', 60)).resolves.toEqual(
+        expect.objectContaining({ created: false }),
+      );
+    });
+
+    it('should log a failed purge instead of throwing', async () => {
+      setStore({
+        purgeExpired: jest.fn().mockRejectedValue(new Error('Database down')),
+      });
+
+      await expect(purgeExpired()).resolves.toBe(0);
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: 'Failed to purge expired idempotency records',
+        }),
+      );
+    });
+  });
+
+  it('should purge the active store on an interval once it is in use', async () => {
+    jest.useFakeTimers();
+    jest.isolateModules(() => {
+      const isolated = require('../idempotencyStore');
+      const purge = jest.fn().mockResolvedValue(0);
+      isolated.setStore({ purgeExpired: purge });
+
+      isolated.getStore();
+      jest.advanceTimersByTime(3600 * 1000);
+
+      expect(purge).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// src/idempotency/__tests__/prismaStore.test.js
+const createPrismaStore = require('../stores/prismaStore');
+
+jest.mock('../../models/index', () => ({}));
+
+describe('prismaStore', () => {
+  const duplicateKey = Object.assign(new Error('Unique constraint failed'), {
+    code: 'P2002',
+  });
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = {
+      idempotencyRecord: {
+        create: jest.fn(),
+        updateMany: jest.fn(),
+        findUnique: jest.fn(),
+        update: jest.fn(),
+        deleteMany: jest.fn(),
+      },
+    };
+    store = createPrismaStore(client);
+  });
+
+  describe('begin', () => {
+    it('should claim a new key', async () => {
+      client.idempotencyRecord.create.mockResolvedValue({});
+
+      await expect(store.begin('user-1:key', 'hash', 60)).resolves.toEqual({
+        created: true,
+      });
+      expect(client.idempotencyRecord.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should take over an expired key in one conditional update', async () => {
+      client.idempotencyRecord.create.mockRejectedValue(duplicateKey);
+      client.idempotencyRecord.updateMany.mockResolvedValue({ count: 1 });
+
+      await expect(store.begin('user-1:key', 'hash', 60)).resolves.toEqual({
+        created: true,
+      });
+      expect(client.idempotencyRecord.updateMany).toHaveBeenCalledWith({
+        where: { key: 'user-1:key', expiresAt: { lte: expect.any(Date) } },
+        data: expect.objectContaining({
+          fingerprint: 'hash',
+          status: 'IN_PROGRESS',
+          statusCode: null,
+        }),
+      });
+      expect(client.idempotencyRecord.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should return the live record when the key is already claimed', async () => {
+      const expiresAt = new Date(Date.now() + 60000);
+      client.idempotencyRecord.create.mockRejectedValue(duplicateKey);
+      client.idempotencyRecord.updateMany.mockResolvedValue({ count: 0 });
+      client.idempotencyRecord.findUnique.mockResolvedValue({
+        key: 'user-1:key',
+        fingerprint: 'hash',
+        status: 'IN_PROGRESS',
+        expiresAt,
+      });
+
+      await expect(store.begin('user-1:key', 'hash', 60)).resolves.toEqual({
+        created: false,
+        record: {
+          key: 'user-1:key',
+          fingerprint: 'hash',
+          status: 'IN_PROGRESS',
+          expiresAt: expiresAt.getTime(),
+        },
+      });
+    });
+
+    it('should claim the key again when it was released in the meantime', async () => {
+      client.idempotencyRecord.create
+        .mockRejectedValueOnce(duplicateKey)
+        .mockResolvedValueOnce({});
+      client.idempotencyRecord.updateMany.mockResolvedValue({ count: 0 });
+      client.idempotencyRecord.findUnique.mockResolvedValue(null);
+
+      await expect(store.begin('user-1:key', 'hash', 60)).resolves.toEqual({
+        created: true,
+      });
+      expect(client.idempotencyRecord.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('should rethrow other database errors', async () => {
+      client.idempotencyRecord.create.mockRejectedValue(
+        new Error('Connection lost'),
+      );
+
+      await expect(store.begin('user-1:key', 'hash', 60)).rejects.toThrow(
+        'Connection lost',
+      );
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Idempotency store selection
+ * The store is chosen by IDEMPOTENCY_STORE ('memory' or 'prisma') and can be
+ * replaced with setStore(), e.g. by tests. Expired records are purged from the
+ * active store every IDEMPOTENCY_PURGE_INTERVAL_SECONDS.
+ */
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const createMemoryStore = require('./stores/memoryStore');
+const createPrismaStore = require('./stores/prismaStore');
+
+let store = null;
+let purgeTimer = null;
+
+/**
+ * Create the store configured for this environment
+ * @returns {Object} Idempotency store
+ */
+const createDefaultStore = () =>
+  config.idempotency.store === 'prisma'
+    ? createPrismaStore()
+    : createMemoryStore();
+
+/**
+ * Delete the expired records of the active store
+ * Failures are logged, so that a failed purge is retried on the next interval.
+ * @returns {Promise<number>} Number of records deleted
+ */
+const purgeExpired = async () => {
+  try {
+    const count = await getStore().purgeExpired();
+    if (count > 0) {
+      logger.info({
+        message: 'Purged expired idempotency records',
+        metadata: { count },
+      });
+    }
+    return count;
+  } catch (error) {
+    logger.error({
+      message: 'Failed to purge expired idempotency records',
+      metadata: { error: error.message },
+    });
+    return 0;
+  }
+};
+
+/**
+ * Purge expired records on an interval that does not keep the process alive
+ */
+const schedulePurge = () => {
+  if (purgeTimer) return;
+  purgeTimer = setInterval(
+    purgeExpired,
+    config.idempotency.purgeIntervalSeconds * 1000,
+  );
+  purgeTimer.unref();
+};
+
+/**
+ * Get the active store, creating the configured one on first use
+ * @returns {Object} Idempotency store
+ */
+const getStore = () => {
+  if (!store) {
+    store = createDefaultStore();
+  }
+  schedulePurge();
+  return store;
+};
+
+/**
+ * Replace the active store
+ * @param {Object|null} newStore - Store with begin, complete and release methods
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  purgeExpired,
+};
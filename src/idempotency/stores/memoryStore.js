@@ -0,0 +1,89 @@
+/**
+ * Create an in-memory idempotency store
+ * Records live in this process only, so it is suitable for a single instance,
+ * local development and tests.
+ * @returns {Object} Store with begin, complete, release and purgeExpired methods
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const getLive = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    name: 'memory',
+
+    /**
+     * Claim a key for a new request
+     * @param {string} key - Scoped idempotency key
+     * @param {string} fingerprint - Hash of the request
+     * @param {number} ttlSeconds - How long the record is kept
+     * @returns {Promise<Object>} { created: true } or { created: false, record }
+     */
+    begin: async (key, fingerprint, ttlSeconds) => {
+      const existing = getLive(key);
+      if (existing) {
+        return { created: false, record: existing };
+      }
+
+      records.set(key, {
+        key,
+        fingerprint,
+        status: 'IN_PROGRESS',
+        statusCode: null,
+        responseBody: null,
+        expiresAt: Date.now() + ttlSeconds * 1000,
+      });
+      return { created: true };
+    },
+
+    /**
+     * Store the response for a claimed key
+     * @param {string} key - Scoped idempotency key
+     * @param {number} statusCode - Response status code
+     * @param {*} responseBody - Response body
+     * @returns {Promise<void>}
+     */
+    complete: async (key, statusCode, responseBody) => {
+      const record = records.get(key);
+      if (record) {
+        Object.assign(record, {
+          status: 'COMPLETED',
+          statusCode,
+          responseBody,
+        });
+      }
+    },
+
+    /**
+     * Forget a key so that the request can be retried
+     * @param {string} key - Scoped idempotency key
+     * @returns {Promise<void>}
+     */
+    release: async (key) => {
+      records.delete(key);
+    },
+
+    /**
+     * Delete expired records
+     * @returns {Promise<number>} Number of records deleted
+     */
+    purgeExpired: async () => {
+      let count = 0;
+      for (const key of [...records.keys()]) {
+        if (!getLive(key)) count += 1;
+      }
+      return count;
+    },
+
+    clear: () => records.clear(),
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,97 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../../models/index');
+
+/**
+ * Create an idempotency store backed by the idempotency_record table
+ * Records are shared by every instance of the service. The primary key on the
+ * scoped key makes claiming a key atomic.
+ * @param {Object} [client] - Prisma client (defaults to the shared instance)
+ * @returns {Object} Store with begin, complete, release and purgeExpired methods
+ */
+const createPrismaStore = (client = prisma) => {
+  const toRecord = (row) => ({
+    ...row,
+    expiresAt: new Date(row.expiresAt).getTime(),
+  });
+
+  const claim = (fingerprint, ttlSeconds) => ({
+    fingerprint,
+    status: 'IN_PROGRESS',
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+  });
+
+  /**
+   * Claim a key for a new request
+   * @param {string} key - Scoped idempotency key
+   * @param {string} fingerprint - Hash of the request
+   * @param {number} ttlSeconds - How long the record is kept
+   * @returns {Promise<Object>} { created: true } or { created: false, record }
+   */
+  const begin = async (key, fingerprint, ttlSeconds) => {
+    try {
+      await client.idempotencyRecord.create({
+        data: { key, ...claim(fingerprint, ttlSeconds) },
+      });
+      return { created: true };
+    } catch (error) {
+      // P2002: unique constraint violation, the key has already been claimed
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    // An expired record is taken over in one conditional statement, so that of
+    // two concurrent retries only one gets the key
+    const { count } = await client.idempotencyRecord.updateMany({
+      where: { key, expiresAt: { lte: new Date() } },
+      data: {
+        ...claim(fingerprint, ttlSeconds),
+        statusCode: null,
+        responseBody: Prisma.DbNull,
+      },
+    });
+    if (count > 0) {
+      return { created: true };
+    }
+
+    const existing = await client.idempotencyRecord.findUnique({
+      where: { key },
+    });
+    if (!existing) {
+      // Released in the meantime: claim it again
+      return begin(key, fingerprint, ttlSeconds);
+    }
+
+    return { created: false, record: toRecord(existing) };
+  };
+
+  return {
+    name: 'prisma',
+
+    begin,
+
+    complete: async (key, statusCode, responseBody) => {
+      await client.idempotencyRecord.update({
+        where: { key },
+        data: { status: 'COMPLETED', statusCode, responseBody },
+      });
+    },
+
+    release: async (key) => {
+      await client.idempotencyRecord.deleteMany({ where: { key } });
+    },
+
+    /**
+     * Delete expired records
+     * @returns {Promise<number>} Number of records deleted
+     */
+    purgeExpired: async () => {
+      const { count } = await client.idempotencyRecord.deleteMany({
+        where: { expiresAt: { lt: new Date() } },
+      });
+      return count;
+    },
+  };
+};
+
+module.exports = createPrismaStore;
@@ -0,0 +1,202 @@
+// src/middlewares/__tests__/conditionalRequestMiddleware.test.js
+const { conditionalGet, ifMatch } = require('../conditionalRequestMiddleware');
+const { createWeakETag } = require('../../utils/etag');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+// Minimal response object that behaves like Express for set/status/json/end
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.end = jest.fn(() => res);
+  return res;
+};
+
+const category = {
+  serviceCategoryId: 'cat-1',
+  name: 'Repairs',
+  updatedAt: new Date('2024-05-01T10:00:00.250Z'),
+};
+
+const success = (data) => ({ success: true, data });
+
+describe('conditionalRequestMiddleware', () => {
+  describe('conditionalGet', () => {
+    const run = (headers = {}, query = {}) => {
+      const req = { headers, query };
+      const res = createResponse();
+      const next = jest.fn();
+      conditionalGet()(req, res, next);
+      return { req, res, next };
+    };
+
+    it('should set ETag, Last-Modified and Cache-Control on success', () => {
+      const { res, next } = run();
+
+      res.json(success(category));
+
+      expect(next).toHaveBeenCalledWith();
+      expect(res.headers.ETag).toBe(createWeakETag(category));
+      expect(res.headers['Last-Modified']).toBe(
+        'Wed, 01 May 2024 10:00:00 GMT',
+      );
+      expect(res.headers['Cache-Control']).toBe('private, no-cache');
+      expect(res.body).toEqual(success(category));
+    });
+
+    it('should respond 304 when If-None-Match matches', () => {
+      const { res } = run({ 'if-none-match': createWeakETag(category) });
+
+      res.json(success(category));
+
+      expect(res.statusCode).toBe(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.body).toBeUndefined();
+    });
+
+    it('should respond 304 when not modified since the given date', () => {
+      const { res } = run({
+        'if-modified-since': 'Wed, 01 May 2024 10:00:00 GMT',
+      });
+
+      res.json(success(category));
+
+      expect(res.statusCode).toBe(304);
+    });
+
+    it('should tag paginated lists by their records and metadata', () => {
+      const page = { data: [category], meta: { page: 1, total: 1 } };
+      const etag = createWeakETag(page);
+      const { res } = run({ 'if-none-match': etag });
+
+      // A record was added elsewhere: the total changes, so the tag does too
+      res.json(success({ ...page, meta: { page: 1, total: 2 } }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers.ETag).not.toBe(etag);
+    });
+
+    it('should include the selected fields in the tag', () => {
+      const { res } = run({}, { fields: 'name' });
+
+      res.json(success(category));
+
+      expect(res.headers.ETag).toBe(createWeakETag(category, 'name'));
+    });
+
+    it('should leave error responses untouched', () => {
+      const { res } = run({ 'if-none-match': '*' });
+
+      res.status(404);
+      res.json({ success: false, message: 'Not found' });
+
+      expect(res.statusCode).toBe(404);
+      expect(res.headers.ETag).toBeUndefined();
+    });
+  });
+
+  describe('ifMatch', () => {
+    const run = async (headers, loadCurrent) => {
+      const req = {
+        method: 'PATCH',
+        originalUrl: '/categories/cat-1',
+        headers,
+      };
+      const res = createResponse();
+      const next = jest.fn();
+      await ifMatch(loadCurrent)(req, res, next);
+      return { req, res, next };
+    };
+
+    it('should pass through without If-Match', async () => {
+      const loadCurrent = jest.fn();
+
+      const { next } = await run({}, loadCurrent);
+
+      expect(loadCurrent).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should pass through with the expected version when the tag matches', async () => {
+      const { req, next } = await run(
+        { 'if-match': createWeakETag(category) },
+        jest.fn().mockResolvedValue(category),
+      );
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.expectedVersion).toBe(category.updatedAt.getTime());
+    });
+
+    it('should fail with 412 for the tag of a read with selected fields', async () => {
+      const { next } = await run(
+        { 'if-match': createWeakETag(category, 'name') },
+        jest.fn().mockResolvedValue(category),
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(412);
+    });
+
+    it('should fail with 412 when the resource has changed', async () => {
+      const current = { ...category, updatedAt: new Date('2024-05-02') };
+
+      const { next } = await run(
+        { 'if-match': createWeakETag(category) },
+        jest.fn().mockResolvedValue(current),
+      );
+
+      const error = next.mock.calls[0][0];
+      expect(error.statusCode).toBe(412);
+      expect(error.code).toBe('PRECONDITION_FAILED');
+      expect(error.details).toEqual({ currentETag: createWeakETag(current) });
+    });
+
+    it('should pass through when the resource does not exist', async () => {
+      const { next } = await run(
+        { 'if-match': createWeakETag(category) },
+        jest.fn().mockResolvedValue(null),
+      );
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should forward errors from loading the resource', async () => {
+      const failure = new Error('Database unavailable');
+
+      const { next } = await run(
+        { 'if-match': '"abc"' },
+        jest.fn().mockRejectedValue(failure),
+      );
+
+      expect(next).toHaveBeenCalledWith(failure);
+    });
+
+    it('should send the new ETag after a successful write', async () => {
+      const updated = { ...category, updatedAt: new Date('2024-05-03') };
+      const { res } = await run(
+        { 'if-match': createWeakETag(category) },
+        jest.fn().mockResolvedValue(category),
+      );
+
+      res.json(success(updated));
+
+      expect(res.headers.ETag).toBe(createWeakETag(updated));
+    });
+  });
+});
@@ -0,0 +1,156 @@
+// src/middlewares/__tests__/idempotencyMiddleware.test.js
+const { EventEmitter } = require('events');
+const { idempotency } = require('../idempotencyMiddleware');
+const { setStore } = require('../../idempotency/idempotencyStore');
+const createMemoryStore = require('../../idempotency/stores/memoryStore');
+
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+// Minimal response object that behaves like Express for status/json/send/finish
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.set = jest.fn((name, value) => {
+    res.headers[name] = value;
+    return res;
+  });
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    res.writableFinished = true;
+    res.emit('finish');
+    return res;
+  });
+  res.send = jest.fn(() => {
+    res.writableFinished = true;
+    res.emit('finish');
+    return res;
+  });
+  return res;
+};
+
+const createRequest = (body = { name: 'Oil change' }, key = 'key-1') => ({
+  method: 'POST',
+  originalUrl: '/api/v1/categories',
+  headers: key ? { 'idempotency-key': key } : {},
+  user: { id: 'user-1' },
+  body,
+});
+
+// Run the middleware followed by a handler, like an Express route would
+const run = async (req, handler) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await idempotency({ ttlSeconds: 60 })(req, res, next);
+  if (next.mock.calls.length === 1 && next.mock.calls[0].length === 0) {
+    handler(req, res);
+  }
+  // Let the store settle the record
+  await new Promise((resolve) => setImmediate(resolve));
+  return { res, next };
+};
+
+describe('idempotencyMiddleware', () => {
+  let handler;
+
+  beforeEach(() => {
+    setStore(createMemoryStore());
+    handler = jest.fn((req, res) =>
+      res.status(201).json({ success: true, data: { id: 'created-id' } }),
+    );
+  });
+
+  afterAll(() => {
+    setStore(null);
+  });
+
+  it('should pass requests without an Idempotency-Key straight through', async () => {
+    await run(createRequest(undefined, null), handler);
+    await run(createRequest(undefined, null), handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should replay the stored status and body for an identical repeat', async () => {
+    const first = await run(createRequest(), handler);
+    const second = await run(createRequest(), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(second.res.statusCode).toBe(201);
+    expect(second.res.body).toEqual(first.res.body);
+    expect(second.res.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('should treat bodies with reordered keys as identical', async () => {
+    await run(
+      createRequest({ name: 'Oil change', vehicleType: 'CAR' }),
+      handler,
+    );
+    await run(
+      createRequest({ vehicleType: 'CAR', name: 'Oil change' }),
+      handler,
+    );
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject a reused key with a different payload with 422', async () => {
+    await run(createRequest({ name: 'Oil change' }), handler);
+    const { next } = await run(createRequest({ name: 'Brake pads' }), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: 422,
+      code: 'IDEMPOTENCY_KEY_MISMATCH',
+    });
+  });
+
+  it('should return 409 while the first request is still in progress', async () => {
+    const pending = jest.fn();
+    await run(createRequest(), pending);
+    const { next } = await run(createRequest(), handler);
+
+    expect(next.mock.calls[0][0]).toMatchObject({
+      statusCode: 409,
+      code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+    });
+  });
+
+  it('should not store server errors so the request can be retried', async () => {
+    const failing = jest.fn((req, res) =>
+      res.status(500).json({ success: false }),
+    );
+    await run(createRequest(), failing);
+    await run(createRequest(), handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should scope keys per user', async () => {
+    await run(createRequest(), handler);
+    await run({ ...createRequest(), user: { id: 'user-2' } }, handler);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should replay empty responses with send()', async () => {
+    const deleteHandler = jest.fn((req, res) => res.status(204).send());
+    const req = { ...createRequest({}), method: 'DELETE' };
+    await run(req, deleteHandler);
+    const { res } = await run({ ...req }, deleteHandler);
+
+    expect(deleteHandler).toHaveBeenCalledTimes(1);
+    expect(res.statusCode).toBe(204);
+    expect(res.send).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+const { toVersion } = require('../cache/readCache');
+const {
+  createWeakETag,
+  lastModifiedOf,
+  matchesETag,
+  isNotModified,
+} = require('../utils/etag');
+
+/**
+ * Set ETag, Last-Modified and Cache-Control for the data of a response
+ * @param {Object} res - Express response object
+ * @param {*} data - Response data
+ * @param {string} [variant] - Representation variant (selected fields)
+ * @returns {Object} The validators ({ etag, lastModified })
+ */
+const setValidators = (res, data, variant) => {
+  const etag = createWeakETag(data, variant);
+  const lastModified = lastModifiedOf(data);
+
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  // Clients may store the response but must revalidate before using it
+  res.set('Cache-Control', 'private, no-cache');
+
+  return { etag, lastModified };
+};
+
+/**
+ * Middleware that adds validators to successful GET responses and answers
+ * If-None-Match / If-Modified-Since with 304 Not Modified
+ * The ETag is weak: it is derived from the primary keys and updatedAt of the
+ * returned records plus the pagination metadata, not from the response bytes.
+ * @returns {Function} Express middleware function
+ */
+const conditionalGet = () => {
+  return (req, res, next) => {
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode !== 200 || !body?.success) {
+        return originalJson(body);
+      }
+
+      const validators = setValidators(res, body.data, req.query.fields);
+      if (isNotModified(req.headers, validators)) {
+        return res.status(304).end();
+      }
+      return originalJson(body);
+    };
+    next();
+  };
+};
+
+/**
+ * Middleware that rejects a write with 412 Precondition Failed when its If-Match
+ * header does not match the current version of the resource
+ * Requests without If-Match are passed through, and so are requests for a
+ * resource that does not exist (the handler responds 404). Tags are compared
+ * weakly because they identify versions, not response bytes. A successful
+ * write responds with the new ETag so the client can chain edits.
+ * The record's version is kept on req.expectedVersion and forwarded to the
+ * injection service, which rejects the write if the row changed after this
+ * check. Tags of reads with `fields` include the selection and never match.
+ * @param {Function} loadCurrent - Async function (req) => current record or null,
+ * read from the database rather than the read cache
+ * @returns {Function} Express middleware function
+ */
+const ifMatch = (loadCurrent) => {
+  return async (req, res, next) => {
+    const header = req.headers['if-match'];
+    if (header) {
+      try {
+        const current = await loadCurrent(req);
+        if (current) {
+          const etag = createWeakETag(current);
+          if (!matchesETag(header, etag)) {
+            logger.warn({
+              message: 'If-Match precondition failed',
+              metadata: {
+                method: req.method,
+                url: req.originalUrl,
+                ifMatch: header,
+                currentETag: etag,
+              },
+            });
+            return next(
+              new AppError(
+                'The resource has been modified since it was retrieved',
+                412,
+                'PRECONDITION_FAILED',
+                { currentETag: etag },
+              ),
+            );
+          }
+          req.expectedVersion = toVersion(current);
+        }
+      } catch (error) {
+        return next(error);
+      }
+    }
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode === 200 && body?.success && body.data) {
+        setValidators(res, body.data);
+      }
+      return originalJson(body);
+    };
+    return next();
+  };
+};
+
+module.exports = {
+  conditionalGet,
+  ifMatch,
+};
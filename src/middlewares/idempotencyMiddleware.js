@@ -0,0 +1,162 @@
+const { createHash } = require('crypto');
+const config = require('../config');
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+const { getStore } = require('../idempotency/idempotencyStore');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON.stringify with object keys sorted, so that key order does not change the fingerprint
+ * @param {*} value - Value to serialize
+ * @returns {string} Serialized value
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Hash the parts of a request that make it "the same request"
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 fingerprint
+ */
+const fingerprintRequest = (req) => {
+  const hash = createHash('sha256')
+    .update(req.method)
+    .update(req.originalUrl)
+    .update(stableStringify(req.body || {}));
+
+  // Uploaded files are part of the payload too
+  if (req.file?.buffer) {
+    hash.update(req.file.buffer);
+  }
+
+  return hash.digest('hex');
+};
+
+/**
+ * Middleware that makes write requests carrying an Idempotency-Key header safe to retry
+ * The first response (status and body) is stored for ttlSeconds and replayed for
+ * identical repeats. Reusing a key with a different payload is rejected with 422,
+ * and a repeat that arrives while the first request is still running gets 409.
+ * Responses with a 5xx status are not stored, so the request can be retried.
+ * Requests without the header are passed through untouched.
+ * @param {Object} [options] - Middleware options
+ * @param {number} [options.ttlSeconds] - How long responses are kept
+ * @returns {Function} Express middleware function
+ */
+const idempotency = ({ ttlSeconds = config.idempotency.ttlSeconds } = {}) => {
+  return async (req, res, next) => {
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      return next(
+        AppError.badRequest(
+          `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+          'INVALID_IDEMPOTENCY_KEY',
+        ),
+      );
+    }
+
+    // Keys are scoped per user so that two clients cannot collide
+    const scopedKey = `${req.user?.id || 'anonymous'}:${idempotencyKey}`;
+    const fingerprint = fingerprintRequest(req);
+    const store = getStore();
+
+    try {
+      const { created, record } = await store.begin(
+        scopedKey,
+        fingerprint,
+        ttlSeconds,
+      );
+
+      if (!created) {
+        if (record.fingerprint !== fingerprint) {
+          return next(
+            new AppError(
+              'Idempotency-Key has already been used with a different request payload',
+              422,
+              'IDEMPOTENCY_KEY_MISMATCH',
+            ),
+          );
+        }
+
+        if (record.status !== 'COMPLETED') {
+          return next(
+            AppError.conflict(
+              'A request with this Idempotency-Key is still being processed',
+              'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+            ),
+          );
+        }
+
+        logger.info({
+          message: 'Replaying stored response for idempotent request',
+          metadata: {
+            idempotencyKey,
+            method: req.method,
+            url: req.originalUrl,
+            statusCode: record.statusCode,
+          },
+        });
+
+        res.set('Idempotent-Replayed', 'true');
+        if (record.responseBody === null || record.responseBody === undefined) {
+          return res.status(record.statusCode).send();
+        }
+        return res.status(record.statusCode).json(record.responseBody);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    // Capture the response body so that it can be replayed later
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    let settled = false;
+    const settle = (finished) => {
+      if (settled) return;
+      settled = true;
+
+      const result =
+        finished && res.statusCode < 500
+          ? store.complete(scopedKey, res.statusCode, responseBody)
+          : store.release(scopedKey);
+
+      result.catch((error) => {
+        logger.error({
+          message: 'Failed to save idempotency record',
+          metadata: { idempotencyKey, error: error.message },
+        });
+      });
+    };
+
+    res.on('finish', () => settle(true));
+    // Connection closed before a response was sent: let the client retry
+    res.on('close', () => settle(res.writableFinished));
+
+    return next();
+  };
+};
+
+module.exports = {
+  idempotency,
+  fingerprintRequest,
+};
@@ -2,6 +2,44 @@ const { validationResult } = require('express-validator');
 const AppError = require('../utils/appError');
 const { logger } = require('../utils/logger');
 
+/**
+ * Group express-validator errors by field
+ * @param {Object} errors - Result of validationResult()
+ * @returns {Object} Error message (or messages) per field
+ */
+const formatValidationErrors = (errors) => {
+  const formattedErrors = {};
+  errors.array().forEach((error) => {
+    if (!formattedErrors[error.path]) {
+      formattedErrors[error.path] = error.msg;
+    } else if (Array.isArray(formattedErrors[error.path])) {
+      formattedErrors[error.path].push(error.msg);
+    } else {
+      formattedErrors[error.path] = [formattedErrors[error.path], error.msg];
+    }
+  });
+  return formattedErrors;
+};
+
+/**
+ * Run validation rules against each item of a batch
+ * Every item is validated as if it were the body of its own request.
+ * @param {Array} validations - Array of validation rules
+ * @param {Array} items - Items to validate
+ * @returns {Promise<Array>} Formatted errors per item, null for valid items
+ */
+const validateItems = (validations, items) =>
+  Promise.all(
+    items.map(async (item) => {
+      const itemReq = { body: item };
+      await Promise.all(
+        validations.map((validation) => validation.run(itemReq)),
+      );
+      const errors = validationResult(itemReq);
+      return errors.isEmpty() ? null : formatValidationErrors(errors);
+    }),
+  );
+
 /**
  * Middleware to validate requests based on defined validation rules
  * @param {Array} validations - Array of validation rules
@@ -19,21 +57,7 @@ const validate = (validations) => {
         return next();
       }
 
-      // Format validation errors
-      const formattedErrors = {};
-      errors.array().forEach((error) => {
-        // Group errors by field
-        if (!formattedErrors[error.path]) {
-          formattedErrors[error.path] = error.msg;
-        } else if (Array.isArray(formattedErrors[error.path])) {
-          formattedErrors[error.path].push(error.msg);
-        } else {
-          formattedErrors[error.path] = [
-            formattedErrors[error.path],
-            error.msg,
-          ];
-        }
-      });
+      const formattedErrors = formatValidationErrors(errors);
 
       // Log validation errors
       logger.warn({
@@ -141,4 +165,6 @@ const validateQuery = (schema) => {
 module.exports = {
   validate,
   validateQuery,
+  validateItems,
+  formatValidationErrors,
 };
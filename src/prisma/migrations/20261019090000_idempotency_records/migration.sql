@@ -0,0 +1,19 @@
+-- CreateEnum
+CREATE TYPE "IdempotencyStatus" AS ENUM ('IN_PROGRESS', 'COMPLETED');
+
+-- CreateTable
+CREATE TABLE "idempotency_record" (
+    "key" VARCHAR(300) NOT NULL,
+    "fingerprint" VARCHAR(64) NOT NULL,
+    "status" "IdempotencyStatus" NOT NULL DEFAULT 'IN_PROGRESS',
+    "status_code" INTEGER,
+    "response_body" JSONB,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "idempotency_record_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "idempotency_record_expires_at_idx" ON "idempotency_record"("expires_at");
@@ -0,0 +1,39 @@
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+-- AlterTable
+ALTER TABLE "service_category" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "service_type" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("long_description", '')), 'C')
+) STORED;
+
+-- AlterTable
+ALTER TABLE "service_component" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("name", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "service_category_search_vector_idx" ON "service_category" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "service_category_name_trgm_idx" ON "service_category" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "service_type_search_vector_idx" ON "service_type" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "service_type_name_trgm_idx" ON "service_type" USING GIN ("name" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "service_component_search_vector_idx" ON "service_component" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "service_component_name_trgm_idx" ON "service_component" USING GIN ("name" gin_trgm_ops);
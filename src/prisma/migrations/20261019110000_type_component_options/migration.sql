@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "service_type_component" ADD COLUMN "is_default" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN "is_required" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "additional_price" DECIMAL(10,2);
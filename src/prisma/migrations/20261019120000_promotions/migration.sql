@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "promotion" (
+    "promotion_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "name" VARCHAR(255) NOT NULL,
+    "description" VARCHAR(255),
+    "start_date" TIMESTAMP(3) NOT NULL,
+    "end_date" TIMESTAMP(3) NOT NULL,
+    "discount_percentage" DECIMAL(5,2),
+    "discount_absolute" DECIMAL(10,2),
+    "service_center_id" TEXT,
+    "service_type_id" UUID,
+    "category_id" UUID,
+    "vehicle_type" "VehicleType",
+    "is_stackable" BOOLEAN NOT NULL DEFAULT false,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotion_pkey" PRIMARY KEY ("promotion_id"),
+    -- A promotion is either a percentage or an absolute amount off
+    CONSTRAINT "promotion_discount_check" CHECK (("discount_percentage" IS NULL) <> ("discount_absolute" IS NULL)),
+    CONSTRAINT "promotion_window_check" CHECK ("end_date" > "start_date")
+);
+
+-- CreateIndex
+CREATE INDEX "promotion_is_active_start_date_end_date_idx" ON "promotion"("is_active", "start_date", "end_date");
+
+-- AddForeignKey
+ALTER TABLE "promotion" ADD CONSTRAINT "promotion_service_center_id_fkey" FOREIGN KEY ("service_center_id") REFERENCES "ServiceCenter"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion" ADD CONSTRAINT "promotion_service_type_id_fkey" FOREIGN KEY ("service_type_id") REFERENCES "service_type"("service_type_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "promotion" ADD CONSTRAINT "promotion_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "service_category"("service_category_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "vehicle_brand_service_offering" (
+    "vehicle_brand_service_offering_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "offering_id" UUID NOT NULL,
+    "brand_id" TEXT NOT NULL,
+    "model_id" TEXT,
+    "manufacture_year_start" INTEGER,
+    "manufacture_year_end" INTEGER,
+    "fuel_type" TEXT,
+    "status" "ServiceStatus" NOT NULL DEFAULT 'ACTIVE',
+    "price" DECIMAL(10,2),
+    "discount_percentage" DECIMAL(5,2),
+    "time_to_complete" INTEGER,
+    "special_notes" TEXT,
+    "parts_included" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "vehicle_brand_service_offering_pkey" PRIMARY KEY ("vehicle_brand_service_offering_id")
+);
+
+-- CreateIndex
+CREATE INDEX "vehicle_brand_service_offering_brand_id_model_id_status_idx" ON "vehicle_brand_service_offering"("brand_id", "model_id", "status");
+
+-- CreateIndex
+-- NULLS NOT DISTINCT (PostgreSQL 15+): an offering has one brand-wide (no model)
+-- and one any-fuel pricing per brand as well
+CREATE UNIQUE INDEX "vehicle_brand_service_offering_offering_id_brand_id_model_i_key" ON "vehicle_brand_service_offering"("offering_id", "brand_id", "model_id", "fuel_type") NULLS NOT DISTINCT;
+
+-- AddForeignKey
+ALTER TABLE "vehicle_brand_service_offering" ADD CONSTRAINT "vehicle_brand_service_offering_offering_id_fkey" FOREIGN KEY ("offering_id") REFERENCES "service_center_offering"("service_center_offering_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "vehicle_brand_service_offering" ADD CONSTRAINT "vehicle_brand_service_offering_brand_id_fkey" FOREIGN KEY ("brand_id") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "vehicle_brand_service_offering" ADD CONSTRAINT "vehicle_brand_service_offering_model_id_fkey" FOREIGN KEY ("model_id") REFERENCES "Model"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "tax_rule" (
+    "tax_rule_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "name" VARCHAR(100) NOT NULL,
+    "description" VARCHAR(255),
+    "rate" DECIMAL(5,2) NOT NULL,
+    "category_id" UUID,
+    "service_type_id" UUID,
+    "effective_from" TIMESTAMP(3) NOT NULL,
+    "effective_to" TIMESTAMP(3),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tax_rule_pkey" PRIMARY KEY ("tax_rule_id"),
+    CONSTRAINT "tax_rule_rate_check" CHECK ("rate" >= 0 AND "rate" <= 100),
+    CONSTRAINT "tax_rule_effective_check" CHECK ("effective_to" IS NULL OR "effective_to" > "effective_from")
+);
+
+-- CreateIndex
+CREATE INDEX "tax_rule_is_active_effective_from_effective_to_idx" ON "tax_rule"("is_active", "effective_from", "effective_to");
+
+-- AddForeignKey
+ALTER TABLE "tax_rule" ADD CONSTRAINT "tax_rule_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "service_category"("service_category_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "tax_rule" ADD CONSTRAINT "tax_rule_service_type_id_fkey" FOREIGN KEY ("service_type_id") REFERENCES "service_type"("service_type_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,81 @@
+-- The "PackageType" enum was kept when the first package tables were dropped
+
+-- CreateTable
+CREATE TABLE "service_package" (
+    "service_package_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "name" VARCHAR(255) NOT NULL,
+    "description" VARCHAR(255),
+    "long_description" TEXT,
+    "package_type" "PackageType" NOT NULL DEFAULT 'ONE_TIME',
+    "vehicle_type" "VehicleType" NOT NULL,
+    "price" DECIMAL(10,2) NOT NULL,
+    "validity_days" INTEGER,
+    "usage_limit" INTEGER,
+    "display_image" TEXT,
+    "is_popular" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "service_package_pkey" PRIMARY KEY ("service_package_id"),
+    CONSTRAINT "service_package_price_check" CHECK ("price" >= 0),
+    CONSTRAINT "service_package_validity_days_check" CHECK ("validity_days" IS NULL OR "validity_days" > 0),
+    CONSTRAINT "service_package_usage_limit_check" CHECK ("usage_limit" IS NULL OR "usage_limit" > 0),
+    CONSTRAINT "service_package_usage_limit_type_check" CHECK ("usage_limit" IS NULL OR "package_type" = 'SUBSCRIPTION')
+);
+
+-- CreateTable
+CREATE TABLE "service_package_item" (
+    "service_package_item_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "package_id" UUID NOT NULL,
+    "service_type_id" UUID NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "display_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "service_package_item_pkey" PRIMARY KEY ("service_package_item_id"),
+    CONSTRAINT "service_package_item_quantity_check" CHECK ("quantity" > 0)
+);
+
+-- CreateTable
+CREATE TABLE "service_package_offering" (
+    "service_package_offering_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "package_id" UUID NOT NULL,
+    "service_center_id" TEXT NOT NULL,
+    "status" "ServiceStatus" NOT NULL DEFAULT 'ACTIVE',
+    "price" DECIMAL(10,2),
+    "terms_and_conditions" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "service_package_offering_pkey" PRIMARY KEY ("service_package_offering_id"),
+    CONSTRAINT "service_package_offering_price_check" CHECK ("price" IS NULL OR "price" >= 0)
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "service_package_name_vehicle_type_package_type_key" ON "service_package"("name", "vehicle_type", "package_type");
+
+-- CreateIndex
+CREATE INDEX "service_package_vehicle_type_is_active_idx" ON "service_package"("vehicle_type", "is_active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "service_package_item_package_id_service_type_id_key" ON "service_package_item"("package_id", "service_type_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "service_package_offering_package_id_service_center_id_key" ON "service_package_offering"("package_id", "service_center_id");
+
+-- CreateIndex
+CREATE INDEX "service_package_offering_service_center_id_status_idx" ON "service_package_offering"("service_center_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "service_package_item" ADD CONSTRAINT "service_package_item_package_id_fkey" FOREIGN KEY ("package_id") REFERENCES "service_package"("service_package_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "service_package_item" ADD CONSTRAINT "service_package_item_service_type_id_fkey" FOREIGN KEY ("service_type_id") REFERENCES "service_type"("service_type_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "service_package_offering" ADD CONSTRAINT "service_package_offering_package_id_fkey" FOREIGN KEY ("package_id") REFERENCES "service_package"("service_package_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "service_package_offering" ADD CONSTRAINT "service_package_offering_service_center_id_fkey" FOREIGN KEY ("service_center_id") REFERENCES "ServiceCenter"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "additional_feature" (
+    "additional_feature_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "offering_id" UUID NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "description" VARCHAR(255),
+    "is_complimentary" BOOLEAN NOT NULL DEFAULT false,
+    "price" DECIMAL(10,2),
+    "display_icon" TEXT,
+    "is_popular" BOOLEAN NOT NULL DEFAULT false,
+    "is_available" BOOLEAN NOT NULL DEFAULT true,
+    "display_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "additional_feature_pkey" PRIMARY KEY ("additional_feature_id"),
+    -- A feature is either free or has a price
+    CONSTRAINT "additional_feature_price_check" CHECK (
+        ("is_complimentary" AND "price" IS NULL)
+        OR (NOT "is_complimentary" AND "price" IS NOT NULL AND "price" >= 0)
+    )
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "additional_feature_offering_id_name_key" ON "additional_feature"("offering_id", "name");
+
+-- AddForeignKey
+ALTER TABLE "additional_feature" ADD CONSTRAINT "additional_feature_offering_id_fkey" FOREIGN KEY ("offering_id") REFERENCES "service_center_offering"("service_center_offering_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import authentication middleware
+const { authenticate, restrictTo } = require('../middlewares/authMiddleware');
+const catalogController = require('../controllers/catalogController');
+
+// The audit scans the whole catalog, so keep it rare
+const catalogAuditLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Consistency problems in the catalog, grouped by check
+router.get(
+  '/catalog/audit',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  catalogAuditLimiter,
+  catalogController.auditCatalog,
+);
+
+module.exports = router;
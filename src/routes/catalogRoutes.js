@@ -0,0 +1,99 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import authentication middleware
+const { authenticate, restrictTo } = require('../middlewares/authMiddleware');
+const catalogController = require('../controllers/catalogController');
+const { validate } = require('../middlewares/validationMiddlewares');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const {
+  validateCatalogExport,
+  validateCatalogImport,
+  validateCatalogTree,
+  validateCatalogSearch,
+  validateCatalogSuggest,
+} = require('../validators/catalogValidator');
+
+// Exports and imports walk the whole catalog, so keep them rare
+const catalogTransferLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiter for the catalog tree and search
+const catalogTreeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Suggestions are requested on every keystroke
+const catalogSuggestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // Limit each IP to 1000 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Categories with their service types and components in one response
+router.get(
+  '/tree',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  catalogTreeLimiter,
+  validate(validateCatalogTree),
+  catalogController.getCatalogTree,
+);
+
+// Relevance-ranked search over categories, service types and components
+router.get(
+  '/search',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  catalogTreeLimiter,
+  validate(validateCatalogSearch),
+  catalogController.searchCatalog,
+);
+
+// Typeahead suggestions for catalog names, served from memory
+router.get(
+  '/suggest',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  catalogSuggestLimiter,
+  validate(validateCatalogSuggest),
+  catalogController.suggestCatalog,
+);
+
+// Download the whole catalog as CSV or JSON
+router.get(
+  '/export',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  catalogTransferLimiter,
+  validate(validateCatalogExport),
+  catalogController.exportCatalog,
+);
+
+// Import a catalog from CSV or JSON (?dryRun=true to only plan the changes)
+router.post(
+  '/import',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  catalogTransferLimiter,
+  express.text({ type: 'text/csv', limit: '5mb' }),
+  idempotency(),
+  validate(validateCatalogImport),
+  catalogController.importCatalog,
+);
+
+module.exports = router;
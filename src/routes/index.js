@@ -5,10 +5,22 @@ const serviceCategoryRoutes = require('./serviceCategoryRoutes');
 const serviceTypeRoutes = require('./serviceTypeRoutes');
 const serviceComponentRoutes = require('./serviceComponentRoutes');
 const serviceCenterOfferingRoutes = require('./serviceCenterOfferingRoutes');
+const offeringRoutes = require('./offeringRoutes');
+const catalogRoutes = require('./catalogRoutes');
+const adminRoutes = require('./adminRoutes');
+const promotionRoutes = require('./promotionRoutes');
+const taxRuleRoutes = require('./taxRuleRoutes');
+const servicePackageRoutes = require('./servicePackageRoutes');
 
 router.use('/api/v1/categories', serviceCategoryRoutes);
 router.use('/api/v1/types', serviceTypeRoutes);
 router.use('/api/v1/components', serviceComponentRoutes);
 router.use('/api/v1/service-centers', serviceCenterOfferingRoutes);
+router.use('/api/v1/offerings', offeringRoutes);
+router.use('/api/v1/catalog', catalogRoutes);
+router.use('/api/v1/admin', adminRoutes);
+router.use('/api/v1/promotions', promotionRoutes);
+router.use('/api/v1/tax-rules', taxRuleRoutes);
+router.use('/api/v1/packages', servicePackageRoutes);
 
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import authentication middleware
+const { authenticate } = require('../middlewares/authMiddleware');
+const serviceCenterOfferingController = require('../controllers/serviceCenterOfferingController');
+const { validate } = require('../middlewares/validationMiddlewares');
+const {
+  validateOfferingSearch,
+} = require('../validators/serviceCenterOfferingValidator');
+
+const searchOfferingsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Search offerings across all service centers
+router.get(
+  '/search',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  searchOfferingsLimiter,
+  validate(validateOfferingSearch),
+  serviceCenterOfferingController.searchOfferings,
+);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import authentication middleware
+const { authenticate, restrictTo } = require('../middlewares/authMiddleware');
+const promotionController = require('../controllers/promotionController');
+const promotionService = require('../services/promotionService');
+const { validate } = require('../middlewares/validationMiddlewares');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const {
+  conditionalGet,
+  ifMatch,
+} = require('../middlewares/conditionalRequestMiddleware');
+const {
+  validatePromotion,
+  validateUpdatePromotion,
+  validatePromotionId,
+} = require('../validators/promotionValidator');
+
+const promotionsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Current version of the promotion, for If-Match on writes
+const loadPromotion = (req) => promotionService.getPromotionById(req.params.id);
+
+// Customers see promotions on the offerings they apply to, so managing and
+// listing them is for ADMINs only
+router
+  .route('/')
+  .get(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    promotionsLimiter,
+    conditionalGet(),
+    promotionController.getAllPromotions,
+  )
+  .post(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    idempotency(),
+    validate(validatePromotion),
+    promotionController.createPromotion,
+  );
+
+router
+  .route('/:id')
+  .get(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    promotionsLimiter,
+    validate(validatePromotionId),
+    conditionalGet(),
+    promotionController.getPromotionById,
+  )
+  .patch(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    idempotency(),
+    validate(validateUpdatePromotion),
+    ifMatch(loadPromotion),
+    promotionController.updatePromotion,
+  )
+  .delete(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    idempotency(),
+    validate(validatePromotionId),
+    ifMatch(loadPromotion),
+    promotionController.deletePromotion,
+  );
+
+module.exports = router;
@@ -13,10 +13,21 @@ const {
   validateServiceCategoryUpdate,
 } = require('../validators/serviceCategoryValidator');
 const { validate } = require('../middlewares/validationMiddlewares');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const {
+  conditionalGet,
+  ifMatch,
+} = require('../middlewares/conditionalRequestMiddleware');
+const serviceCategoryService = require('../services/serviceCategoryService');
 const {
   uploadServiceCategoryIcon,
 } = require('../middlewares/uploadMiddleware');
 
+// Current version of the category, for If-Match on writes; read past the
+// cache, which may lag behind writes made through other instances
+const loadCategory = (req) =>
+  serviceCategoryService.getServiceCategoryById(req.params.id, { fresh: true });
+
 router
   .route('/')
   .post(
@@ -25,6 +36,7 @@ router
     restrictTo('ADMIN'),
     // First handle the file upload
     uploadServiceCategoryIcon[0], // multer middleware to handle file upload
+    idempotency(), // replay retried requests before anything is uploaded
     uploadServiceCategoryIcon[1], // middleware to process and upload file to S3
     // Then validate the request body
     validate(validateServiceCategory),
@@ -34,6 +46,7 @@ router
   .get(
     // Authenticate - Both ADMIN and USER can access
     authenticate,
+    conditionalGet(),
     // Get all service categories with filtering, pagination, etc.
     serviceCategoryController.getAllCategories,
   );
@@ -43,12 +56,15 @@ router
   .get(
     // Authenticate - Both ADMIN and USER can access
     authenticate,
+    conditionalGet(),
     serviceCategoryController.getCategoryById,
   )
   .patch(
     authenticate,
     restrictTo('ADMIN'),
     uploadServiceCategoryIcon[0],
+    idempotency(),
+    ifMatch(loadCategory), // reject stale edits before anything is uploaded
     uploadServiceCategoryIcon[1],
     validate(validateServiceCategoryUpdate),
     serviceCategoryController.updateCategory,
@@ -56,6 +72,8 @@ router
   .delete(
     authenticate,
     restrictTo('ADMIN'),
+    idempotency(),
+    ifMatch(loadCategory),
     serviceCategoryController.deleteCategory,
   );
 
@@ -72,6 +90,7 @@ router.route('/:id/types').get(
   // Authenticate - Both ADMIN and USER can access
   authenticate,
   getCategoryTypesLimiter,
+  conditionalGet(),
   serviceTypeController.getTypesByCategoryId,
 );
 
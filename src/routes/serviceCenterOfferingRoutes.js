@@ -5,11 +5,36 @@ const router = express.Router();
 // Import authentication middleware
 const { authenticate, restrictTo } = require('../middlewares/authMiddleware');
 const serviceCenterOfferingController = require('../controllers/serviceCenterOfferingController');
+const vehicleBrandOfferingController = require('../controllers/vehicleBrandOfferingController');
+const additionalFeatureController = require('../controllers/additionalFeatureController');
 const { validate } = require('../middlewares/validationMiddlewares');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const {
+  conditionalGet,
+  ifMatch,
+} = require('../middlewares/conditionalRequestMiddleware');
+const serviceCenterOfferingService = require('../services/serviceCenterOfferingService');
 const {
   validateServiceCenterOffering,
   validateUpdateServiceCenterOffering,
+  validateBulkServiceCenterOfferings,
+  validateOfferingRead,
+  validateOfferingQuote,
+  validateOfferingConfiguration,
 } = require('../validators/serviceCenterOfferingValidator');
+const {
+  validateVehiclePricing,
+  validateUpdateVehiclePricing,
+  validateVehiclePricingId,
+} = require('../validators/vehicleBrandOfferingValidator');
+const {
+  validateFeature,
+  validateUpdateFeature,
+  validateFeatureId,
+} = require('../validators/additionalFeatureValidator');
+const {
+  uploadAdditionalFeatureIcon,
+} = require('../middlewares/uploadMiddleware');
 const createOfferingLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
@@ -17,6 +42,23 @@ const createOfferingLimiter = rateLimit({
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
+// A bulk request replaces up to 100 single creates, so it gets a smaller budget
+const bulkOfferingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 bulk requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+// Current version of the offering, for If-Match on writes; read past the
+// cache, which may lag behind writes made through other instances
+const loadOffering = (req) =>
+  serviceCenterOfferingService.getServiceCenterOffering(
+    req.params.serviceCenterId,
+    req.params.serviceCenterOfferingId,
+    { fresh: true },
+  );
+
 // Routes for managing service center offerings
 
 // Create a new service offering
@@ -26,16 +68,31 @@ router.post(
   authenticate,
   restrictTo('ADMIN'),
   createOfferingLimiter,
+  idempotency(),
   validate(validateServiceCenterOffering),
   serviceCenterOfferingController.createServiceCenterOffering,
 );
 
+// Create or update many service offerings at once
+router.post(
+  '/:serviceCenterId/offerings/bulk',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  bulkOfferingLimiter,
+  idempotency(),
+  validate(validateBulkServiceCenterOfferings),
+  serviceCenterOfferingController.bulkUpsertServiceCenterOfferings,
+);
+
 // Update a service offering
 router.patch(
   '/:serviceCenterId/offerings/:serviceCenterOfferingId',
   // Authenticate and authorize - ADMIN only
   authenticate,
   restrictTo('ADMIN'),
+  idempotency(),
+  ifMatch(loadOffering),
   validate(validateUpdateServiceCenterOffering),
   serviceCenterOfferingController.updateServiceCenterOffering,
 );
@@ -45,6 +102,8 @@ router.get(
   '/:serviceCenterId/offerings',
   // Authenticate - Both ADMIN and USER can access
   authenticate,
+  validate(validateOfferingRead),
+  conditionalGet(),
   serviceCenterOfferingController.getServiceCenterOfferings,
 );
 
@@ -53,6 +112,8 @@ router.get(
   '/:serviceCenterId/offerings/:serviceCenterOfferingId',
   // Authenticate - Both ADMIN and USER can access
   authenticate,
+  validate(validateOfferingRead),
+  conditionalGet(),
   serviceCenterOfferingController.getServiceCenterOffering,
 );
 
@@ -64,4 +125,115 @@ router.get(
   serviceCenterOfferingController.getServiceCenterOfferingWithComponents,
 );
 
+// Get an itemized price quote for a specific service offering
+router.get(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/quote',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  validate(validateOfferingQuote),
+  serviceCenterOfferingController.getServiceCenterOfferingQuote,
+);
+
+// Price a service offering with the add-on components a customer selected
+router.post(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/configure',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  validate(validateOfferingConfiguration),
+  serviceCenterOfferingController.configureServiceCenterOffering,
+);
+
+// Routes for managing the per-brand and per-model pricing of an offering
+
+// Get the vehicle pricing of a service offering
+router.get(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/vehicle-brands',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  vehicleBrandOfferingController.getVehiclePricing,
+);
+
+// Create vehicle pricing for a service offering
+router.post(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/vehicle-brands',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  createOfferingLimiter,
+  idempotency(),
+  validate(validateVehiclePricing),
+  vehicleBrandOfferingController.createVehiclePricing,
+);
+
+// Update vehicle pricing of a service offering
+router.patch(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/vehicle-brands/:vehicleBrandServiceOfferingId',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  idempotency(),
+  validate(validateUpdateVehiclePricing),
+  vehicleBrandOfferingController.updateVehiclePricing,
+);
+
+// Delete vehicle pricing of a service offering
+router.delete(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/vehicle-brands/:vehicleBrandServiceOfferingId',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  idempotency(),
+  validate(validateVehiclePricingId),
+  vehicleBrandOfferingController.deleteVehiclePricing,
+);
+
+// Routes for managing the additional features (add-ons) of an offering
+
+// Get the additional features of a service offering, available or not
+router.get(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/features',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  conditionalGet(),
+  additionalFeatureController.getFeatures,
+);
+
+// Create an additional feature for a service offering
+router.post(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/features',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  createOfferingLimiter,
+  uploadAdditionalFeatureIcon[0], // multer middleware to handle file upload
+  idempotency(), // replay retried requests before anything is uploaded
+  uploadAdditionalFeatureIcon[1], // middleware to process and upload file to S3
+  validate(validateFeature),
+  additionalFeatureController.createFeature,
+);
+
+// Update an additional feature of a service offering
+router.patch(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/features/:additionalFeatureId',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  uploadAdditionalFeatureIcon[0],
+  idempotency(),
+  uploadAdditionalFeatureIcon[1],
+  validate(validateUpdateFeature),
+  additionalFeatureController.updateFeature,
+);
+
+// Delete an additional feature of a service offering
+router.delete(
+  '/:serviceCenterId/offerings/:serviceCenterOfferingId/features/:additionalFeatureId',
+  // Authenticate and authorize - ADMIN only
+  authenticate,
+  restrictTo('ADMIN'),
+  idempotency(),
+  validate(validateFeatureId),
+  additionalFeatureController.deleteFeature,
+);
+
 module.exports = router;
@@ -5,6 +5,12 @@ const serviceComponentController = require('../controllers/serviceComponentContr
 // Import authentication middleware
 const { authenticate, restrictTo } = require('../middlewares/authMiddleware');
 const { validate } = require('../middlewares/validationMiddlewares');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const {
+  conditionalGet,
+  ifMatch,
+} = require('../middlewares/conditionalRequestMiddleware');
+const serviceComponentService = require('../services/serviceComponentService');
 const {
   validateServiceComponent,
   validateUpdateServiceComponent,
@@ -18,18 +24,27 @@ const getComponentTypesLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Current version of the component, for If-Match on writes; read past the
+// cache, which may lag behind writes made through other instances
+const loadComponent = (req) =>
+  serviceComponentService.getServiceComponentById(req.params.id, {
+    fresh: true,
+  });
+
 router
   .route('/')
   .get(
     // Authenticate - Both ADMIN and USER can access
     authenticate,
     getComponentTypesLimiter,
+    conditionalGet(),
     serviceComponentController.getAllComponents,
   )
   .post(
     // Authenticate and authorize - ADMIN only
     authenticate,
     restrictTo('ADMIN'),
+    idempotency(),
     validate(validateServiceComponent),
     serviceComponentController.createComponent,
   );
@@ -40,12 +55,15 @@ router
     // Authenticate - Both ADMIN and USER can access
     authenticate,
     getComponentTypesLimiter,
+    conditionalGet(),
     serviceComponentController.getComponentById,
   )
   .patch(
     // Authenticate and authorize - ADMIN only
     authenticate,
     restrictTo('ADMIN'),
+    idempotency(),
+    ifMatch(loadComponent),
     validate(validateUpdateServiceComponent),
     serviceComponentController.updateComponent,
   )
@@ -53,6 +71,8 @@ router
     // Authenticate and authorize - ADMIN only
     authenticate,
     restrictTo('ADMIN'),
+    idempotency(),
+    ifMatch(loadComponent),
     serviceComponentController.deleteComponent,
   );
 // Route to get all service components for a specific category
@@ -0,0 +1,137 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import authentication middleware
+const { authenticate, restrictTo } = require('../middlewares/authMiddleware');
+const servicePackageController = require('../controllers/servicePackageController');
+const servicePackageService = require('../services/servicePackageService');
+const { validate } = require('../middlewares/validationMiddlewares');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const {
+  conditionalGet,
+  ifMatch,
+} = require('../middlewares/conditionalRequestMiddleware');
+const {
+  uploadServicePackageImage,
+} = require('../middlewares/uploadMiddleware');
+const {
+  validateServicePackage,
+  validateUpdateServicePackage,
+  validateServicePackageId,
+  validateServicePackageRead,
+  validatePackageItem,
+  validatePackageItemId,
+  validatePackageAvailability,
+  validatePackageAvailabilityId,
+} = require('../validators/servicePackageValidator');
+
+const packagesLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Current version of the package, for If-Match on writes
+const loadPackage = (req) =>
+  servicePackageService.getServicePackageById(req.params.id);
+
+router
+  .route('/')
+  .get(
+    // Authenticate - Both ADMIN and USER can access
+    authenticate,
+    packagesLimiter,
+    validate(validateServicePackageRead),
+    conditionalGet(),
+    servicePackageController.getAllServicePackages,
+  )
+  .post(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    uploadServicePackageImage[0], // multer middleware to handle file upload
+    idempotency(), // replay retried requests before anything is uploaded
+    uploadServicePackageImage[1], // middleware to process and upload file to S3
+    validate(validateServicePackage),
+    servicePackageController.createServicePackage,
+  );
+
+router
+  .route('/:id')
+  .get(
+    // Authenticate - Both ADMIN and USER can access
+    authenticate,
+    packagesLimiter,
+    validate([...validateServicePackageId, ...validateServicePackageRead]),
+    conditionalGet(),
+    servicePackageController.getServicePackageById,
+  )
+  .patch(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    uploadServicePackageImage[0],
+    idempotency(),
+    ifMatch(loadPackage), // reject stale edits before anything is uploaded
+    uploadServicePackageImage[1],
+    validate(validateUpdateServicePackage),
+    servicePackageController.updateServicePackage,
+  )
+  .delete(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    idempotency(),
+    validate(validateServicePackageId),
+    ifMatch(loadPackage),
+    servicePackageController.deleteServicePackage,
+  );
+
+// Service types in a package
+router
+  .route('/:id/items/:serviceTypeId')
+  .put(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    packagesLimiter,
+    idempotency(),
+    validate(validatePackageItem),
+    servicePackageController.setPackageItem,
+  )
+  .delete(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    packagesLimiter,
+    idempotency(),
+    validate(validatePackageItemId),
+    servicePackageController.removePackageItem,
+  );
+
+// Service centers a package is available at
+router
+  .route('/:id/service-centers/:serviceCenterId')
+  .put(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    packagesLimiter,
+    idempotency(),
+    validate(validatePackageAvailability),
+    servicePackageController.setPackageAvailability,
+  )
+  .delete(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    packagesLimiter,
+    idempotency(),
+    validate(validatePackageAvailabilityId),
+    servicePackageController.removePackageAvailability,
+  );
+
+module.exports = router;
@@ -7,8 +7,15 @@ const { authenticate, restrictTo } = require('../middlewares/authMiddleware');
 const {
   validateServiceType,
   validateUpdateServiceType,
+  validateTypeDuration,
 } = require('../validators/serviceTypeValidator');
 const { validate } = require('../middlewares/validationMiddlewares');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const {
+  conditionalGet,
+  ifMatch,
+} = require('../middlewares/conditionalRequestMiddleware');
+const serviceTypeService = require('../services/serviceTypeService');
 const { uploadServiceTypeImage } = require('../middlewares/uploadMiddleware');
 
 router.route('/').post(
@@ -17,6 +24,7 @@ router.route('/').post(
   restrictTo('ADMIN'),
   // First handle the file upload
   uploadServiceTypeImage[0], // multer middleware to handle file upload
+  idempotency(), // replay retried requests before anything is uploaded
   uploadServiceTypeImage[1], // middleware to process and upload file to S3
   // Then validate the request body
   validate(validateServiceType),
@@ -25,6 +33,11 @@ router.route('/').post(
 );
 // .get(serviceTypeController.getAllTypes);
 
+// Current version of the service type, for If-Match on writes; read past the
+// cache, which may lag behind writes made through other instances
+const loadType = (req) =>
+  serviceTypeService.getServiceTypeById(req.params.id, { fresh: true });
+
 // Rate limiter for the GET by ID endpoint
 const getTypeByIdLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -40,6 +53,7 @@ router
     // Authenticate - Both ADMIN and USER can access
     authenticate,
     getTypeByIdLimiter,
+    conditionalGet(),
     serviceTypeController.getTypeById,
   )
   .patch(
@@ -47,6 +61,8 @@ router
     authenticate,
     restrictTo('ADMIN'),
     uploadServiceTypeImage[0],
+    idempotency(),
+    ifMatch(loadType), // reject stale edits before anything is uploaded
     uploadServiceTypeImage[1],
     validate(validateUpdateServiceType),
     getTypeByIdLimiter,
@@ -57,14 +73,27 @@ router
     authenticate,
     restrictTo('ADMIN'),
     getTypeByIdLimiter,
+    idempotency(),
+    ifMatch(loadType),
     serviceTypeController.deleteType,
   ); // Apply limiter before the controller
 
+// Declared duration of a service type compared with its components'
+router.get(
+  '/:id/duration',
+  // Authenticate - Both ADMIN and USER can access
+  authenticate,
+  getTypeByIdLimiter,
+  validate(validateTypeDuration),
+  serviceTypeController.getTypeDuration,
+);
+
 // Route to get all service types for a specific category
 router.route('/category/:categoryId').get(
   // Authenticate - Both ADMIN and USER can access
   authenticate,
   getTypeByIdLimiter,
+  conditionalGet(),
   serviceTypeController.getTypesByCategoryId,
 );
 
@@ -75,6 +104,7 @@ router
     // Authenticate - Both ADMIN and USER can access
     authenticate,
     getTypeByIdLimiter,
+    conditionalGet(),
     serviceTypeController.getTypeComponents,
   )
   .post(
@@ -82,6 +112,7 @@ router
     authenticate,
     restrictTo('ADMIN'),
     getTypeByIdLimiter,
+    idempotency(),
     validate(
       require('../validators/serviceTypeComponentValidator')
         .validateTypeComponent,
@@ -89,15 +120,29 @@ router
     serviceTypeController.associateComponentWithType,
   );
 
-// Route for managing a specific service type component
-router.delete(
-  '/:id/components/:componentId',
-  // Authenticate and authorize - ADMIN only
-  authenticate,
-  restrictTo('ADMIN'),
-  getTypeByIdLimiter,
-  serviceTypeController.removeTypeComponent,
-);
+// Routes for managing a specific service type component
+router
+  .route('/:id/components/:componentId')
+  .patch(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    getTypeByIdLimiter,
+    idempotency(),
+    validate(
+      require('../validators/serviceTypeComponentValidator')
+        .validateUpdateTypeComponent,
+    ),
+    serviceTypeController.updateTypeComponent,
+  )
+  .delete(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    getTypeByIdLimiter,
+    idempotency(),
+    serviceTypeController.removeTypeComponent,
+  );
 
 module.exports = router;
 
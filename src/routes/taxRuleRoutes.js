@@ -0,0 +1,83 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+
+// Import authentication middleware
+const { authenticate, restrictTo } = require('../middlewares/authMiddleware');
+const taxRuleController = require('../controllers/taxRuleController');
+const taxRuleService = require('../services/taxRuleService');
+const { validate } = require('../middlewares/validationMiddlewares');
+const { idempotency } = require('../middlewares/idempotencyMiddleware');
+const {
+  conditionalGet,
+  ifMatch,
+} = require('../middlewares/conditionalRequestMiddleware');
+const {
+  validateTaxRule,
+  validateUpdateTaxRule,
+  validateTaxRuleId,
+} = require('../validators/taxRuleValidator');
+
+const taxRulesLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  message: 'Too many requests from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Current version of the tax rule, for If-Match on writes
+const loadTaxRule = (req) => taxRuleService.getTaxRuleById(req.params.id);
+
+// Customers see tax lines on the offerings they apply to, so managing and
+// listing tax rules is for ADMINs only
+router
+  .route('/')
+  .get(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    taxRulesLimiter,
+    conditionalGet(),
+    taxRuleController.getAllTaxRules,
+  )
+  .post(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    idempotency(),
+    validate(validateTaxRule),
+    taxRuleController.createTaxRule,
+  );
+
+router
+  .route('/:id')
+  .get(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    taxRulesLimiter,
+    validate(validateTaxRuleId),
+    conditionalGet(),
+    taxRuleController.getTaxRuleById,
+  )
+  .patch(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    idempotency(),
+    validate(validateUpdateTaxRule),
+    ifMatch(loadTaxRule),
+    taxRuleController.updateTaxRule,
+  )
+  .delete(
+    // Authenticate and authorize - ADMIN only
+    authenticate,
+    restrictTo('ADMIN'),
+    idempotency(),
+    validate(validateTaxRuleId),
+    ifMatch(loadTaxRule),
+    taxRuleController.deleteTaxRule,
+  );
+
+module.exports = router;
@@ -0,0 +1,147 @@
+// src/services/__test__/additionalFeatureService.test.js
+const additionalFeatureService = require('../additionalFeatureService');
+const prisma = require('../../models/index');
+const axios = require('axios');
+const { publishEvent } = require('../../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../../events/eventTypes');
+const { readCache, cacheKeys } = require('../../cache/readCache');
+
+// Mock dependencies
+jest.mock('axios');
+jest.mock('../../events/eventPublisher');
+jest.mock('../../models/index', () => ({
+  additionalFeature: {
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('additionalFeatureService', () => {
+  const feature = {
+    additionalFeatureId: 'feature-1',
+    offeringId: 'offering-1',
+    name: 'Pickup and drop',
+    isComplimentary: false,
+    price: '199.00',
+    isAvailable: true,
+  };
+  const offeringKey = cacheKeys.offering('center-1', 'offering-1');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    readCache.clear();
+  });
+
+  describe('createFeature', () => {
+    it('should create the feature and drop the cached offering', async () => {
+      const data = { name: 'Pickup and drop', price: 199 };
+      axios.post.mockResolvedValue({ data: { data: feature } });
+      readCache.set(offeringKey, { serviceCenterOfferingId: 'offering-1' });
+
+      const result = await additionalFeatureService.createFeature(
+        'center-1',
+        'offering-1',
+        data,
+      );
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://localhost:5001/api/v1/service-centers/center-1/offerings/offering-1/features',
+        data,
+        expect.any(Object),
+      );
+      expect(readCache.get(offeringKey)).toBeUndefined();
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.OFFERING_FEATURE_CREATED,
+        {
+          serviceCenterId: 'center-1',
+          serviceCenterOfferingId: 'offering-1',
+          ...feature,
+        },
+      );
+      expect(result).toEqual(feature);
+    });
+
+    it('should report a duplicate feature name as a conflict', async () => {
+      axios.post.mockRejectedValue({
+        response: { status: 409, data: { message: 'Feature already exists' } },
+      });
+
+      await expect(
+        additionalFeatureService.createFeature('center-1', 'offering-1', {
+          name: 'Pickup and drop',
+        }),
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getFeatures', () => {
+    it('should list the features of the offering at the service center', async () => {
+      prisma.additionalFeature.findMany.mockResolvedValue([feature]);
+      prisma.additionalFeature.count.mockResolvedValue(1);
+
+      const result = await additionalFeatureService.getFeatures(
+        'center-1',
+        'offering-1',
+      );
+
+      expect(prisma.additionalFeature.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            offeringId: 'offering-1',
+            offering: { serviceCenterId: 'center-1' },
+          },
+        }),
+      );
+      expect(result.data).toEqual([feature]);
+    });
+  });
+
+  describe('updateFeature', () => {
+    it('should report a feature the injection service does not know', async () => {
+      axios.patch.mockRejectedValue({
+        response: { status: 404, data: { message: 'Feature not found' } },
+      });
+
+      await expect(
+        additionalFeatureService.updateFeature(
+          'center-1',
+          'offering-1',
+          'feature-1',
+          { isAvailable: false },
+        ),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteFeature', () => {
+    it('should delete the feature and publish the deletion', async () => {
+      axios.delete.mockResolvedValue({});
+
+      await expect(
+        additionalFeatureService.deleteFeature(
+          'center-1',
+          'offering-1',
+          'feature-1',
+        ),
+      ).resolves.toBe(true);
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.OFFERING_FEATURE_DELETED,
+        {
+          serviceCenterId: 'center-1',
+          serviceCenterOfferingId: 'offering-1',
+          offeringId: 'offering-1',
+          additionalFeatureId: 'feature-1',
+        },
+      );
+    });
+  });
+});
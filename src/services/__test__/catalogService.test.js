@@ -0,0 +1,829 @@
+// src/services/__test__/catalogService.test.js
+const catalogService = require('../catalogService');
+const prisma = require('../../models/index');
+const serviceCategoryService = require('../serviceCategoryService');
+const serviceTypeService = require('../serviceTypeService');
+const serviceComponentService = require('../serviceComponentService');
+const { suggestIndex } = require('../../cache/suggestIndex');
+
+// Mock dependencies
+jest.mock('../serviceCategoryService');
+jest.mock('../serviceTypeService');
+jest.mock('../serviceComponentService');
+jest.mock('../../cache/suggestIndex');
+jest.mock('../../models/index', () => ({
+  serviceCategory: { findMany: jest.fn() },
+  serviceType: { findMany: jest.fn() },
+  serviceComponent: { findMany: jest.fn() },
+  serviceTypeComponent: { findMany: jest.fn() },
+  serviceCenterOffering: { findMany: jest.fn() },
+  $queryRaw: jest.fn(),
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('catalogService', () => {
+  const category = {
+    serviceCategoryId: 'category-1',
+    name: 'Maintenance',
+    vehicleType: 'CAR',
+    description: 'Regular maintenance',
+    displayOrder: 0,
+    isPopular: false,
+  };
+  const type = {
+    serviceTypeId: 'type-1',
+    name: 'Oil Change',
+    categoryId: 'category-1',
+    category,
+    estimatedDuration: 30,
+    displayOrder: 0,
+    isPopular: true,
+  };
+  const component = {
+    serviceComponentId: 'component-1',
+    name: 'Oil Filter',
+    vehicleType: 'CAR',
+    estimatedDuration: 10,
+    cost: { toNumber: () => 12.5 },
+  };
+  const link = {
+    serviceTypeComponentId: 'link-1',
+    serviceTypeId: 'type-1',
+    serviceComponentId: 'component-1',
+    serviceType: type,
+    serviceComponent: component,
+  };
+
+  const mockCatalog = ({
+    categories = [category],
+    types = [type],
+    components = [component],
+    links = [link],
+  } = {}) => {
+    prisma.serviceCategory.findMany.mockResolvedValue(categories);
+    prisma.serviceType.findMany.mockResolvedValue(types);
+    prisma.serviceComponent.findMany.mockResolvedValue(components);
+    prisma.serviceTypeComponent.findMany.mockResolvedValue(links);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCatalog();
+  });
+
+  describe('getCatalogTree', () => {
+    const typeArgs = {
+      orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+      include: {
+        serviceComponents: {
+          orderBy: { serviceComponent: { name: 'asc' } },
+          select: { serviceComponent: true },
+        },
+      },
+    };
+
+    it('should load categories, types and components in display order', async () => {
+      prisma.serviceCategory.findMany.mockResolvedValue([
+        { ...category, serviceTypes: [{ ...type, serviceComponents: [link] }] },
+      ]);
+
+      const tree = await catalogService.getCatalogTree({ vehicleType: 'CAR' });
+
+      expect(prisma.serviceCategory.findMany).toHaveBeenCalledWith({
+        where: { vehicleType: 'CAR' },
+        orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+        include: { serviceTypes: typeArgs },
+      });
+      expect(tree[0].serviceTypes[0].components).toEqual([component]);
+      expect(tree[0].serviceTypes[0]).not.toHaveProperty('serviceComponents');
+    });
+
+    it('should map selected fields onto every level of the tree', async () => {
+      prisma.serviceCategory.findMany.mockResolvedValue([]);
+
+      await catalogService.getCatalogTree({
+        fields: 'id,name,serviceTypes.name,serviceTypes.components.name',
+      });
+
+      expect(prisma.serviceCategory.findMany).toHaveBeenCalledWith({
+        where: {},
+        orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+        select: {
+          serviceCategoryId: true,
+          name: true,
+          serviceTypes: {
+            orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+            select: {
+              name: true,
+              serviceComponents: {
+                orderBy: { serviceComponent: { name: 'asc' } },
+                select: { serviceComponent: { select: { name: true } } },
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('should keep other fields and children when only exclusions are given', async () => {
+      prisma.serviceCategory.findMany.mockResolvedValue([]);
+
+      await catalogService.getCatalogTree({ fields: '-icon,-description' });
+
+      expect(prisma.serviceCategory.findMany).toHaveBeenCalledWith({
+        where: {},
+        orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+        omit: { icon: true, description: true },
+        include: { serviceTypes: typeArgs },
+      });
+    });
+
+    it('should report an unknown field as a bad request', async () => {
+      prisma.serviceCategory.findMany.mockRejectedValue(
+        Object.assign(new Error('Unknown field `colour`'), {
+          name: 'PrismaClientValidationError',
+        }),
+      );
+
+      await expect(
+        catalogService.getCatalogTree({ fields: 'colour' }),
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'INVALID_FIELD_SELECTION',
+      });
+    });
+  });
+
+  describe('exportCatalog', () => {
+    it('should stream a CSV row per record, parents first', async () => {
+      let output = '';
+      await catalogService.exportCatalog('csv', async (chunk) => {
+        output += chunk;
+      });
+
+      const lines = output.trim().split('\r\n');
+      expect(lines[0]).toBe(catalogService.CATALOG_CSV_COLUMNS.join(','));
+      expect(lines.slice(1).map((line) => line.split(',')[0])).toEqual([
+        'category',
+        'type',
+        'component',
+        'type_component',
+      ]);
+      expect(lines[2]).toContain('Oil Change,CAR,Maintenance');
+      expect(lines[3]).toContain('12.5');
+    });
+
+    it('should stream a JSON document with one array per entity', async () => {
+      let output = '';
+      await catalogService.exportCatalog('json', async (chunk) => {
+        output += chunk;
+      });
+
+      const document = JSON.parse(output);
+      expect(document.categories).toEqual([
+        expect.objectContaining({ name: 'Maintenance', vehicleType: 'CAR' }),
+      ]);
+      expect(document.types[0]).toMatchObject({
+        name: 'Oil Change',
+        category: 'Maintenance',
+      });
+      expect(document.typeComponents[0]).toMatchObject({
+        serviceType: 'Oil Change',
+        component: 'Oil Filter',
+      });
+    });
+
+    it('should page through large tables with a cursor', async () => {
+      const page = Array.from({ length: 500 }, (_value, index) => ({
+        ...category,
+        serviceCategoryId: `category-${index}`,
+      }));
+      prisma.serviceCategory.findMany
+        .mockResolvedValueOnce(page)
+        .mockResolvedValueOnce([]);
+
+      await catalogService.exportCatalog('csv', async () => {});
+
+      expect(prisma.serviceCategory.findMany).toHaveBeenNthCalledWith(
+        2,
+        expect.objectContaining({
+          skip: 1,
+          cursor: { serviceCategoryId: 'category-499' },
+        }),
+      );
+    });
+  });
+
+  describe('parseCatalogCsv', () => {
+    it('should group rows by entity', () => {
+      const catalog = catalogService.parseCatalogCsv(
+        'entity,name,vehicleType\r\ncategory,Repairs,BIKE\r\ncomponent,Chain,\r\n',
+      );
+
+      expect(catalog.categories).toEqual([
+        { name: 'Repairs', vehicleType: 'BIKE' },
+      ]);
+      expect(catalog.components).toEqual([{ name: 'Chain', vehicleType: '' }]);
+    });
+
+    it('should reject an unknown entity', () => {
+      expect(() =>
+        catalogService.parseCatalogCsv('entity,name\r\nwidget,Thing\r\n'),
+      ).toThrow('Row 2 has an unknown entity "widget"');
+    });
+  });
+
+  describe('planCatalogImport', () => {
+    it('should plan creates and updates and skip unchanged rows', async () => {
+      const plan = await catalogService.planCatalogImport({
+        categories: [
+          { name: 'Maintenance', vehicleType: 'CAR', isPopular: 'true' },
+          { name: 'Repairs', vehicleType: 'BIKE' },
+        ],
+        types: [
+          {
+            name: 'Oil Change',
+            category: 'Maintenance',
+            vehicleType: 'CAR',
+            estimatedDuration: '30',
+          },
+        ],
+        components: [{ name: 'Oil Filter', cost: '12.5' }],
+      });
+
+      expect(plan.errors).toEqual([]);
+      expect(plan.conflicts).toEqual([]);
+      expect(plan.summary.category).toEqual({
+        create: 1,
+        update: 1,
+        unchanged: 0,
+      });
+      expect(plan.summary.type.unchanged).toBe(1);
+      expect(plan.summary.component.unchanged).toBe(1);
+      expect(plan.changes).toEqual([
+        expect.objectContaining({
+          entity: 'category',
+          action: 'update',
+          id: 'category-1',
+          data: { isPopular: true },
+        }),
+        expect.objectContaining({
+          entity: 'category',
+          action: 'create',
+          data: { name: 'Repairs', vehicleType: 'BIKE' },
+        }),
+      ]);
+    });
+
+    it('should report rows that repeat a unique key as conflicts', async () => {
+      const plan = await catalogService.planCatalogImport({
+        categories: [
+          { name: 'Repairs', vehicleType: 'CAR' },
+          { name: 'Repairs', vehicleType: 'CAR' },
+        ],
+        types: [
+          {
+            name: 'Brake Pads',
+            category: 'Maintenance',
+            estimatedDuration: 60,
+          },
+          {
+            name: 'Brake Pads',
+            category: 'Maintenance',
+            estimatedDuration: 45,
+          },
+        ],
+      });
+
+      expect(plan.conflicts).toEqual([
+        expect.objectContaining({
+          entity: 'category',
+          constraint: 'name, vehicleType',
+          rows: [0, 1],
+        }),
+        expect.objectContaining({
+          entity: 'type',
+          constraint: 'name, categoryId',
+          rows: [0, 1],
+        }),
+      ]);
+    });
+
+    it('should report a rename onto a key used by another record', async () => {
+      mockCatalog({
+        categories: [
+          category,
+          { ...category, serviceCategoryId: 'category-2', name: 'Repairs' },
+        ],
+      });
+
+      const plan = await catalogService.planCatalogImport({
+        categories: [{ id: 'category-2', name: 'Maintenance' }],
+      });
+
+      expect(plan.conflicts).toEqual([
+        expect.objectContaining({
+          entity: 'category',
+          message: 'name, vehicleType is already used by category category-1',
+        }),
+      ]);
+    });
+
+    it('should report invalid rows and unknown references', async () => {
+      const plan = await catalogService.planCatalogImport({
+        types: [{ name: 'Tyres', category: 'Missing', estimatedDuration: 20 }],
+        components: [{ name: 'Bolt', cost: '-1' }],
+        typeComponents: [
+          {
+            serviceType: 'Oil Change',
+            category: 'Maintenance',
+            component: 'Missing',
+          },
+        ],
+      });
+
+      expect(plan.errors).toEqual([
+        {
+          entity: 'type',
+          row: 0,
+          errors: { category: 'Unknown category "Missing" (CAR)' },
+        },
+        {
+          entity: 'component',
+          row: 0,
+          errors: { cost: 'Cost must be a non-negative decimal' },
+        },
+        {
+          entity: 'type_component',
+          row: 0,
+          errors: { component: 'Unknown component "Missing"' },
+        },
+      ]);
+    });
+  });
+
+  describe('importCatalog', () => {
+    const req = { headers: { 'idempotency-key': 'import-key' } };
+    const document = {
+      categories: [{ name: 'Repairs', vehicleType: 'CAR' }],
+      types: [
+        { name: 'Brake Pads', category: 'Repairs', estimatedDuration: 60 },
+      ],
+      components: [{ name: 'Pad Set', cost: 40 }],
+      typeComponents: [
+        {
+          serviceType: 'Brake Pads',
+          category: 'Repairs',
+          component: 'Pad Set',
+        },
+      ],
+    };
+
+    it('should not forward anything in dry-run mode', async () => {
+      const report = await catalogService.importCatalog(
+        document,
+        { dryRun: true },
+        req,
+      );
+
+      expect(report.dryRun).toBe(true);
+      expect(report.changes).toHaveLength(4);
+      expect(report.changes[0]).not.toHaveProperty('ref');
+      expect(
+        serviceCategoryService.createServiceCategory,
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should create parents first and pass new IDs to their children', async () => {
+      serviceCategoryService.createServiceCategory.mockResolvedValue({
+        serviceCategoryId: 'category-new',
+      });
+      serviceTypeService.createServiceType.mockResolvedValue({
+        serviceTypeId: 'type-new',
+      });
+      serviceComponentService.createServiceComponent.mockResolvedValue({
+        serviceComponentId: 'component-new',
+      });
+      serviceTypeService.associateComponentWithType.mockResolvedValue({
+        serviceTypeComponentId: 'link-new',
+      });
+
+      const report = await catalogService.importCatalog(document, {}, req);
+
+      expect(serviceTypeService.createServiceType).toHaveBeenCalledWith(
+        {
+          name: 'Brake Pads',
+          estimatedDuration: 60,
+          categoryId: 'category-new',
+        },
+        {
+          requestId: undefined,
+          headers: { 'idempotency-key': 'import-key:import-1' },
+        },
+      );
+      expect(
+        serviceTypeService.associateComponentWithType,
+      ).toHaveBeenCalledWith(
+        'type-new',
+        { serviceComponentId: 'component-new' },
+        expect.anything(),
+      );
+      expect(report.changes.map((change) => change.status)).toEqual([
+        'applied',
+        'applied',
+        'applied',
+        'applied',
+      ]);
+    });
+
+    it('should refuse to import a document with conflicts', async () => {
+      await expect(
+        catalogService.importCatalog(
+          { categories: [...document.categories, ...document.categories] },
+          {},
+          req,
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'CATALOG_IMPORT_CONFLICT',
+      });
+      expect(
+        serviceCategoryService.createServiceCategory,
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should stop at the first failed change', async () => {
+      serviceCategoryService.createServiceCategory.mockRejectedValue(
+        Object.assign(new Error('Injection service is unavailable'), {
+          statusCode: 503,
+        }),
+      );
+
+      await expect(
+        catalogService.importCatalog(document, {}, req),
+      ).rejects.toMatchObject({
+        statusCode: 503,
+        code: 'CATALOG_IMPORT_FAILED',
+        details: expect.objectContaining({
+          changes: [
+            expect.objectContaining({ status: 'failed' }),
+            expect.objectContaining({ status: 'skipped' }),
+            expect.objectContaining({ status: 'skipped' }),
+            expect.objectContaining({ status: 'skipped' }),
+          ],
+        }),
+      });
+      expect(serviceTypeService.createServiceType).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchCatalog', () => {
+    // Values bound to a $queryRaw tagged template call
+    const boundValues = (call) => call.slice(1);
+
+    it('should return the ranked hits grouped by entity', async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([
+          {
+            serviceCategoryId: 'category-1',
+            name: 'Brakes',
+            vehicleType: 'CAR',
+            snippet: '<mark>Brakes</mark> and pads',
+            rank: 0.912345678,
+          },
+        ])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([
+          {
+            serviceComponentId: 'component-1',
+            name: 'Brake Pads',
+            vehicleType: 'NONE',
+            snippet: '<mark>Brake</mark> Pads',
+            rank: 0.5,
+          },
+        ]);
+
+      const result = await catalogService.searchCatalog({ q: ' brake ' });
+
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(3);
+      expect(result).toEqual({
+        query: 'brake',
+        categories: [
+          expect.objectContaining({
+            serviceCategoryId: 'category-1',
+            rank: 0.9123,
+          }),
+        ],
+        serviceTypes: [],
+        components: [
+          expect.objectContaining({
+            serviceComponentId: 'component-1',
+            rank: 0.5,
+          }),
+        ],
+      });
+    });
+
+    it('should bind the query, vehicle type and limit as parameters', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      await catalogService.searchCatalog({
+        q: "brake'; DROP TABLE service_type; --",
+        vehicleType: 'BIKE',
+        limit: '5',
+      });
+
+      prisma.$queryRaw.mock.calls.forEach((call) => {
+        const [strings] = call;
+        expect(strings.join('')).not.toContain('DROP TABLE');
+        expect(boundValues(call)).toEqual(
+          expect.arrayContaining([
+            "brake'; DROP TABLE service_type; --",
+            'BIKE',
+            5,
+          ]),
+        );
+      });
+    });
+
+    it('should default to 10 hits per group for any vehicle type', async () => {
+      prisma.$queryRaw.mockResolvedValue([]);
+
+      await catalogService.searchCatalog({ q: 'oil' });
+
+      const values = boundValues(prisma.$queryRaw.mock.calls[0]);
+      expect(values).toContain(10);
+      expect(values).toContain(null);
+    });
+
+    it('should convert database errors', async () => {
+      prisma.$queryRaw.mockRejectedValue(
+        Object.assign(new Error('Raw query failed'), { code: 'P2010' }),
+      );
+
+      await expect(
+        catalogService.searchCatalog({ q: 'oil' }),
+      ).rejects.toMatchObject({ statusCode: 500 });
+    });
+  });
+
+  describe('suggestCatalog', () => {
+    it('should suggest from the index with the request options', async () => {
+      const suggestions = [
+        { entity: 'type', id: 'type-1', name: 'Oil Change' },
+      ];
+      suggestIndex.suggest.mockResolvedValue(suggestions);
+
+      const result = await catalogService.suggestCatalog({
+        q: ' oil ',
+        vehicleType: 'CAR',
+        limit: '5',
+      });
+
+      expect(suggestIndex.suggest).toHaveBeenCalledWith(
+        'oil',
+        expect.any(Function),
+        { vehicleType: 'CAR', limit: 5 },
+      );
+      expect(result).toEqual({ query: 'oil', suggestions });
+    });
+
+    it('should load the names of the whole catalog into the index', async () => {
+      suggestIndex.suggest.mockResolvedValue([]);
+      prisma.serviceCategory.findMany.mockResolvedValue([
+        { ...category, displayOrder: 1, isPopular: true },
+      ]);
+      prisma.serviceType.findMany.mockResolvedValue([
+        {
+          serviceTypeId: 'type-1',
+          name: 'Oil Change',
+          categoryId: 'category-1',
+          isPopular: false,
+          displayOrder: 0,
+          category: { vehicleType: 'CAR' },
+        },
+      ]);
+      prisma.serviceComponent.findMany.mockResolvedValue([
+        { serviceComponentId: 'component-1', name: 'Oil', vehicleType: 'NONE' },
+      ]);
+
+      await catalogService.suggestCatalog({ q: 'oil' });
+      const loader = suggestIndex.suggest.mock.calls[0][1];
+
+      await expect(loader()).resolves.toEqual([
+        {
+          entity: 'category',
+          id: 'category-1',
+          name: 'Maintenance',
+          vehicleType: 'CAR',
+          isPopular: true,
+          displayOrder: 1,
+        },
+        {
+          entity: 'type',
+          id: 'type-1',
+          name: 'Oil Change',
+          vehicleType: 'CAR',
+          categoryId: 'category-1',
+          isPopular: false,
+          displayOrder: 0,
+        },
+        {
+          entity: 'component',
+          id: 'component-1',
+          name: 'Oil',
+          vehicleType: 'NONE',
+        },
+      ]);
+      expect(suggestIndex.suggest.mock.calls[0][2]).toEqual({
+        vehicleType: undefined,
+        limit: 10,
+      });
+    });
+
+    it('should convert database errors', async () => {
+      suggestIndex.suggest.mockRejectedValue(
+        Object.assign(new Error('Connection lost'), { code: 'P1001' }),
+      );
+
+      await expect(
+        catalogService.suggestCatalog({ q: 'oil' }),
+      ).rejects.toMatchObject({ statusCode: 500 });
+    });
+  });
+
+  describe('auditCatalog', () => {
+    beforeEach(() => {
+      prisma.serviceCategory.findMany.mockResolvedValue([]);
+      prisma.serviceType.findMany.mockResolvedValue([]);
+      prisma.serviceComponent.findMany.mockResolvedValue([]);
+      prisma.serviceTypeComponent.findMany.mockResolvedValue([]);
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([]);
+    });
+
+    const findingsOf = (audit, check) =>
+      audit.checks.find((result) => result.check === check).findings;
+
+    it('should report a clean catalog', async () => {
+      const audit = await catalogService.auditCatalog();
+
+      expect(audit.summary).toEqual({
+        total: 0,
+        error: 0,
+        warning: 0,
+        info: 0,
+      });
+      expect(audit.checks.map((result) => result.check)).toEqual([
+        'EMPTY_CATEGORY',
+        'TYPE_WITHOUT_COMPONENTS',
+        'ORPHAN_COMPONENT',
+        'OFFERING_VEHICLE_TYPE_MISMATCH',
+        'EXPIRED_DISCOUNT',
+      ]);
+      // Without mismatched links the offerings are not queried for them
+      expect(prisma.serviceCenterOffering.findMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report empty categories, types and orphan components', async () => {
+      prisma.serviceCategory.findMany.mockResolvedValue([category]);
+      prisma.serviceType.findMany.mockResolvedValue([type]);
+      prisma.serviceComponent.findMany.mockResolvedValue([component]);
+
+      const audit = await catalogService.auditCatalog();
+
+      expect(prisma.serviceCategory.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { serviceTypes: { none: {} } } }),
+      );
+      expect(findingsOf(audit, 'EMPTY_CATEGORY')).toEqual([
+        {
+          resourceType: 'category',
+          resourceId: 'category-1',
+          message: 'Category "Maintenance" has no service types',
+          details: { name: 'Maintenance', vehicleType: 'CAR' },
+          severity: 'warning',
+        },
+      ]);
+      expect(findingsOf(audit, 'TYPE_WITHOUT_COMPONENTS')[0]).toMatchObject({
+        resourceId: 'type-1',
+        severity: 'warning',
+      });
+      expect(findingsOf(audit, 'ORPHAN_COMPONENT')[0]).toMatchObject({
+        resourceId: 'component-1',
+        severity: 'info',
+      });
+      expect(audit.summary).toEqual({
+        total: 3,
+        error: 0,
+        warning: 2,
+        info: 1,
+      });
+    });
+
+    it('should report offerings of types with components for another vehicle type', async () => {
+      const bikeComponent = {
+        serviceComponentId: 'component-2',
+        name: 'Chain Lube',
+        vehicleType: 'BIKE',
+      };
+      prisma.serviceTypeComponent.findMany.mockResolvedValue([
+        {
+          serviceTypeId: 'type-1',
+          serviceComponent: bikeComponent,
+          serviceType: {
+            category: { serviceCategoryId: 'category-1', vehicleType: 'CAR' },
+          },
+        },
+        {
+          serviceTypeId: 'type-2',
+          serviceComponent: { ...bikeComponent, serviceComponentId: 'c-3' },
+          serviceType: {
+            category: { serviceCategoryId: 'category-2', vehicleType: 'BIKE' },
+          },
+        },
+      ]);
+      prisma.serviceCenterOffering.findMany.mockImplementation(({ where }) =>
+        Promise.resolve(
+          where.serviceTypeId
+            ? [
+                {
+                  serviceCenterOfferingId: 'offering-1',
+                  serviceCenterId: 'center-1',
+                  serviceTypeId: 'type-1',
+                },
+              ]
+            : [],
+        ),
+      );
+
+      const audit = await catalogService.auditCatalog();
+
+      expect(prisma.serviceCenterOffering.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { serviceTypeId: { in: ['type-1'] } },
+        }),
+      );
+      expect(findingsOf(audit, 'OFFERING_VEHICLE_TYPE_MISMATCH')).toEqual([
+        expect.objectContaining({
+          resourceType: 'offering',
+          resourceId: 'offering-1',
+          severity: 'error',
+          details: {
+            serviceCenterId: 'center-1',
+            serviceTypeId: 'type-1',
+            categoryId: 'category-1',
+            categoryVehicleType: 'CAR',
+            components: [bikeComponent],
+          },
+        }),
+      ]);
+      expect(audit.summary.error).toBe(1);
+    });
+
+    it('should report expired discounts that are still set', async () => {
+      const validUntil = new Date('2020-01-01T00:00:00Z');
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([
+        {
+          serviceCenterOfferingId: 'offering-1',
+          serviceCenterId: 'center-1',
+          serviceTypeId: 'type-1',
+          discountPercentage: { toNumber: () => 10 },
+          discountValidUntil: validUntil,
+        },
+      ]);
+
+      const audit = await catalogService.auditCatalog();
+
+      const { where } = prisma.serviceCenterOffering.findMany.mock.calls[0][0];
+      expect(where.discountPercentage).toEqual({ gt: 0 });
+      expect(where.discountValidUntil.lt).toBeInstanceOf(Date);
+      expect(findingsOf(audit, 'EXPIRED_DISCOUNT')).toEqual([
+        expect.objectContaining({
+          resourceId: 'offering-1',
+          severity: 'warning',
+          details: {
+            serviceCenterId: 'center-1',
+            serviceTypeId: 'type-1',
+            discountPercentage: 10,
+            discountValidUntil: validUntil,
+          },
+        }),
+      ]);
+    });
+
+    it('should convert database errors', async () => {
+      prisma.serviceType.findMany.mockRejectedValue(
+        Object.assign(new Error('Connection lost'), { code: 'P1001' }),
+      );
+
+      await expect(catalogService.auditCatalog()).rejects.toMatchObject({
+        statusCode: 500,
+      });
+    });
+  });
+});
@@ -0,0 +1,272 @@
+// src/services/__test__/promotionService.test.js
+const promotionService = require('../promotionService');
+const prisma = require('../../models/index');
+const axios = require('axios');
+const { publishEvent } = require('../../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../../events/eventTypes');
+
+// Mock dependencies
+jest.mock('axios');
+jest.mock('../../events/eventPublisher');
+jest.mock('../../models/index', () => ({
+  promotion: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
+  serviceCategory: {
+    findMany: jest.fn(),
+  },
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('promotionService', () => {
+  const promotion = {
+    promotionId: 'promo-1',
+    name: 'Monsoon Sale',
+    discountPercentage: '10.00',
+    discountAbsolute: null,
+    serviceCenterId: null,
+    serviceTypeId: null,
+    categoryId: null,
+    vehicleType: null,
+    isStackable: false,
+    priority: 0,
+    endDate: new Date('2026-11-01T00:00:00Z'),
+  };
+
+  const offering = {
+    serviceCenterOfferingId: 'offering-1',
+    serviceCenterId: 'center-1',
+    serviceTypeId: 'type-1',
+    serviceType: { serviceTypeId: 'type-1', categoryId: 'category-1' },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createPromotion', () => {
+    it('should create the promotion through the injection service', async () => {
+      const data = { name: 'Monsoon Sale', discountPercentage: 10 };
+      axios.post.mockResolvedValue({ data: { data: promotion } });
+
+      const result = await promotionService.createPromotion(data);
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://localhost:5001/api/v1/promotions',
+        data,
+        expect.any(Object),
+      );
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.PROMOTION_CREATED,
+        promotion,
+      );
+      expect(result).toEqual(promotion);
+    });
+  });
+
+  describe('getPromotionById', () => {
+    it('should return the promotion', async () => {
+      prisma.promotion.findUnique.mockResolvedValue(promotion);
+
+      await expect(promotionService.getPromotionById('promo-1')).resolves.toBe(
+        promotion,
+      );
+    });
+
+    it('should throw a not found error when the promotion does not exist', async () => {
+      prisma.promotion.findUnique.mockResolvedValue(null);
+
+      await expect(
+        promotionService.getPromotionById('promo-1'),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('updatePromotion', () => {
+    it('should report a promotion the injection service does not know', async () => {
+      axios.patch.mockRejectedValue({
+        response: { status: 404, data: { message: 'Promotion not found' } },
+      });
+
+      await expect(
+        promotionService.updatePromotion('promo-1', { priority: 1 }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deletePromotion', () => {
+    it('should delete the promotion and publish the deletion', async () => {
+      axios.delete.mockResolvedValue({});
+
+      await expect(promotionService.deletePromotion('promo-1')).resolves.toBe(
+        true,
+      );
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.PROMOTION_DELETED,
+        { promotionId: 'promo-1' },
+      );
+    });
+  });
+
+  describe('getPromotionsForOfferings', () => {
+    it('should only load running promotions for the targets of the offerings', async () => {
+      prisma.promotion.findMany.mockResolvedValue([]);
+      const now = new Date('2026-10-19T00:00:00Z');
+
+      await promotionService.getPromotionsForOfferings([offering], now);
+
+      expect(prisma.promotion.findMany).toHaveBeenCalledWith({
+        where: {
+          isActive: true,
+          startDate: { lte: now },
+          endDate: { gte: now },
+          AND: [
+            {
+              OR: [
+                { serviceCenterId: null },
+                { serviceCenterId: { in: ['center-1'] } },
+              ],
+            },
+            {
+              OR: [
+                { serviceTypeId: null },
+                { serviceTypeId: { in: ['type-1'] } },
+              ],
+            },
+            {
+              OR: [
+                { categoryId: null },
+                { categoryId: { in: ['category-1'] } },
+              ],
+            },
+          ],
+        },
+        orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }],
+      });
+      expect(prisma.serviceCategory.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should match every target a promotion sets', async () => {
+      const otherOffering = {
+        ...offering,
+        serviceCenterId: 'center-2',
+        serviceType: { serviceTypeId: 'type-1', categoryId: 'category-2' },
+      };
+      const centerPromotion = { ...promotion, serviceCenterId: 'center-1' };
+      const bikePromotion = {
+        ...promotion,
+        promotionId: 'promo-2',
+        vehicleType: 'BIKE',
+      };
+      prisma.promotion.findMany.mockResolvedValue([
+        centerPromotion,
+        bikePromotion,
+      ]);
+      prisma.serviceCategory.findMany.mockResolvedValue([
+        { serviceCategoryId: 'category-1', vehicleType: 'CAR' },
+        { serviceCategoryId: 'category-2', vehicleType: 'BIKE' },
+      ]);
+
+      const result = await promotionService.getPromotionsForOfferings([
+        offering,
+        otherOffering,
+      ]);
+
+      expect(result).toEqual([[centerPromotion], [bikePromotion]]);
+    });
+
+    it('should not query anything without offerings', async () => {
+      await expect(
+        promotionService.getPromotionsForOfferings([]),
+      ).resolves.toEqual([]);
+      expect(prisma.promotion.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolvePromotions', () => {
+    const stackable = {
+      ...promotion,
+      promotionId: 'stack-1',
+      discountPercentage: '10.00',
+      isStackable: true,
+    };
+    const stackableAmount = {
+      ...promotion,
+      promotionId: 'stack-2',
+      discountPercentage: null,
+      discountAbsolute: '50.00',
+      isStackable: true,
+    };
+
+    it('should return null when no promotion runs', () => {
+      expect(promotionService.resolvePromotions([], 1000)).toBeNull();
+    });
+
+    it('should apply stackable promotions one after the other', () => {
+      const result = promotionService.resolvePromotions(
+        [stackable, stackableAmount],
+        1000,
+      );
+
+      expect(result.applied.map(({ amount }) => amount)).toEqual([100, 50]);
+      expect(result.amount).toBe(150);
+      expect(result.price).toBe(850);
+    });
+
+    it('should pick an exclusive promotion when it beats the stacked ones', () => {
+      const exclusive = {
+        ...promotion,
+        promotionId: 'exclusive',
+        discountPercentage: '20.00',
+      };
+
+      const result = promotionService.resolvePromotions(
+        [stackable, exclusive, stackableAmount],
+        1000,
+      );
+
+      expect(result.applied).toEqual([
+        expect.objectContaining({ promotionId: 'exclusive', amount: 200 }),
+      ]);
+      expect(result.price).toBe(800);
+    });
+
+    it('should prefer the higher priority option on a tie', () => {
+      const exclusive = {
+        ...promotion,
+        promotionId: 'exclusive',
+        discountPercentage: null,
+        discountAbsolute: '150.00',
+      };
+
+      const result = promotionService.resolvePromotions(
+        [stackable, exclusive, stackableAmount],
+        1000,
+      );
+
+      expect(result.applied.map(({ promotionId }) => promotionId)).toEqual([
+        'stack-1',
+        'stack-2',
+      ]);
+    });
+
+    it('should never discount more than the price', () => {
+      const result = promotionService.resolvePromotions(
+        [{ ...stackableAmount, discountAbsolute: '80.00' }],
+        60,
+      );
+
+      expect(result.amount).toBe(60);
+      expect(result.price).toBe(0);
+    });
+  });
+});
@@ -32,6 +32,12 @@ jest.mock('../../utils/apiFeatures', () => {
     paginate() {
       return this;
     }
+    isCursorPagination() {
+      return false;
+    }
+    wantsCount() {
+      return true;
+    }
   };
 });
 
@@ -65,6 +71,7 @@ describe('serviceCategoryService', () => {
       expect(axios.post).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/categories',
         categoryData,
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toEqual({
         serviceCategoryId: 'test-id',
@@ -242,6 +249,7 @@ describe('serviceCategoryService', () => {
       expect(axios.patch).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/categories/test-id',
         updateData,
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toEqual({
         serviceCategoryId: 'test-id',
@@ -279,6 +287,7 @@ describe('serviceCategoryService', () => {
 
       expect(axios.delete).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/categories/test-id',
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toBe(true);
       expect(logger.info).toHaveBeenCalled();
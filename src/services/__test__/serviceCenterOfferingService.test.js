@@ -0,0 +1,1174 @@
+// src/services/__test__/serviceCenterOfferingService.test.js
+const serviceCenterOfferingService = require('../serviceCenterOfferingService');
+const prisma = require('../../models/index');
+const axios = require('axios');
+const serviceTypeService = require('../serviceTypeService');
+
+// Mock dependencies
+jest.mock('axios');
+jest.mock('../serviceTypeService');
+jest.mock('../../models/index', () => ({
+  $queryRaw: jest.fn(),
+  serviceCenterOffering: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
+  serviceTypeComponent: {
+    findMany: jest.fn(),
+  },
+  serviceCategory: {
+    findMany: jest.fn(),
+  },
+  promotion: {
+    findMany: jest.fn(),
+  },
+  taxRule: {
+    findMany: jest.fn(),
+  },
+  vehicleBrandServiceOffering: {
+    findMany: jest.fn(),
+  },
+  brand: {
+    findUnique: jest.fn(),
+  },
+  model: {
+    findUnique: jest.fn(),
+  },
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('serviceCenterOfferingService', () => {
+  const baseOffering = {
+    serviceCenterOfferingId: 'offering-id',
+    serviceCenterId: 'center-id',
+    serviceTypeId: 'type-id',
+    basePrice: '1000.00',
+    discountPercentage: '10.00',
+    discountValidUntil: null,
+    availablePriorities: ['NORMAL', 'EXPRESS'],
+    priorityPrices: { EXPRESS: 200 },
+    hasEmergencyService: true,
+    emergencyServiceFee: '150.50',
+  };
+
+  // Tax of baseOffering when no tax rule is in effect
+  const noTax = {
+    taxableAmount: 900,
+    lines: [],
+    amount: 0,
+    totalInclusiveOfTax: 900,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    serviceTypeService.withDurationRollups.mockImplementation(
+      async (records) => records,
+    );
+    prisma.promotion.findMany.mockResolvedValue([]);
+    prisma.taxRule.findMany.mockResolvedValue([]);
+  });
+
+  describe('getServiceCenterOfferings', () => {
+    const offerings = [
+      { ...baseOffering, serviceCenterOfferingId: 'o1' },
+      { ...baseOffering, serviceCenterOfferingId: 'o2' },
+      { ...baseOffering, serviceCenterOfferingId: 'o3' },
+    ];
+
+    it('should page with cursors without counting by default', async () => {
+      prisma.serviceCenterOffering.findMany.mockResolvedValue(offerings);
+
+      const result =
+        await serviceCenterOfferingService.getServiceCenterOfferings(
+          'center-id',
+          { cursor: '', sort: 'basePrice', limit: '2' },
+        );
+
+      expect(prisma.serviceCenterOffering.count).not.toHaveBeenCalled();
+      expect(prisma.serviceCenterOffering.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { serviceCenterId: 'center-id' },
+          orderBy: [{ basePrice: 'asc' }, { serviceCenterOfferingId: 'asc' }],
+          take: 3,
+        }),
+      );
+      expect(result.data).toEqual(
+        offerings
+          .slice(0, 2)
+          .map((offering) => ({ ...offering, promotion: null, tax: noTax })),
+      );
+      expect(result.pagination).toMatchObject({
+        limit: 2,
+        hasNextPage: true,
+        hasPrevPage: false,
+        prevCursor: null,
+      });
+    });
+
+    it('should continue after a cursor and count on request', async () => {
+      prisma.serviceCenterOffering.findMany.mockResolvedValue(offerings);
+      const { pagination } =
+        await serviceCenterOfferingService.getServiceCenterOfferings(
+          'center-id',
+          { cursor: '', limit: '2' },
+        );
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([offerings[2]]);
+      prisma.serviceCenterOffering.count.mockResolvedValue(3);
+
+      const result =
+        await serviceCenterOfferingService.getServiceCenterOfferings(
+          'center-id',
+          { after: pagination.nextCursor, limit: '2', count: 'true' },
+        );
+
+      const { where } = prisma.serviceCenterOffering.findMany.mock.calls[1][0];
+      expect(where.AND[0]).toEqual({ serviceCenterId: 'center-id' });
+      expect(where.AND[1].OR).toHaveLength(2);
+      expect(result.pagination).toMatchObject({
+        total: 3,
+        hasNextPage: false,
+        hasPrevPage: true,
+        nextCursor: null,
+      });
+    });
+
+    it('should reject an invalid cursor', async () => {
+      await expect(
+        serviceCenterOfferingService.getServiceCenterOfferings('center-id', {
+          after: 'bogus',
+        }),
+      ).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_CURSOR' });
+      expect(prisma.serviceCenterOffering.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should include the available additional features', async () => {
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([]);
+
+      await serviceCenterOfferingService.getServiceCenterOfferings('center-id');
+
+      const { include } =
+        prisma.serviceCenterOffering.findMany.mock.calls[0][0];
+      expect(include.additionalFeatures).toEqual({
+        where: { isAvailable: true },
+        orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+      });
+    });
+  });
+
+  describe('duration roll-ups', () => {
+    const durationRollup = {
+      declaredDuration: 60,
+      componentDuration: 60,
+      componentCount: 3,
+      threshold: 15,
+      isMismatched: false,
+    };
+
+    beforeEach(() => {
+      serviceTypeService.withDurationRollups.mockImplementation(
+        async (records) =>
+          records.map((record) => ({ ...record, durationRollup })),
+      );
+    });
+
+    it('should add the duration roll-up of their service type to offerings', async () => {
+      prisma.serviceCenterOffering.count.mockResolvedValue(1);
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([baseOffering]);
+
+      const result =
+        await serviceCenterOfferingService.getServiceCenterOfferings(
+          'center-id',
+        );
+
+      expect(result.data).toEqual([
+        {
+          ...baseOffering,
+          durationRollup: {
+            ...durationRollup,
+            timeToComplete: null,
+            timeToCompleteDifference: null,
+            isTimeToCompleteMismatched: false,
+          },
+          promotion: null,
+          tax: noTax,
+        },
+      ]);
+    });
+
+    it('should compare the timeToComplete of an offering read by ID with its roll-up', async () => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue({
+        ...baseOffering,
+        serviceCenterOfferingId: 'slow-offering',
+        timeToComplete: 90,
+      });
+
+      const offering =
+        await serviceCenterOfferingService.getServiceCenterOffering(
+          'center-id',
+          'slow-offering',
+        );
+
+      expect(serviceTypeService.withDurationRollups).toHaveBeenCalledTimes(1);
+      expect(offering.durationRollup).toEqual({
+        ...durationRollup,
+        timeToComplete: 90,
+        timeToCompleteDifference: 30,
+        isTimeToCompleteMismatched: true,
+      });
+    });
+
+    it('should not flag an offering within the threshold', async () => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue({
+        ...baseOffering,
+        serviceCenterOfferingId: 'quick-offering',
+        timeToComplete: 50,
+      });
+
+      const offering =
+        await serviceCenterOfferingService.getServiceCenterOffering(
+          'center-id',
+          'quick-offering',
+        );
+
+      expect(offering.durationRollup).toMatchObject({
+        timeToCompleteDifference: -10,
+        isTimeToCompleteMismatched: false,
+      });
+    });
+  });
+
+  describe('withPromotions', () => {
+    const promotion = {
+      promotionId: 'promo-1',
+      name: 'Monsoon Sale',
+      discountPercentage: '20.00',
+      discountAbsolute: null,
+      serviceCenterId: null,
+      serviceTypeId: 'type-id',
+      categoryId: null,
+      vehicleType: null,
+      isStackable: false,
+      priority: 0,
+      endDate: new Date('2026-11-01T00:00:00Z'),
+    };
+
+    it('should apply running promotions to the discounted base price', async () => {
+      prisma.promotion.findMany.mockResolvedValue([promotion]);
+      const now = new Date('2026-10-19T00:00:00Z');
+
+      const [offering] = await serviceCenterOfferingService.withPromotions(
+        [baseOffering],
+        now,
+      );
+
+      const { where } = prisma.promotion.findMany.mock.calls[0][0];
+      expect(where).toMatchObject({
+        isActive: true,
+        startDate: { lte: now },
+        endDate: { gte: now },
+      });
+      // 20% of the 900 left after the offering's own 10% discount
+      expect(offering.promotion).toEqual({
+        applied: [
+          {
+            promotionId: 'promo-1',
+            name: 'Monsoon Sale',
+            discountPercentage: 20,
+            discountAbsolute: null,
+            isStackable: false,
+            endDate: promotion.endDate,
+            amount: 180,
+          },
+        ],
+        amount: 180,
+        price: 720,
+      });
+    });
+
+    it('should leave offerings read without their base price unchanged', async () => {
+      const withoutPrice = { ...baseOffering, basePrice: undefined };
+
+      const offerings = await serviceCenterOfferingService.withPromotions([
+        withoutPrice,
+      ]);
+
+      expect(offerings).toEqual([withoutPrice]);
+    });
+
+    it('should apply promotions to a single offering read through the cache', async () => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue({
+        ...baseOffering,
+        serviceCenterOfferingId: 'promoted-offering',
+      });
+      prisma.promotion.findMany.mockResolvedValue([promotion]);
+
+      const offering =
+        await serviceCenterOfferingService.getServiceCenterOffering(
+          'center-id',
+          'promoted-offering',
+        );
+
+      expect(offering.promotion.amount).toBe(180);
+    });
+  });
+
+  describe('withVehiclePricing', () => {
+    const vehicle = {
+      vehicleId: null,
+      brandId: 'brand-id',
+      modelId: 'model-id',
+      manufactureYear: null,
+      fuelType: null,
+    };
+    const override = {
+      vehicleBrandServiceOfferingId: 'pricing-id',
+      offeringId: 'offering-id',
+      brandId: 'brand-id',
+      modelId: 'model-id',
+      manufactureYearStart: null,
+      manufactureYearEnd: null,
+      fuelType: null,
+      status: 'ACTIVE',
+      price: '1500.00',
+      discountPercentage: null,
+      timeToComplete: 90,
+    };
+
+    it('should price offerings with the override for the vehicle', async () => {
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([override]);
+
+      const [offering] = await serviceCenterOfferingService.withVehiclePricing(
+        [baseOffering],
+        vehicle,
+      );
+
+      // The offering's own 10% discount still applies to the override price
+      expect(offering.vehiclePricing).toEqual({
+        vehicle,
+        override,
+        basePrice: 1500,
+        discountPercentage: 10,
+        timeToComplete: 90,
+        price: 1350,
+      });
+      expect(offering.basePrice).toBe('1000.00');
+    });
+
+    it('should fall back to the offering pricing without an override', async () => {
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([]);
+
+      const [offering] = await serviceCenterOfferingService.withVehiclePricing(
+        [baseOffering],
+        vehicle,
+      );
+
+      expect(offering.vehiclePricing).toMatchObject({
+        override: null,
+        basePrice: 1000,
+        price: 900,
+      });
+    });
+
+    it('should leave offerings unchanged without a vehicle', async () => {
+      const offerings = await serviceCenterOfferingService.withVehiclePricing(
+        [baseOffering],
+        null,
+      );
+
+      expect(offerings).toEqual([baseOffering]);
+      expect(
+        prisma.vehicleBrandServiceOffering.findMany,
+      ).not.toHaveBeenCalled();
+    });
+
+    it('should price offering lists for the model in the query', async () => {
+      prisma.model.findUnique.mockResolvedValue({
+        id: 'model-id',
+        brandId: 'brand-id',
+      });
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([baseOffering]);
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([override]);
+
+      const result =
+        await serviceCenterOfferingService.getServiceCenterOfferings(
+          'center-id',
+          { modelId: 'model-id' },
+        );
+
+      // The vehicle selects the pricing, it does not filter the offerings
+      expect(prisma.serviceCenterOffering.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { serviceCenterId: 'center-id' } }),
+      );
+      expect(result.data[0].vehiclePricing.price).toBe(1350);
+    });
+
+    it('should apply promotions and quotes to the vehicle price', async () => {
+      prisma.brand.findUnique.mockResolvedValue({ id: 'brand-id' });
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue({
+        ...baseOffering,
+        serviceCenterOfferingId: 'vehicle-priced-offering',
+      });
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([
+        {
+          ...override,
+          offeringId: 'vehicle-priced-offering',
+          modelId: null,
+        },
+      ]);
+      prisma.promotion.findMany.mockResolvedValue([
+        {
+          promotionId: 'promo-1',
+          name: 'Flat Off',
+          discountPercentage: null,
+          discountAbsolute: '100.00',
+          serviceCenterId: null,
+          serviceTypeId: null,
+          categoryId: null,
+          vehicleType: null,
+          isStackable: false,
+          priority: 0,
+          endDate: new Date('2099-01-01T00:00:00Z'),
+        },
+      ]);
+
+      const quote =
+        await serviceCenterOfferingService.getServiceCenterOfferingQuote(
+          'center-id',
+          'vehicle-priced-offering',
+          { brandId: 'brand-id' },
+        );
+
+      expect(quote.breakdown.basePrice).toBe(1500);
+      expect(quote.breakdown.discount.amount).toBe(150);
+      expect(quote.breakdown.promotion.amount).toBe(100);
+      expect(quote.total).toBe(1250);
+      expect(quote.vehiclePricing.override.vehicleBrandServiceOfferingId).toBe(
+        'pricing-id',
+      );
+    });
+  });
+
+  describe('withTaxes', () => {
+    const cgst = {
+      taxRuleId: 'cgst-id',
+      name: 'CGST',
+      rate: '9.00',
+      categoryId: null,
+      serviceTypeId: null,
+    };
+    const sgst = { ...cgst, taxRuleId: 'sgst-id', name: 'SGST' };
+
+    it('should charge tax on the price after the discount and promotion', async () => {
+      prisma.taxRule.findMany.mockResolvedValue([sgst, cgst]);
+
+      const [offering] = await serviceCenterOfferingService.withTaxes([
+        {
+          ...baseOffering,
+          promotion: { applied: [], amount: 0, price: 855.55 },
+        },
+      ]);
+
+      // 9% of 855.55 is 76.9995, rounded per line
+      expect(offering.tax).toEqual({
+        taxableAmount: 855.55,
+        lines: [
+          { taxRuleId: 'cgst-id', name: 'CGST', rate: 9, amount: 77 },
+          { taxRuleId: 'sgst-id', name: 'SGST', rate: 9, amount: 77 },
+        ],
+        amount: 154,
+        totalInclusiveOfTax: 1009.55,
+      });
+    });
+
+    it('should add tax lines and the tax-inclusive total to quotes', async () => {
+      prisma.taxRule.findMany.mockResolvedValue([cgst, sgst]);
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue({
+        ...baseOffering,
+        serviceCenterOfferingId: 'taxed-offering',
+      });
+
+      const quote =
+        await serviceCenterOfferingService.getServiceCenterOfferingQuote(
+          'center-id',
+          'taxed-offering',
+          { priority: 'EXPRESS' },
+        );
+
+      // Tax is charged on the 1100 total, surcharge included
+      expect(quote.total).toBe(1100);
+      expect(quote.breakdown.tax).toEqual({
+        lines: [
+          { taxRuleId: 'cgst-id', name: 'CGST', rate: 9, amount: 99 },
+          { taxRuleId: 'sgst-id', name: 'SGST', rate: 9, amount: 99 },
+        ],
+        amount: 198,
+      });
+      expect(quote.totalInclusiveOfTax).toBe(1298);
+    });
+  });
+
+  describe('calculateOfferingPrice', () => {
+    it('should apply an open-ended discount to the base price', () => {
+      const quote =
+        serviceCenterOfferingService.calculateOfferingPrice(baseOffering);
+
+      expect(quote.breakdown).toEqual({
+        basePrice: 1000,
+        discount: { percentage: 10, amount: 100, validUntil: null },
+        prioritySurcharge: 0,
+        emergencyFee: 0,
+      });
+      expect(quote.total).toBe(900);
+    });
+
+    it('should take the promotion of the offering off the total', () => {
+      const applied = [{ promotionId: 'promo-1', amount: 50 }];
+      const quote = serviceCenterOfferingService.calculateOfferingPrice({
+        ...baseOffering,
+        promotion: { applied, amount: 50, price: 850 },
+      });
+
+      expect(quote.breakdown.promotion).toEqual({ applied, amount: 50 });
+      expect(quote.total).toBe(850);
+    });
+
+    it('should ignore a discount that has expired', () => {
+      const quote = serviceCenterOfferingService.calculateOfferingPrice(
+        { ...baseOffering, discountValidUntil: '2025-01-01T00:00:00Z' },
+        { now: new Date('2025-02-01T00:00:00Z') },
+      );
+
+      expect(quote.breakdown.discount.amount).toBe(0);
+      expect(quote.total).toBe(1000);
+    });
+
+    it('should add priority surcharge and emergency fee', () => {
+      const quote = serviceCenterOfferingService.calculateOfferingPrice(
+        baseOffering,
+        { priority: 'EXPRESS', emergency: true },
+      );
+
+      expect(quote.breakdown.prioritySurcharge).toBe(200);
+      expect(quote.breakdown.emergencyFee).toBe(150.5);
+      expect(quote.total).toBe(1250.5);
+    });
+
+    it('should reject a priority the offering does not support', () => {
+      expect(() =>
+        serviceCenterOfferingService.calculateOfferingPrice(baseOffering, {
+          priority: 'PREMIUM',
+        }),
+      ).toThrow('Priority PREMIUM is not available for this offering');
+    });
+
+    it('should reject emergency requests when emergency service is unavailable', () => {
+      expect(() =>
+        serviceCenterOfferingService.calculateOfferingPrice(
+          { ...baseOffering, hasEmergencyService: false },
+          { emergency: true },
+        ),
+      ).toThrow('Emergency service is not available for this offering');
+    });
+  });
+
+  describe('getServiceCenterOfferingQuote', () => {
+    it('should quote the offering fetched from the database', async () => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue(baseOffering);
+
+      const quote =
+        await serviceCenterOfferingService.getServiceCenterOfferingQuote(
+          'center-id',
+          'offering-id',
+          { priority: 'EXPRESS', emergency: false },
+        );
+
+      expect(prisma.serviceCenterOffering.findUnique).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            serviceCenterOfferingId: 'offering-id',
+            serviceCenterId: 'center-id',
+          },
+        }),
+      );
+      expect(quote.total).toBe(1100);
+    });
+
+    it('should add the emergency fee for the emergency flag the validator converted', async () => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue(baseOffering);
+
+      const quote =
+        await serviceCenterOfferingService.getServiceCenterOfferingQuote(
+          'center-id',
+          'offering-id',
+          { emergency: true },
+        );
+
+      expect(quote.breakdown.emergencyFee).toBe(150.5);
+    });
+
+    it('should throw a not found error when the offering does not exist', async () => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue(null);
+
+      await expect(
+        serviceCenterOfferingService.getServiceCenterOfferingQuote(
+          'center-id',
+          'missing-id',
+        ),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getServiceCenterOfferingWithComponents', () => {
+    it('should separate the included components from the paid add-ons', async () => {
+      const included = {
+        serviceTypeComponentId: 'link-1',
+        isDefault: true,
+        isRequired: true,
+        additionalPrice: null,
+      };
+      const addOn = {
+        serviceTypeComponentId: 'link-2',
+        isDefault: false,
+        isRequired: false,
+        additionalPrice: '250.00',
+      };
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue(baseOffering);
+      serviceTypeService.getComponentsByTypeId.mockResolvedValue({
+        data: [included, addOn],
+        meta: { total: 2 },
+      });
+
+      const result =
+        await serviceCenterOfferingService.getServiceCenterOfferingWithComponents(
+          'center-id',
+          'offering-id',
+        );
+
+      expect(serviceTypeService.getComponentsByTypeId).toHaveBeenCalledWith(
+        'type-id',
+        {},
+      );
+      expect(result.components).toEqual([included, addOn]);
+      expect(result.includedComponents).toEqual([included]);
+      expect(result.addOns).toEqual([addOn]);
+    });
+  });
+
+  describe('configureServiceCenterOffering', () => {
+    const link = (serviceComponentId, options, component) => ({
+      serviceComponentId,
+      isDefault: true,
+      isRequired: false,
+      additionalPrice: null,
+      ...options,
+      serviceComponent: {
+        serviceComponentId,
+        name: serviceComponentId,
+        cost: '0.00',
+        estimatedDuration: null,
+        ...component,
+      },
+    });
+    const typeComponents = [
+      link(
+        'oil',
+        { isRequired: true },
+        { cost: '300.00', estimatedDuration: 20 },
+      ),
+      link('filter', {}, { cost: '100.00', estimatedDuration: 10 }),
+      link(
+        'flush',
+        { isDefault: false, additionalPrice: '250.00' },
+        { cost: '400.00', estimatedDuration: 30 },
+      ),
+      link(
+        'wash',
+        { isDefault: false },
+        { cost: '99.99', estimatedDuration: 15 },
+      ),
+    ];
+
+    beforeEach(() => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue({
+        ...baseOffering,
+        timeToComplete: 60,
+      });
+      prisma.serviceTypeComponent.findMany.mockResolvedValue(typeComponents);
+    });
+
+    it('should add the selected add-ons to the price and duration', async () => {
+      const result =
+        await serviceCenterOfferingService.configureServiceCenterOffering(
+          'center-id',
+          'offering-id',
+          { componentIds: ['oil', 'flush', 'wash', 'wash'] },
+        );
+
+      expect(prisma.serviceTypeComponent.findMany).toHaveBeenCalledWith({
+        where: { serviceTypeId: 'type-id' },
+        include: { serviceComponent: true },
+      });
+      expect(result.components.included.map(({ name }) => name)).toEqual([
+        'oil',
+      ]);
+      expect(result.components.addOns).toEqual([
+        expect.objectContaining({ serviceComponentId: 'flush', price: 250 }),
+        expect.objectContaining({ serviceComponentId: 'wash', price: 99.99 }),
+      ]);
+      // 1000 base price - 10% discount + 349.99 of add-ons
+      expect(result.breakdown.addOns).toBe(349.99);
+      expect(result.total).toBe(1249.99);
+      expect(result.estimatedDuration).toEqual({
+        base: 60,
+        addOns: 45,
+        total: 105,
+      });
+    });
+
+    it('should charge tax on the total with the add-ons', async () => {
+      prisma.taxRule.findMany.mockResolvedValue([
+        {
+          taxRuleId: 'gst-id',
+          name: 'GST',
+          rate: '18.00',
+          categoryId: null,
+          serviceTypeId: null,
+        },
+      ]);
+
+      const result =
+        await serviceCenterOfferingService.configureServiceCenterOffering(
+          'center-id',
+          'offering-id',
+          { componentIds: ['oil', 'flush', 'wash'] },
+        );
+
+      // 18% of 1249.99 is 224.9982
+      expect(result.breakdown.tax.amount).toBe(225);
+      expect(result.totalInclusiveOfTax).toBe(1474.99);
+    });
+
+    it('should fall back to the service type duration', async () => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue({
+        ...baseOffering,
+        timeToComplete: null,
+        serviceType: { estimatedDuration: 90 },
+      });
+
+      const result =
+        await serviceCenterOfferingService.configureServiceCenterOffering(
+          'center-id',
+          'offering-id',
+          { componentIds: ['oil'] },
+        );
+
+      expect(result.estimatedDuration).toEqual({
+        base: 90,
+        addOns: 0,
+        total: 90,
+      });
+      expect(result.total).toBe(900);
+    });
+
+    it('should reject components that are not linked to the type', async () => {
+      await expect(
+        serviceCenterOfferingService.configureServiceCenterOffering(
+          'center-id',
+          'offering-id',
+          { componentIds: ['oil', 'tyres'] },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'COMPONENT_NOT_IN_SERVICE_TYPE',
+        details: { componentIds: ['tyres'] },
+      });
+    });
+
+    it('should reject a selection without the required components', async () => {
+      await expect(
+        serviceCenterOfferingService.configureServiceCenterOffering(
+          'center-id',
+          'offering-id',
+          { componentIds: ['filter'] },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'REQUIRED_COMPONENTS_MISSING',
+        details: { componentIds: ['oil'] },
+      });
+    });
+
+    it('should throw a not found error when the offering does not exist', async () => {
+      prisma.serviceCenterOffering.findUnique.mockResolvedValue(null);
+
+      await expect(
+        serviceCenterOfferingService.configureServiceCenterOffering(
+          'center-id',
+          'missing-id',
+          { componentIds: [] },
+        ),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('searchServiceCenterOfferings', () => {
+    it('should require a service type or category', async () => {
+      await expect(
+        serviceCenterOfferingService.searchServiceCenterOfferings({}),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma.serviceCenterOffering.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should build filters for category, price, emergency and rating', async () => {
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([]);
+      prisma.serviceCenterOffering.count.mockResolvedValue(0);
+
+      await serviceCenterOfferingService.searchServiceCenterOfferings({
+        categoryId: 'category-id',
+        minPrice: '100',
+        maxPrice: '500',
+        hasEmergencyService: 'true',
+        status: 'ACTIVE',
+        minRating: '4',
+      });
+
+      expect(prisma.serviceCenterOffering.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            serviceType: { categoryId: 'category-id' },
+            basePrice: { gte: 100, lte: 500 },
+            hasEmergencyService: true,
+            status: 'ACTIVE',
+            rating: { gte: 4 },
+          },
+        }),
+      );
+    });
+
+    it('should page by base price in the query without a location', async () => {
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([baseOffering]);
+      prisma.serviceCenterOffering.count.mockResolvedValue(21);
+
+      const result =
+        await serviceCenterOfferingService.searchServiceCenterOfferings({
+          serviceTypeId: 'type-id',
+          page: '3',
+          limit: '10',
+        });
+
+      expect(prisma.serviceCenterOffering.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { serviceTypeId: 'type-id' },
+          orderBy: [{ basePrice: 'asc' }],
+          skip: 20,
+          take: 10,
+        }),
+      );
+      expect(prisma.$queryRaw).not.toHaveBeenCalled();
+      expect(result.data).toEqual([
+        { ...baseOffering, distanceKm: null, promotion: null, tax: noTax },
+      ]);
+      expect(result.meta).toMatchObject({
+        total: 21,
+        page: 3,
+        totalPages: 3,
+        hasNextPage: false,
+      });
+    });
+
+    it('should load the nearest page from the database in distance order', async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { total: 12n, serviceCenterOfferingId: 'nearest', distanceKm: 0.1234 },
+        { total: 12n, serviceCenterOfferingId: 'near', distanceKm: 1.5 },
+      ]);
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([
+        { serviceCenterOfferingId: 'near' },
+        { serviceCenterOfferingId: 'nearest' },
+      ]);
+
+      const result =
+        await serviceCenterOfferingService.searchServiceCenterOfferings({
+          serviceTypeId: 'type-id',
+          latitude: '12.9716',
+          longitude: '77.5946',
+          radius: '50',
+          page: '2',
+          limit: '2',
+        });
+
+      const [strings, ...values] = prisma.$queryRaw.mock.calls[0];
+      expect(strings.join('?')).toContain('LIMIT ? OFFSET ?');
+      expect(values.slice(-2)).toEqual([2, 2]);
+      expect(prisma.serviceCenterOffering.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { serviceCenterOfferingId: { in: ['nearest', 'near'] } },
+        }),
+      );
+      expect(result.data).toEqual([
+        { serviceCenterOfferingId: 'nearest', distanceKm: 0.12 },
+        { serviceCenterOfferingId: 'near', distanceKm: 1.5 },
+      ]);
+      expect(result.meta).toMatchObject({ total: 12, totalPages: 6 });
+    });
+
+    it('should report the total past the last page', async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { total: 3n, serviceCenterOfferingId: null, distanceKm: null },
+      ]);
+
+      const result =
+        await serviceCenterOfferingService.searchServiceCenterOfferings({
+          categoryId: 'category-id',
+          latitude: '12.9716',
+          longitude: '77.5946',
+          page: '5',
+        });
+
+      expect(prisma.serviceCenterOffering.findMany).not.toHaveBeenCalled();
+      expect(result.data).toEqual([]);
+      expect(result.meta.total).toBe(3);
+    });
+
+    it('should reject a radius without a location', async () => {
+      await expect(
+        serviceCenterOfferingService.searchServiceCenterOfferings({
+          serviceTypeId: 'type-id',
+          radius: '10',
+        }),
+      ).rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+      expect(prisma.serviceCenterOffering.findMany).not.toHaveBeenCalled();
+      expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    });
+
+    it('should price the offerings found like an offering read by ID', async () => {
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([baseOffering]);
+      prisma.serviceCenterOffering.count.mockResolvedValue(1);
+      prisma.promotion.findMany.mockResolvedValue([
+        {
+          promotionId: 'promo-1',
+          name: 'Monsoon Sale',
+          discountPercentage: '20.00',
+          discountAbsolute: null,
+          serviceCenterId: null,
+          serviceTypeId: 'type-id',
+          categoryId: null,
+          vehicleType: null,
+          isStackable: false,
+          priority: 0,
+          endDate: new Date('2026-11-01T00:00:00Z'),
+        },
+      ]);
+
+      const result =
+        await serviceCenterOfferingService.searchServiceCenterOfferings({
+          serviceTypeId: 'type-id',
+        });
+
+      expect(result.data[0].promotion.amount).toBe(180);
+      expect(result.data[0].tax.taxableAmount).toBe(720);
+    });
+  });
+
+  describe('bulkUpsertServiceCenterOfferings', () => {
+    const req = {
+      requestId: 'request-id',
+      headers: { authorization: 'Bearer token', 'idempotency-key': 'bulk-1' },
+    };
+    const existing = {
+      ...baseOffering,
+      serviceTypeId: 'type-existing',
+      serviceCenterOfferingId: 'existing-id',
+    };
+
+    beforeEach(() => {
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([existing]);
+    });
+
+    it('should create new offerings and update existing ones by service type', async () => {
+      axios.post.mockResolvedValue({
+        data: { data: { serviceCenterOfferingId: 'new-id' } },
+      });
+      axios.patch.mockResolvedValue({
+        data: { data: { serviceCenterOfferingId: 'existing-id' } },
+      });
+
+      const result =
+        await serviceCenterOfferingService.bulkUpsertServiceCenterOfferings(
+          'center-id',
+          [
+            { serviceTypeId: 'type-new', basePrice: 100 },
+            { serviceTypeId: 'type-existing', basePrice: 200 },
+          ],
+          {},
+          req,
+        );
+
+      expect(result.summary).toEqual({
+        total: 2,
+        created: 1,
+        updated: 1,
+        failed: 0,
+      });
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/service-centers/center-id/offerings'),
+        { serviceTypeId: 'type-new', basePrice: 100 },
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            'Idempotency-Key': 'bulk-1:item-0',
+          }),
+        }),
+      );
+      expect(axios.patch).toHaveBeenCalledWith(
+        expect.stringContaining('/offerings/existing-id'),
+        { basePrice: 200 },
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            'Idempotency-Key': 'bulk-1:item-1',
+          }),
+        }),
+      );
+    });
+
+    it('should report invalid and duplicate items as failed and write the rest', async () => {
+      axios.post.mockResolvedValue({
+        data: { data: { serviceCenterOfferingId: 'new-id' } },
+      });
+
+      const result =
+        await serviceCenterOfferingService.bulkUpsertServiceCenterOfferings(
+          'center-id',
+          [
+            { serviceTypeId: 'type-new' },
+            { serviceTypeId: 'type-new' },
+            { basePrice: -1 },
+          ],
+          {
+            validationErrors: [
+              null,
+              null,
+              { serviceTypeId: 'Service Type ID is required' },
+            ],
+          },
+          req,
+        );
+
+      expect(result.results.map((item) => item.status)).toEqual([
+        'created',
+        'failed',
+        'failed',
+      ]);
+      expect(result.results[2].errors).toEqual({
+        serviceTypeId: 'Service Type ID is required',
+      });
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject the whole batch before writing in all-or-nothing mode', async () => {
+      await expect(
+        serviceCenterOfferingService.bulkUpsertServiceCenterOfferings(
+          'center-id',
+          [{ serviceTypeId: 'type-new' }, {}],
+          {
+            allOrNothing: true,
+            validationErrors: [null, { serviceTypeId: 'required' }],
+          },
+          req,
+        ),
+      ).rejects.toMatchObject({ statusCode: 422 });
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    it('should roll back applied writes when an item fails in all-or-nothing mode', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { data: { serviceCenterOfferingId: 'new-id' } },
+      });
+      axios.patch
+        .mockRejectedValueOnce({
+          message: 'Bad request',
+          response: { status: 400, data: { message: 'Bad request' } },
+        })
+        .mockResolvedValue({ data: { data: {} } });
+      axios.delete.mockResolvedValue({ data: {} });
+
+      let thrown;
+      try {
+        await serviceCenterOfferingService.bulkUpsertServiceCenterOfferings(
+          'center-id',
+          [
+            { serviceTypeId: 'type-new', basePrice: 100 },
+            { serviceTypeId: 'type-existing', basePrice: 200 },
+          ],
+          { allOrNothing: true },
+          req,
+        );
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown.code).toBe('BULK_UPSERT_ROLLED_BACK');
+      expect(thrown.details.results.map((item) => item.status)).toEqual([
+        'rolled_back',
+        'failed',
+      ]);
+      expect(axios.delete).toHaveBeenCalledWith(
+        expect.stringContaining('/offerings/new-id'),
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            'Idempotency-Key': 'bulk-1:rollback-0',
+          }),
+        }),
+      );
+    });
+
+    it('should report the items whose rollback failed as still applied', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { data: { serviceCenterOfferingId: 'new-id' } },
+      });
+      axios.patch.mockRejectedValueOnce({
+        message: 'Bad request',
+        response: { status: 400, data: { message: 'Bad request' } },
+      });
+      axios.delete.mockRejectedValue({
+        message: 'Not found',
+        response: { status: 404, data: { message: 'Not found' } },
+      });
+
+      let thrown;
+      try {
+        await serviceCenterOfferingService.bulkUpsertServiceCenterOfferings(
+          'center-id',
+          [
+            { serviceTypeId: 'type-new', basePrice: 100 },
+            { serviceTypeId: 'type-existing', basePrice: 200 },
+          ],
+          { allOrNothing: true },
+          req,
+        );
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown.statusCode).toBe(500);
+      expect(thrown.code).toBe('BULK_UPSERT_PARTIALLY_APPLIED');
+      expect(thrown.details.results.map((item) => item.status)).toEqual([
+        'rollback_failed',
+        'failed',
+      ]);
+      expect(thrown.details.notRolledBack).toEqual([
+        {
+          index: 0,
+          serviceTypeId: 'type-new',
+          serviceCenterOfferingId: 'new-id',
+        },
+      ]);
+    });
+  });
+});
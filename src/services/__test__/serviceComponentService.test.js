@@ -13,9 +13,7 @@ jest.mock('../../utils/appError', () => {
   MockAppError.prototype = Object.create(Error.prototype);
   MockAppError.prototype.constructor = MockAppError;
 
-  return {
-    AppError: MockAppError
-  };
+  return MockAppError;
 });
 
 // Create mock functions for error controllers BEFORE requiring the service
@@ -108,6 +106,12 @@ jest.mock('../../utils/apiFeatures', () => {
     paginate() {
       return this;
     }
+    isCursorPagination() {
+      return false;
+    }
+    wantsCount() {
+      return true;
+    }
   };
 });
 
@@ -140,6 +144,7 @@ describe('serviceComponentService', () => {
       expect(axios.post).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/components',
         componentData,
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toEqual({
         serviceComponentId: 'comp-id-123',
@@ -377,7 +382,8 @@ describe('serviceComponentService', () => {
       expect(result).toEqual(updatedComponent);
       expect(axios.patch).toHaveBeenCalledWith(
         `${INJECTION_SERVICE_URL}/api/v1/components/comp-id-123`,
-        updateData
+        updateData,
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(logger.info).toHaveBeenCalled();
     });
@@ -456,6 +462,7 @@ describe('serviceComponentService', () => {
 
       expect(axios.delete).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/components/comp-id-123',
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toBe(true);
       expect(logger.info).toHaveBeenCalled();
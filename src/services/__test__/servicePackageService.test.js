@@ -0,0 +1,364 @@
+// src/services/__test__/servicePackageService.test.js
+const servicePackageService = require('../servicePackageService');
+const prisma = require('../../models/index');
+const axios = require('axios');
+const { publishEvent } = require('../../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../../events/eventTypes');
+
+// Mock dependencies
+jest.mock('axios');
+jest.mock('../../events/eventPublisher');
+jest.mock('../../models/index', () => ({
+  servicePackage: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
+  serviceCenterOffering: {
+    findMany: jest.fn(),
+  },
+  promotion: {
+    findMany: jest.fn(),
+  },
+  taxRule: {
+    findMany: jest.fn(),
+  },
+  vehicleBrandServiceOffering: {
+    findMany: jest.fn(),
+  },
+  brand: {
+    findUnique: jest.fn(),
+  },
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('servicePackageService', () => {
+  const servicePackage = {
+    servicePackageId: 'package-1',
+    name: 'Monsoon Care',
+    packageType: 'ONE_TIME',
+    vehicleType: 'CAR',
+    price: '1500.00',
+    items: [
+      { serviceTypeId: 'type-1', quantity: 1 },
+      { serviceTypeId: 'type-2', quantity: 2 },
+    ],
+    availability: [{ serviceCenterId: 'center-1', price: null }],
+  };
+
+  const offering = (serviceTypeId, basePrice, discount = {}) => ({
+    serviceCenterOfferingId: `offering-${serviceTypeId}`,
+    serviceCenterId: 'center-1',
+    serviceTypeId,
+    basePrice,
+    discountPercentage: null,
+    discountValidUntil: null,
+    serviceType: { serviceTypeId, categoryId: 'category-1' },
+    ...discount,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.promotion.findMany.mockResolvedValue([]);
+    prisma.taxRule.findMany.mockResolvedValue([]);
+  });
+
+  describe('createServicePackage', () => {
+    it('should create the package through the injection service', async () => {
+      const data = {
+        name: 'Monsoon Care',
+        items: [{ serviceTypeId: 'type-1' }],
+      };
+      axios.post.mockResolvedValue({ data: { data: servicePackage } });
+
+      const result = await servicePackageService.createServicePackage(data);
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://localhost:5001/api/v1/packages',
+        data,
+        expect.any(Object),
+      );
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.PACKAGE_CREATED,
+        servicePackage,
+      );
+      expect(result).toEqual(servicePackage);
+    });
+
+    it('should report a duplicate package as a conflict', async () => {
+      axios.post.mockRejectedValue({
+        response: { status: 409, data: { message: 'Package already exists' } },
+      });
+
+      await expect(
+        servicePackageService.createServicePackage({ name: 'Monsoon Care' }),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Package already exists',
+      });
+    });
+  });
+
+  describe('getAllServicePackages', () => {
+    it('should limit packages and their availability to a service center', async () => {
+      prisma.servicePackage.findMany.mockResolvedValue([]);
+      prisma.servicePackage.count.mockResolvedValue(0);
+
+      await servicePackageService.getAllServicePackages({
+        serviceCenterId: 'center-1',
+      });
+
+      const [query] = prisma.servicePackage.findMany.mock.calls[0];
+      expect(query.where).toEqual({
+        availability: { some: { serviceCenterId: 'center-1' } },
+      });
+      expect(query.include.availability.where).toEqual({
+        serviceCenterId: 'center-1',
+      });
+    });
+  });
+
+  describe('getServicePackageById', () => {
+    it('should add the savings at each service center', async () => {
+      prisma.servicePackage.findUnique.mockResolvedValue(servicePackage);
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([
+        offering('type-1', '1000.00', { discountPercentage: '10.00' }),
+        offering('type-2', '400.00'),
+      ]);
+
+      const result =
+        await servicePackageService.getServicePackageById('package-1');
+
+      expect(prisma.serviceCenterOffering.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            serviceCenterId: { in: ['center-1'] },
+            serviceTypeId: { in: ['type-1', 'type-2'] },
+            status: 'ACTIVE',
+          },
+        }),
+      );
+      // 900 after the offering discount, plus two of the 400 offering
+      expect(result.availability[0].savings).toEqual({
+        individualPrice: 1700,
+        individualPriceInclusiveOfTax: 1700,
+        packagePrice: 1500,
+        amount: 200,
+        percentage: 11.76,
+        missingServiceTypeIds: [],
+      });
+    });
+
+    it('should compare with the price of the package at the service center', async () => {
+      prisma.servicePackage.findUnique.mockResolvedValue({
+        ...servicePackage,
+        availability: [{ serviceCenterId: 'center-1', price: '1200.00' }],
+      });
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([
+        offering('type-1', '1000.00'),
+        offering('type-2', '400.00'),
+      ]);
+
+      const result =
+        await servicePackageService.getServicePackageById('package-1');
+
+      expect(result.availability[0].savings).toMatchObject({
+        individualPrice: 1800,
+        packagePrice: 1200,
+        amount: 600,
+      });
+    });
+
+    it('should price the offerings for the vehicle and with tax', async () => {
+      prisma.servicePackage.findUnique.mockResolvedValue(servicePackage);
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([
+        offering('type-1', '1000.00'),
+        offering('type-2', '400.00'),
+      ]);
+      prisma.brand.findUnique.mockResolvedValue({ id: 'brand-1' });
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([
+        {
+          vehicleBrandServiceOfferingId: 'pricing-1',
+          offeringId: 'offering-type-1',
+          brandId: 'brand-1',
+          modelId: null,
+          fuelType: null,
+          manufactureYearStart: null,
+          manufactureYearEnd: null,
+          price: '1200.00',
+          discountPercentage: null,
+          timeToComplete: null,
+        },
+      ]);
+      prisma.taxRule.findMany.mockResolvedValue([
+        {
+          taxRuleId: 'gst',
+          name: 'GST',
+          rate: '18.00',
+          serviceTypeId: null,
+          categoryId: null,
+        },
+      ]);
+
+      const result = await servicePackageService.getServicePackageById(
+        'package-1',
+        { vehicle: { brandId: 'brand-1' } },
+      );
+
+      // 1200 for the brand plus two of the 400 offering, and 18% on top
+      expect(result.availability[0].savings).toMatchObject({
+        individualPrice: 2000,
+        individualPriceInclusiveOfTax: 2360,
+        amount: 500,
+      });
+    });
+
+    it('should list the service types the center does not offer', async () => {
+      prisma.servicePackage.findUnique.mockResolvedValue(servicePackage);
+      prisma.serviceCenterOffering.findMany.mockResolvedValue([
+        offering('type-1', '1000.00'),
+      ]);
+
+      const result =
+        await servicePackageService.getServicePackageById('package-1');
+
+      expect(result.availability[0].savings).toEqual({
+        individualPrice: null,
+        individualPriceInclusiveOfTax: null,
+        packagePrice: 1500,
+        amount: null,
+        percentage: null,
+        missingServiceTypeIds: ['type-2'],
+      });
+    });
+
+    it('should throw a not found error when the package does not exist', async () => {
+      prisma.servicePackage.findUnique.mockResolvedValue(null);
+
+      await expect(
+        servicePackageService.getServicePackageById('package-1'),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('setPackageItem', () => {
+    it('should save the item and publish it', async () => {
+      const item = { packageId: 'package-1', serviceTypeId: 'type-3' };
+      axios.put.mockResolvedValue({ data: { data: item } });
+
+      await servicePackageService.setPackageItem('package-1', 'type-3', {
+        quantity: 2,
+      });
+
+      expect(axios.put).toHaveBeenCalledWith(
+        'http://localhost:5001/api/v1/packages/package-1/items/type-3',
+        { quantity: 2 },
+        expect.any(Object),
+      );
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.PACKAGE_ITEM_SET,
+        item,
+      );
+    });
+  });
+
+  describe('removePackageAvailability', () => {
+    it('should report a package the injection service does not know', async () => {
+      axios.delete.mockRejectedValue({
+        response: { status: 404, data: { message: 'Package not found' } },
+      });
+
+      await expect(
+        servicePackageService.removePackageAvailability(
+          'package-1',
+          'center-1',
+        ),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateServicePackage', () => {
+    it('should reject a usage limit on a stored ONE_TIME package', async () => {
+      prisma.servicePackage.findUnique.mockResolvedValue({
+        packageType: 'ONE_TIME',
+        usageLimit: null,
+      });
+
+      await expect(
+        servicePackageService.updateServicePackage('package-1', {
+          usageLimit: 5,
+        }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    it('should reject a type change that keeps the stored usage limit', async () => {
+      prisma.servicePackage.findUnique.mockResolvedValue({
+        packageType: 'SUBSCRIPTION',
+        usageLimit: 4,
+      });
+
+      await expect(
+        servicePackageService.updateServicePackage('package-1', {
+          packageType: 'ONE_TIME',
+        }),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    it('should forward a type change that clears the usage limit', async () => {
+      const updated = {
+        servicePackageId: 'package-1',
+        packageType: 'ONE_TIME',
+        usageLimit: null,
+      };
+      prisma.servicePackage.findUnique.mockResolvedValue({
+        packageType: 'SUBSCRIPTION',
+        usageLimit: 4,
+      });
+      axios.patch.mockResolvedValue({ data: { data: updated } });
+
+      await expect(
+        servicePackageService.updateServicePackage('package-1', {
+          packageType: 'ONE_TIME',
+          usageLimit: null,
+        }),
+      ).resolves.toEqual(updated);
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.PACKAGE_UPDATED,
+        updated,
+      );
+    });
+
+    it('should not load the package for other fields', async () => {
+      axios.patch.mockResolvedValue({ data: { data: {} } });
+
+      await servicePackageService.updateServicePackage('package-1', {
+        name: 'Monsoon care',
+      });
+
+      expect(prisma.servicePackage.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteServicePackage', () => {
+    it('should delete the package and publish the deletion', async () => {
+      axios.delete.mockResolvedValue({});
+
+      await expect(
+        servicePackageService.deleteServicePackage('package-1'),
+      ).resolves.toBe(true);
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.PACKAGE_DELETED,
+        { servicePackageId: 'package-1' },
+      );
+    });
+  });
+});
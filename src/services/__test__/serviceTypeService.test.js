@@ -34,6 +34,12 @@ jest.mock('../../utils/apiFeatures', () => {
     paginate() {
       return this;
     }
+    isCursorPagination() {
+      return false;
+    }
+    wantsCount() {
+      return true;
+    }
   };
 });
 
@@ -67,6 +73,7 @@ describe('serviceTypeService', () => {
       expect(axios.post).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/types',
         typeData,
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toEqual({
         serviceTypeId: 'type-id-123',
@@ -185,6 +192,7 @@ describe('serviceTypeService', () => {
       expect(axios.patch).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/types/type-id-123',
         updateData,
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toEqual({
         serviceTypeId: 'type-id-123',
@@ -298,6 +306,7 @@ describe('serviceTypeService', () => {
 
       expect(axios.delete).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/types/type-id-123',
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toBe(true);
       expect(logger.info).toHaveBeenCalled();
@@ -373,6 +382,7 @@ describe('serviceTypeService', () => {
       expect(axios.post).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/types/type-id-123/components',
         componentData,
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toEqual({
         serviceTypeComponentId: 'type-component-id-123',
@@ -516,6 +526,7 @@ describe('serviceTypeService', () => {
 
       expect(axios.delete).toHaveBeenCalledWith(
         'http://localhost:5001/api/v1/types/type-id-123/components/component-id-123',
+        expect.objectContaining({ timeout: 5000 }),
       );
       expect(result).toBe(true);
       expect(logger.info).toHaveBeenCalled();
@@ -560,4 +571,205 @@ describe('serviceTypeService', () => {
       expect(logger.error).toHaveBeenCalled();
     });
   });
+
+  describe('updateTypeComponent', () => {
+    beforeEach(() => {
+      prisma.serviceTypeComponent.findUnique.mockResolvedValue({
+        isDefault: true,
+        isRequired: false,
+      });
+    });
+
+    it('should forward the update to the injection service', async () => {
+      const typeComponent = {
+        serviceTypeComponentId: 'link-id-123',
+        serviceTypeId: 'type-id-123',
+        serviceComponentId: 'component-id-123',
+        isDefault: false,
+        isRequired: false,
+        additionalPrice: '250.00',
+      };
+      axios.patch.mockResolvedValue({
+        data: { data: { typeComponent } },
+      });
+
+      const result = await serviceTypeService.updateTypeComponent(
+        'type-id-123',
+        'component-id-123',
+        { isDefault: false, additionalPrice: 250 },
+      );
+
+      expect(axios.patch).toHaveBeenCalledWith(
+        'http://localhost:5001/api/v1/types/type-id-123/components/component-id-123',
+        { isDefault: false, additionalPrice: 250 },
+        expect.objectContaining({ timeout: 5000 }),
+      );
+      expect(result).toEqual(typeComponent);
+    });
+
+    it('should handle not found errors from the injection service', async () => {
+      axios.patch.mockRejectedValue({
+        response: {
+          status: 404,
+          data: { message: 'Component association not found' },
+        },
+      });
+
+      await expect(
+        serviceTypeService.updateTypeComponent(
+          'type-id-123',
+          'component-id-123',
+          { isRequired: true },
+        ),
+      ).rejects.toMatchObject({ statusCode: 404 });
+
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    it('should not make a stored add-on required', async () => {
+      prisma.serviceTypeComponent.findUnique.mockResolvedValue({
+        isDefault: false,
+        isRequired: false,
+      });
+
+      await expect(
+        serviceTypeService.updateTypeComponent(
+          'type-id-123',
+          'component-id-123',
+          { isRequired: 'true' },
+        ),
+      ).rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+
+      expect(prisma.serviceTypeComponent.findUnique).toHaveBeenCalledWith({
+        where: {
+          serviceTypeId_serviceComponentId: {
+            serviceTypeId: 'type-id-123',
+            serviceComponentId: 'component-id-123',
+          },
+        },
+        select: { isDefault: true, isRequired: true },
+      });
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    it('should not make a stored required component an add-on', async () => {
+      prisma.serviceTypeComponent.findUnique.mockResolvedValue({
+        isDefault: true,
+        isRequired: true,
+      });
+
+      await expect(
+        serviceTypeService.updateTypeComponent(
+          'type-id-123',
+          'component-id-123',
+          { isDefault: false },
+        ),
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    it('should report an association that does not exist', async () => {
+      prisma.serviceTypeComponent.findUnique.mockResolvedValue(null);
+
+      await expect(
+        serviceTypeService.updateTypeComponent(
+          'type-id-123',
+          'component-id-123',
+          { isDefault: true },
+        ),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(axios.patch).not.toHaveBeenCalled();
+    });
+
+    it('should not load the association to change only the price', async () => {
+      axios.patch.mockResolvedValue({
+        data: { data: { typeComponent: { serviceTypeComponentId: 'link' } } },
+      });
+
+      await serviceTypeService.updateTypeComponent(
+        'type-id-123',
+        'component-id-123',
+        { additionalPrice: 300 },
+      );
+
+      expect(prisma.serviceTypeComponent.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDurationRollups', () => {
+    const typeWith = (serviceTypeId, estimatedDuration, durations) => ({
+      serviceTypeId,
+      estimatedDuration,
+      serviceComponents: durations.map((duration) => ({
+        serviceComponent: { estimatedDuration: duration },
+      })),
+    });
+
+    it('should sum the durations of the default components', async () => {
+      prisma.serviceType.findMany.mockResolvedValue([
+        typeWith('type-1', 60, [20, 25, null]),
+        typeWith('type-2', 90, [30, 30]),
+        typeWith('type-3', 45, []),
+      ]);
+
+      const rollups = await serviceTypeService.getDurationRollups([
+        'type-1',
+        'type-2',
+        'type-3',
+        'type-1',
+      ]);
+
+      expect(prisma.serviceType.findMany).toHaveBeenCalledWith({
+        where: { serviceTypeId: { in: ['type-1', 'type-2', 'type-3'] } },
+        select: expect.objectContaining({
+          serviceComponents: expect.objectContaining({
+            where: { isDefault: true },
+          }),
+        }),
+      });
+      expect(rollups.get('type-1')).toEqual({
+        declaredDuration: 60,
+        componentDuration: 45,
+        difference: 15,
+        componentCount: 3,
+        componentsWithoutDuration: 1,
+        threshold: 15,
+        isMismatched: false,
+      });
+      expect(rollups.get('type-2')).toMatchObject({
+        componentDuration: 60,
+        difference: 30,
+        isMismatched: true,
+      });
+      // Nothing to compare against without default components
+      expect(rollups.get('type-3')).toMatchObject({
+        componentDuration: 0,
+        isMismatched: false,
+      });
+    });
+
+    it('should flag differences over a custom threshold', async () => {
+      prisma.serviceType.findMany.mockResolvedValue([
+        typeWith('type-1', 60, [50]),
+      ]);
+
+      const rollups = await serviceTypeService.getDurationRollups(['type-1'], {
+        threshold: 5,
+      });
+
+      expect(rollups.get('type-1')).toMatchObject({
+        threshold: 5,
+        isMismatched: true,
+      });
+    });
+
+    it('should not query without service type IDs', async () => {
+      const records = [{ serviceCenterOfferingId: 'offering-1' }];
+
+      await expect(
+        serviceTypeService.withDurationRollups(records),
+      ).resolves.toEqual(records);
+      expect(prisma.serviceType.findMany).not.toHaveBeenCalled();
+    });
+  });
 });
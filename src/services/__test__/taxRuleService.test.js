@@ -0,0 +1,208 @@
+// src/services/__test__/taxRuleService.test.js
+const taxRuleService = require('../taxRuleService');
+const prisma = require('../../models/index');
+const axios = require('axios');
+const { publishEvent } = require('../../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../../events/eventTypes');
+
+// Mock dependencies
+jest.mock('axios');
+jest.mock('../../events/eventPublisher');
+jest.mock('../../models/index', () => ({
+  taxRule: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('taxRuleService', () => {
+  const taxRule = {
+    taxRuleId: 'gst-1',
+    name: 'GST',
+    rate: '18.00',
+    categoryId: null,
+    serviceTypeId: null,
+    effectiveFrom: new Date('2026-01-01T00:00:00Z'),
+    effectiveTo: null,
+  };
+
+  const offering = {
+    serviceCenterOfferingId: 'offering-1',
+    serviceTypeId: 'type-1',
+    serviceType: { serviceTypeId: 'type-1', categoryId: 'category-1' },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createTaxRule', () => {
+    it('should create the tax rule through the injection service', async () => {
+      const data = { name: 'GST', rate: 18, effectiveFrom: '2026-01-01' };
+      axios.post.mockResolvedValue({ data: { data: taxRule } });
+
+      const result = await taxRuleService.createTaxRule(data);
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://localhost:5001/api/v1/tax-rules',
+        data,
+        expect.any(Object),
+      );
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.TAX_RULE_CREATED,
+        taxRule,
+      );
+      expect(result).toEqual(taxRule);
+    });
+  });
+
+  describe('getTaxRuleById', () => {
+    it('should throw a not found error when the tax rule does not exist', async () => {
+      prisma.taxRule.findUnique.mockResolvedValue(null);
+
+      await expect(
+        taxRuleService.getTaxRuleById('gst-1'),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('updateTaxRule', () => {
+    it('should report a tax rule the injection service does not know', async () => {
+      axios.patch.mockRejectedValue({
+        response: { status: 404, data: { message: 'Tax rule not found' } },
+      });
+
+      await expect(
+        taxRuleService.updateTaxRule('gst-1', { rate: 12 }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteTaxRule', () => {
+    it('should delete the tax rule and publish the deletion', async () => {
+      axios.delete.mockResolvedValue({});
+
+      await expect(taxRuleService.deleteTaxRule('gst-1')).resolves.toBe(true);
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.TAX_RULE_DELETED,
+        { taxRuleId: 'gst-1' },
+      );
+    });
+  });
+
+  describe('getTaxRulesForOfferings', () => {
+    it('should only load rules in effect for the targets of the offerings', async () => {
+      prisma.taxRule.findMany.mockResolvedValue([]);
+      const now = new Date('2026-10-19T00:00:00Z');
+
+      await taxRuleService.getTaxRulesForOfferings([offering], now);
+
+      expect(prisma.taxRule.findMany).toHaveBeenCalledWith({
+        where: {
+          isActive: true,
+          effectiveFrom: { lte: now },
+          AND: [
+            { OR: [{ effectiveTo: null }, { effectiveTo: { gt: now } }] },
+            {
+              OR: [
+                { categoryId: null },
+                { categoryId: { in: ['category-1'] } },
+              ],
+            },
+            {
+              OR: [
+                { serviceTypeId: null },
+                { serviceTypeId: { in: ['type-1'] } },
+              ],
+            },
+          ],
+        },
+        orderBy: [{ effectiveFrom: 'desc' }, { createdAt: 'desc' }],
+      });
+    });
+
+    it('should apply the most specific rule of each name', async () => {
+      const otherOffering = {
+        serviceCenterOfferingId: 'offering-2',
+        serviceType: { serviceTypeId: 'type-2', categoryId: 'category-1' },
+      };
+      const categoryRule = {
+        ...taxRule,
+        taxRuleId: 'gst-2',
+        rate: '12.00',
+        categoryId: 'category-1',
+      };
+      const typeRule = {
+        ...taxRule,
+        taxRuleId: 'gst-3',
+        rate: '5.00',
+        serviceTypeId: 'type-1',
+      };
+      const cess = { ...taxRule, taxRuleId: 'cess-1', name: 'Cess', rate: '1' };
+      prisma.taxRule.findMany.mockResolvedValue([
+        taxRule,
+        categoryRule,
+        typeRule,
+        cess,
+      ]);
+
+      const result = await taxRuleService.getTaxRulesForOfferings([
+        offering,
+        otherOffering,
+      ]);
+
+      expect(result).toEqual([
+        [cess, typeRule],
+        [cess, categoryRule],
+      ]);
+    });
+
+    it('should not query anything without offerings', async () => {
+      await expect(taxRuleService.getTaxRulesForOfferings([])).resolves.toEqual(
+        [],
+      );
+      expect(prisma.taxRule.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyTaxRules', () => {
+    it('should round each line and add the rounded lines up', () => {
+      const result = taxRuleService.applyTaxRules(
+        [
+          { ...taxRule, taxRuleId: 'cgst', name: 'CGST', rate: '9.00' },
+          { ...taxRule, taxRuleId: 'sgst', name: 'SGST', rate: '9.00' },
+        ],
+        99.99,
+      );
+
+      // 9% of 99.99 is 8.9991
+      expect(result).toEqual({
+        taxableAmount: 99.99,
+        lines: [
+          { taxRuleId: 'cgst', name: 'CGST', rate: 9, amount: 9 },
+          { taxRuleId: 'sgst', name: 'SGST', rate: 9, amount: 9 },
+        ],
+        amount: 18,
+        totalInclusiveOfTax: 117.99,
+      });
+    });
+
+    it('should charge no tax without rules', () => {
+      expect(taxRuleService.applyTaxRules([], 500)).toEqual({
+        taxableAmount: 500,
+        lines: [],
+        amount: 0,
+        totalInclusiveOfTax: 500,
+      });
+    });
+  });
+});
@@ -0,0 +1,328 @@
+// src/services/__test__/vehicleBrandOfferingService.test.js
+const vehicleBrandOfferingService = require('../vehicleBrandOfferingService');
+const prisma = require('../../models/index');
+const axios = require('axios');
+const { publishEvent } = require('../../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../../events/eventTypes');
+
+// Mock dependencies
+jest.mock('axios');
+jest.mock('../../events/eventPublisher');
+jest.mock('../../models/index', () => ({
+  vehicleBrandServiceOffering: {
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
+  vehicle: {
+    findUnique: jest.fn(),
+  },
+  brand: {
+    findUnique: jest.fn(),
+  },
+  model: {
+    findUnique: jest.fn(),
+  },
+}));
+jest.mock('../../utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('vehicleBrandOfferingService', () => {
+  const pricing = {
+    vehicleBrandServiceOfferingId: 'pricing-1',
+    offeringId: 'offering-1',
+    brandId: 'brand-1',
+    modelId: null,
+    manufactureYearStart: null,
+    manufactureYearEnd: null,
+    fuelType: null,
+    status: 'ACTIVE',
+    price: '1500.00',
+  };
+
+  const vehicle = {
+    vehicleId: 'vehicle-1',
+    brandId: 'brand-1',
+    modelId: 'model-1',
+    manufactureYear: 2021,
+    fuelType: 'DIESEL',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createVehiclePricing', () => {
+    it('should create the pricing through the injection service', async () => {
+      const data = { brandId: 'brand-1', price: 1500 };
+      axios.post.mockResolvedValue({ data: { data: pricing } });
+
+      const result = await vehicleBrandOfferingService.createVehiclePricing(
+        'center-1',
+        'offering-1',
+        data,
+      );
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://localhost:5001/api/v1/service-centers/center-1/offerings/offering-1/vehicle-brands',
+        data,
+        expect.any(Object),
+      );
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.OFFERING_VEHICLE_PRICING_CREATED,
+        {
+          serviceCenterId: 'center-1',
+          serviceCenterOfferingId: 'offering-1',
+          ...pricing,
+        },
+      );
+      expect(result).toEqual(pricing);
+    });
+
+    it('should report a second brand-wide pricing as a conflict', async () => {
+      axios.post.mockRejectedValue({
+        response: { status: 409, data: { message: 'Pricing already exists' } },
+      });
+
+      await expect(
+        vehicleBrandOfferingService.createVehiclePricing(
+          'center-1',
+          'offering-1',
+          { brandId: 'brand-1', price: 1500 },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Pricing already exists',
+      });
+      expect(publishEvent).not.toHaveBeenCalled();
+    });
+
+    it('should reject a model of another brand', async () => {
+      prisma.model.findUnique.mockResolvedValue({
+        id: 'model-1',
+        brandId: 'brand-2',
+      });
+
+      await expect(
+        vehicleBrandOfferingService.createVehiclePricing(
+          'center-1',
+          'offering-1',
+          { brandId: 'brand-1', modelId: 'model-1', price: 1500 },
+        ),
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'MODEL_BRAND_MISMATCH',
+      });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateVehiclePricing', () => {
+    it('should report pricing the injection service does not know', async () => {
+      axios.patch.mockRejectedValue({
+        response: { status: 404, data: { message: 'Not found' } },
+      });
+
+      await expect(
+        vehicleBrandOfferingService.updateVehiclePricing(
+          'center-1',
+          'offering-1',
+          'pricing-1',
+          { price: 1600 },
+        ),
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(publishEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteVehiclePricing', () => {
+    it('should delete the pricing and publish the deletion', async () => {
+      axios.delete.mockResolvedValue({});
+
+      await expect(
+        vehicleBrandOfferingService.deleteVehiclePricing(
+          'center-1',
+          'offering-1',
+          'pricing-1',
+        ),
+      ).resolves.toBe(true);
+      expect(publishEvent).toHaveBeenCalledWith(
+        CATALOG_EVENTS.OFFERING_VEHICLE_PRICING_DELETED,
+        {
+          serviceCenterId: 'center-1',
+          serviceCenterOfferingId: 'offering-1',
+          offeringId: 'offering-1',
+          vehicleBrandServiceOfferingId: 'pricing-1',
+        },
+      );
+    });
+  });
+
+  describe('getVehiclePricing', () => {
+    it('should only list the pricing of the offering in the service center', async () => {
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([pricing]);
+
+      await vehicleBrandOfferingService.getVehiclePricing(
+        'center-1',
+        'offering-1',
+      );
+
+      expect(prisma.vehicleBrandServiceOffering.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            offeringId: 'offering-1',
+            offering: { serviceCenterId: 'center-1' },
+          },
+        }),
+      );
+    });
+  });
+
+  describe('resolveVehicle', () => {
+    const storedVehicle = {
+      id: 'vehicle-1',
+      userId: 'user-1',
+      brandId: 'brand-1',
+      modelId: 'model-1',
+      manufactureYear: 2021,
+      fuelType: 'DIESEL',
+    };
+
+    it('should return null without a vehicle selection', async () => {
+      await expect(
+        vehicleBrandOfferingService.resolveVehicle({}),
+      ).resolves.toBeNull();
+    });
+
+    it('should take the brand, model, year and fuel type from the vehicle', async () => {
+      prisma.vehicle.findUnique.mockResolvedValue(storedVehicle);
+
+      await expect(
+        vehicleBrandOfferingService.resolveVehicle(
+          { vehicleId: 'vehicle-1' },
+          { id: 'user-1', role: 'USER' },
+        ),
+      ).resolves.toEqual(vehicle);
+    });
+
+    it("should not reveal another user's vehicle", async () => {
+      prisma.vehicle.findUnique.mockResolvedValue(storedVehicle);
+
+      await expect(
+        vehicleBrandOfferingService.resolveVehicle(
+          { vehicleId: 'vehicle-1' },
+          { id: 'user-2', role: 'USER' },
+        ),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should let admins price for any vehicle', async () => {
+      prisma.vehicle.findUnique.mockResolvedValue(storedVehicle);
+
+      await expect(
+        vehicleBrandOfferingService.resolveVehicle(
+          { vehicleId: 'vehicle-1' },
+          { id: 'admin-1', role: 'ADMIN' },
+        ),
+      ).resolves.toMatchObject({ brandId: 'brand-1' });
+    });
+
+    it('should take the brand of a model', async () => {
+      prisma.model.findUnique.mockResolvedValue({
+        id: 'model-1',
+        brandId: 'brand-1',
+      });
+
+      await expect(
+        vehicleBrandOfferingService.resolveVehicle({ modelId: 'model-1' }),
+      ).resolves.toMatchObject({ brandId: 'brand-1', modelId: 'model-1' });
+    });
+
+    it('should report a brand that does not exist', async () => {
+      prisma.brand.findUnique.mockResolvedValue(null);
+
+      await expect(
+        vehicleBrandOfferingService.resolveVehicle({ brandId: 'brand-9' }),
+      ).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getOverridesForOfferings', () => {
+    const offerings = [
+      { serviceCenterOfferingId: 'offering-1' },
+      { serviceCenterOfferingId: 'offering-2' },
+    ];
+
+    it('should only load active pricing of the vehicle brand', async () => {
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([]);
+
+      await vehicleBrandOfferingService.getOverridesForOfferings(
+        offerings,
+        vehicle,
+      );
+
+      expect(prisma.vehicleBrandServiceOffering.findMany).toHaveBeenCalledWith({
+        where: {
+          offeringId: { in: ['offering-1', 'offering-2'] },
+          brandId: 'brand-1',
+          status: 'ACTIVE',
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+    });
+
+    it('should pick the most specific pricing that matches the vehicle', async () => {
+      const brandWide = pricing;
+      const forFuel = {
+        ...pricing,
+        vehicleBrandServiceOfferingId: 'pricing-2',
+        fuelType: 'DIESEL',
+      };
+      const forModel = {
+        ...pricing,
+        vehicleBrandServiceOfferingId: 'pricing-3',
+        modelId: 'model-1',
+      };
+      const forOtherYears = {
+        ...pricing,
+        vehicleBrandServiceOfferingId: 'pricing-4',
+        modelId: 'model-1',
+        fuelType: 'DIESEL',
+        manufactureYearEnd: 2015,
+      };
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([
+        brandWide,
+        forFuel,
+        forModel,
+        forOtherYears,
+        { ...forFuel, offeringId: 'offering-2' },
+      ]);
+
+      const result = await vehicleBrandOfferingService.getOverridesForOfferings(
+        offerings,
+        vehicle,
+      );
+
+      expect(result).toEqual([
+        forModel,
+        { ...forFuel, offeringId: 'offering-2' },
+      ]);
+    });
+
+    it('should not match year ranges when the year is unknown', async () => {
+      const forYears = { ...pricing, manufactureYearStart: 2020 };
+      prisma.vehicleBrandServiceOffering.findMany.mockResolvedValue([forYears]);
+
+      const result = await vehicleBrandOfferingService.getOverridesForOfferings(
+        [offerings[0]],
+        { ...vehicle, manufactureYear: null },
+      );
+
+      expect(result).toEqual([null]);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const prisma = require('../models/index');
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+const { publishEvent } = require('../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../events/eventTypes');
+const { injectionClient } = require('../utils/injectionClient');
+const { createWriteErrorMapper } = require('../utils/injectionErrors');
+const { listRecords } = require('../utils/prismaQueryAdapter');
+const { readCache, cacheKeys } = require('../cache/readCache');
+
+// Fields feature lists may be filtered, sorted, searched and selected on
+const FEATURE_QUERY = {
+  primaryKey: 'additionalFeatureId',
+  filterFields: [
+    'additionalFeatureId',
+    'name',
+    'isComplimentary',
+    'price',
+    'isPopular',
+    'isAvailable',
+    'displayOrder',
+    'createdAt',
+    'updatedAt',
+  ],
+  searchFields: ['name', 'description'],
+  selectFields: [
+    'additionalFeatureId',
+    'offeringId',
+    'name',
+    'description',
+    'isComplimentary',
+    'price',
+    'displayIcon',
+    'isPopular',
+    'isAvailable',
+    'displayOrder',
+    'createdAt',
+    'updatedAt',
+  ],
+  defaultLimit: 20,
+};
+
+// Features included in offering reads: the available ones, in display order
+const AVAILABLE_FEATURES = {
+  where: { isAvailable: true },
+  orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+};
+
+// Path of the additional features of an offering on the injection service
+const featurePath = (serviceCenterId, serviceCenterOfferingId, id) =>
+  `/api/v1/service-centers/${serviceCenterId}/offerings/${serviceCenterOfferingId}/features${id ? `/${id}` : ''}`;
+
+// Failed injection-service writes as AppErrors
+const toWriteError = createWriteErrorMapper({
+  resourceType: 'additional feature',
+  idField: 'additionalFeatureId',
+  // An offering has one feature of each name
+  passThroughStatuses: [409],
+});
+
+/**
+ * Create an additional feature for an offering by forwarding the request to the
+ * injection service
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {Object} featureData - The data for the new feature
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The created feature
+ */
+const createFeature = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  featureData,
+  req,
+) => {
+  try {
+    logger.info({
+      message: 'Forwarding additional feature creation to injection service',
+      metadata: { serviceCenterOfferingId, name: featureData.name },
+    });
+    const response = await injectionClient.post(
+      featurePath(serviceCenterId, serviceCenterOfferingId),
+      featureData,
+      { req },
+    );
+    const feature = response.data.data;
+    // Cached offerings carry their features
+    readCache.invalidate(
+      cacheKeys.offering(serviceCenterId, serviceCenterOfferingId),
+    );
+    await publishEvent(CATALOG_EVENTS.OFFERING_FEATURE_CREATED, {
+      serviceCenterId,
+      serviceCenterOfferingId,
+      ...feature,
+    });
+    return feature;
+  } catch (error) {
+    throw toWriteError(error, 'create additional feature');
+  }
+};
+
+/**
+ * Get the additional features of an offering, available or not, with
+ * filtering, search, sorting and pagination
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {Object} queryOptions - Query options
+ * @returns {Promise<Object>} - { data, meta }
+ */
+const getFeatures = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  queryOptions = {},
+) => {
+  try {
+    return await listRecords(
+      prisma.additionalFeature,
+      {
+        ...FEATURE_QUERY,
+        scope: {
+          offeringId: serviceCenterOfferingId,
+          offering: { serviceCenterId },
+        },
+      },
+      queryOptions,
+    );
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    logger.error({
+      message: 'Error retrieving additional features',
+      metadata: {
+        serviceCenterOfferingId,
+        error: error.message,
+        stack: error.stack,
+      },
+    });
+    throw AppError.internal(
+      `Failed to retrieve additional features: ${error.message}`,
+    );
+  }
+};
+
+/**
+ * Update an additional feature by forwarding the request to the injection service
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {string} id - Additional feature ID
+ * @param {Object} updateData - The fields to update
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The updated feature
+ */
+const updateFeature = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  id,
+  updateData,
+  req,
+) => {
+  try {
+    logger.info({
+      message: 'Forwarding additional feature update to injection service',
+      metadata: { additionalFeatureId: id, updateData },
+    });
+    const response = await injectionClient.patch(
+      featurePath(serviceCenterId, serviceCenterOfferingId, id),
+      updateData,
+      { req },
+    );
+    const feature = response.data.data;
+    readCache.invalidate(
+      cacheKeys.offering(serviceCenterId, serviceCenterOfferingId),
+    );
+    await publishEvent(CATALOG_EVENTS.OFFERING_FEATURE_UPDATED, {
+      serviceCenterId,
+      serviceCenterOfferingId,
+      ...feature,
+    });
+    return feature;
+  } catch (error) {
+    throw toWriteError(error, 'update additional feature', id);
+  }
+};
+
+/**
+ * Delete an additional feature by forwarding the request to the injection service
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {string} id - Additional feature ID
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<boolean>} - true once deleted
+ */
+const deleteFeature = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  id,
+  req,
+) => {
+  try {
+    logger.info({
+      message: 'Forwarding additional feature deletion to injection service',
+      metadata: { additionalFeatureId: id },
+    });
+    await injectionClient.delete(
+      featurePath(serviceCenterId, serviceCenterOfferingId, id),
+      { req },
+    );
+    readCache.invalidate(
+      cacheKeys.offering(serviceCenterId, serviceCenterOfferingId),
+    );
+    await publishEvent(CATALOG_EVENTS.OFFERING_FEATURE_DELETED, {
+      serviceCenterId,
+      serviceCenterOfferingId,
+      offeringId: serviceCenterOfferingId,
+      additionalFeatureId: id,
+    });
+    return true;
+  } catch (error) {
+    throw toWriteError(error, 'delete additional feature', id);
+  }
+};
+
+module.exports = {
+  AVAILABLE_FEATURES,
+  createFeature,
+  getFeatures,
+  updateFeature,
+  deleteFeature,
+};
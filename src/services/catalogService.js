@@ -0,0 +1,1357 @@
+const prisma = require('../models/index');
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+const { toCsvRow, parseCsv } = require('../utils/csv');
+const { withIdempotencyKeySuffix } = require('../utils/injectionClient');
+const APIFeatures = require('../utils/apiFeatures');
+const { suggestIndex } = require('../cache/suggestIndex');
+const serviceCategoryService = require('./serviceCategoryService');
+const serviceTypeService = require('./serviceTypeService');
+const serviceComponentService = require('./serviceComponentService');
+
+// Rows fetched per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+const VEHICLE_TYPES = ['CAR', 'BIKE', 'NONE'];
+
+/**
+ * Columns of the CSV export; every row has an `entity` of category, type,
+ * component or type_component. Types and links reference their category by
+ * name and vehicleType and their component by name, so a file can be moved
+ * between environments where the IDs differ.
+ */
+const CATALOG_CSV_COLUMNS = [
+  'entity',
+  'id',
+  'name',
+  'vehicleType',
+  'category',
+  'serviceType',
+  'component',
+  'description',
+  'longDescription',
+  'estimatedDuration',
+  'cost',
+  'displayOrder',
+  'isPopular',
+  'recommendedFrequency',
+  'warningThreshold',
+  'icon',
+  'displayImage',
+];
+
+// Entity name in CSV rows -> collection name in the JSON document
+const CATALOG_SECTIONS = {
+  category: 'categories',
+  type: 'types',
+  component: 'components',
+  type_component: 'typeComponents',
+};
+
+// Fields written to the injection service for each entity
+const ENTITY_FIELDS = {
+  category: ['name', 'vehicleType', 'description', 'displayOrder', 'isPopular'],
+  type: [
+    'name',
+    'description',
+    'longDescription',
+    'estimatedDuration',
+    'displayOrder',
+    'isPopular',
+    'recommendedFrequency',
+    'warningThreshold',
+  ],
+  component: [
+    'name',
+    'vehicleType',
+    'description',
+    'estimatedDuration',
+    'cost',
+  ],
+};
+
+const INTEGER_FIELDS = [
+  'estimatedDuration',
+  'displayOrder',
+  'warningThreshold',
+];
+
+/**
+ * Convert a Prisma Decimal into a plain number, other values are kept
+ * @param {*} value - Column value
+ * @returns {*} Plain value
+ */
+const toPlainValue = (value) =>
+  value !== null && typeof value?.toNumber === 'function'
+    ? value.toNumber()
+    : value;
+
+const categoryToRow = (category) => ({
+  id: category.serviceCategoryId,
+  name: category.name,
+  vehicleType: category.vehicleType,
+  description: category.description,
+  displayOrder: category.displayOrder,
+  isPopular: category.isPopular,
+  icon: category.icon,
+});
+
+const typeToRow = (type) => ({
+  id: type.serviceTypeId,
+  name: type.name,
+  category: type.category.name,
+  vehicleType: type.category.vehicleType,
+  description: type.description,
+  longDescription: type.longDescription,
+  estimatedDuration: type.estimatedDuration,
+  displayOrder: type.displayOrder,
+  isPopular: type.isPopular,
+  recommendedFrequency: type.recommendedFrequency,
+  warningThreshold: type.warningThreshold,
+  displayImage: type.displayImage,
+});
+
+const componentToRow = (component) => ({
+  id: component.serviceComponentId,
+  name: component.name,
+  vehicleType: component.vehicleType,
+  description: component.description,
+  estimatedDuration: component.estimatedDuration,
+  cost: toPlainValue(component.cost),
+});
+
+const typeComponentToRow = (link) => ({
+  id: link.serviceTypeComponentId,
+  serviceType: link.serviceType.name,
+  category: link.serviceType.category.name,
+  vehicleType: link.serviceType.category.vehicleType,
+  component: link.serviceComponent.name,
+});
+
+/**
+ * Page through a table with a cursor so the export never loads it whole
+ * @param {Object} model - Prisma model delegate
+ * @param {string} idField - Primary key field used as the cursor
+ * @param {Object} [args] - Extra findMany arguments (include)
+ * @returns {AsyncGenerator<Object>} Records in primary key order
+ */
+async function* paginate(model, idField, args = {}) {
+  let cursor;
+  for (;;) {
+    const page = await model.findMany({
+      ...args,
+      orderBy: { [idField]: 'asc' },
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor && { skip: 1, cursor: { [idField]: cursor } }),
+    });
+    yield* page;
+    if (page.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    cursor = page[page.length - 1][idField];
+  }
+}
+
+/**
+ * Export sources in the order an import has to apply them
+ * @returns {Array<Object>} Entity, record source and row mapper
+ */
+const exportSources = () => [
+  {
+    entity: 'category',
+    records: paginate(prisma.serviceCategory, 'serviceCategoryId'),
+    toRow: categoryToRow,
+  },
+  {
+    entity: 'type',
+    records: paginate(prisma.serviceType, 'serviceTypeId', {
+      include: { category: true },
+    }),
+    toRow: typeToRow,
+  },
+  {
+    entity: 'component',
+    records: paginate(prisma.serviceComponent, 'serviceComponentId'),
+    toRow: componentToRow,
+  },
+  {
+    entity: 'type_component',
+    records: paginate(prisma.serviceTypeComponent, 'serviceTypeComponentId', {
+      include: {
+        serviceType: { include: { category: true } },
+        serviceComponent: true,
+      },
+    }),
+    toRow: typeComponentToRow,
+  },
+];
+
+/**
+ * Stream the whole catalog as CSV or JSON
+ * @param {string} format - 'csv' or 'json'
+ * @param {Function} write - Async function receiving each chunk of output
+ * @returns {Promise<void>}
+ */
+const exportCatalog = async (format, write) => {
+  logger.info({ message: 'Exporting service catalog', metadata: { format } });
+
+  if (format === 'csv') {
+    await write(toCsvRow(CATALOG_CSV_COLUMNS));
+    for (const { entity, records, toRow } of exportSources()) {
+      for await (const record of records) {
+        const row = { entity, ...toRow(record) };
+        await write(toCsvRow(CATALOG_CSV_COLUMNS.map((column) => row[column])));
+      }
+    }
+    return;
+  }
+
+  await write(`{"exportedAt":${JSON.stringify(new Date().toISOString())}`);
+  for (const { entity, records, toRow } of exportSources()) {
+    await write(`,"${CATALOG_SECTIONS[entity]}":[`);
+    let separator = '';
+    for await (const record of records) {
+      await write(`${separator}${JSON.stringify(toRow(record))}`);
+      separator = ',';
+    }
+    await write(']');
+  }
+  await write('}\n');
+};
+
+/**
+ * Group the rows of a CSV export into the JSON import document
+ * @param {string} text - CSV document
+ * @returns {Object} Catalog document ({ categories, types, components, typeComponents })
+ */
+const parseCatalogCsv = (text) => {
+  let rows;
+  try {
+    rows = parseCsv(text);
+  } catch (error) {
+    throw AppError.badRequest(error.message, 'INVALID_CSV');
+  }
+
+  const catalog = {
+    categories: [],
+    types: [],
+    components: [],
+    typeComponents: [],
+  };
+  rows.forEach((row, index) => {
+    const section = CATALOG_SECTIONS[row.entity];
+    if (!section) {
+      throw AppError.badRequest(
+        `Row ${index + 2} has an unknown entity "${row.entity}"`,
+        'INVALID_CSV',
+      );
+    }
+    const fields = { ...row };
+    delete fields.entity;
+    catalog[section].push(fields);
+  });
+  return catalog;
+};
+
+/**
+ * Convert an imported value to the type of its column
+ * CSV values arrive as strings; empty strings mean "not provided".
+ * @param {string} field - Column name
+ * @param {*} value - Imported value
+ * @returns {*} Normalized value, undefined when not provided
+ */
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (INTEGER_FIELDS.includes(field) || field === 'cost') {
+    return Number(value);
+  }
+  if (field === 'isPopular') {
+    return value === true || value === 'true' || value === '1';
+  }
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Normalize an imported row and collect its field errors
+ * @param {string} entity - Entity name
+ * @param {Object} raw - Imported row
+ * @returns {Object} { data, errors }
+ */
+const normalizeRow = (entity, raw) => {
+  const data = {};
+  const errors = {};
+
+  ENTITY_FIELDS[entity].forEach((field) => {
+    const value = normalizeValue(field, raw[field]);
+    if (value !== undefined) {
+      data[field] = value;
+    }
+  });
+
+  if (!data.name) {
+    errors.name = 'Name is required';
+  }
+  if (
+    data.vehicleType !== undefined &&
+    !VEHICLE_TYPES.includes(data.vehicleType)
+  ) {
+    errors.vehicleType = `Vehicle type must be one of: ${VEHICLE_TYPES.join(', ')}`;
+  }
+  INTEGER_FIELDS.forEach((field) => {
+    if (
+      data[field] !== undefined &&
+      (!Number.isInteger(data[field]) || data[field] < 0)
+    ) {
+      errors[field] = `${field} must be a non-negative integer`;
+    }
+  });
+  if (entity === 'type' && !(data.estimatedDuration > 0)) {
+    errors.estimatedDuration =
+      'Estimated duration is required and must be a positive integer';
+  }
+  if (entity === 'component') {
+    if (data.cost === undefined) {
+      errors.cost = 'Cost is required';
+    } else if (Number.isNaN(data.cost) || data.cost < 0) {
+      errors.cost = 'Cost must be a non-negative decimal';
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Fields of data whose value differs from the stored record
+ * @param {Object} data - Normalized row
+ * @param {Object} record - Stored record
+ * @returns {Array<string>} Changed field names
+ */
+const changedFields = (data, record) =>
+  Object.keys(data).filter(
+    (field) => toPlainValue(record[field]) !== data[field],
+  );
+
+const categoryKey = (name, vehicleType = 'CAR') => `${name}|${vehicleType}`;
+
+/**
+ * Plan the changes an import would make without writing anything
+ * Rows are matched on `id` when present, otherwise on their unique key:
+ * (name, vehicleType) for categories, (name, category) for types and name for
+ * components. Two rows claiming the same unique key, or a rename onto a key
+ * that another record already uses, are reported as conflicts.
+ * @param {Object} catalog - Catalog document ({ categories, types, components, typeComponents })
+ * @returns {Promise<Object>} Planned changes, conflicts, errors and a summary
+ */
+const planCatalogImport = async (catalog) => {
+  const [categories, types, components, links] = await Promise.all([
+    prisma.serviceCategory.findMany(),
+    prisma.serviceType.findMany(),
+    prisma.serviceComponent.findMany(),
+    prisma.serviceTypeComponent.findMany(),
+  ]);
+
+  const changes = [];
+  const conflicts = [];
+  const errors = [];
+  const summary = {};
+
+  /**
+   * Plan one section of the document
+   * Every row gets a ref whose id is known for existing records and filled in
+   * by applyChange for created ones, so children can point at new parents.
+   */
+  const planSection = ({
+    entity,
+    rows = [],
+    records,
+    idField,
+    constraint,
+    keyOf,
+    prepare = () => ({}),
+  }) => {
+    const byId = new Map(records.map((record) => [record[idField], record]));
+    const byKey = new Map(records.map((record) => [keyOf(record), record]));
+    const rowsByKey = new Map();
+    const refs = new Map();
+    summary[entity] = { create: 0, update: 0, unchanged: 0 };
+
+    rows.forEach((raw, row) => {
+      const { data, errors: fieldErrors } = normalizeRow(entity, raw);
+      const { extra = {}, error, parentRef } = prepare(raw, data);
+      if (error) {
+        fieldErrors[error.field] = error.message;
+      }
+
+      const target = raw.id ? byId.get(raw.id) : undefined;
+      if (raw.id && !target) {
+        fieldErrors.id = `No ${entity} exists with id ${raw.id}`;
+      }
+      if (Object.keys(fieldErrors).length > 0) {
+        errors.push({ entity, row, errors: fieldErrors });
+        return;
+      }
+
+      const merged = { ...data, ...extra };
+      const key = keyOf({ ...target, ...merged }, parentRef);
+      const existing = target || byKey.get(key);
+
+      if (rowsByKey.has(key)) {
+        conflicts.push({
+          entity,
+          constraint,
+          key,
+          rows: [rowsByKey.get(key), row],
+          message: `Two rows use the same ${constraint}`,
+        });
+        return;
+      }
+      rowsByKey.set(key, row);
+
+      const owner = byKey.get(key);
+      if (owner && existing && owner !== existing) {
+        conflicts.push({
+          entity,
+          constraint,
+          key,
+          rows: [row],
+          message: `${constraint} is already used by ${entity} ${owner[idField]}`,
+        });
+        return;
+      }
+
+      const ref = { id: existing ? existing[idField] : null, key };
+      refs.set(key, ref);
+
+      if (!existing) {
+        summary[entity].create += 1;
+        changes.push({
+          entity,
+          action: 'create',
+          row,
+          key,
+          data,
+          ref,
+          parentRef,
+        });
+        return;
+      }
+
+      const fields = changedFields(merged, existing);
+      if (fields.length === 0) {
+        summary[entity].unchanged += 1;
+        return;
+      }
+      summary[entity].update += 1;
+      const updateData = {};
+      fields
+        .filter((field) => field in data)
+        .forEach((field) => {
+          updateData[field] = data[field];
+        });
+      changes.push({
+        entity,
+        action: 'update',
+        row,
+        key,
+        id: ref.id,
+        data: updateData,
+        changedFields: fields,
+        ref,
+        parentRef: fields.includes('categoryId') ? parentRef : undefined,
+      });
+    });
+
+    return { refs, byKey };
+  };
+
+  const categoryPlan = planSection({
+    entity: 'category',
+    rows: catalog.categories,
+    records: categories,
+    idField: 'serviceCategoryId',
+    constraint: 'name, vehicleType',
+    keyOf: (record) => categoryKey(record.name, record.vehicleType),
+  });
+
+  /**
+   * Reference to an imported or existing category by name and vehicle type
+   * New categories have no id yet, so their key stands in for it.
+   */
+  const resolveCategory = (name, vehicleType) => {
+    const key = categoryKey(name, vehicleType || undefined);
+    return (
+      categoryPlan.refs.get(key) ||
+      (categoryPlan.byKey.has(key)
+        ? { id: categoryPlan.byKey.get(key).serviceCategoryId }
+        : null)
+    );
+  };
+  const refKey = (ref) => ref.id || `new:${ref.key}`;
+
+  const typePlan = planSection({
+    entity: 'type',
+    rows: catalog.types,
+    records: types,
+    idField: 'serviceTypeId',
+    constraint: 'name, categoryId',
+    keyOf: (record, parentRef) =>
+      `${record.name}|${parentRef ? refKey(parentRef) : record.categoryId}`,
+    prepare: (raw) => {
+      const parentRef = resolveCategory(raw.category, raw.vehicleType);
+      if (!parentRef) {
+        return {
+          error: {
+            field: 'category',
+            message: `Unknown category "${raw.category}" (${raw.vehicleType || 'CAR'})`,
+          },
+        };
+      }
+      return { extra: { categoryId: parentRef.id }, parentRef };
+    },
+  });
+
+  const componentPlan = planSection({
+    entity: 'component',
+    rows: catalog.components,
+    records: components,
+    idField: 'serviceComponentId',
+    constraint: 'name',
+    keyOf: (record) => record.name,
+  });
+
+  // Links only need to be created; existing ones are left as they are
+  summary.type_component = { create: 0, update: 0, unchanged: 0 };
+  const linkKeys = new Set(
+    links.map((link) => `${link.serviceTypeId}|${link.serviceComponentId}`),
+  );
+  const linkRows = new Map();
+  (catalog.typeComponents || []).forEach((raw, row) => {
+    const categoryRef = resolveCategory(raw.category, raw.vehicleType);
+    const typeRef =
+      categoryRef &&
+      (typePlan.refs.get(`${raw.serviceType}|${refKey(categoryRef)}`) ||
+        (typePlan.byKey.has(`${raw.serviceType}|${categoryRef.id}`)
+          ? {
+              id: typePlan.byKey.get(`${raw.serviceType}|${categoryRef.id}`)
+                .serviceTypeId,
+            }
+          : null));
+    const componentRef =
+      componentPlan.refs.get(raw.component) ||
+      (componentPlan.byKey.has(raw.component)
+        ? { id: componentPlan.byKey.get(raw.component).serviceComponentId }
+        : null);
+
+    const linkErrors = {};
+    if (!typeRef) {
+      linkErrors.serviceType = `Unknown service type "${raw.serviceType}" in category "${raw.category}"`;
+    }
+    if (!componentRef) {
+      linkErrors.component = `Unknown component "${raw.component}"`;
+    }
+    if (Object.keys(linkErrors).length > 0) {
+      errors.push({ entity: 'type_component', row, errors: linkErrors });
+      return;
+    }
+
+    const key = `${raw.serviceType}|${raw.category}|${raw.vehicleType || 'CAR'}|${raw.component}`;
+    if (linkRows.has(key)) {
+      conflicts.push({
+        entity: 'type_component',
+        constraint: 'serviceTypeId, serviceComponentId',
+        key,
+        rows: [linkRows.get(key), row],
+        message: 'Two rows link the same component to the same service type',
+      });
+      return;
+    }
+    linkRows.set(key, row);
+
+    if (
+      typeRef.id &&
+      componentRef.id &&
+      linkKeys.has(`${typeRef.id}|${componentRef.id}`)
+    ) {
+      summary.type_component.unchanged += 1;
+      return;
+    }
+    summary.type_component.create += 1;
+    changes.push({
+      entity: 'type_component',
+      action: 'create',
+      row,
+      key,
+      typeRef,
+      componentRef,
+    });
+  });
+
+  return { changes, conflicts, errors, summary };
+};
+
+/**
+ * Forward one planned change to the injection service
+ * @param {Object} change - Planned change
+ * @param {Object} req - Request whose headers are forwarded
+ * @returns {Promise<Object>} Created or updated record
+ */
+const applyChange = async (change, req) => {
+  const data = { ...change.data };
+  if (change.parentRef) {
+    data.categoryId = change.parentRef.id;
+  }
+
+  switch (`${change.entity}:${change.action}`) {
+    case 'category:create': {
+      const category = await serviceCategoryService.createServiceCategory(
+        data,
+        req,
+      );
+      change.ref.id = category.serviceCategoryId;
+      return category;
+    }
+    case 'category:update':
+      return serviceCategoryService.updateServiceCategory(change.id, data, req);
+    case 'type:create': {
+      const type = await serviceTypeService.createServiceType(data, req);
+      change.ref.id = type.serviceTypeId;
+      return type;
+    }
+    case 'type:update':
+      return serviceTypeService.updateServiceType(change.id, data, req);
+    case 'component:create': {
+      const component = await serviceComponentService.createServiceComponent(
+        data,
+        req,
+      );
+      change.ref.id = component.serviceComponentId;
+      return component;
+    }
+    case 'component:update':
+      return serviceComponentService.updateServiceComponent(
+        change.id,
+        data,
+        req,
+      );
+    case 'type_component:create':
+      return serviceTypeService.associateComponentWithType(
+        change.typeRef.id,
+        { serviceComponentId: change.componentRef.id },
+        req,
+      );
+    default:
+      throw AppError.internal(
+        `Unsupported catalog change ${change.entity}:${change.action}`,
+      );
+  }
+};
+
+/**
+ * Strip the internal references from a planned change for the response
+ * @param {Object} change - Planned change
+ * @returns {Object} Change as reported to the client
+ */
+const describeChange = (change) => {
+  const described = { ...change };
+  ['ref', 'parentRef', 'typeRef', 'componentRef'].forEach((field) => {
+    delete described[field];
+  });
+  return described;
+};
+
+/**
+ * Import a catalog document
+ * Nothing is forwarded to the injection service when the document has errors
+ * or unique-constraint conflicts. Changes are applied parents first and stop at
+ * the first failure; changes already applied are reported as such.
+ * @param {Object} catalog - Catalog document ({ categories, types, components, typeComponents })
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Only report what would change
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} Import report
+ */
+const importCatalog = async (catalog, { dryRun = false } = {}, req) => {
+  const plan = await planCatalogImport(catalog);
+  const report = {
+    dryRun,
+    summary: plan.summary,
+    conflicts: plan.conflicts,
+    errors: plan.errors,
+  };
+
+  logger.info({
+    message: 'Planned service catalog import',
+    metadata: {
+      dryRun,
+      changes: plan.changes.length,
+      conflicts: plan.conflicts.length,
+      errors: plan.errors.length,
+    },
+  });
+
+  if (dryRun) {
+    return { ...report, changes: plan.changes.map(describeChange) };
+  }
+
+  if (plan.errors.length > 0) {
+    throw AppError.validationError('Catalog import has invalid rows', report);
+  }
+  if (plan.conflicts.length > 0) {
+    throw new AppError(
+      'Catalog import has unique constraint conflicts',
+      409,
+      'CATALOG_IMPORT_CONFLICT',
+      report,
+    );
+  }
+
+  for (const [index, change] of plan.changes.entries()) {
+    try {
+      const record = await applyChange(
+        change,
+        withIdempotencyKeySuffix(req, `import-${index}`),
+      );
+      change.status = 'applied';
+      change.id = change.id || change.ref?.id || record?.serviceTypeComponentId;
+    } catch (error) {
+      change.status = 'failed';
+      change.error = error.message;
+      plan.changes
+        .filter((other) => !other.status)
+        .forEach((other) => {
+          other.status = 'skipped';
+        });
+
+      logger.error({
+        message: 'Service catalog import stopped',
+        metadata: {
+          entity: change.entity,
+          row: change.row,
+          error: error.message,
+        },
+      });
+      throw new AppError(
+        `Catalog import failed at ${change.entity} row ${change.row}, earlier changes were applied`,
+        error.statusCode || 500,
+        'CATALOG_IMPORT_FAILED',
+        { ...report, changes: plan.changes.map(describeChange) },
+      );
+    }
+  }
+
+  return { ...report, changes: plan.changes.map(describeChange) };
+};
+
+// Levels of the catalog tree: category -> serviceTypes -> components
+const COMPONENT_LEVEL = { idField: 'serviceComponentId' };
+
+const TYPE_LEVEL = {
+  idField: 'serviceTypeId',
+  orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+  child: {
+    name: 'components',
+    level: COMPONENT_LEVEL,
+    // Components hang off the ServiceTypeComponent link table
+    toRelation: (args) => ({
+      serviceComponents: {
+        orderBy: { serviceComponent: { name: 'asc' } },
+        select: {
+          serviceComponent: Object.keys(args).length > 0 ? args : true,
+        },
+      },
+    }),
+  },
+};
+
+const CATEGORY_LEVEL = {
+  idField: 'serviceCategoryId',
+  orderBy: [{ displayOrder: 'asc' }, { name: 'asc' }],
+  child: {
+    name: 'serviceTypes',
+    level: TYPE_LEVEL,
+    toRelation: (args) => ({ serviceTypes: args }),
+  },
+};
+
+/**
+ * Turn one level of a limitFieldsAdvanced selection into Prisma query arguments
+ * `id` is an alias for the level's primary key. A level that only lists
+ * exclusions keeps every other field, including its children.
+ * @param {Object} [selection] - Selection for this level, undefined for all fields
+ * @param {Object} level - Tree level
+ * @returns {Object} Prisma findMany arguments for the level
+ */
+const buildTreeLevelArgs = (selection, level) => {
+  const args = level.orderBy ? { orderBy: level.orderBy } : {};
+  const { child } = level;
+
+  const fields = {};
+  const omit = {};
+  Object.entries(selection || {}).forEach(([field, value]) => {
+    const name = field === 'id' ? level.idField : field;
+    if (value === false) {
+      omit[name] = true;
+    } else {
+      fields[name] = value;
+    }
+  });
+
+  let childSelection = child && !omit[child.name] ? true : undefined;
+  if (child) {
+    delete omit[child.name];
+    if (child.name in fields) {
+      childSelection = fields[child.name];
+      delete fields[child.name];
+    }
+  }
+
+  const relation =
+    childSelection &&
+    child.toRelation(
+      buildTreeLevelArgs(
+        childSelection === true ? undefined : childSelection.select,
+        child.level,
+      ),
+    );
+
+  if (Object.keys(fields).length > 0) {
+    // Only listed children are returned when specific fields are selected
+    const selected =
+      child && selection && !(child.name in selection) ? {} : relation;
+    args.select = { ...fields, ...selected };
+    return args;
+  }
+
+  if (Object.keys(omit).length > 0) {
+    args.omit = omit;
+  }
+  if (relation) {
+    args.include = relation;
+  }
+  return args;
+};
+
+/**
+ * Replace the ServiceTypeComponent links of a type with its components
+ * @param {Object} type - Service type row
+ * @returns {Object} Service type with a components array
+ */
+const flattenTypeComponents = (type) => {
+  if (!type.serviceComponents) {
+    return type;
+  }
+  const result = { ...type };
+  delete result.serviceComponents;
+  result.components = type.serviceComponents.map(
+    (link) => link.serviceComponent,
+  );
+  return result;
+};
+
+/**
+ * Get every category with its service types and their components in one query
+ * Categories and types are ordered by displayOrder, then name. `fields` uses the
+ * APIFeatures.limitFieldsAdvanced syntax on the response shape, e.g.
+ * `name,serviceTypes.name,serviceTypes.components.name`.
+ * @param {Object} queryOptions - Query parameters (vehicleType, fields)
+ * @returns {Promise<Array<Object>>} Catalog tree
+ */
+const getCatalogTree = async (queryOptions = {}) => {
+  const { vehicleType, fields } = queryOptions;
+
+  // Capture the selection built by APIFeatures instead of running a query
+  const selectionQuery = {
+    selectConditions: undefined,
+    select: function (selectParams) {
+      this.selectConditions = selectParams;
+      return this;
+    },
+  };
+  new APIFeatures(selectionQuery, { fields }).limitFieldsAdvanced();
+
+  const selection = selectionQuery.selectConditions;
+  // limitFieldsAdvanced adds `id` to lists of exclusions only
+  if (selection?.id && !fields.split(',').includes('id')) {
+    delete selection.id;
+  }
+
+  try {
+    const categories = await prisma.serviceCategory.findMany({
+      where: vehicleType ? { vehicleType } : {},
+      ...buildTreeLevelArgs(selection, CATEGORY_LEVEL),
+    });
+
+    logger.info({
+      message: 'Retrieved catalog tree',
+      metadata: { vehicleType, categories: categories.length },
+    });
+
+    return categories.map((category) =>
+      category.serviceTypes
+        ? {
+            ...category,
+            serviceTypes: category.serviceTypes.map(flattenTypeComponents),
+          }
+        : category,
+    );
+  } catch (error) {
+    logger.error({
+      message: 'Error retrieving catalog tree',
+      metadata: { vehicleType, fields, error: error.message },
+    });
+
+    if (error.name === 'PrismaClientValidationError') {
+      throw AppError.badRequest(
+        'Invalid field selection for the catalog tree',
+        'INVALID_FIELD_SELECTION',
+      );
+    }
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw AppError.internal(
+      `Failed to retrieve catalog tree: ${error.message}`,
+    );
+  }
+};
+
+// Hits returned per group when the request has no limit
+const SEARCH_DEFAULT_LIMIT = 10;
+
+// ts_headline options: matches wrapped in <mark>, up to two short fragments
+const SEARCH_HEADLINE_OPTIONS =
+  'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5, FragmentDelimiter=" ... "';
+
+// Round the relevance score so responses (and their ETags) stay stable
+const withRoundedRank = (hits) =>
+  hits.map((hit) => ({ ...hit, rank: Number(Number(hit.rank).toFixed(4)) }));
+
+/**
+ * Search categories, service types and components with Postgres full-text
+ * search, falling back to trigram similarity on names for typos
+ * A record matches when its search_vector (name, description and, for types,
+ * longDescription, weighted in that order) matches the websearch query, or when
+ * the query is similar to a word of its name (pg_trgm `<%`). Hits are ranked by
+ * ts_rank plus the word similarity of the name, and their snippet has the
+ * matched terms wrapped in <mark>.
+ * @param {Object} queryOptions - Query parameters (q, vehicleType, limit)
+ * @returns {Promise<Object>} { query, categories, serviceTypes, components }
+ */
+const searchCatalog = async (queryOptions = {}) => {
+  const q = String(queryOptions.q || '').trim();
+  const vehicleType = queryOptions.vehicleType || null;
+  const limit = parseInt(queryOptions.limit, 10) || SEARCH_DEFAULT_LIMIT;
+
+  try {
+    const [categories, serviceTypes, components] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT c."service_category_id" AS "serviceCategoryId",
+               c."name",
+               c."vehicleType",
+               ts_headline('english', concat_ws(' ', c."name", c."description"), query.tsq, ${SEARCH_HEADLINE_OPTIONS}) AS "snippet",
+               ts_rank(c."search_vector", query.tsq) + word_similarity(${q}, c."name") AS "rank"
+        FROM "service_category" c,
+             websearch_to_tsquery('english', ${q}) AS query(tsq)
+        WHERE (c."search_vector" @@ query.tsq OR ${q} <% c."name")
+          AND (${vehicleType}::"VehicleType" IS NULL OR c."vehicleType" = ${vehicleType}::"VehicleType")
+        ORDER BY "rank" DESC, c."name" ASC
+        LIMIT ${limit}`,
+      prisma.$queryRaw`
+        SELECT t."service_type_id" AS "serviceTypeId",
+               t."name",
+               t."category_id" AS "categoryId",
+               c."name" AS "categoryName",
+               c."vehicleType",
+               ts_headline('english', concat_ws(' ', t."name", t."description", t."long_description"), query.tsq, ${SEARCH_HEADLINE_OPTIONS}) AS "snippet",
+               ts_rank(t."search_vector", query.tsq) + word_similarity(${q}, t."name") AS "rank"
+        FROM "service_type" t
+             JOIN "service_category" c ON c."service_category_id" = t."category_id",
+             websearch_to_tsquery('english', ${q}) AS query(tsq)
+        WHERE (t."search_vector" @@ query.tsq OR ${q} <% t."name")
+          AND (${vehicleType}::"VehicleType" IS NULL OR c."vehicleType" = ${vehicleType}::"VehicleType")
+        ORDER BY "rank" DESC, t."name" ASC
+        LIMIT ${limit}`,
+      prisma.$queryRaw`
+        SELECT s."service_component_id" AS "serviceComponentId",
+               s."name",
+               s."vehicle_type" AS "vehicleType",
+               ts_headline('english', concat_ws(' ', s."name", s."description"), query.tsq, ${SEARCH_HEADLINE_OPTIONS}) AS "snippet",
+               ts_rank(s."search_vector", query.tsq) + word_similarity(${q}, s."name") AS "rank"
+        FROM "service_component" s,
+             websearch_to_tsquery('english', ${q}) AS query(tsq)
+        WHERE (s."search_vector" @@ query.tsq OR ${q} <% s."name")
+          AND (${vehicleType}::"VehicleType" IS NULL OR s."vehicle_type" = ${vehicleType}::"VehicleType")
+        ORDER BY "rank" DESC, s."name" ASC
+        LIMIT ${limit}`,
+    ]);
+
+    logger.info({
+      message: 'Searched service catalog',
+      metadata: {
+        q,
+        vehicleType,
+        categories: categories.length,
+        serviceTypes: serviceTypes.length,
+        components: components.length,
+      },
+    });
+
+    return {
+      query: q,
+      categories: withRoundedRank(categories),
+      serviceTypes: withRoundedRank(serviceTypes),
+      components: withRoundedRank(components),
+    };
+  } catch (error) {
+    logger.error({
+      message: 'Error searching service catalog',
+      metadata: { q, vehicleType, error: error.message },
+    });
+
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw AppError.internal(`Failed to search catalog: ${error.message}`);
+  }
+};
+
+// Suggestions returned when the request has no limit
+const SUGGEST_DEFAULT_LIMIT = 10;
+
+/**
+ * Load the names of every category, service type and component for the
+ * suggest index
+ * @returns {Promise<Array<Object>>} Suggest entries
+ */
+const loadSuggestEntries = async () => {
+  const [categories, types, components] = await Promise.all([
+    prisma.serviceCategory.findMany({
+      select: {
+        serviceCategoryId: true,
+        name: true,
+        vehicleType: true,
+        isPopular: true,
+        displayOrder: true,
+      },
+    }),
+    prisma.serviceType.findMany({
+      select: {
+        serviceTypeId: true,
+        name: true,
+        categoryId: true,
+        isPopular: true,
+        displayOrder: true,
+        category: { select: { vehicleType: true } },
+      },
+    }),
+    prisma.serviceComponent.findMany({
+      select: { serviceComponentId: true, name: true, vehicleType: true },
+    }),
+  ]);
+
+  return [
+    ...categories.map((category) => ({
+      entity: 'category',
+      id: category.serviceCategoryId,
+      name: category.name,
+      vehicleType: category.vehicleType,
+      isPopular: category.isPopular,
+      displayOrder: category.displayOrder,
+    })),
+    ...types.map((type) => ({
+      entity: 'type',
+      id: type.serviceTypeId,
+      name: type.name,
+      vehicleType: type.category.vehicleType,
+      categoryId: type.categoryId,
+      isPopular: type.isPopular,
+      displayOrder: type.displayOrder,
+    })),
+    ...components.map((component) => ({
+      entity: 'component',
+      id: component.serviceComponentId,
+      name: component.name,
+      vehicleType: component.vehicleType,
+    })),
+  ];
+};
+
+/**
+ * Suggest category, service type and component names for a typeahead
+ * Served from the in-memory suggest index: every word typed must start a word of
+ * the name, names starting with the query and popular entries come first, then
+ * lower displayOrder.
+ * @param {Object} queryOptions - Query parameters (q, vehicleType, limit)
+ * @returns {Promise<Object>} { query, suggestions }
+ */
+const suggestCatalog = async (queryOptions = {}) => {
+  const q = String(queryOptions.q || '').trim();
+  const { vehicleType } = queryOptions;
+  const limit = parseInt(queryOptions.limit, 10) || SUGGEST_DEFAULT_LIMIT;
+
+  try {
+    const suggestions = await suggestIndex.suggest(q, loadSuggestEntries, {
+      vehicleType,
+      limit,
+    });
+    return { query: q, suggestions };
+  } catch (error) {
+    logger.error({
+      message: 'Error loading catalog suggestions',
+      metadata: { q, vehicleType, error: error.message },
+    });
+
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw AppError.internal(
+      `Failed to load catalog suggestions: ${error.message}`,
+    );
+  }
+};
+
+// Vehicle types a component or category can mismatch on; NONE fits any vehicle
+const SPECIFIC_VEHICLE_TYPES = ['CAR', 'BIKE'];
+
+// Build a finding of an audit check
+const auditFinding = (resourceType, resourceId, message, details) => ({
+  resourceType,
+  resourceId,
+  message,
+  ...(details && { details }),
+});
+
+/**
+ * Checks run by the catalog audit, in the order they are reported
+ * Each check loads its findings with Prisma; `now` is the time of the audit.
+ */
+const CATALOG_AUDIT_CHECKS = [
+  {
+    check: 'EMPTY_CATEGORY',
+    severity: 'warning',
+    description: 'Categories without service types',
+    run: async () => {
+      const categories = await prisma.serviceCategory.findMany({
+        where: { serviceTypes: { none: {} } },
+        select: { serviceCategoryId: true, name: true, vehicleType: true },
+        orderBy: { name: 'asc' },
+      });
+      return categories.map((category) =>
+        auditFinding(
+          'category',
+          category.serviceCategoryId,
+          `Category "${category.name}" has no service types`,
+          { name: category.name, vehicleType: category.vehicleType },
+        ),
+      );
+    },
+  },
+  {
+    check: 'TYPE_WITHOUT_COMPONENTS',
+    severity: 'warning',
+    description: 'Service types without components',
+    run: async () => {
+      const types = await prisma.serviceType.findMany({
+        where: { serviceComponents: { none: {} } },
+        select: { serviceTypeId: true, name: true, categoryId: true },
+        orderBy: { name: 'asc' },
+      });
+      return types.map((type) =>
+        auditFinding(
+          'type',
+          type.serviceTypeId,
+          `Service type "${type.name}" has no components`,
+          { name: type.name, categoryId: type.categoryId },
+        ),
+      );
+    },
+  },
+  {
+    check: 'ORPHAN_COMPONENT',
+    severity: 'info',
+    description: 'Components not attached to any service type',
+    run: async () => {
+      const components = await prisma.serviceComponent.findMany({
+        where: { serviceTypeComponents: { none: {} } },
+        select: { serviceComponentId: true, name: true, vehicleType: true },
+        orderBy: { name: 'asc' },
+      });
+      return components.map((component) =>
+        auditFinding(
+          'component',
+          component.serviceComponentId,
+          `Component "${component.name}" is not attached to any service type`,
+          { name: component.name, vehicleType: component.vehicleType },
+        ),
+      );
+    },
+  },
+  {
+    check: 'OFFERING_VEHICLE_TYPE_MISMATCH',
+    severity: 'error',
+    description:
+      'Offerings whose service type has components for a different vehicle type than its category',
+    run: async () => {
+      // Prisma cannot compare columns of two relations, so links to a
+      // vehicle-specific component are compared here
+      const links = await prisma.serviceTypeComponent.findMany({
+        where: {
+          serviceComponent: { vehicleType: { in: SPECIFIC_VEHICLE_TYPES } },
+          serviceType: {
+            category: { vehicleType: { in: SPECIFIC_VEHICLE_TYPES } },
+          },
+        },
+        select: {
+          serviceTypeId: true,
+          serviceComponent: {
+            select: { serviceComponentId: true, name: true, vehicleType: true },
+          },
+          serviceType: {
+            select: {
+              category: {
+                select: { serviceCategoryId: true, vehicleType: true },
+              },
+            },
+          },
+        },
+      });
+
+      const mismatchesByType = new Map();
+      links
+        .filter(
+          (link) =>
+            link.serviceComponent.vehicleType !==
+            link.serviceType.category.vehicleType,
+        )
+        .forEach((link) => {
+          const mismatch = mismatchesByType.get(link.serviceTypeId) || {
+            categoryId: link.serviceType.category.serviceCategoryId,
+            categoryVehicleType: link.serviceType.category.vehicleType,
+            components: [],
+          };
+          mismatch.components.push(link.serviceComponent);
+          mismatchesByType.set(link.serviceTypeId, mismatch);
+        });
+      if (mismatchesByType.size === 0) return [];
+
+      const offerings = await prisma.serviceCenterOffering.findMany({
+        where: { serviceTypeId: { in: [...mismatchesByType.keys()] } },
+        select: {
+          serviceCenterOfferingId: true,
+          serviceCenterId: true,
+          serviceTypeId: true,
+        },
+      });
+      return offerings.map((offering) => {
+        const mismatch = mismatchesByType.get(offering.serviceTypeId);
+        return auditFinding(
+          'offering',
+          offering.serviceCenterOfferingId,
+          `Service type of the offering is for ${mismatch.categoryVehicleType} but has components for another vehicle type`,
+          {
+            serviceCenterId: offering.serviceCenterId,
+            serviceTypeId: offering.serviceTypeId,
+            ...mismatch,
+          },
+        );
+      });
+    },
+  },
+  {
+    check: 'EXPIRED_DISCOUNT',
+    severity: 'warning',
+    description:
+      'Offerings that still have a discount after discountValidUntil',
+    run: async (now) => {
+      const offerings = await prisma.serviceCenterOffering.findMany({
+        where: {
+          discountPercentage: { gt: 0 },
+          discountValidUntil: { lt: now },
+        },
+        select: {
+          serviceCenterOfferingId: true,
+          serviceCenterId: true,
+          serviceTypeId: true,
+          discountPercentage: true,
+          discountValidUntil: true,
+        },
+        orderBy: { discountValidUntil: 'asc' },
+      });
+      return offerings.map((offering) =>
+        auditFinding(
+          'offering',
+          offering.serviceCenterOfferingId,
+          'Discount of the offering has expired but is still set',
+          {
+            serviceCenterId: offering.serviceCenterId,
+            serviceTypeId: offering.serviceTypeId,
+            discountPercentage: toPlainValue(offering.discountPercentage),
+            discountValidUntil: offering.discountValidUntil,
+          },
+        ),
+      );
+    },
+  },
+];
+
+/**
+ * Audit the catalog for consistency problems
+ * Runs every check of CATALOG_AUDIT_CHECKS and reports their findings grouped
+ * by check, with the severity of the check on each finding.
+ * @returns {Promise<Object>} { auditedAt, summary, checks }
+ */
+const auditCatalog = async () => {
+  const now = new Date();
+
+  try {
+    const results = await Promise.all(
+      CATALOG_AUDIT_CHECKS.map(({ run }) => run(now)),
+    );
+
+    const checks = CATALOG_AUDIT_CHECKS.map(
+      ({ check, severity, description }, index) => ({
+        check,
+        severity,
+        description,
+        count: results[index].length,
+        findings: results[index].map((finding) => ({ ...finding, severity })),
+      }),
+    );
+    const summary = { total: 0, error: 0, warning: 0, info: 0 };
+    checks.forEach(({ severity, count }) => {
+      summary.total += count;
+      summary[severity] += count;
+    });
+
+    logger.info({
+      message: 'Audited service catalog',
+      metadata: summary,
+    });
+
+    return { auditedAt: now.toISOString(), summary, checks };
+  } catch (error) {
+    logger.error({
+      message: 'Error auditing service catalog',
+      metadata: { error: error.message },
+    });
+
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw AppError.internal(`Failed to audit catalog: ${error.message}`);
+  }
+};
+
+module.exports = {
+  CATALOG_CSV_COLUMNS,
+  getCatalogTree,
+  searchCatalog,
+  suggestCatalog,
+  auditCatalog,
+  exportCatalog,
+  parseCatalogCsv,
+  planCatalogImport,
+  importCatalog,
+};
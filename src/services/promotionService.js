@@ -0,0 +1,339 @@
+const prisma = require('../models/index');
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+const { publishEvent } = require('../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../events/eventTypes');
+const { injectionClient } = require('../utils/injectionClient');
+const { roundCurrency } = require('../utils/currency');
+const { createWriteErrorMapper } = require('../utils/injectionErrors');
+const { listRecords, targetCondition } = require('../utils/prismaQueryAdapter');
+const {
+  createNotFoundError,
+  createInternalError,
+} = require('../controllers/errorController');
+
+// Fields promotion lists may be filtered, sorted, searched and selected on
+const PROMOTION_QUERY = {
+  primaryKey: 'promotionId',
+  filterFields: [
+    'promotionId',
+    'name',
+    'startDate',
+    'endDate',
+    'discountPercentage',
+    'discountAbsolute',
+    'serviceCenterId',
+    'serviceTypeId',
+    'categoryId',
+    'vehicleType',
+    'isStackable',
+    'priority',
+    'isActive',
+    'createdAt',
+    'updatedAt',
+  ],
+  searchFields: ['name', 'description'],
+  selectFields: [
+    'promotionId',
+    'name',
+    'description',
+    'startDate',
+    'endDate',
+    'discountPercentage',
+    'discountAbsolute',
+    'serviceCenterId',
+    'serviceTypeId',
+    'categoryId',
+    'vehicleType',
+    'isStackable',
+    'priority',
+    'isActive',
+    'createdAt',
+    'updatedAt',
+  ],
+};
+
+// Offering fields a promotion can target, in the order they are matched
+const PROMOTION_TARGETS = [
+  'serviceCenterId',
+  'serviceTypeId',
+  'categoryId',
+  'vehicleType',
+];
+
+// Nullable Prisma Decimal as a number, null when missing
+const toNullableAmount = (value) =>
+  value === null || value === undefined ? null : Number(value);
+
+// Failed injection-service writes as AppErrors
+const toWriteError = createWriteErrorMapper({
+  resourceType: 'promotion',
+  idField: 'promotionId',
+});
+
+/**
+ * Create a promotion by forwarding the request to the injection service
+ * @param {Object} promotionData - The data for the new promotion
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The created promotion
+ */
+const createPromotion = async (promotionData, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding promotion creation request to injection service',
+      metadata: { name: promotionData.name },
+    });
+    const response = await injectionClient.post(
+      '/api/v1/promotions',
+      promotionData,
+      { req },
+    );
+    const promotion = response.data.data;
+    await publishEvent(CATALOG_EVENTS.PROMOTION_CREATED, promotion);
+    return promotion;
+  } catch (error) {
+    throw toWriteError(error, 'create promotion');
+  }
+};
+
+/**
+ * Get promotions with filtering, search, sorting and pagination
+ * @param {Object} queryOptions - Query options
+ * @returns {Promise<Object>} - { data, meta }
+ */
+const getAllPromotions = async (queryOptions = {}) => {
+  try {
+    return await listRecords(prisma.promotion, PROMOTION_QUERY, queryOptions);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    logger.error({
+      message: 'Error retrieving promotions',
+      metadata: { error: error.message, stack: error.stack },
+    });
+    throw AppError.internal(`Failed to retrieve promotions: ${error.message}`);
+  }
+};
+
+/**
+ * Get a promotion by ID
+ * @param {string} id - Promotion ID
+ * @returns {Promise<Object>} - The promotion
+ * @throws {AppError} 404 when the promotion does not exist
+ */
+const getPromotionById = async (id) => {
+  let promotion;
+  try {
+    promotion = await prisma.promotion.findUnique({
+      where: { promotionId: id },
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Error fetching promotion by id',
+      metadata: { promotionId: id, error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw createInternalError(`Failed to fetch promotion: ${error.message}`);
+  }
+
+  if (!promotion) {
+    throw createNotFoundError(id, 'promotion');
+  }
+  return promotion;
+};
+
+/**
+ * Update a promotion by forwarding the request to the injection service
+ * @param {string} id - Promotion ID
+ * @param {Object} updateData - The fields to update
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The updated promotion
+ */
+const updatePromotion = async (id, updateData, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding promotion update to injection service',
+      metadata: { promotionId: id, updateData },
+    });
+    const response = await injectionClient.patch(
+      `/api/v1/promotions/${id}`,
+      updateData,
+      { req },
+    );
+    const promotion = response.data.data;
+    await publishEvent(CATALOG_EVENTS.PROMOTION_UPDATED, promotion);
+    return promotion;
+  } catch (error) {
+    throw toWriteError(error, 'update promotion', id);
+  }
+};
+
+/**
+ * Delete a promotion by forwarding the request to the injection service
+ * @param {string} id - Promotion ID
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<boolean>} - true once deleted
+ */
+const deletePromotion = async (id, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding promotion deletion to injection service',
+      metadata: { promotionId: id },
+    });
+    await injectionClient.delete(`/api/v1/promotions/${id}`, { req });
+    await publishEvent(CATALOG_EVENTS.PROMOTION_DELETED, { promotionId: id });
+    return true;
+  } catch (error) {
+    throw toWriteError(error, 'delete promotion', id);
+  }
+};
+
+// A promotion applies to a target when every target field it sets matches
+const matchesTarget = (promotion, target) =>
+  PROMOTION_TARGETS.every(
+    (field) => promotion[field] === null || promotion[field] === target[field],
+  );
+
+/**
+ * Find the promotions running at a time for each of a list of offerings
+ * Offerings are expected to include their serviceType, whose category gives the
+ * vehicleType a promotion may target.
+ * @param {Array<Object>} offerings - Service center offerings
+ * @param {Date} [now] - Time the promotions must be running at
+ * @returns {Promise<Array<Array<Object>>>} - Promotions per offering (same order),
+ * highest priority first
+ */
+const getPromotionsForOfferings = async (offerings, now = new Date()) => {
+  if (offerings.length === 0) return [];
+
+  const targets = offerings.map((offering) => ({
+    serviceCenterId: offering.serviceCenterId,
+    serviceTypeId:
+      offering.serviceTypeId ?? offering.serviceType?.serviceTypeId,
+    categoryId: offering.serviceType?.categoryId,
+  }));
+  const valuesOf = (field) =>
+    targets.map((target) => target[field]).filter(Boolean);
+
+  try {
+    const promotions = await prisma.promotion.findMany({
+      where: {
+        isActive: true,
+        startDate: { lte: now },
+        endDate: { gte: now },
+        AND: ['serviceCenterId', 'serviceTypeId', 'categoryId'].map((field) =>
+          targetCondition(field, valuesOf(field)),
+        ),
+      },
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }],
+    });
+
+    // The vehicle type lives on the category, so it is only looked up when needed
+    if (promotions.some((promotion) => promotion.vehicleType !== null)) {
+      const categories = await prisma.serviceCategory.findMany({
+        where: {
+          serviceCategoryId: { in: [...new Set(valuesOf('categoryId'))] },
+        },
+        select: { serviceCategoryId: true, vehicleType: true },
+      });
+      const vehicleTypes = new Map(
+        categories.map((category) => [
+          category.serviceCategoryId,
+          category.vehicleType,
+        ]),
+      );
+      targets.forEach((target) => {
+        target.vehicleType = vehicleTypes.get(target.categoryId);
+      });
+    }
+
+    return targets.map((target) =>
+      promotions.filter((promotion) => matchesTarget(promotion, target)),
+    );
+  } catch (error) {
+    logger.error({
+      message: 'Error loading promotions for offerings',
+      metadata: { error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw AppError.internal(`Failed to load promotions: ${error.message}`);
+  }
+};
+
+/**
+ * Apply promotions one after the other, each to the price left by the previous
+ * @param {Array<Object>} promotions - Promotions in the order they apply
+ * @param {number} price - Price before the promotions
+ * @returns {Object} - { applied, amount }
+ */
+const applyInOrder = (promotions, price) => {
+  let remaining = price;
+  const applied = promotions.map((promotion) => {
+    const percentage = toNullableAmount(promotion.discountPercentage);
+    const absolute = toNullableAmount(promotion.discountAbsolute);
+    const amount = roundCurrency(
+      Math.min(
+        remaining,
+        percentage !== null ? (remaining * percentage) / 100 : absolute || 0,
+      ),
+    );
+    remaining = roundCurrency(remaining - amount);
+    return {
+      promotionId: promotion.promotionId,
+      name: promotion.name,
+      discountPercentage: percentage,
+      discountAbsolute: absolute,
+      isStackable: promotion.isStackable,
+      endDate: promotion.endDate,
+      amount,
+    };
+  });
+  return { applied, amount: roundCurrency(price - remaining) };
+};
+
+/**
+ * Pick the promotions that give the largest discount on a price
+ * A promotion that is not stackable applies alone; stackable promotions apply
+ * together, in priority order, each to the price left by the previous one. The
+ * option with the largest discount wins, the higher priority on a tie.
+ * @param {Array<Object>} promotions - Running promotions, highest priority first
+ * @param {number} price - Price the promotions apply to
+ * @returns {Object|null} - { applied, amount, price } or null when none apply
+ */
+const resolvePromotions = (promotions = [], price) => {
+  const stackable = promotions.filter((promotion) => promotion.isStackable);
+  const options = [];
+  promotions.forEach((promotion) => {
+    if (!promotion.isStackable) {
+      options.push([promotion]);
+    } else if (promotion === stackable[0]) {
+      options.push(stackable);
+    }
+  });
+
+  const best = options
+    .map((option) => applyInOrder(option, price))
+    .reduce(
+      (winner, option) =>
+        !winner || option.amount > winner.amount ? option : winner,
+      null,
+    );
+  if (!best) return null;
+
+  return { ...best, price: roundCurrency(price - best.amount) };
+};
+
+module.exports = {
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  getPromotionsForOfferings,
+  resolvePromotions,
+};
@@ -1,24 +1,56 @@
 const prisma = require('../models/index');
 const AppError = require('../utils/appError');
-// const APIFeatures = require('../utils/apiFeatures');
+const { listRecords } = require('../utils/prismaQueryAdapter');
 const { logger } = require('../utils/logger');
-const axios = require('axios');
+const { publishEvent } = require('../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../events/eventTypes');
+const { readCache, cacheKeys, toVersion } = require('../cache/readCache');
+const { injectionClient } = require('../utils/injectionClient');
 const {
   createNotFoundError,
   createInternalError,
   createDuplicateError,
 } = require('../controllers/errorController');
 
-// Injection service base URL
-const INJECTION_SERVICE_URL =
-  process.env.INJECTION_SERVICE_URL || 'http://localhost:5001';
+// Fields category lists may be filtered, sorted, searched and selected on
+const CATEGORY_QUERY = {
+  primaryKey: 'serviceCategoryId',
+  filterFields: [
+    'serviceCategoryId',
+    'name',
+    'description',
+    'vehicleType',
+    'icon',
+    'displayOrder',
+    'isPopular',
+    'createdAt',
+    'updatedAt',
+    'serviceTypes.some.serviceTypeId',
+    'serviceTypes.some.name',
+    'serviceTypes.some.isPopular',
+  ],
+  searchFields: ['name', 'description'],
+  selectFields: [
+    'serviceCategoryId',
+    'name',
+    'description',
+    'vehicleType',
+    'icon',
+    'displayOrder',
+    'isPopular',
+    'createdAt',
+    'updatedAt',
+    'serviceTypes',
+  ],
+};
 
 /**
  * Create a new service category
  * @param {Object} categoryData - Service category data
+ * @param {Object} [req] - Incoming request whose auth and request ID are forwarded
  * @returns {Promise<Object>} Created service category
  */
-const createServiceCategory = async (categoryData) => {
+const createServiceCategory = async (categoryData, req) => {
   try {
     logger.info({
       message: 'Forwarding category creation to Injection Service',
@@ -26,9 +58,10 @@ const createServiceCategory = async (categoryData) => {
     });
 
     // Forward the write operation to the Injection Service
-    const response = await axios.post(
-      `${INJECTION_SERVICE_URL}/api/v1/categories`,
+    const response = await injectionClient.post(
+      '/api/v1/categories',
       categoryData,
+      { req },
     );
 
     const serviceCategory = response.data.data;
@@ -38,8 +71,13 @@ const createServiceCategory = async (categoryData) => {
       metadata: { serviceCategoryId: serviceCategory.serviceCategoryId },
     });
 
+    await publishEvent(CATALOG_EVENTS.CATEGORY_CREATED, serviceCategory);
+
     return serviceCategory;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error creating service category via Injection Service',
       metadata: {
@@ -92,204 +130,18 @@ const createServiceCategory = async (categoryData) => {
  */
 const getAllServiceCategories = async (queryOptions) => {
   try {
-    // Import the APIFeatures class
-    const APIFeatures = require('../utils/apiFeatures');
-
-    // Define allowed filter fields for service categories
-    const ALLOWED_FILTER_FIELDS = [
-      'serviceCategoryId',
-      'name',
-      'description',
-      'vehicleType',
-      'icon',
-      'displayOrder',
-      'isPopular',
-      'createdAt',
-      'updatedAt',
-    ];
-
-    // Helper function to validate if a field is allowed for filtering
-    const isAllowedField = (field) => {
-      // Check if it's a direct match with allowed fields
-      if (ALLOWED_FILTER_FIELDS.includes(field)) return true;
-
-      // Check if it's an operator on an allowed field
-      // Example: 'name_contains' or 'createdAt[gte]'
-      if (field.includes('[') && field.includes(']')) {
-        const baseField = field.split('[')[0];
-        return ALLOWED_FILTER_FIELDS.includes(baseField);
-      }
-
-      // Handle standard operator formats like 'createdAt.gte'
-      if (field.includes('.')) {
-        const baseField = field.split('.')[0];
-        return ALLOWED_FILTER_FIELDS.includes(baseField);
-      }
-
-      return false;
-    };
-
-    // Initialize with a proper query builder, not just the model
-    // The starting point needs to be a query builder object that can accept method calls
-    let baseQuery = {
-      // Store reference to the model
-      model: prisma.serviceCategory,
-
-      // Store the where conditions (will be built by the APIFeatures)
-      whereConditions: {},
-
-      // Store the orderBy conditions (will be built by the APIFeatures)
-      orderByConditions: [{ createdAt: 'desc' }], // Default sorting
-
-      // Store the select conditions (will be built by the APIFeatures)
-      selectConditions: undefined,
-
-      // Store pagination parameters
-      skipValue: 0,
-      takeValue: 100, // Default limit
-
-      // Define method functions that match the ones expected by APIFeatures
-      orderBy: function (orderByParams) {
-        this.orderByConditions = orderByParams;
-        return this;
-      },
-
-      select: function (selectParams) {
-        this.selectConditions = selectParams;
-        return this;
-      },
-
-      where: function (whereParams) {
-        // Filter out invalid fields before adding to where conditions
-        const validWhereParams = {};
-
-        Object.keys(whereParams).forEach((key) => {
-          if (isAllowedField(key)) {
-            validWhereParams[key] = whereParams[key];
-          } else {
-            // Log invalid fields for debugging, but don't add them to the query
-            logger.warn({
-              message: `Ignoring invalid filter field: ${key}`,
-              metadata: { value: whereParams[key] },
-            });
-          }
-        });
-
-        this.whereConditions = { ...this.whereConditions, ...validWhereParams };
-        return this;
-      },
-
-      skip: function (skipValue) {
-        this.skipValue = skipValue;
-        return this;
-      },
-
-      limit: function (limitValue) {
-        this.takeValue = limitValue;
-        return this;
-      },
-
-      // Custom search implementation for service categories
-      // This overrides the search implementation in APIFeatures
-      search: function (searchTerm) {
-        if (searchTerm) {
-          // Only search in fields that exist in the serviceCategory model
-          this.whereConditions = {
-            ...this.whereConditions,
-            OR: [
-              { name: { contains: searchTerm, mode: 'insensitive' } },
-              { description: { contains: searchTerm, mode: 'insensitive' } },
-            ],
-          };
-        }
-        return this;
-      },
-
-      // Method to execute count query
-      count: async function () {
-        try {
-          return await this.model.count({
-            where: this.whereConditions,
-          });
-        } catch (error) {
-          // Convert Prisma errors to AppErrors
-          if (error.code && error.code.startsWith('P')) {
-            throw AppError.fromPrismaError(error);
-          }
-          throw error;
-        }
-      },
-
-      // Method to execute find query
-      findMany: async function () {
-        try {
-          return await this.model.findMany({
-            where: this.whereConditions,
-            orderBy: this.orderByConditions,
-            ...(this.selectConditions && { select: this.selectConditions }),
-            skip: this.skipValue,
-            take: this.takeValue,
-          });
-        } catch (error) {
-          // Convert Prisma errors to AppErrors
-          if (error.code && error.code.startsWith('P')) {
-            throw AppError.fromPrismaError(error);
-          }
-          throw error;
-        }
-      },
-    };
-
-    // Initialize the APIFeatures with our custom query builder and query options
-    const features = new APIFeatures(baseQuery, queryOptions);
-
-    // Apply filtering
-    features.filter();
-
-    // Apply search directly from our custom query builder implementation
-    // instead of using the APIFeatures search implementation
-    if (queryOptions.search) {
-      baseQuery.search(queryOptions.search);
-    }
-
-    // Continue with other features
-    features.sort().limitFieldsAdvanced();
-
-    // Get the query before pagination for counting total records
-    // Create a copy for counting before pagination is applied
-    const countQuery = { ...features.query };
-
-    // Apply pagination
-    features.paginate();
-
-    // Get total count before pagination for metadata
-    const totalCount = await countQuery.count();
-
-    // Execute the final query with all options applied
-    const serviceCategories = await features.query.findMany();
-
-    // Calculate pagination metadata
-    const page = parseInt(queryOptions.page, 10) || 1;
-    const limit = parseInt(queryOptions.limit, 10) || 100;
-    const totalPages = Math.ceil(totalCount / limit);
+    const result = await listRecords(
+      prisma.serviceCategory,
+      CATEGORY_QUERY,
+      queryOptions,
+    );
 
     logger.info({
       message: 'Retrieved service categories',
-      metadata: { count: serviceCategories.length, totalCount },
+      metadata: { count: result.data.length, totalCount: result.meta.total },
     });
 
-    // Return data with pagination metadata
-    return {
-      data: serviceCategories,
-      meta: {
-        total: totalCount,
-        page,
-        limit,
-        totalPages,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-    };
+    return result;
   } catch (error) {
     logger.error({
       message: 'Error retrieving service categories',
@@ -321,16 +173,29 @@ const getAllServiceCategories = async (queryOptions) => {
   }
 };
 
-const getServiceCategoryById = async (id) => {
+/**
+ * Get a service category by ID
+ * @param {string} id - Service category ID
+ * @param {Object} [options] - Read options
+ * @param {number} [options.minVersion] - Minimum version to wait for (read-your-writes)
+ * @param {boolean} [options.fresh] - Bypass the read cache (preconditions of writes)
+ * @returns {Promise<Object>} Service category
+ */
+const getServiceCategoryById = async (id, options = {}) => {
   try {
     logger.info({
       message: 'Fetching service category by id',
       metadata: { categoryId: id },
     });
 
-    const serviceCategory = await prisma.serviceCategory.findUnique({
-      where: { serviceCategoryId: id },
-    });
+    const serviceCategory = await readCache.readThrough(
+      cacheKeys.category(id),
+      () =>
+        prisma.serviceCategory.findUnique({
+          where: { serviceCategoryId: id },
+        }),
+      options,
+    );
 
     if (!serviceCategory) {
       logger.warn({
@@ -362,9 +227,10 @@ const getServiceCategoryById = async (id) => {
  * Update an existing service category
  * @param {string} id - Service category ID
  * @param {Object} updateData - Updated service category data
+ * @param {Object} [req] - Incoming request whose auth and request ID are forwarded
  * @returns {Promise<Object>} Updated service category
  */
-const updateServiceCategory = async (id, updateData) => {
+const updateServiceCategory = async (id, updateData, req) => {
   try {
     logger.info({
       message: 'Forwarding category update to Injection Service',
@@ -372,9 +238,10 @@ const updateServiceCategory = async (id, updateData) => {
     });
 
     // Forward the update operation to the Injection Service
-    const response = await axios.patch(
-      `${INJECTION_SERVICE_URL}/api/v1/categories/${id}`,
+    const response = await injectionClient.patch(
+      `/api/v1/categories/${id}`,
       updateData,
+      { req },
     );
 
     const updatedCategory = response.data.data;
@@ -384,8 +251,14 @@ const updateServiceCategory = async (id, updateData) => {
       metadata: { serviceCategoryId: updatedCategory.serviceCategoryId },
     });
 
+    await publishEvent(CATALOG_EVENTS.CATEGORY_UPDATED, updatedCategory);
+    readCache.recordVersion(cacheKeys.category(id), toVersion(updatedCategory));
+
     return updatedCategory;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error updating service category via Injection Service',
       metadata: {
@@ -433,9 +306,10 @@ const updateServiceCategory = async (id, updateData) => {
 /**
  * Delete a service category
  * @param {string} id - Service category ID
+ * @param {Object} [req] - Incoming request whose auth and request ID are forwarded
  * @returns {Promise<Object>} Deleted service category
  */
-const deleteServiceCategory = async (id) => {
+const deleteServiceCategory = async (id, req) => {
   try {
     logger.info({
       message: 'Forwarding category deletion to Injection Service',
@@ -443,17 +317,22 @@ const deleteServiceCategory = async (id) => {
     });
 
     // Forward the delete operation to the Injection Service
-    // const response = await axios.delete(
-    //   `${INJECTION_SERVICE_URL}/api/v1/categories/${id}`
-    // );
-    await axios.delete(`${INJECTION_SERVICE_URL}/api/v1/categories/${id}`);
+    await injectionClient.delete(`/api/v1/categories/${id}`, { req });
     logger.info({
       message: 'Service category deleted successfully via Injection Service',
       metadata: { serviceCategoryId: id },
     });
 
+    await publishEvent(CATALOG_EVENTS.CATEGORY_DELETED, {
+      serviceCategoryId: id,
+    });
+    readCache.invalidate(cacheKeys.category(id));
+
     return true;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error deleting service category via Injection Service',
       metadata: {
@@ -1,4 +1,3 @@
-const axios = require('axios');
 const prisma = require('../models/index.js');
 const { logger } = require('../utils/logger.js');
 const {
@@ -6,15 +5,85 @@ const {
   createInternalError,
 } = require('../controllers/errorController');
 const AppError = require('../utils/appError');
+const { listRecords } = require('../utils/prismaQueryAdapter');
+const { boundingBox } = require('../utils/geo');
+const { roundCurrency } = require('../utils/currency');
+const {
+  injectionClient,
+  withIdempotencyKeySuffix,
+} = require('../utils/injectionClient');
+const { publishEvent } = require('../events/eventPublisher');
+const {
+  CATALOG_EVENTS,
+  OFFERING_PRICE_FIELDS,
+} = require('../events/eventTypes');
+const { readCache, cacheKeys, toVersion } = require('../cache/readCache');
+const serviceTypeService = require('./serviceTypeService');
+const promotionService = require('./promotionService');
+const vehicleBrandOfferingService = require('./vehicleBrandOfferingService');
+const taxRuleService = require('./taxRuleService');
+const additionalFeatureService = require('./additionalFeatureService');
 
-// Get the injection service URL from environment variables or use default
-const INJECTION_SERVICE_URL =
-  process.env.INJECTION_SERVICE_URL || 'http://localhost:5001';
+// Fields offering lists may be filtered, sorted and selected on
+const OFFERING_QUERY = {
+  primaryKey: 'serviceCenterOfferingId',
+  filterFields: [
+    'serviceCenterOfferingId',
+    'serviceTypeId',
+    'status',
+    'basePrice',
+    'discountPercentage',
+    'timeToComplete',
+    'paymentPolicy',
+    'isHighlighted',
+    'hasEmergencyService',
+    'rating',
+    'reviewCount',
+    'createdAt',
+    'updatedAt',
+    'serviceType.categoryId',
+    'serviceType.name',
+    'serviceType.isPopular',
+    'serviceType.category.vehicleType',
+  ],
+  selectFields: [
+    'serviceCenterOfferingId',
+    'serviceCenterId',
+    'serviceTypeId',
+    'status',
+    'basePrice',
+    'discountPercentage',
+    'discountValidUntil',
+    'timeToComplete',
+    'availablePriorities',
+    'priorityPrices',
+    'minimumAdvanceBooking',
+    'termsAndConditions',
+    'paymentPolicy',
+    'warrantyDays',
+    'warrantyKilometers',
+    'isHighlighted',
+    'hasEmergencyService',
+    'emergencyServiceFee',
+    'rating',
+    'reviewCount',
+    'createdAt',
+    'updatedAt',
+    'serviceType',
+    'additionalFeatures',
+  ],
+  include: {
+    serviceType: true,
+    additionalFeatures: additionalFeatureService.AVAILABLE_FEATURES,
+  },
+  defaultLimit: 10,
+};
 
 /**
  * Create a new service center offering by forwarding the request to the injection service
  * @param {string} serviceCenterId - The ID of the service center
  * @param {Object} offeringData - The data for the new service center offering
+ * @param {Object} req - Express request object with headers for auth token
  * @returns {Promise<Object>} - The created service center offering
  */
 const createServiceCenterOffering = async (
@@ -36,32 +105,25 @@ const createServiceCenterOffering = async (
     const { serviceCenterId: _, ...offeringDataToSend } = offeringData;
 
     // Forward to injection service for the actual creation
+    const path = `/api/v1/service-centers/${serviceCenterId}/offerings`;
     logger.info({
       message: 'Making request to injection service',
       metadata: {
-        url: `${INJECTION_SERVICE_URL}/api/v1/service-centers/${serviceCenterId}/offerings`,
+        url: `${injectionClient.baseUrl}${path}`,
         data: offeringDataToSend,
       },
     });
-    const authToken = req.headers.authorization;
-    const response = await axios.post(
-      `${INJECTION_SERVICE_URL}/api/v1/service-centers/${serviceCenterId}/offerings`,
-      offeringDataToSend,
-      {
-        // Add timeout and headers for better debugging
-        timeout: 5000,
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: authToken,
-        },
-      },
-    );
+    const response = await injectionClient.post(path, offeringDataToSend, {
+      req,
+    });
 
     logger.info({
       message: 'Service center offering created successfully',
       metadata: { serviceCenterId, serviceTypeId: offeringData.serviceTypeId },
     });
 
+    await publishEvent(CATALOG_EVENTS.OFFERING_CREATED, response.data.data);
+
     return response.data.data;
   } catch (error) {
     // More detailed error logging to troubleshoot API communication issues
@@ -93,11 +155,9 @@ const createServiceCenterOffering = async (
       },
     });
 
-    // Handle specific error types
-    if (error.code === 'ECONNREFUSED') {
-      throw createInternalError(
-        'Unable to connect to injection service. Is it running?',
-      );
+    // Unavailability is reported by the injection client as a 503 AppError
+    if (error instanceof AppError) {
+      throw error;
     }
 
     if (error.response?.status === 404) {
@@ -113,105 +173,50 @@ const createServiceCenterOffering = async (
 
 /**
  * Get all service offerings for a specific service center
+ * brandId, modelId or vehicleId price the offerings for that vehicle (see
+ * withVehiclePricing) instead of filtering them.
  * @param {string} serviceCenterId - The ID of the service center
  * @param {Object} queryOptions - Query options for filtering, sorting, and pagination
+ * @param {Object} [context] - Read context
+ * @param {Object} [context.user] - Authenticated user, for vehicleId
  * @returns {Promise<Object>} - List of service center offerings with pagination metadata
  */
 const getServiceCenterOfferings = async (
   serviceCenterId,
   queryOptions = {},
+  { user } = {},
 ) => {
-  const {
-    limit = 10,
-    page = 1,
-    sort,
-    status,
-    serviceTypeId,
-    hasPickupDropService,
-    hasEmergencyService,
-    minPrice,
-    maxPrice,
-  } = queryOptions;
-
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const take = parseInt(limit);
-
-  // Build filter conditions
-  const where = { serviceCenterId };
-
-  // Add optional filters
-  if (status) {
-    where.status = status;
-  }
-
-  if (serviceTypeId) {
-    where.serviceTypeId = serviceTypeId;
-  }
-
-  if (hasPickupDropService !== undefined) {
-    where.hasPickupDropService = hasPickupDropService === 'true';
-  }
-
-  if (hasEmergencyService !== undefined) {
-    where.hasEmergencyService = hasEmergencyService === 'true';
-  }
-
-  // Handle price range filters
+  // minPrice/maxPrice are shorthands for a basePrice range filter
+  const { minPrice, maxPrice, brandId, modelId, vehicleId, ...options } =
+    queryOptions;
   if (minPrice || maxPrice) {
-    where.basePrice = {};
-    if (minPrice) {
-      where.basePrice.gte = parseFloat(minPrice);
-    }
-    if (maxPrice) {
-      where.basePrice.lte = parseFloat(maxPrice);
-    }
+    options.basePrice = {
+      ...(minPrice && { gte: minPrice }),
+      ...(maxPrice && { lte: maxPrice }),
+    };
   }
 
-  // Build ordering
-  let orderBy = [];
-  if (sort) {
-    const sortParams = sort.split(',');
-    sortParams.forEach((param) => {
-      const order = param.startsWith('-') ? 'desc' : 'asc';
-      const field = param.startsWith('-') ? param.substring(1) : param;
-      orderBy.push({ [field]: order });
-    });
-  } else {
-    // Default sorting
-    orderBy.push({ createdAt: 'desc' });
-  }
+  const vehicle = await vehicleBrandOfferingService.resolveVehicle(
+    { brandId, modelId, vehicleId },
+    user,
+  );
 
   try {
-    // Query for total count
-    const totalItems = await prisma.serviceCenterOffering.count({ where });
-    const totalPages = Math.ceil(totalItems / take);
-
-    // Query for data with pagination
-    const offerings = await prisma.serviceCenterOffering.findMany({
-      where,
-      orderBy,
-      skip,
-      take,
-      include: {
-        // Include related data
-        serviceType: true,
-        // additionalFeatures: true,
-        // serviceTaxes: true,
-      },
-    });
+    const { data, meta } = await listRecords(
+      prisma.serviceCenterOffering,
+      { ...OFFERING_QUERY, scope: { serviceCenterId } },
+      options,
+    );
 
-    // Return both the data and pagination metadata
+    // Offerings have always returned their metadata as pagination
     return {
-      data: offerings,
-      pagination: {
-        total: totalItems,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages,
-      },
+      data: await withDurationRollups(await withPricing(data, vehicle)),
+      pagination: meta,
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error fetching service center offerings',
       metadata: {
@@ -230,34 +235,56 @@ const getServiceCenterOfferings = async (
  * Get a specific service offering by ID for a specific service center
  * @param {string} serviceCenterId - The ID of the service center
  * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {Object} [options] - Read options
+ * @param {number} [options.minVersion] - Minimum version to wait for (read-your-writes)
+ * @param {boolean} [options.fresh] - Bypass the read cache (preconditions of writes)
+ * @param {Object} [options.vehicle] - { brandId, modelId, vehicleId } to price the offering for
+ * @param {Object} [options.user] - Authenticated user, for vehicleId
  * @returns {Promise<Object>} - The service center offering
  */
 const getServiceCenterOffering = async (
   serviceCenterId,
   serviceCenterOfferingId,
+  options = {},
 ) => {
+  const { vehicle: selection, user, ...readOptions } = options;
+  const vehicle = await vehicleBrandOfferingService.resolveVehicle(
+    selection,
+    user,
+  );
+
   try {
-    const offering = await prisma.serviceCenterOffering.findUnique({
-      where: {
-        serviceCenterOfferingId,
-        serviceCenterId,
-      },
-      include: {
-        // Include related data
-        serviceType: true,
-        // additionalFeatures: true,
-        // serviceTaxes: true,
-        // vehicleBrandServiceOfferings: {
-        //   include: {
-        //     brand: true,
-        //     model: true,
-        //   },
-        // },
-      },
-    });
+    const offering = await readCache.readThrough(
+      cacheKeys.offering(serviceCenterId, serviceCenterOfferingId),
+      () =>
+        prisma.serviceCenterOffering.findUnique({
+          where: {
+            serviceCenterOfferingId,
+            serviceCenterId,
+          },
+          include: {
+            // Include related data
+            serviceType: true,
+            additionalFeatures: additionalFeatureService.AVAILABLE_FEATURES,
+          },
+        }),
+      readOptions,
+    );
 
-    return offering;
+    // Vehicle pricing depends on the reader, and promotions and tax rules run on
+    // their own schedule, so they are applied after the cache, as is the
+    // duration roll-up of the service type's components
+    if (!offering) {
+      return offering;
+    }
+    const [priced] = await withDurationRollups(
+      await withPricing([offering], vehicle),
+    );
+    return priced;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error fetching service center offering',
       metadata: {
@@ -273,6 +300,519 @@ const getServiceCenterOffering = async (
   }
 };
 
+/**
+ * Convert a nullable Prisma Decimal (or number/string) into a plain number
+ * @param {*} value - The value to convert
+ * @returns {number} - The numeric value, 0 when missing
+ */
+const toAmount = (value) =>
+  value === null || value === undefined ? 0 : Number(value);
+
+/**
+ * The offering's own discount on its base price
+ * The discount is only valid until discountValidUntil (no date means no expiry).
+ * @param {Object} offering - The service center offering row
+ * @param {Date} now - Reference date for discount validity
+ * @returns {Object} - { basePrice, isDiscountActive, discountPercentage, discountValidUntil, discountAmount }
+ */
+const offeringDiscount = (offering, now) => {
+  const basePrice = roundCurrency(toAmount(offering.basePrice));
+  const discountPercentage = toAmount(offering.discountPercentage);
+  const discountValidUntil = offering.discountValidUntil
+    ? new Date(offering.discountValidUntil)
+    : null;
+  const isDiscountActive =
+    discountPercentage > 0 &&
+    (!discountValidUntil || discountValidUntil >= now);
+  const discountAmount = isDiscountActive
+    ? roundCurrency((basePrice * discountPercentage) / 100)
+    : 0;
+
+  return {
+    basePrice,
+    isDiscountActive,
+    discountPercentage,
+    discountValidUntil,
+    discountAmount,
+  };
+};
+
+/**
+ * The offering with the price, discount and time of its vehicle pricing override
+ * The override's discountPercentage follows the offering's discountValidUntil.
+ * @param {Object} offering - The service center offering, with vehiclePricing when read for a vehicle
+ * @returns {Object} - The offering as priced for its vehicle
+ */
+const pricedOffering = (offering) => {
+  const override = offering.vehiclePricing?.override;
+  if (!override) {
+    return offering;
+  }
+  return {
+    ...offering,
+    basePrice: override.price ?? offering.basePrice,
+    discountPercentage:
+      override.discountPercentage ?? offering.discountPercentage,
+    timeToComplete: override.timeToComplete ?? offering.timeToComplete,
+  };
+};
+
+/**
+ * Price each offering for a vehicle
+ * Each offering gets a `vehiclePricing` with the vehicle, the override that
+ * applies to it (null when the offering's own pricing does) and the resulting
+ * basePrice, discountPercentage, timeToComplete and price after the discount.
+ * Offerings are returned unchanged without a vehicle, and so are offerings read
+ * without their basePrice.
+ * @param {Array<Object>} offerings - Service center offerings
+ * @param {Object|null} vehicle - Vehicle resolved by vehicleBrandOfferingService.resolveVehicle
+ * @param {Date} [now] - Reference date for discount validity
+ * @returns {Promise<Array<Object>>} - The offerings with their vehicle pricing
+ */
+const withVehiclePricing = async (offerings, vehicle, now = new Date()) => {
+  if (!vehicle) {
+    return offerings;
+  }
+  const overrides = await vehicleBrandOfferingService.getOverridesForOfferings(
+    offerings,
+    vehicle,
+  );
+
+  return offerings.map((offering, index) => {
+    if (offering.basePrice === undefined) {
+      return offering;
+    }
+    const override = overrides[index];
+    const priced = pricedOffering({
+      ...offering,
+      vehiclePricing: { override },
+    });
+    const { basePrice, isDiscountActive, discountPercentage, discountAmount } =
+      offeringDiscount(priced, now);
+    return {
+      ...offering,
+      vehiclePricing: {
+        vehicle,
+        override,
+        basePrice,
+        discountPercentage: isDiscountActive ? discountPercentage : 0,
+        timeToComplete: priced.timeToComplete ?? null,
+        price: roundCurrency(basePrice - discountAmount),
+      },
+    };
+  });
+};
+
+/**
+ * Add the promotion running now to each offering
+ * Promotions apply to the base price after the offering's own discount, as
+ * priced for the vehicle when the offering was read for one. Each
+ * offering gets a `promotion` with the promotions applied, the amount they take
+ * off and the resulting price, or null when none runs. Offerings read without
+ * their basePrice are returned unchanged.
+ * @param {Array<Object>} offerings - Service center offerings with their serviceType
+ * @param {Date} [now] - Time the promotions must be running at
+ * @returns {Promise<Array<Object>>} - The offerings with their promotion
+ */
+const withPromotions = async (offerings, now = new Date()) => {
+  const promotions = await promotionService.getPromotionsForOfferings(
+    offerings,
+    now,
+  );
+
+  return offerings.map((offering, index) => {
+    if (offering.basePrice === undefined) {
+      return offering;
+    }
+    const { basePrice, discountAmount } = offeringDiscount(
+      pricedOffering(offering),
+      now,
+    );
+    return {
+      ...offering,
+      promotion: promotionService.resolvePromotions(
+        promotions[index],
+        roundCurrency(basePrice - discountAmount),
+      ),
+    };
+  });
+};
+
+/**
+ * Add the tax charged now on the price of each offering
+ * Tax applies to the price after the offering's own discount and its promotion.
+ * Each offering gets a `tax` with the taxable amount, a line per tax rule, the
+ * tax amount and the total inclusive of tax (see taxRuleService.applyTaxRules).
+ * Offerings read without their basePrice are returned unchanged.
+ * @param {Array<Object>} offerings - Service center offerings with their serviceType
+ * @param {Date} [now] - Time the tax rules must be in effect at
+ * @returns {Promise<Array<Object>>} - The offerings with their tax
+ */
+const withTaxes = async (offerings, now = new Date()) => {
+  const taxRules = await taxRuleService.getTaxRulesForOfferings(offerings, now);
+
+  return offerings.map((offering, index) => {
+    if (offering.basePrice === undefined) {
+      return offering;
+    }
+    const { basePrice, discountAmount } = offeringDiscount(
+      pricedOffering(offering),
+      now,
+    );
+    const price =
+      offering.promotion?.price ?? roundCurrency(basePrice - discountAmount);
+    return {
+      ...offering,
+      tax: taxRuleService.applyTaxRules(taxRules[index], price),
+    };
+  });
+};
+
+/**
+ * Price offerings the way they are read: for the vehicle when there is one,
+ * with the promotion running and the tax charged at the time
+ * The price paid for an offering is then tax.taxableAmount before tax and
+ * tax.totalInclusiveOfTax with it.
+ * @param {Array<Object>} offerings - Service center offerings with their serviceType
+ * @param {Object|null} vehicle - Vehicle resolved by vehicleBrandOfferingService.resolveVehicle
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array<Object>>} - The offerings with vehiclePricing, promotion and tax
+ */
+const withPricing = async (offerings, vehicle, now = new Date()) =>
+  withTaxes(
+    await withPromotions(
+      await withVehiclePricing(offerings, vehicle, now),
+      now,
+    ),
+    now,
+  );
+
+/**
+ * Add the duration roll-up of their service type to offerings, compared with
+ * the offering's own timeToComplete (after any vehicle pricing override)
+ * timeToCompleteDifference is timeToComplete minus the component duration, and
+ * isTimeToCompleteMismatched is set past the roll-up threshold either way; an
+ * offering without a timeToComplete or a type without default components is
+ * never flagged.
+ * @param {Array<Object>} offerings - Service center offerings
+ * @returns {Promise<Array<Object>>} - The offerings with their durationRollup
+ */
+const withDurationRollups = async (offerings) =>
+  (await serviceTypeService.withDurationRollups(offerings)).map((offering) => {
+    const { durationRollup } = offering;
+    if (!durationRollup) {
+      return offering;
+    }
+    const timeToComplete = offering.timeToComplete ?? null;
+    const difference =
+      timeToComplete === null
+        ? null
+        : timeToComplete - durationRollup.componentDuration;
+
+    return {
+      ...offering,
+      durationRollup: {
+        ...durationRollup,
+        timeToComplete,
+        timeToCompleteDifference: difference,
+        isTimeToCompleteMismatched:
+          difference !== null &&
+          durationRollup.componentCount > 0 &&
+          Math.abs(difference) > durationRollup.threshold,
+      },
+    };
+  });
+
+/**
+ * Itemized tax of a quote, charged with the tax rules the offering was read with
+ * @param {Object} offering - The service center offering, with tax when read with it
+ * @param {number} total - Pre-tax total of the quote
+ * @returns {Object} - { tax, totalInclusiveOfTax }, empty without tax
+ */
+const quoteTax = (offering, total) => {
+  if (!offering.tax) {
+    return {};
+  }
+  const { lines, amount, totalInclusiveOfTax } = taxRuleService.applyTaxRules(
+    offering.tax.lines,
+    total,
+  );
+  return { tax: { lines, amount }, totalInclusiveOfTax };
+};
+
+/**
+ * Calculate an itemized price for a service center offering
+ * The discount only applies to the base price and only while discountValidUntil
+ * has not passed, and so does the promotion the offering was read with; an
+ * offering read for a vehicle is priced with its vehicle pricing override;
+ * priority surcharges come from priorityPrices and the emergency fee is only
+ * added when emergency service is requested. Tax is charged on the total with
+ * the tax rules the offering was read with; `total` stays the pre-tax total.
+ * @param {Object} offering - The service center offering row
+ * @param {Object} options - Pricing options
+ * @param {string} options.priority - The requested ServicePriority (default NORMAL)
+ * @param {boolean} options.emergency - Whether emergency service is requested
+ * @param {Date} options.now - Reference date for discount validity
+ * @returns {Object} - Itemized price breakdown and total
+ */
+const calculateOfferingPrice = (
+  offering,
+  { priority = 'NORMAL', emergency = false, now = new Date() } = {},
+) => {
+  const availablePriorities = offering.availablePriorities || ['NORMAL'];
+  if (!availablePriorities.includes(priority)) {
+    throw AppError.badRequest(
+      `Priority ${priority} is not available for this offering`,
+      'PRIORITY_NOT_AVAILABLE',
+      { priority, availablePriorities },
+    );
+  }
+
+  if (emergency && !offering.hasEmergencyService) {
+    throw AppError.badRequest(
+      'Emergency service is not available for this offering',
+      'EMERGENCY_SERVICE_NOT_AVAILABLE',
+    );
+  }
+
+  const {
+    basePrice,
+    isDiscountActive,
+    discountPercentage,
+    discountValidUntil,
+    discountAmount,
+  } = offeringDiscount(pricedOffering(offering), now);
+
+  // Promotions never take the base price below zero
+  const { promotion } = offering;
+  const promotionAmount = promotion
+    ? Math.min(promotion.amount, roundCurrency(basePrice - discountAmount))
+    : 0;
+
+  const priorityPrices = offering.priorityPrices || {};
+  const prioritySurcharge = roundCurrency(toAmount(priorityPrices[priority]));
+
+  const emergencyFee = emergency
+    ? roundCurrency(toAmount(offering.emergencyServiceFee))
+    : 0;
+
+  const total = roundCurrency(
+    basePrice -
+      discountAmount -
+      promotionAmount +
+      prioritySurcharge +
+      emergencyFee,
+  );
+  const { tax, totalInclusiveOfTax } = quoteTax(offering, total);
+
+  return {
+    serviceCenterOfferingId: offering.serviceCenterOfferingId,
+    serviceCenterId: offering.serviceCenterId,
+    serviceTypeId: offering.serviceTypeId,
+    priority,
+    emergency,
+    ...(offering.vehiclePricing && {
+      vehiclePricing: offering.vehiclePricing,
+    }),
+    breakdown: {
+      basePrice,
+      discount: {
+        percentage: isDiscountActive ? discountPercentage : 0,
+        amount: discountAmount,
+        validUntil: isDiscountActive ? discountValidUntil : null,
+      },
+      ...(promotion && {
+        promotion: { applied: promotion.applied, amount: promotionAmount },
+      }),
+      prioritySurcharge,
+      emergencyFee,
+      ...(tax && { tax }),
+    },
+    total,
+    ...(tax && { totalInclusiveOfTax }),
+  };
+};
+
+/**
+ * Get a price quote for a service center offering
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {Object} quoteOptions - Quote options (priority, emergency, and brandId,
+ * modelId or vehicleId with the user to price for a vehicle)
+ * @returns {Promise<Object>} - Itemized price breakdown and total
+ */
+const getServiceCenterOfferingQuote = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  quoteOptions = {},
+) => {
+  const priority = quoteOptions.priority || 'NORMAL';
+  const emergency = quoteOptions.emergency === true;
+
+  logger.info({
+    message: 'Calculating service center offering quote',
+    metadata: { serviceCenterId, serviceCenterOfferingId, priority, emergency },
+  });
+
+  const offering = await getServiceCenterOffering(
+    serviceCenterId,
+    serviceCenterOfferingId,
+    {
+      vehicle: {
+        brandId: quoteOptions.brandId,
+        modelId: quoteOptions.modelId,
+        vehicleId: quoteOptions.vehicleId,
+      },
+      user: quoteOptions.user,
+    },
+  );
+
+  if (!offering) {
+    throw createNotFoundError(
+      serviceCenterOfferingId,
+      'service center offering',
+    );
+  }
+
+  return calculateOfferingPrice(offering, { priority, emergency });
+};
+
+/**
+ * Price and time a service center offering with the components a customer picked
+ * Every component of the service type that isRequired must be selected, and only
+ * components linked to the type may be. Default components are part of the
+ * offering's price and time; each selected add-on (isDefault false) adds its
+ * additionalPrice (or the component's cost when it has none) to the total and
+ * its estimatedDuration to the offering's timeToComplete (or the service type's
+ * estimatedDuration when the offering has none).
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {Object} configuration - Selection and pricing options
+ * @param {Array<string>} configuration.componentIds - Selected service component IDs
+ * @param {string} [configuration.priority] - The requested ServicePriority
+ * @param {boolean} [configuration.emergency] - Whether emergency service is requested
+ * @returns {Promise<Object>} - The quote with the selected components, add-on
+ * price and total estimated duration
+ * @throws {AppError} 400 COMPONENT_NOT_IN_SERVICE_TYPE or REQUIRED_COMPONENTS_MISSING
+ */
+const configureServiceCenterOffering = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  configuration = {},
+) => {
+  const priority = configuration.priority || 'NORMAL';
+  const emergency = configuration.emergency === true;
+  const componentIds = [...new Set(configuration.componentIds || [])];
+
+  logger.info({
+    message: 'Configuring service center offering',
+    metadata: { serviceCenterId, serviceCenterOfferingId, componentIds },
+  });
+
+  const offering = await getServiceCenterOffering(
+    serviceCenterId,
+    serviceCenterOfferingId,
+  );
+
+  if (!offering) {
+    throw createNotFoundError(
+      serviceCenterOfferingId,
+      'service center offering',
+    );
+  }
+
+  let typeComponents;
+  try {
+    typeComponents = await prisma.serviceTypeComponent.findMany({
+      where: { serviceTypeId: offering.serviceTypeId },
+      include: { serviceComponent: true },
+    });
+  } catch (error) {
+    throw error.code?.startsWith('P') ? AppError.fromPrismaError(error) : error;
+  }
+
+  const linked = new Map(
+    typeComponents.map((typeComponent) => [
+      typeComponent.serviceComponentId,
+      typeComponent,
+    ]),
+  );
+
+  const unknownIds = componentIds.filter((id) => !linked.has(id));
+  if (unknownIds.length > 0) {
+    throw AppError.badRequest(
+      'Some components are not part of this service type',
+      'COMPONENT_NOT_IN_SERVICE_TYPE',
+      { componentIds: unknownIds },
+    );
+  }
+
+  const missingIds = typeComponents
+    .filter(
+      (typeComponent) =>
+        typeComponent.isRequired &&
+        !componentIds.includes(typeComponent.serviceComponentId),
+    )
+    .map((typeComponent) => typeComponent.serviceComponentId);
+  if (missingIds.length > 0) {
+    throw AppError.badRequest(
+      'Required components must be selected',
+      'REQUIRED_COMPONENTS_MISSING',
+      { componentIds: missingIds },
+    );
+  }
+
+  const selected = componentIds.map((id) => linked.get(id));
+  const toSelectedComponent = (typeComponent) => ({
+    serviceComponentId: typeComponent.serviceComponentId,
+    name: typeComponent.serviceComponent.name,
+    isRequired: typeComponent.isRequired,
+    price: typeComponent.isDefault
+      ? 0
+      : roundCurrency(
+          toAmount(
+            typeComponent.additionalPrice ??
+              typeComponent.serviceComponent.cost,
+          ),
+        ),
+    estimatedDuration: typeComponent.serviceComponent.estimatedDuration || 0,
+  });
+  const included = selected
+    .filter((typeComponent) => typeComponent.isDefault)
+    .map(toSelectedComponent);
+  const addOns = selected
+    .filter((typeComponent) => !typeComponent.isDefault)
+    .map(toSelectedComponent);
+
+  const quote = calculateOfferingPrice(offering, { priority, emergency });
+  const addOnsPrice = roundCurrency(
+    addOns.reduce((sum, component) => sum + component.price, 0),
+  );
+  const baseDuration =
+    offering.timeToComplete ?? offering.serviceType?.estimatedDuration ?? 0;
+  const addOnsDuration = addOns.reduce(
+    (sum, component) => sum + component.estimatedDuration,
+    0,
+  );
+
+  // Tax is charged on the total including the add-ons
+  const total = roundCurrency(quote.total + addOnsPrice);
+  const { tax, totalInclusiveOfTax } = quoteTax(offering, total);
+
+  return {
+    ...quote,
+    components: { included, addOns },
+    breakdown: { ...quote.breakdown, addOns: addOnsPrice, ...(tax && { tax }) },
+    total,
+    ...(tax && { totalInclusiveOfTax }),
+    estimatedDuration: {
+      base: baseDuration,
+      addOns: addOnsDuration,
+      total: baseDuration + addOnsDuration,
+    },
+  };
+};
+
 /**
  * Update a service center offering by forwarding the request to the injection service
  * @param {string} serviceCenterId - The ID of the service center
@@ -295,36 +835,43 @@ const updateServiceCenterOffering = async (
     });
 
     // Forward to injection service for the actual update
+    const path = `/api/v1/service-centers/${serviceCenterId}/offerings/${serviceCenterOfferingId}`;
     logger.info({
       message: 'Making update request to injection service',
       metadata: {
-        url: `${INJECTION_SERVICE_URL}/api/v1/service-centers/${serviceCenterId}/offerings/${serviceCenterOfferingId}`,
+        url: `${injectionClient.baseUrl}${path}`,
         data: updateData,
       },
     });
 
-    // Extract auth token from request headers
-    const authToken = req.headers.authorization;
-
-    const response = await axios.patch(
-      `${INJECTION_SERVICE_URL}/api/v1/service-centers/${serviceCenterId}/offerings/${serviceCenterOfferingId}`,
-      updateData,
-      {
-        // Add timeout and headers for better debugging
-        timeout: 5000,
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: authToken,
-        },
-      },
-    );
+    const response = await injectionClient.patch(path, updateData, { req });
 
     logger.info({
       message: 'Service center offering updated successfully',
       metadata: { serviceCenterId, serviceCenterOfferingId },
     });
 
-    return response.data.data;
+    const updatedOffering = response.data.data;
+    await publishEvent(CATALOG_EVENTS.OFFERING_UPDATED, updatedOffering);
+    readCache.recordVersion(
+      cacheKeys.offering(serviceCenterId, serviceCenterOfferingId),
+      toVersion(updatedOffering),
+    );
+
+    // Price-relevant changes get their own event so consumers can reprice
+    const priceChanges = OFFERING_PRICE_FIELDS.filter(
+      (field) => updateData[field] !== undefined,
+    );
+    if (priceChanges.length > 0) {
+      await publishEvent(CATALOG_EVENTS.OFFERING_PRICE_CHANGED, {
+        serviceCenterId,
+        serviceCenterOfferingId,
+        changedFields: priceChanges,
+        offering: updatedOffering,
+      });
+    }
+
+    return updatedOffering;
   } catch (error) {
     // Detailed error logging to troubleshoot API communication issues
     logger.error({
@@ -355,11 +902,9 @@ const updateServiceCenterOffering = async (
       },
     });
 
-    // Handle specific error types
-    if (error.code === 'ECONNREFUSED') {
-      throw createInternalError(
-        'Unable to connect to injection service. Is it running?',
-      );
+    // Unavailability is reported by the injection client as a 503 AppError
+    if (error instanceof AppError) {
+      throw error;
     }
 
     if (error.response?.status === 404) {
@@ -379,6 +924,218 @@ const updateServiceCenterOffering = async (
     );
   }
 };
+
+/**
+ * Convert a Prisma Decimal into a number so it can be sent back as JSON
+ * @param {*} value - Column value
+ * @returns {*} - Plain value
+ */
+const toPlainValue = (value) =>
+  value && typeof value.toNumber === 'function' ? value.toNumber() : value;
+
+/**
+ * Undo the writes of an all-or-nothing bulk upsert, newest first
+ * The injection service has no transactions across requests, so the writes are
+ * compensated: created offerings are deleted (DELETE on the offering, see the
+ * Injection Service section of the README) and updated offerings get their
+ * previous values back. A compensation that fails leaves its item applied.
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {Array} applied - Applied writes ({ result, previous, fields })
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Array<Object>>} - Results of the items still applied
+ */
+const rollbackBulkUpsert = async (serviceCenterId, applied, req) => {
+  for (const { result, previous, fields } of [...applied].reverse()) {
+    const { serviceCenterOfferingId } = result.offering;
+    try {
+      if (previous) {
+        const restoreData = {};
+        fields.forEach((field) => {
+          restoreData[field] = toPlainValue(previous[field]);
+        });
+        await updateServiceCenterOffering(
+          serviceCenterId,
+          serviceCenterOfferingId,
+          restoreData,
+          withIdempotencyKeySuffix(req, `rollback-${result.index}`),
+        );
+      } else {
+        await injectionClient.delete(
+          `/api/v1/service-centers/${serviceCenterId}/offerings/${serviceCenterOfferingId}`,
+          { req: withIdempotencyKeySuffix(req, `rollback-${result.index}`) },
+        );
+        readCache.invalidate(
+          cacheKeys.offering(serviceCenterId, serviceCenterOfferingId),
+        );
+        await publishEvent(CATALOG_EVENTS.OFFERING_DELETED, result.offering);
+      }
+      result.status = 'rolled_back';
+    } catch (error) {
+      logger.error({
+        message: 'Failed to roll back bulk offering write',
+        metadata: {
+          serviceCenterId,
+          serviceCenterOfferingId,
+          index: result.index,
+          error: error.message,
+        },
+      });
+      result.status = 'rollback_failed';
+    }
+  }
+  return applied
+    .map(({ result }) => result)
+    .filter((result) => result.status === 'rollback_failed');
+};
+
+/**
+ * Create or update many offerings of a service center in one request
+ * Offerings are matched on serviceTypeId: an existing offering for the same
+ * service type is updated, otherwise a new one is created. Items that failed
+ * validation (validationErrors[index]) or repeat a service type are not written.
+ * In all-or-nothing mode any failure rejects the whole batch and rolls back the
+ * writes already applied; items whose rollback failed are reported separately
+ * because they remain written.
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {Array<Object>} offerings - Offerings to upsert
+ * @param {Object} options - Bulk options
+ * @param {boolean} options.allOrNothing - Roll back every write if one item fails
+ * @param {Array<Object|null>} options.validationErrors - Validation errors per item
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - Per-item results and a summary
+ */
+const bulkUpsertServiceCenterOfferings = async (
+  serviceCenterId,
+  offerings,
+  { allOrNothing = false, validationErrors = [] } = {},
+  req,
+) => {
+  const results = offerings.map((offering, index) => ({
+    index,
+    serviceTypeId: offering?.serviceTypeId,
+    status: 'pending',
+  }));
+
+  // Invalid items and repeated service types are rejected before any write
+  const seenServiceTypes = new Set();
+  results.forEach((result) => {
+    if (validationErrors[result.index]) {
+      result.status = 'failed';
+      result.errors = validationErrors[result.index];
+    } else if (seenServiceTypes.has(result.serviceTypeId)) {
+      result.status = 'failed';
+      result.errors = {
+        serviceTypeId: 'Service type appears more than once in this request',
+      };
+    } else {
+      seenServiceTypes.add(result.serviceTypeId);
+    }
+  });
+
+  if (allOrNothing && results.some((result) => result.status === 'failed')) {
+    throw AppError.validationError(
+      'Bulk offering validation failed, no offerings were written',
+      { results },
+    );
+  }
+
+  logger.info({
+    message: 'Upserting service center offerings in bulk',
+    metadata: { serviceCenterId, count: offerings.length, allOrNothing },
+  });
+
+  const pending = results.filter((result) => result.status === 'pending');
+  const existingOfferings = await prisma.serviceCenterOffering.findMany({
+    where: {
+      serviceCenterId,
+      serviceTypeId: { in: pending.map((result) => result.serviceTypeId) },
+    },
+  });
+  const existingByType = new Map(
+    existingOfferings.map((offering) => [offering.serviceTypeId, offering]),
+  );
+
+  const applied = [];
+  for (const result of pending) {
+    const offering = offerings[result.index];
+    const previous = existingByType.get(result.serviceTypeId);
+    const itemReq = withIdempotencyKeySuffix(req, `item-${result.index}`);
+
+    try {
+      if (previous) {
+        const updateData = { ...offering };
+        delete updateData.serviceTypeId;
+        result.offering = await updateServiceCenterOffering(
+          serviceCenterId,
+          previous.serviceCenterOfferingId,
+          updateData,
+          itemReq,
+        );
+        result.status = 'updated';
+        applied.push({ result, previous, fields: Object.keys(updateData) });
+      } else {
+        result.offering = await createServiceCenterOffering(
+          serviceCenterId,
+          { ...offering, serviceCenterId },
+          itemReq,
+        );
+        result.status = 'created';
+        applied.push({ result });
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.errors = { request: error.message };
+      result.code = error.code || null;
+
+      if (allOrNothing) {
+        results
+          .filter((other) => other.status === 'pending')
+          .forEach((other) => {
+            other.status = 'skipped';
+          });
+        const stillApplied = await rollbackBulkUpsert(
+          serviceCenterId,
+          applied,
+          req,
+        );
+        if (stillApplied.length > 0) {
+          throw new AppError(
+            `Bulk offering upsert failed at item ${result.index} and ${stillApplied.length} applied change(s) could not be rolled back`,
+            500,
+            'BULK_UPSERT_PARTIALLY_APPLIED',
+            {
+              results,
+              notRolledBack: stillApplied.map((item) => ({
+                index: item.index,
+                serviceTypeId: item.serviceTypeId,
+                serviceCenterOfferingId: item.offering.serviceCenterOfferingId,
+              })),
+            },
+          );
+        }
+        throw new AppError(
+          `Bulk offering upsert failed at item ${result.index}, applied changes were rolled back`,
+          error.statusCode || 500,
+          'BULK_UPSERT_ROLLED_BACK',
+          { results },
+        );
+      }
+    }
+  }
+
+  const countByStatus = (status) =>
+    results.filter((result) => result.status === status).length;
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      created: countByStatus('created'),
+      updated: countByStatus('updated'),
+      failed: countByStatus('failed'),
+    },
+  };
+};
 /**
  * Get a specific service offering with its components for a specific service center
  * @param {string} serviceCenterId - The ID of the service center
@@ -497,9 +1254,6 @@ const getServiceCenterOfferingWithComponents = async (
     // Get the service type ID from the offering
     const serviceTypeId = offering.serviceTypeId;
 
-    // Import the service type service to use the getComponentsByTypeId method
-    const serviceTypeService = require('./serviceTypeService');
-
     // Extract query parameters specific to components
     // This allows filtering, sorting, and pagination for the components
     const componentQueryOptions = {
@@ -515,10 +1269,18 @@ const getServiceCenterOfferingWithComponents = async (
       componentQueryOptions,
     );
 
-    // Combine the offering with its components
+    // Combine the offering with its components, split into the ones included in
+    // the price and the paid add-ons (isDefault false)
+    const typeComponents = components.data || [];
     const result = {
       ...offering,
-      components: components.data || [],
+      components: typeComponents,
+      includedComponents: typeComponents.filter(
+        (typeComponent) => typeComponent.isDefault !== false,
+      ),
+      addOns: typeComponents.filter(
+        (typeComponent) => typeComponent.isDefault === false,
+      ),
       componentsMeta: components.meta || {
         total: 0,
         page: 1,
@@ -572,10 +1334,294 @@ const getServiceCenterOfferingWithComponents = async (
   }
 };
 
+/**
+ * Find one page of the offerings matching a search, nearest first
+ * Distances to each service center's address are computed in the database; with
+ * a radius, addresses outside its bounding box are excluded before any distance
+ * is computed. Offerings without an address come last, or not at all with a
+ * radius.
+ * @param {Object} where - Search filters as built for Prisma
+ * @param {Object} location - { latitude, longitude, radius, skip, limit }
+ * @returns {Promise<Object>} { rows: [{ serviceCenterOfferingId, distanceKm }], total }
+ */
+const searchPageByDistance = async (
+  where,
+  { latitude, longitude, radius, skip, limit },
+) => {
+  const box =
+    radius !== undefined ? boundingBox(latitude, longitude, radius) : {};
+
+  const rows = await prisma.$queryRaw`
+    WITH matches AS (
+      SELECT o."service_center_offering_id" AS "serviceCenterOfferingId",
+             o."base_price" AS "basePrice",
+             CASE WHEN a."id" IS NULL THEN NULL ELSE
+               2 * 6371 * asin(sqrt(
+                 power(sin(radians(a."latitude" - ${latitude}) / 2), 2) +
+                 cos(radians(${latitude})) * cos(radians(a."latitude")) *
+                 power(sin(radians(a."longitude" - ${longitude}) / 2), 2)
+               ))
+             END AS "distanceKm"
+      FROM "service_center_offering" o
+           JOIN "service_type" t ON t."service_type_id" = o."service_type_id"
+           LEFT JOIN "Address" a ON a."serviceCenterId" = o."service_center_id"
+      WHERE (${where.serviceTypeId ?? null}::uuid IS NULL OR o."service_type_id" = ${where.serviceTypeId ?? null}::uuid)
+        AND (${where.serviceType?.categoryId ?? null}::uuid IS NULL OR t."category_id" = ${where.serviceType?.categoryId ?? null}::uuid)
+        AND (${where.status ?? null}::"ServiceStatus" IS NULL OR o."status" = ${where.status ?? null}::"ServiceStatus")
+        AND (${where.hasEmergencyService ?? null}::boolean IS NULL OR o."has_emergency_service" = ${where.hasEmergencyService ?? null}::boolean)
+        AND (${where.rating?.gte ?? null}::numeric IS NULL OR o."rating" >= ${where.rating?.gte ?? null}::numeric)
+        AND (${where.basePrice?.gte ?? null}::numeric IS NULL OR o."base_price" >= ${where.basePrice?.gte ?? null}::numeric)
+        AND (${where.basePrice?.lte ?? null}::numeric IS NULL OR o."base_price" <= ${where.basePrice?.lte ?? null}::numeric)
+        AND (${box.minLatitude ?? null}::float8 IS NULL OR (
+          a."latitude" BETWEEN ${box.minLatitude ?? null} AND ${box.maxLatitude ?? null}
+          AND a."longitude" BETWEEN ${box.minLongitude ?? null} AND ${box.maxLongitude ?? null}
+        ))
+    ),
+    in_range AS (
+      SELECT * FROM matches
+      WHERE ${radius ?? null}::float8 IS NULL OR "distanceKm" <= ${radius ?? null}::float8
+    )
+    SELECT total.count AS "total", page."serviceCenterOfferingId", page."distanceKm"
+    FROM (SELECT COUNT(*) AS count FROM in_range) AS total
+         LEFT JOIN LATERAL (
+           SELECT "serviceCenterOfferingId", "distanceKm" FROM in_range
+           ORDER BY "distanceKm" ASC NULLS LAST, "basePrice" ASC
+           LIMIT ${limit} OFFSET ${skip}
+         ) AS page ON true`;
+
+  // The count comes back on every row, and on a single empty row past the end
+  return {
+    rows: rows.filter((row) => row.serviceCenterOfferingId),
+    total: Number(rows[0]?.total ?? 0),
+  };
+};
+
+/**
+ * Search service center offerings across all service centers
+ * Offerings are matched by service type or category and can be filtered by price
+ * range, emergency service, status and minimum rating. When a latitude/longitude
+ * is supplied the results are sorted by distance to the service center's address,
+ * otherwise by base price; either way only the requested page is loaded. The
+ * offerings found are priced like offerings read by ID, for the vehicle given by
+ * brandId, modelId or vehicleId, while the price range filters the base price.
+ * @param {Object} queryOptions - Search parameters from the query string
+ * @param {Object} [context] - Read context
+ * @param {Object} [context.user] - Authenticated user, for vehicleId
+ * @returns {Promise<Object>} - Matching offerings with pagination metadata
+ * @throws {AppError} 400 VALIDATION_ERROR without a type or category, or for a
+ * radius without a location
+ */
+const searchServiceCenterOfferings = async (
+  queryOptions = {},
+  { user } = {},
+) => {
+  const {
+    serviceTypeId,
+    categoryId,
+    minPrice,
+    maxPrice,
+    hasEmergencyService,
+    status,
+    minRating,
+    latitude,
+    longitude,
+    radius,
+    brandId,
+    modelId,
+    vehicleId,
+  } = queryOptions;
+  const page = parseInt(queryOptions.page, 10) || 1;
+  const limit = parseInt(queryOptions.limit, 10) || 10;
+
+  if (!serviceTypeId && !categoryId) {
+    throw AppError.badRequest(
+      'Either serviceTypeId or categoryId is required',
+      'VALIDATION_ERROR',
+      { serviceTypeId: 'Provide a serviceTypeId or a categoryId' },
+    );
+  }
+
+  const hasLocation = latitude !== undefined && longitude !== undefined;
+  if (radius !== undefined && !hasLocation) {
+    throw AppError.badRequest(
+      'Radius requires a latitude and longitude',
+      'VALIDATION_ERROR',
+      { radius: 'Provide a latitude and longitude to search within a radius' },
+    );
+  }
+
+  const vehicle = await vehicleBrandOfferingService.resolveVehicle(
+    { brandId, modelId, vehicleId },
+    user,
+  );
+
+  // Build filter conditions
+  const where = {};
+
+  if (serviceTypeId) {
+    where.serviceTypeId = serviceTypeId;
+  }
+
+  if (categoryId) {
+    where.serviceType = { categoryId };
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (hasEmergencyService !== undefined) {
+    where.hasEmergencyService = String(hasEmergencyService) === 'true';
+  }
+
+  if (minRating !== undefined) {
+    where.rating = { gte: parseFloat(minRating) };
+  }
+
+  // Handle price range filters
+  if (minPrice || maxPrice) {
+    where.basePrice = {};
+    if (minPrice) {
+      where.basePrice.gte = parseFloat(minPrice);
+    }
+    if (maxPrice) {
+      where.basePrice.lte = parseFloat(maxPrice);
+    }
+  }
+
+  const originLat = parseFloat(latitude);
+  const originLng = parseFloat(longitude);
+  const maxDistance = radius !== undefined ? parseFloat(radius) : undefined;
+
+  try {
+    logger.info({
+      message: 'Searching service center offerings',
+      metadata: { where, hasLocation, radius: maxDistance },
+    });
+
+    const include = {
+      serviceType: true,
+      additionalFeatures: additionalFeatureService.AVAILABLE_FEATURES,
+      serviceCenter: {
+        select: {
+          id: true,
+          name: true,
+          phone: true,
+          status: true,
+          rating: true,
+          Address: true,
+        },
+      },
+    };
+    const skip = (page - 1) * limit;
+    let data;
+    let total;
+
+    if (hasLocation) {
+      const nearest = await searchPageByDistance(where, {
+        latitude: originLat,
+        longitude: originLng,
+        radius: maxDistance,
+        skip,
+        limit,
+      });
+      total = nearest.total;
+
+      const ids = nearest.rows.map((row) => row.serviceCenterOfferingId);
+      const offerings = ids.length
+        ? await prisma.serviceCenterOffering.findMany({
+            where: { serviceCenterOfferingId: { in: ids } },
+            include,
+          })
+        : [];
+      const offeringsById = new Map(
+        offerings.map((offering) => [
+          offering.serviceCenterOfferingId,
+          offering,
+        ]),
+      );
+
+      // Keep the distance order of the page; rows deleted in between are skipped
+      data = nearest.rows
+        .filter((row) => offeringsById.has(row.serviceCenterOfferingId))
+        .map((row) => ({
+          ...offeringsById.get(row.serviceCenterOfferingId),
+          distanceKm:
+            row.distanceKm === null
+              ? null
+              : Math.round(Number(row.distanceKm) * 100) / 100,
+        }));
+    } else {
+      const [offerings, count] = await Promise.all([
+        prisma.serviceCenterOffering.findMany({
+          where,
+          orderBy: [{ basePrice: 'asc' }],
+          include,
+          skip,
+          take: limit,
+        }),
+        prisma.serviceCenterOffering.count({ where }),
+      ]);
+      total = count;
+      data = offerings.map((offering) => ({ ...offering, distanceKm: null }));
+    }
+
+    data = await withPricing(data, vehicle);
+    const totalPages = Math.ceil(total / limit);
+
+    logger.info({
+      message: 'Service center offerings search completed',
+      metadata: { count: data.length, total },
+    });
+
+    return {
+      data,
+      meta: {
+        total,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    };
+  } catch (error) {
+    logger.error({
+      message: 'Error searching service center offerings',
+      metadata: {
+        error: error.message,
+        code: error.code,
+        stack: error.stack,
+      },
+    });
+
+    if (
+      error.code &&
+      error.code.startsWith('P') &&
+      !(error instanceof AppError)
+    ) {
+      throw AppError.fromPrismaError(error);
+    }
+
+    throw createInternalError(
+      `Failed to search service center offerings: ${error.message}`,
+    );
+  }
+};
+
 module.exports = {
   createServiceCenterOffering,
   getServiceCenterOfferings,
   getServiceCenterOffering,
   updateServiceCenterOffering,
+  bulkUpsertServiceCenterOfferings,
   getServiceCenterOfferingWithComponents,
+  getServiceCenterOfferingQuote,
+  configureServiceCenterOffering,
+  calculateOfferingPrice,
+  withPricing,
+  withPromotions,
+  withVehiclePricing,
+  withTaxes,
+  searchServiceCenterOfferings,
 };
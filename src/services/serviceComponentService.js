@@ -1,33 +1,66 @@
 const prisma = require('../models/index');
 const AppError = require('../utils/appError');
 const { logger } = require('../utils/logger');
-const axios = require('axios');
+const { publishEvent } = require('../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../events/eventTypes');
+const { readCache, cacheKeys, toVersion } = require('../cache/readCache');
+const { injectionClient } = require('../utils/injectionClient');
+const { listRecords } = require('../utils/prismaQueryAdapter');
 const {
   createNotFoundError,
   createInternalError,
   createduplicateError,
 } = require('../controllers/errorController');
 
-const INJECTION_SERVICE_URL =
-  process.env.INJECTION_SERVICE_URL || 'http://localhost:5001';
+// Fields component lists may be filtered, sorted, searched and selected on
+const COMPONENT_QUERY = {
+  primaryKey: 'serviceComponentId',
+  filterFields: [
+    'serviceComponentId',
+    'name',
+    'description',
+    'estimatedDuration',
+    'vehicleType',
+    'cost',
+    'createdAt',
+    'updatedAt',
+    'serviceTypeComponents.some.serviceTypeId',
+  ],
+  searchFields: ['name', 'description'],
+  selectFields: [
+    'serviceComponentId',
+    'name',
+    'description',
+    'estimatedDuration',
+    'vehicleType',
+    'cost',
+    'createdAt',
+    'updatedAt',
+  ],
+};
 
-const createServiceComponent = async (categoryData) => {
+const createServiceComponent = async (categoryData, req) => {
   try {
     logger.info({
       message: 'Forwarding component creation request to injection service',
       metadata: { componentName: categoryData.name },
     });
-    const response = await axios.post(
-      `${INJECTION_SERVICE_URL}/api/v1/components`,
+    const response = await injectionClient.post(
+      '/api/v1/components',
       categoryData,
+      { req },
     );
     const serviceComponent = response.data.data;
     logger.info({
       message: 'Service component created successfully via Injection Service',
       metadata: { serviceComponentId: serviceComponent.serviceComponentId },
     });
+    await publishEvent(CATALOG_EVENTS.COMPONENT_CREATED, serviceComponent);
     return serviceComponent;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error creating service component via Injection Service',
       metadata: {
@@ -43,133 +76,16 @@ const createServiceComponent = async (categoryData) => {
 
 const getAllServiceComponents = async (queryOptions) => {
   try {
-    const APIFeatures = require('../utils/apiFeatures');
-    const ALLOWED_FILTER_FIELDS = [
-      'name',
-      'description',
-      'estimatedDuration',
-      'vehicleType',
-    ];
-    const isAllowedField = (field) => {
-      if (ALLOWED_FILTER_FIELDS.includes(field)) return true;
-      if (field.includes('[') && field.includes(']')) {
-        const baseField = field.split('[')[0];
-        return ALLOWED_FILTER_FIELDS.includes(baseField);
-      }
-      if (field.includes('.')) {
-        const baseField = field.split('.')[0];
-        return ALLOWED_FILTER_FIELDS.includes(baseField);
-      }
-      return false;
-    };
-    let baseQuery = {
-      model: prisma.serviceComponent,
-      whereConditions: {},
-      orderByConditions: [{ createdAt: 'desc' }],
-      selectConditions: undefined,
-      skipValue: 0,
-      takeValue: 100,
-      orderBy: function (orderByParams) {
-        this.orderByConditions = orderByParams;
-        return this;
-      },
-      select: function (selectParams) {
-        this.selectConditions = selectParams;
-        return this;
-      },
-      where: function (whereParams) {
-        const validWhereParams = {};
-        Object.keys(whereParams).forEach((key) => {
-          if (isAllowedField(key)) {
-            validWhereParams[key] = whereParams[key];
-          } else {
-            logger.warn({
-              message: `Ignoring invalid filter field: ${key}`,
-              metadata: { value: whereParams[key] },
-            });
-          }
-        });
-        this.whereConditions = { ...this.whereConditions, ...validWhereParams };
-        return this;
-      },
-      skip: function (skipvalue) {
-        this.skipValue = skipvalue;
-        return this;
-      },
-      limit: function (limitValue) {
-        this.takeValue = limitValue;
-        return this;
-      },
-      search: function (searchTerm) {
-        if (searchTerm) {
-          this.whereConditions = {
-            ...this.whereConditions,
-            OR: [
-              { name: { contains: searchTerm, mode: 'insensitive' } },
-              { description: { contains: searchTerm, mode: 'insensitive' } },
-            ],
-          };
-        }
-        return this;
-      },
-      count: async function () {
-        try {
-          return await this.model.count({
-            where: this.whereConditions,
-          });
-        } catch (error) {
-          if (error.code && error.code.startsWith('P')) {
-            throw AppError.fromPrismaError(error);
-          }
-          throw error;
-        }
-      },
-      findMany: async function () {
-        try {
-          return await this.model.findMany({
-            where: this.whereConditions,
-            orderBy: this.orderByConditions,
-            ...(this.selectConditions && { select: this.selectConditions }),
-            skip: this.skipValue,
-            take: this.takeValue,
-          });
-        } catch (error) {
-          if (error.code && error.code.startsWith('P')) {
-            throw AppError.fromPrismaError(error);
-          }
-          throw error;
-        }
-      },
-    };
-    const features = new APIFeatures(baseQuery, queryOptions);
-    features.filter();
-    if (queryOptions.search) {
-      baseQuery.search(queryOptions.search);
-    }
-    features.sort().limitFieldsAdvanced();
-    const countQuery = { ...features.query };
-    features.paginate();
-    const totalCount = await countQuery.count();
-    const serviceComponent = await features.query.findMany();
-    //implementing pagination
-    const page = parseInt(queryOptions.page, 10) || 1;
-    const limit = parseInt(queryOptions.limit, 10) || 100;
-    const totalPages = Math.ceil(totalCount / limit);
+    const result = await listRecords(
+      prisma.serviceComponent,
+      COMPONENT_QUERY,
+      queryOptions,
+    );
     logger.info({
       message: `Retrieved service components successfully`,
-      metadata: { count: serviceComponent.length, totalCount },
+      metadata: { count: result.data.length, totalCount: result.meta.total },
     });
-    return {
-      data: serviceComponent,
-      meta: {
-        total: totalCount,
-        page,
-        limit,
-        totalPages,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-    };
+    return result;
   } catch (error) {
     logger.error({
       message: `Error retrieving service components`,
@@ -195,15 +111,28 @@ const getAllServiceComponents = async (queryOptions) => {
   }
 };
 
-const getServiceComponentById = async (id) => {
+/**
+ * Get a service component by ID
+ * @param {string} id - Service component ID
+ * @param {Object} [options] - Read options
+ * @param {number} [options.minVersion] - Minimum version to wait for (read-your-writes)
+ * @param {boolean} [options.fresh] - Bypass the read cache (preconditions of writes)
+ * @returns {Promise<Object>} Service component
+ */
+const getServiceComponentById = async (id, options = {}) => {
   try {
     logger.info({
       message: 'Fetching service component by id',
       metadata: { componentId: id },
     });
-    const serviceComponent = await prisma.serviceComponent.findUnique({
-      where: { serviceComponentId: id },
-    });
+    const serviceComponent = await readCache.readThrough(
+      cacheKeys.component(id),
+      () =>
+        prisma.serviceComponent.findUnique({
+          where: { serviceComponentId: id },
+        }),
+      options,
+    );
     if (!serviceComponent) {
       logger.warn({
         message: 'Service component not found',
@@ -234,23 +163,32 @@ const getServiceComponentById = async (id) => {
   }
 };
 
-const updateServiceComponent = async (id, updateData) => {
+const updateServiceComponent = async (id, updateData, req) => {
   try {
     logger.info({
       message: 'Forwarding component update to injestion service',
       metadata: { componentId: id, updateData },
     });
-    const response = await axios.patch(
-      `${INJECTION_SERVICE_URL}/api/v1/components/${id}`,
+    const response = await injectionClient.patch(
+      `/api/v1/components/${id}`,
       updateData,
+      { req },
     );
     const updatedComponent = response.data.data;
     logger.info({
       message: 'Service component updated successfully via Injection Service',
       metadata: { serviceComponentId: updatedComponent.serviceComponentId },
     });
+    await publishEvent(CATALOG_EVENTS.COMPONENT_UPDATED, updatedComponent);
+    readCache.recordVersion(
+      cacheKeys.component(id),
+      toVersion(updatedComponent),
+    );
     return updatedComponent;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error updating service component via Injection Service',
       metadata: {
@@ -270,19 +208,26 @@ const updateServiceComponent = async (id, updateData) => {
   }
 };
 
-const deleteServiceComponent = async (id) => {
+const deleteServiceComponent = async (id, req) => {
   try {
     logger.info({
       message: 'Forwarding component deletion to injection service',
       metadata: { serviceComponentId: id },
     });
-    await axios.delete(`${INJECTION_SERVICE_URL}/api/v1/components/${id}`);
+    await injectionClient.delete(`/api/v1/components/${id}`, { req });
     logger.info({
       message: 'Service component deleted successfully via Injection Service',
       metadata: { serviceComponentId: id },
     });
+    await publishEvent(CATALOG_EVENTS.COMPONENT_DELETED, {
+      serviceComponentId: id,
+    });
+    readCache.invalidate(cacheKeys.component(id));
     return true;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error deleting service component via Injection Service',
       metadata: {
@@ -0,0 +1,597 @@
+const prisma = require('../models/index');
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+const { publishEvent } = require('../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../events/eventTypes');
+const { injectionClient } = require('../utils/injectionClient');
+const { roundCurrency } = require('../utils/currency');
+const { createWriteErrorMapper } = require('../utils/injectionErrors');
+const { listRecords } = require('../utils/prismaQueryAdapter');
+const {
+  createNotFoundError,
+  createInternalError,
+} = require('../controllers/errorController');
+const serviceCenterOfferingService = require('./serviceCenterOfferingService');
+const vehicleBrandOfferingService = require('./vehicleBrandOfferingService');
+
+// Relations returned with every package; availability is added per read so it
+// can be limited to one service center
+const ITEMS_INCLUDE = {
+  include: {
+    serviceType: {
+      select: { serviceTypeId: true, name: true, categoryId: true },
+    },
+  },
+  orderBy: [{ displayOrder: 'asc' }, { createdAt: 'asc' }],
+};
+
+// Fields package lists may be filtered, sorted, searched and selected on
+const PACKAGE_QUERY = {
+  primaryKey: 'servicePackageId',
+  filterFields: [
+    'servicePackageId',
+    'name',
+    'packageType',
+    'vehicleType',
+    'price',
+    'validityDays',
+    'usageLimit',
+    'isPopular',
+    'isActive',
+    'createdAt',
+    'updatedAt',
+  ],
+  searchFields: ['name', 'description'],
+  selectFields: [
+    'servicePackageId',
+    'name',
+    'description',
+    'longDescription',
+    'packageType',
+    'vehicleType',
+    'price',
+    'validityDays',
+    'usageLimit',
+    'displayImage',
+    'isPopular',
+    'isActive',
+    'createdAt',
+    'updatedAt',
+  ],
+};
+
+// Relations to include, with the availability limited to one service center
+const packageInclude = (serviceCenterId) => ({
+  items: ITEMS_INCLUDE,
+  availability: {
+    ...(serviceCenterId && { where: { serviceCenterId } }),
+    orderBy: { createdAt: 'asc' },
+  },
+});
+
+// Failed injection-service writes as AppErrors
+const toWriteError = createWriteErrorMapper({
+  resourceType: 'service package',
+  idField: 'servicePackageId',
+  // Duplicate names and items or unknown service types and centers
+  passThroughStatuses: [400, 409],
+});
+
+/**
+ * Prices of the offerings that make up packages, keyed by service center and type
+ * The price is what a customer pays for the offering on its own now, as its
+ * reads price it (see serviceCenterOfferingService.withPricing): for the
+ * vehicle when there is one, after the offering's own discount and its best
+ * running promotion, before and with tax.
+ * @param {Array<string>} serviceCenterIds - Service centers the packages are offered at
+ * @param {Array<string>} serviceTypeIds - Service types in the packages
+ * @param {Object|null} vehicle - Vehicle resolved by vehicleBrandOfferingService.resolveVehicle
+ * @param {Date} now - Time the discounts, promotions and tax rules must be running at
+ * @returns {Promise<Map<string, Object>>} - { price, priceInclusiveOfTax } by
+ * `${serviceCenterId}:${serviceTypeId}`
+ */
+const getOfferingPrices = async (
+  serviceCenterIds,
+  serviceTypeIds,
+  vehicle,
+  now,
+) => {
+  if (serviceCenterIds.length === 0 || serviceTypeIds.length === 0) {
+    return new Map();
+  }
+
+  let offerings;
+  try {
+    offerings = await prisma.serviceCenterOffering.findMany({
+      where: {
+        serviceCenterId: { in: serviceCenterIds },
+        serviceTypeId: { in: serviceTypeIds },
+        status: 'ACTIVE',
+      },
+      include: {
+        serviceType: { select: { serviceTypeId: true, categoryId: true } },
+      },
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Error loading offerings for service package savings',
+      metadata: { error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw AppError.internal(`Failed to load offerings: ${error.message}`);
+  }
+  const priced = await serviceCenterOfferingService.withPricing(
+    offerings,
+    vehicle,
+    now,
+  );
+
+  return new Map(
+    priced.map((offering) => [
+      `${offering.serviceCenterId}:${offering.serviceTypeId}`,
+      {
+        price: offering.tax.taxableAmount,
+        priceInclusiveOfTax: offering.tax.totalInclusiveOfTax,
+      },
+    ]),
+  );
+};
+
+/**
+ * Savings of a package at a service center compared with its offerings bought
+ * separately, each once per unit of the item's quantity
+ * The comparison is made before tax, the price the package is sold at; the
+ * offerings' total with tax is given as individualPriceInclusiveOfTax. When a
+ * service type in the package is not offered at the center there is nothing to
+ * compare with, so the individual prices, amount and percentage are null and the
+ * missing types are listed.
+ * @param {Object} servicePackage - The package with its items
+ * @param {Object} availability - The package's availability at the center
+ * @param {Map<string, Object>} prices - Offering prices (see getOfferingPrices)
+ * @returns {Object} - { individualPrice, individualPriceInclusiveOfTax, packagePrice,
+ * amount, percentage, missingServiceTypeIds }
+ */
+const packageSavings = (servicePackage, availability, prices) => {
+  const packagePrice = roundCurrency(
+    Number(availability.price ?? servicePackage.price),
+  );
+  const priceOf = (item) =>
+    prices.get(`${availability.serviceCenterId}:${item.serviceTypeId}`);
+  const missingServiceTypeIds = servicePackage.items
+    .filter((item) => priceOf(item) === undefined)
+    .map((item) => item.serviceTypeId);
+
+  if (missingServiceTypeIds.length > 0) {
+    return {
+      individualPrice: null,
+      individualPriceInclusiveOfTax: null,
+      packagePrice,
+      amount: null,
+      percentage: null,
+      missingServiceTypeIds,
+    };
+  }
+
+  const totalOf = (field) =>
+    roundCurrency(
+      servicePackage.items.reduce(
+        (total, item) => total + priceOf(item)[field] * item.quantity,
+        0,
+      ),
+    );
+  const individualPrice = totalOf('price');
+  const amount = roundCurrency(individualPrice - packagePrice);
+  return {
+    individualPrice,
+    individualPriceInclusiveOfTax: totalOf('priceInclusiveOfTax'),
+    packagePrice,
+    amount,
+    percentage:
+      individualPrice > 0 ? roundCurrency((amount * 100) / individualPrice) : 0,
+    missingServiceTypeIds,
+  };
+};
+
+/**
+ * Add the savings at each service center to the availability of packages
+ * Each availability entry gets a `savings` (see packageSavings). Packages read
+ * without their price, items or availability are returned unchanged.
+ * @param {Array<Object>} packages - Service packages with items and availability
+ * @param {Object|null} [vehicle] - Vehicle to price the offerings for
+ * @param {Date} [now] - Time the offering prices must be in effect at
+ * @returns {Promise<Array<Object>>} - The packages with their savings
+ */
+const withSavings = async (packages, vehicle = null, now = new Date()) => {
+  const priced = packages.filter(
+    (servicePackage) =>
+      servicePackage.price !== undefined &&
+      servicePackage.items &&
+      servicePackage.availability,
+  );
+  const unique = (values) => [...new Set(values)];
+  const prices = await getOfferingPrices(
+    unique(
+      priced.flatMap((servicePackage) =>
+        servicePackage.availability.map(
+          (availability) => availability.serviceCenterId,
+        ),
+      ),
+    ),
+    unique(
+      priced.flatMap((servicePackage) =>
+        servicePackage.items.map((item) => item.serviceTypeId),
+      ),
+    ),
+    vehicle,
+    now,
+  );
+
+  return packages.map((servicePackage) =>
+    priced.includes(servicePackage)
+      ? {
+          ...servicePackage,
+          availability: servicePackage.availability.map((availability) => ({
+            ...availability,
+            savings: packageSavings(servicePackage, availability, prices),
+          })),
+        }
+      : servicePackage,
+  );
+};
+
+/**
+ * Create a service package by forwarding the request to the injection service
+ * @param {Object} packageData - The data for the new package, with its items
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The created package
+ */
+const createServicePackage = async (packageData, req) => {
+  try {
+    logger.info({
+      message:
+        'Forwarding service package creation request to injection service',
+      metadata: { name: packageData.name },
+    });
+    const response = await injectionClient.post(
+      '/api/v1/packages',
+      packageData,
+      { req },
+    );
+    const servicePackage = response.data.data;
+    await publishEvent(CATALOG_EVENTS.PACKAGE_CREATED, servicePackage);
+    return servicePackage;
+  } catch (error) {
+    throw toWriteError(error, 'create service package');
+  }
+};
+
+/**
+ * Get service packages with filtering, search, sorting and pagination
+ * Packages come with their items and availability. A serviceCenterId option
+ * limits them to the packages available at that center, and their availability
+ * to that center. brandId, modelId or vehicleId price the offerings the savings
+ * are compared with for that vehicle.
+ * @param {Object} queryOptions - Query options
+ * @param {Object} [context] - Read context
+ * @param {Object} [context.user] - Authenticated user, for vehicleId
+ * @returns {Promise<Object>} - { data, meta }
+ */
+const getAllServicePackages = async (queryOptions = {}, { user } = {}) => {
+  const { serviceCenterId, brandId, modelId, vehicleId, ...options } =
+    queryOptions;
+  const vehicle = await vehicleBrandOfferingService.resolveVehicle(
+    { brandId, modelId, vehicleId },
+    user,
+  );
+
+  try {
+    const { data, meta } = await listRecords(
+      prisma.servicePackage,
+      {
+        ...PACKAGE_QUERY,
+        scope: serviceCenterId
+          ? { availability: { some: { serviceCenterId } } }
+          : {},
+        include: packageInclude(serviceCenterId),
+      },
+      options,
+    );
+    return { data: await withSavings(data, vehicle), meta };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    logger.error({
+      message: 'Error retrieving service packages',
+      metadata: { error: error.message, stack: error.stack },
+    });
+    throw AppError.internal(
+      `Failed to retrieve service packages: ${error.message}`,
+    );
+  }
+};
+
+/**
+ * Get a service package by ID, with its items and availability
+ * @param {string} id - Service package ID
+ * @param {Object} [options]
+ * @param {string} [options.serviceCenterId] - Only include the availability at this center
+ * @param {Object} [options.vehicle] - { brandId, modelId, vehicleId } to price the offerings for
+ * @param {Object} [options.user] - Authenticated user, for vehicleId
+ * @returns {Promise<Object>} - The package with the savings at each center
+ * @throws {AppError} 404 when the package does not exist
+ */
+const getServicePackageById = async (
+  id,
+  { serviceCenterId, vehicle: selection, user } = {},
+) => {
+  const vehicle = await vehicleBrandOfferingService.resolveVehicle(
+    selection,
+    user,
+  );
+  let servicePackage;
+  try {
+    servicePackage = await prisma.servicePackage.findUnique({
+      where: { servicePackageId: id },
+      include: packageInclude(serviceCenterId),
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Error fetching service package by id',
+      metadata: { servicePackageId: id, error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw createInternalError(
+      `Failed to fetch service package: ${error.message}`,
+    );
+  }
+
+  if (!servicePackage) {
+    throw createNotFoundError(id, 'service package');
+  }
+  const [withSaving] = await withSavings([servicePackage], vehicle);
+  return withSaving;
+};
+
+/**
+ * Check that an update leaves a usage limit only on a SUBSCRIPTION package
+ * Fields the update does not send keep their stored values, so changing only the
+ * limit or only the type is checked against the package as it is.
+ * @param {string} id - Service package ID
+ * @param {Object} updateData - The fields to update
+ * @returns {Promise<void>}
+ */
+const assertUsageLimitAllowed = async (id, updateData) => {
+  if (
+    updateData.packageType === undefined &&
+    updateData.usageLimit === undefined
+  ) {
+    return;
+  }
+
+  let current;
+  try {
+    current = await prisma.servicePackage.findUnique({
+      where: { servicePackageId: id },
+      select: { packageType: true, usageLimit: true },
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Error fetching service package for update',
+      metadata: { servicePackageId: id, error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw createInternalError(
+      `Failed to fetch service package: ${error.message}`,
+    );
+  }
+  if (!current) {
+    throw createNotFoundError(id, 'service package');
+  }
+
+  const packageType = updateData.packageType ?? current.packageType;
+  const usageLimit =
+    updateData.usageLimit !== undefined
+      ? updateData.usageLimit
+      : current.usageLimit;
+  if (usageLimit !== null && packageType !== 'SUBSCRIPTION') {
+    throw AppError.badRequest(
+      'Usage limit can only be set on SUBSCRIPTION packages',
+      'VALIDATION_ERROR',
+      {
+        usageLimit:
+          updateData.usageLimit === undefined
+            ? `Clear the usage limit to make the package ${packageType}`
+            : 'Usage limit can only be set on SUBSCRIPTION packages',
+      },
+    );
+  }
+};
+
+/**
+ * Update a service package by forwarding the request to the injection service
+ * A usage limit is only kept on a SUBSCRIPTION package (400 otherwise).
+ * @param {string} id - Service package ID
+ * @param {Object} updateData - The fields to update
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The updated package
+ */
+const updateServicePackage = async (id, updateData, req) => {
+  await assertUsageLimitAllowed(id, updateData);
+  try {
+    logger.info({
+      message: 'Forwarding service package update to injection service',
+      metadata: { servicePackageId: id, updateData },
+    });
+    const response = await injectionClient.patch(
+      `/api/v1/packages/${id}`,
+      updateData,
+      { req },
+    );
+    const servicePackage = response.data.data;
+    await publishEvent(CATALOG_EVENTS.PACKAGE_UPDATED, servicePackage);
+    return servicePackage;
+  } catch (error) {
+    throw toWriteError(error, 'update service package', id);
+  }
+};
+
+/**
+ * Delete a service package, with its items and availability, by forwarding the
+ * request to the injection service
+ * @param {string} id - Service package ID
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<boolean>} - true once deleted
+ */
+const deleteServicePackage = async (id, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding service package deletion to injection service',
+      metadata: { servicePackageId: id },
+    });
+    await injectionClient.delete(`/api/v1/packages/${id}`, { req });
+    await publishEvent(CATALOG_EVENTS.PACKAGE_DELETED, {
+      servicePackageId: id,
+    });
+    return true;
+  } catch (error) {
+    throw toWriteError(error, 'delete service package', id);
+  }
+};
+
+/**
+ * Add a service type to a package, or change its quantity or order, by
+ * forwarding the request to the injection service
+ * @param {string} id - Service package ID
+ * @param {string} serviceTypeId - Service type ID
+ * @param {Object} itemData - { quantity, displayOrder }
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The package item
+ */
+const setPackageItem = async (id, serviceTypeId, itemData, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding service package item to injection service',
+      metadata: { servicePackageId: id, serviceTypeId, itemData },
+    });
+    const response = await injectionClient.put(
+      `/api/v1/packages/${id}/items/${serviceTypeId}`,
+      itemData,
+      { req },
+    );
+    const item = response.data.data;
+    await publishEvent(CATALOG_EVENTS.PACKAGE_ITEM_SET, item);
+    return item;
+  } catch (error) {
+    throw toWriteError(error, 'set service package item', id);
+  }
+};
+
+/**
+ * Remove a service type from a package by forwarding the request to the
+ * injection service
+ * @param {string} id - Service package ID
+ * @param {string} serviceTypeId - Service type ID
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<boolean>} - true once removed
+ */
+const removePackageItem = async (id, serviceTypeId, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding service package item removal to injection service',
+      metadata: { servicePackageId: id, serviceTypeId },
+    });
+    await injectionClient.delete(
+      `/api/v1/packages/${id}/items/${serviceTypeId}`,
+      { req },
+    );
+    await publishEvent(CATALOG_EVENTS.PACKAGE_ITEM_REMOVED, {
+      servicePackageId: id,
+      serviceTypeId,
+    });
+    return true;
+  } catch (error) {
+    throw toWriteError(error, 'remove service package item', id);
+  }
+};
+
+/**
+ * Make a package available at a service center, or change its status, price or
+ * terms there, by forwarding the request to the injection service
+ * @param {string} id - Service package ID
+ * @param {string} serviceCenterId - Service center ID
+ * @param {Object} availabilityData - { status, price, termsAndConditions }
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The package availability at the center
+ */
+const setPackageAvailability = async (
+  id,
+  serviceCenterId,
+  availabilityData,
+  req,
+) => {
+  try {
+    logger.info({
+      message: 'Forwarding service package availability to injection service',
+      metadata: { servicePackageId: id, serviceCenterId, availabilityData },
+    });
+    const response = await injectionClient.put(
+      `/api/v1/packages/${id}/service-centers/${serviceCenterId}`,
+      availabilityData,
+      { req },
+    );
+    const availability = response.data.data;
+    await publishEvent(CATALOG_EVENTS.PACKAGE_AVAILABILITY_SET, availability);
+    return availability;
+  } catch (error) {
+    throw toWriteError(error, 'set service package availability', id);
+  }
+};
+
+/**
+ * Withdraw a package from a service center by forwarding the request to the
+ * injection service
+ * @param {string} id - Service package ID
+ * @param {string} serviceCenterId - Service center ID
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<boolean>} - true once withdrawn
+ */
+const removePackageAvailability = async (id, serviceCenterId, req) => {
+  try {
+    logger.info({
+      message:
+        'Forwarding service package availability removal to injection service',
+      metadata: { servicePackageId: id, serviceCenterId },
+    });
+    await injectionClient.delete(
+      `/api/v1/packages/${id}/service-centers/${serviceCenterId}`,
+      { req },
+    );
+    await publishEvent(CATALOG_EVENTS.PACKAGE_AVAILABILITY_REMOVED, {
+      servicePackageId: id,
+      serviceCenterId,
+    });
+    return true;
+  } catch (error) {
+    throw toWriteError(error, 'remove service package availability', id);
+  }
+};
+
+module.exports = {
+  createServicePackage,
+  getAllServicePackages,
+  getServicePackageById,
+  updateServicePackage,
+  deleteServicePackage,
+  setPackageItem,
+  removePackageItem,
+  setPackageAvailability,
+  removePackageAvailability,
+  withSavings,
+};
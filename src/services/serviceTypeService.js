@@ -8,21 +8,91 @@ const {
 } = require('../controllers/errorController');
 // const ApiFeatures = require('../utils/apiFeatures');
 const { logger } = require('../utils/logger');
-const axios = require('axios');
+const { publishEvent } = require('../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../events/eventTypes');
+const { readCache, cacheKeys, toVersion } = require('../cache/readCache');
+const { injectionClient } = require('../utils/injectionClient');
+const { listRecords } = require('../utils/prismaQueryAdapter');
+const config = require('../config');
 const { query } = require('winston');
-const INJECTION_SERVICE_URL =
-  process.env.INJECTION_SERVICE_URL || 'http://localhost:5001';
 
-const createServiceType = async (typeData) => {
+// Fields service type lists may be filtered, sorted, searched and selected on
+const SERVICE_TYPE_QUERY = {
+  primaryKey: 'serviceTypeId',
+  filterFields: [
+    'serviceTypeId',
+    'name',
+    'description',
+    'estimatedDuration',
+    'isPopular',
+    'recommendedFrequency',
+    'displayOrder',
+    'createdAt',
+    'updatedAt',
+    'categoryId',
+    'category.name',
+    'category.vehicleType',
+    'category.isPopular',
+  ],
+  searchFields: ['name', 'description', 'longDescription'],
+  selectFields: [
+    'serviceTypeId',
+    'name',
+    'description',
+    'longDescription',
+    'estimatedDuration',
+    'displayImage',
+    'categoryId',
+    'recommendedFrequency',
+    'warningThreshold',
+    'displayOrder',
+    'isPopular',
+    'createdAt',
+    'updatedAt',
+    'category',
+  ],
+};
+
+// Components of a service type are listed through the link table
+const TYPE_COMPONENT_QUERY = {
+  primaryKey: 'serviceTypeComponentId',
+  filterFields: [
+    'serviceTypeComponentId',
+    'serviceComponentId',
+    'isDefault',
+    'isRequired',
+    'additionalPrice',
+    'createdAt',
+    'updatedAt',
+    'serviceComponent.name',
+    'serviceComponent.vehicleType',
+    'serviceComponent.cost',
+    'serviceComponent.estimatedDuration',
+  ],
+  searchFields: ['serviceComponent.name', 'serviceComponent.description'],
+  selectFields: [
+    'serviceTypeComponentId',
+    'serviceTypeId',
+    'serviceComponentId',
+    'isDefault',
+    'isRequired',
+    'additionalPrice',
+    'createdAt',
+    'updatedAt',
+    'serviceComponent',
+  ],
+  include: { serviceComponent: true },
+};
+
+const createServiceType = async (typeData, req) => {
   try {
     logger.info({
       message: 'Forwarding service type creation to Injection Service',
       metadata: { serviceName: typeData.name },
     });
-    const response = await axios.post(
-      `${INJECTION_SERVICE_URL}/api/v1/types`,
-      typeData,
-    );
+    const response = await injectionClient.post('/api/v1/types', typeData, {
+      req,
+    });
     const serviceType = response.data.data;
 
     logger.info({
@@ -30,8 +100,13 @@ const createServiceType = async (typeData) => {
       metadata: { serviceTypeId: serviceType.serviceTypeId },
     });
 
+    await publishEvent(CATALOG_EVENTS.TYPE_CREATED, serviceType);
+
     return serviceType;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error creating service type via Injection Service',
       metadata: {
@@ -50,7 +125,15 @@ const createServiceType = async (typeData) => {
   }
 };
 
-const getServiceTypeById = async (id) => {
+/**
+ * Get a service type by ID
+ * @param {string} id - Service type ID
+ * @param {Object} [options] - Read options
+ * @param {number} [options.minVersion] - Minimum version to wait for (read-your-writes)
+ * @param {boolean} [options.fresh] - Bypass the read cache (preconditions of writes)
+ * @returns {Promise<Object>} Service type
+ */
+const getServiceTypeById = async (id, options = {}) => {
   try {
     logger.info({
       message: 'Fetching service type by ID',
@@ -58,9 +141,14 @@ const getServiceTypeById = async (id) => {
     });
 
     // Check if the ID is valid and exists in the database
-    const serviceType = await prisma.serviceType.findUnique({
-      where: { serviceTypeId: id },
-    });
+    const serviceType = await readCache.readThrough(
+      cacheKeys.type(id),
+      () =>
+        prisma.serviceType.findUnique({
+          where: { serviceTypeId: id },
+        }),
+      options,
+    );
 
     if (!serviceType) {
       logger.warn({
@@ -114,23 +202,29 @@ const getServiceTypeById = async (id) => {
   }
 };
 
-const updateServiceType = async (id, updateData) => {
+const updateServiceType = async (id, updateData, req) => {
   try {
     logger.info({
       message: 'Forwarding service type update to Injection Service',
       metadata: { serviceTypeId: id, updateData },
     });
-    const response = await axios.patch(
-      `${INJECTION_SERVICE_URL}/api/v1/types/${id}`,
+    const response = await injectionClient.patch(
+      `/api/v1/types/${id}`,
       updateData,
+      { req },
     );
     const updatedType = response.data.data;
     logger.info({
       message: 'Service type updated successfully via Injection Service',
       metadata: { serviceTypeId: id, updatedType },
     });
+    await publishEvent(CATALOG_EVENTS.TYPE_UPDATED, updatedType);
+    readCache.recordVersion(cacheKeys.type(id), toVersion(updatedType));
     return updatedType;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error updating service type via Injection Service',
       metadata: {
@@ -160,163 +254,18 @@ const updateServiceType = async (id, updateData) => {
 
 const getServiceTypesByCategoryId = async (categoryId, queryOptions) => {
   try {
-    // Import the APIFeatures class
-    const APIFeatures = require('../utils/apiFeatures');
-
-    // Define allowed filter fields for service types
-    const ALLOWED_FILTER_FIELDS = [
-      'name',
-      'description',
-      'estimatedDuration',
-      'isPopular',
-      'recommendedFrequency',
-      'displayOrder',
-      'createdAt',
-      'updatedAt',
-    ];
-
-    const isAllowedField = (field) => {
-      if (ALLOWED_FILTER_FIELDS.includes(field)) return true;
-
-      if (field.includes('[') && field.includes(']')) {
-        const baseField = field.split('[')[0];
-        return ALLOWED_FILTER_FIELDS.includes(baseField);
-      }
-
-      if (field.includes('.')) {
-        const baseField = field.split('.')[0];
-        return ALLOWED_FILTER_FIELDS.includes(baseField);
-      }
-
-      return false;
-    };
-
-    let baseQuery = {
-      model: prisma.serviceType,
-      whereConditions: {
-        categoryId: categoryId, // Correct field name for the categoryId filter
-      },
-      orderByConditions: [{ createdAt: 'desc' }],
-      selectConditions: undefined,
-      skipValue: 0,
-      takeValue: 100,
-      orderBy: function (orderByParams) {
-        this.orderByConditions = orderByParams;
-        return this;
-      },
-      select: function (selectParams) {
-        this.selectConditions = selectParams;
-        return this;
-      },
-      where: function (whereParams) {
-        const validWhereParams = {};
-        Object.keys(whereParams).forEach((key) => {
-          if (isAllowedField(key)) {
-            validWhereParams[key] = whereParams[key];
-          } else {
-            logger.warn({
-              message: `Ignoring invalid filter field: ${key}`,
-              metadata: { value: whereParams[key] },
-            });
-          }
-        });
-        this.whereConditions = { ...this.whereConditions, ...validWhereParams };
-        return this;
-      },
-      skip: function (skipValue) {
-        this.skipValue = skipValue;
-        return this;
-      },
-      limit: function (limitValue) {
-        this.takeValue = limitValue;
-        return this;
-      },
-      search: function (searchTerm) {
-        if (searchTerm) {
-          this.whereConditions = {
-            ...this.whereConditions,
-            OR: [
-              { name: { contains: searchTerm, mode: 'insensitive' } },
-              { description: { contains: searchTerm, mode: 'insensitive' } },
-              {
-                longDescription: { contains: searchTerm, mode: 'insensitive' },
-              },
-            ],
-          };
-        }
-        return this;
-      },
-      count: async function () {
-        try {
-          return await this.model.count({
-            where: this.whereConditions,
-          });
-        } catch (error) {
-          if (error.code && error.code.startsWith('P')) {
-            throw AppError.fromPrismaError(error);
-          }
-          logger.error({
-            message: 'Error counting service types',
-            metadata: { error: error.message, stack: error.stack },
-          });
-          throw error;
-        }
-      },
-      findMany: async function () {
-        try {
-          return await this.model.findMany({
-            where: this.whereConditions,
-            orderBy: this.orderByConditions,
-            ...(this.selectConditions && { select: this.selectConditions }),
-            skip: this.skipValue,
-            take: this.takeValue,
-          });
-        } catch (error) {
-          if (error.code && error.code.startsWith('P')) {
-            throw AppError.fromPrismaError(error);
-          }
-          logger.error({
-            message: 'Error fetching service types',
-            metadata: { error: error.message, stack: error.stack },
-          });
-          throw error;
-        }
-      },
-    };
-
-    const features = new APIFeatures(baseQuery, queryOptions);
-    features.filter();
-
-    if (queryOptions.search) {
-      baseQuery.search(queryOptions.search);
-    }
-
-    features.sort().limitFieldsAdvanced();
-    const countQuery = { ...features.query };
-    features.paginate();
-    const totalCount = await countQuery.count();
-    const serviceTypes = await features.query.findMany();
-
-    const page = parseInt(queryOptions.page, 10) || 1;
-    const limit = parseInt(queryOptions.limit, 10) || 10;
-    const totalPages = Math.ceil(totalCount / limit);
+    const result = await listRecords(
+      prisma.serviceType,
+      { ...SERVICE_TYPE_QUERY, scope: { categoryId } },
+      queryOptions,
+    );
 
     logger.info({
       message: `Retrieved service types by category ID ${categoryId}`,
-      metadata: { count: serviceTypes.length, totalCount },
-    });
-
-    return {
-      data: serviceTypes,
-      meta: {
-        total: totalCount,
-        page,
-        limit,
-        totalPages,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-    };
+      metadata: { count: result.data.length, totalCount: result.meta.total },
+    });
+
+    return result;
   } catch (error) {
     logger.error({
       message: 'Error retrieving service types',
@@ -345,19 +294,24 @@ const getServiceTypesByCategoryId = async (categoryId, queryOptions) => {
     throw error;
   }
 };
-const deleteServiceType = async (id) => {
+const deleteServiceType = async (id, req) => {
   try {
     logger.info({
       message: 'Forwarding service type deletion to Injection Service',
       metadata: { serviceTypeId: id },
     });
-    await axios.delete(`${INJECTION_SERVICE_URL}/api/v1/types/${id}`);
+    await injectionClient.delete(`/api/v1/types/${id}`, { req });
     logger.info({
       message: 'Service type deleted successfully via Injection Service',
       metadata: { serviceTypeId: id },
     });
+    await publishEvent(CATALOG_EVENTS.TYPE_DELETED, { serviceTypeId: id });
+    readCache.invalidate(cacheKeys.type(id));
     return true;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error deleting service type via Injection Service',
       metadata: {
@@ -388,16 +342,21 @@ const deleteServiceType = async (id) => {
 };
 
 // Associate a component with a service type
-const associateComponentWithType = async (serviceTypeId, componentData) => {
+const associateComponentWithType = async (
+  serviceTypeId,
+  componentData,
+  req,
+) => {
   try {
     logger.info({
       message: 'Forwarding component association to injection service',
       metadata: { serviceTypeId, componentData },
     });
 
-    const response = await axios.post(
-      `${INJECTION_SERVICE_URL}/api/v1/types/${serviceTypeId}/components`,
+    const response = await injectionClient.post(
+      `/api/v1/types/${serviceTypeId}/components`,
       componentData,
+      { req },
     );
 
     const typeComponent = response.data.data.typeComponent;
@@ -411,8 +370,13 @@ const associateComponentWithType = async (serviceTypeId, componentData) => {
       },
     });
 
+    await publishEvent(CATALOG_EVENTS.TYPE_COMPONENT_ASSOCIATED, typeComponent);
+
     return typeComponent;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error associating component with service type',
       metadata: {
@@ -500,8 +464,6 @@ const associateComponentWithType = async (serviceTypeId, componentData) => {
 //  the above one is working fine
 const getComponentsByTypeId = async (serviceTypeId, queryOptions = {}) => {
   try {
-    const APIFeatures = require('../utils/apiFeatures');
-
     logger.info({
       message: 'Fetching components associated with service type',
       metadata: { serviceTypeId, queryOptions },
@@ -519,178 +481,22 @@ const getComponentsByTypeId = async (serviceTypeId, queryOptions = {}) => {
       );
     }
 
-    // Define allowed filter fields for components
-    const ALLOWED_FILTER_FIELDS = [
-      'serviceComponentId',
-      'name',
-      'description',
-      'estimatedDuration',
-      'vehicleType',
-      'createdAt',
-      'updatedAt',
-    ];
-
-    const isAllowedField = (field) => {
-      if (ALLOWED_FILTER_FIELDS.includes(field)) return true;
-
-      if (field.includes('[') && field.includes(']')) {
-        const baseField = field.split('[')[0];
-        return ALLOWED_FILTER_FIELDS.includes(baseField);
-      }
-
-      if (field.includes('.')) {
-        const baseField = field.split('.')[0];
-        return ALLOWED_FILTER_FIELDS.includes(baseField);
-      }
-
-      return false;
-    };
-
-    let baseQuery = {
-      model: prisma.serviceTypeComponent,
-      whereConditions: {
-        serviceTypeId,
-      },
-      orderByConditions: [{ createdAt: 'desc' }],
-      selectConditions: undefined,
-      skipValue: 0,
-      takeValue: 100,
-
-      orderBy: function (orderByParams) {
-        this.orderByConditions = orderByParams;
-        return this;
-      },
-
-      select: function (selectParams) {
-        this.selectConditions = selectParams;
-        return this;
-      },
-
-      where: function (whereParams) {
-        const validWhereParams = {};
-        Object.keys(whereParams).forEach((key) => {
-          if (isAllowedField(key)) {
-            validWhereParams[key] = whereParams[key];
-          } else {
-            logger.warn({
-              message: `Ignoring invalid filter field: ${key}`,
-              metadata: { value: whereParams[key] },
-            });
-          }
-        });
-
-        this.whereConditions = { ...this.whereConditions, ...validWhereParams };
-        return this;
-      },
-
-      skip: function (skipValue) {
-        this.skipValue = skipValue;
-        return this;
-      },
-
-      limit: function (limitValue) {
-        this.takeValue = limitValue;
-        return this;
-      },
-
-      search: function (searchTerm) {
-        if (searchTerm) {
-          // We need to search in the related serviceComponent fields
-          this.whereConditions = {
-            ...this.whereConditions,
-            serviceComponent: {
-              OR: [
-                { name: { contains: searchTerm, mode: 'insensitive' } },
-                { description: { contains: searchTerm, mode: 'insensitive' } },
-              ],
-            },
-          };
-        }
-        return this;
-      },
-
-      count: async function () {
-        try {
-          return await this.model.count({
-            where: this.whereConditions,
-          });
-        } catch (error) {
-          if (error.code && error.code.startsWith('P')) {
-            throw AppError.fromPrismaError(error);
-          }
-          throw error;
-        }
-      },
-
-      findMany: async function () {
-        try {
-          return await this.model.findMany({
-            where: this.whereConditions,
-            orderBy: this.orderByConditions,
-            ...(this.selectConditions && { select: this.selectConditions }),
-            skip: this.skipValue,
-            take: this.takeValue,
-            include: {
-              serviceComponent: true,
-            },
-          });
-        } catch (error) {
-          if (error.code && error.code.startsWith('P')) {
-            throw AppError.fromPrismaError(error);
-          }
-          throw error;
-        }
-      },
-    };
-
-    // Apply API features
-    const features = new APIFeatures(baseQuery, queryOptions);
-    features.filter();
-
-    if (queryOptions.search) {
-      baseQuery.search(queryOptions.search);
-    }
-
-    features.sort().limitFieldsAdvanced();
-
-    // Create a copy for counting before pagination is applied
-    const countQuery = { ...features.query };
-
-    // Apply pagination
-    features.paginate();
-
-    // Get total count before pagination for metadata
-    const totalCount = await countQuery.count();
-
-    // Execute the final query with all options applied
-    const typeComponents = await features.query.findMany();
-
-    // Calculate pagination metadata
-    const page = parseInt(queryOptions.page, 10) || 1;
-    const limit = parseInt(queryOptions.limit, 10) || 100;
-    const totalPages = Math.ceil(totalCount / limit);
+    const result = await listRecords(
+      prisma.serviceTypeComponent,
+      { ...TYPE_COMPONENT_QUERY, scope: { serviceTypeId } },
+      queryOptions,
+    );
 
     logger.info({
       message: 'Components fetched successfully',
       metadata: {
         serviceTypeId,
-        count: typeComponents.length,
-        totalCount,
+        count: result.data.length,
+        totalCount: result.meta.total,
       },
     });
 
-    // Return data with pagination metadata
-    return {
-      data: typeComponents,
-      meta: {
-        total: totalCount,
-        page,
-        limit,
-        totalPages,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-    };
+    return result;
   } catch (error) {
     logger.error({
       message: 'Error fetching components for service type',
@@ -817,15 +623,20 @@ const getComponentsByTypeId = async (serviceTypeId, queryOptions = {}) => {
 
 // Remove a component from a service type
 
-const removeComponentFromType = async (serviceTypeId, serviceComponentId) => {
+const removeComponentFromType = async (
+  serviceTypeId,
+  serviceComponentId,
+  req,
+) => {
   try {
     logger.info({
       message: 'Forwarding component removal request to injection service',
       metadata: { serviceTypeId, serviceComponentId },
     });
 
-    await axios.delete(
-      `${INJECTION_SERVICE_URL}/api/v1/types/${serviceTypeId}/components/${serviceComponentId}`,
+    await injectionClient.delete(
+      `/api/v1/types/${serviceTypeId}/components/${serviceComponentId}`,
+      { req },
     );
 
     logger.info({
@@ -833,8 +644,16 @@ const removeComponentFromType = async (serviceTypeId, serviceComponentId) => {
       metadata: { serviceTypeId, serviceComponentId },
     });
 
+    await publishEvent(CATALOG_EVENTS.TYPE_COMPONENT_REMOVED, {
+      serviceTypeId,
+      serviceComponentId,
+    });
+
     return true;
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     logger.error({
       message: 'Error removing component from service type',
       metadata: {
@@ -859,6 +678,252 @@ const removeComponentFromType = async (serviceTypeId, serviceComponentId) => {
   }
 };
 
+/**
+ * Check that an update leaves a required component among the default ones
+ * Fields the update does not send keep their stored values, so making an add-on
+ * required, or a required component an add-on, is checked against the
+ * association as it is.
+ * @param {string} serviceTypeId - Service type ID
+ * @param {string} serviceComponentId - Service component ID
+ * @param {Object} updateData - The fields to update
+ * @returns {Promise<void>}
+ */
+const assertRequiredIsDefault = async (
+  serviceTypeId,
+  serviceComponentId,
+  updateData,
+) => {
+  if (
+    updateData.isDefault === undefined &&
+    updateData.isRequired === undefined
+  ) {
+    return;
+  }
+
+  let current;
+  try {
+    current = await prisma.serviceTypeComponent.findUnique({
+      where: {
+        serviceTypeId_serviceComponentId: { serviceTypeId, serviceComponentId },
+      },
+      select: { isDefault: true, isRequired: true },
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Error fetching component association for update',
+      metadata: { serviceTypeId, serviceComponentId, error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw createInternalError(
+      `Failed to fetch component association: ${error.message}`,
+    );
+  }
+  if (!current) {
+    throw createNotFoundError(
+      serviceComponentId,
+      `component association with service type ${serviceTypeId}`,
+    );
+  }
+
+  // The validator leaves form values as strings
+  const flag = (value, stored) =>
+    value === undefined ? stored : String(value) === 'true';
+  const isDefault = flag(updateData.isDefault, current.isDefault);
+  const isRequired = flag(updateData.isRequired, current.isRequired);
+  if (isRequired && !isDefault) {
+    throw AppError.badRequest(
+      'A required component must also be a default component',
+      'VALIDATION_ERROR',
+      updateData.isRequired === undefined
+        ? { isDefault: 'Make the component optional to make it an add-on' }
+        : { isRequired: 'Make the component a default one to require it' },
+    );
+  }
+};
+
+/**
+ * Update the options of a component on a service type
+ * A required component stays a default one (400 otherwise).
+ * @param {string} serviceTypeId - Service type ID
+ * @param {string} serviceComponentId - Service component ID
+ * @param {Object} updateData - isDefault, isRequired and/or additionalPrice
+ * @param {Object} req - Express request, for forwarded headers
+ * @returns {Promise<Object>} The updated association
+ */
+const updateTypeComponent = async (
+  serviceTypeId,
+  serviceComponentId,
+  updateData,
+  req,
+) => {
+  await assertRequiredIsDefault(serviceTypeId, serviceComponentId, updateData);
+  try {
+    logger.info({
+      message: 'Forwarding component association update to injection service',
+      metadata: { serviceTypeId, serviceComponentId, updateData },
+    });
+
+    const response = await injectionClient.patch(
+      `/api/v1/types/${serviceTypeId}/components/${serviceComponentId}`,
+      updateData,
+      { req },
+    );
+
+    const typeComponent = response.data.data.typeComponent;
+
+    logger.info({
+      message: 'Component association updated successfully',
+      metadata: {
+        serviceTypeId,
+        serviceComponentId,
+        typeComponentId: typeComponent.serviceTypeComponentId,
+      },
+    });
+
+    await publishEvent(CATALOG_EVENTS.TYPE_COMPONENT_UPDATED, typeComponent);
+
+    return typeComponent;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    logger.error({
+      message: 'Error updating component association',
+      metadata: {
+        serviceTypeId,
+        serviceComponentId,
+        error: error.response?.data?.message || error.message,
+        stack: error.stack,
+      },
+    });
+
+    if (error.response?.status === 404) {
+      throw createNotFoundError(
+        serviceComponentId,
+        `component association with service type ${serviceTypeId}`,
+      );
+    }
+
+    throw createInternalError(
+      error.response?.data?.message ||
+        `Failed to update component ${serviceComponentId} of service type ${serviceTypeId}`,
+    );
+  }
+};
+
+/**
+ * Compute the component-derived duration of service types
+ * The derived duration is the sum of the estimatedDuration of the type's default
+ * components; add-ons are extra time on top of it. A type is flagged when its
+ * declared estimatedDuration differs from the derived one by more than the
+ * threshold. Types without default components are never flagged.
+ * @param {Array<string>} serviceTypeIds - Service type IDs
+ * @param {Object} [options] - Roll-up options
+ * @param {number} [options.threshold] - Minutes of tolerated difference
+ * @returns {Promise<Map<string, Object>>} Roll-up per service type ID
+ */
+const getDurationRollups = async (serviceTypeIds, options = {}) => {
+  const threshold =
+    options.threshold ?? config.durationRollup.mismatchThresholdMinutes;
+  const ids = [...new Set(serviceTypeIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  try {
+    const serviceTypes = await prisma.serviceType.findMany({
+      where: { serviceTypeId: { in: ids } },
+      select: {
+        serviceTypeId: true,
+        estimatedDuration: true,
+        serviceComponents: {
+          where: { isDefault: true },
+          select: { serviceComponent: { select: { estimatedDuration: true } } },
+        },
+      },
+    });
+
+    return new Map(
+      serviceTypes.map((serviceType) => {
+        const durations = serviceType.serviceComponents.map(
+          (link) => link.serviceComponent.estimatedDuration,
+        );
+        const componentDuration = durations.reduce(
+          (sum, duration) => sum + (duration || 0),
+          0,
+        );
+        const difference = serviceType.estimatedDuration - componentDuration;
+
+        return [
+          serviceType.serviceTypeId,
+          {
+            declaredDuration: serviceType.estimatedDuration,
+            componentDuration,
+            difference,
+            componentCount: durations.length,
+            componentsWithoutDuration: durations.filter(
+              (duration) => duration === null || duration === undefined,
+            ).length,
+            threshold,
+            isMismatched:
+              durations.length > 0 && Math.abs(difference) > threshold,
+          },
+        ];
+      }),
+    );
+  } catch (error) {
+    logger.error({
+      message: 'Error computing service type duration roll-ups',
+      metadata: { serviceTypeIds: ids, error: error.message },
+    });
+
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw createInternalError(
+      `Failed to compute service type durations: ${error.message}`,
+    );
+  }
+};
+
+/**
+ * Add the duration roll-up of their service type to records as `durationRollup`
+ * Records without a serviceTypeId (e.g. a field selection without it) are
+ * returned unchanged.
+ * @param {Array<Object>} records - Service types or service center offerings
+ * @returns {Promise<Array<Object>>} The records with their roll-up
+ */
+const withDurationRollups = async (records) => {
+  const rollups = await getDurationRollups(
+    records.map((record) => record.serviceTypeId),
+  );
+  return records.map((record) =>
+    rollups.has(record.serviceTypeId)
+      ? { ...record, durationRollup: rollups.get(record.serviceTypeId) }
+      : record,
+  );
+};
+
+/**
+ * Get the component-derived duration of a service type
+ * @param {string} serviceTypeId - Service type ID
+ * @param {Object} [options] - Roll-up options (threshold in minutes)
+ * @returns {Promise<Object>} The roll-up with the serviceTypeId and name
+ * @throws {AppError} 404 when the service type does not exist
+ */
+const getTypeDurationRollup = async (serviceTypeId, options = {}) => {
+  const serviceType = await getServiceTypeById(serviceTypeId);
+  const rollups = await getDurationRollups([serviceTypeId], options);
+
+  return {
+    serviceTypeId,
+    name: serviceType.name,
+    ...rollups.get(serviceTypeId),
+  };
+};
+
 module.exports = {
   createServiceType,
   getServiceTypeById,
@@ -868,4 +933,8 @@ module.exports = {
   associateComponentWithType,
   getComponentsByTypeId,
   removeComponentFromType,
+  updateTypeComponent,
+  getDurationRollups,
+  withDurationRollups,
+  getTypeDurationRollup,
 };
@@ -0,0 +1,278 @@
+const prisma = require('../models/index');
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+const { publishEvent } = require('../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../events/eventTypes');
+const { injectionClient } = require('../utils/injectionClient');
+const { roundCurrency } = require('../utils/currency');
+const { createWriteErrorMapper } = require('../utils/injectionErrors');
+const { listRecords, targetCondition } = require('../utils/prismaQueryAdapter');
+const {
+  createNotFoundError,
+  createInternalError,
+} = require('../controllers/errorController');
+
+// Fields tax rule lists may be filtered, sorted, searched and selected on
+const TAX_RULE_QUERY = {
+  primaryKey: 'taxRuleId',
+  filterFields: [
+    'taxRuleId',
+    'name',
+    'rate',
+    'categoryId',
+    'serviceTypeId',
+    'effectiveFrom',
+    'effectiveTo',
+    'isActive',
+    'createdAt',
+    'updatedAt',
+  ],
+  searchFields: ['name', 'description'],
+  selectFields: [
+    'taxRuleId',
+    'name',
+    'description',
+    'rate',
+    'categoryId',
+    'serviceTypeId',
+    'effectiveFrom',
+    'effectiveTo',
+    'isActive',
+    'createdAt',
+    'updatedAt',
+  ],
+};
+
+// How much each target of a rule counts when picking the most specific one
+const SPECIFICITY = { serviceTypeId: 2, categoryId: 1 };
+
+// Failed injection-service writes as AppErrors
+const toWriteError = createWriteErrorMapper({
+  resourceType: 'tax rule',
+  idField: 'taxRuleId',
+});
+
+/**
+ * Create a tax rule by forwarding the request to the injection service
+ * @param {Object} taxRuleData - The data for the new tax rule
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The created tax rule
+ */
+const createTaxRule = async (taxRuleData, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding tax rule creation request to injection service',
+      metadata: { name: taxRuleData.name },
+    });
+    const response = await injectionClient.post(
+      '/api/v1/tax-rules',
+      taxRuleData,
+      { req },
+    );
+    const taxRule = response.data.data;
+    await publishEvent(CATALOG_EVENTS.TAX_RULE_CREATED, taxRule);
+    return taxRule;
+  } catch (error) {
+    throw toWriteError(error, 'create tax rule');
+  }
+};
+
+/**
+ * Get tax rules with filtering, search, sorting and pagination
+ * @param {Object} queryOptions - Query options
+ * @returns {Promise<Object>} - { data, meta }
+ */
+const getAllTaxRules = async (queryOptions = {}) => {
+  try {
+    return await listRecords(prisma.taxRule, TAX_RULE_QUERY, queryOptions);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    logger.error({
+      message: 'Error retrieving tax rules',
+      metadata: { error: error.message, stack: error.stack },
+    });
+    throw AppError.internal(`Failed to retrieve tax rules: ${error.message}`);
+  }
+};
+
+/**
+ * Get a tax rule by ID
+ * @param {string} id - Tax rule ID
+ * @returns {Promise<Object>} - The tax rule
+ * @throws {AppError} 404 when the tax rule does not exist
+ */
+const getTaxRuleById = async (id) => {
+  let taxRule;
+  try {
+    taxRule = await prisma.taxRule.findUnique({
+      where: { taxRuleId: id },
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Error fetching tax rule by id',
+      metadata: { taxRuleId: id, error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw createInternalError(`Failed to fetch tax rule: ${error.message}`);
+  }
+
+  if (!taxRule) {
+    throw createNotFoundError(id, 'tax rule');
+  }
+  return taxRule;
+};
+
+/**
+ * Update a tax rule by forwarding the request to the injection service
+ * @param {string} id - Tax rule ID
+ * @param {Object} updateData - The fields to update
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The updated tax rule
+ */
+const updateTaxRule = async (id, updateData, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding tax rule update to injection service',
+      metadata: { taxRuleId: id, updateData },
+    });
+    const response = await injectionClient.patch(
+      `/api/v1/tax-rules/${id}`,
+      updateData,
+      { req },
+    );
+    const taxRule = response.data.data;
+    await publishEvent(CATALOG_EVENTS.TAX_RULE_UPDATED, taxRule);
+    return taxRule;
+  } catch (error) {
+    throw toWriteError(error, 'update tax rule', id);
+  }
+};
+
+/**
+ * Delete a tax rule by forwarding the request to the injection service
+ * @param {string} id - Tax rule ID
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<boolean>} - true once deleted
+ */
+const deleteTaxRule = async (id, req) => {
+  try {
+    logger.info({
+      message: 'Forwarding tax rule deletion to injection service',
+      metadata: { taxRuleId: id },
+    });
+    await injectionClient.delete(`/api/v1/tax-rules/${id}`, { req });
+    await publishEvent(CATALOG_EVENTS.TAX_RULE_DELETED, { taxRuleId: id });
+    return true;
+  } catch (error) {
+    throw toWriteError(error, 'delete tax rule', id);
+  }
+};
+
+// How specific a rule is for a target, or -1 when it does not apply
+const specificityOf = (rule, target) =>
+  Object.keys(SPECIFICITY).reduce((score, field) => {
+    if (score < 0 || rule[field] === null) return score;
+    return rule[field] === target[field] ? score + SPECIFICITY[field] : -1;
+  }, 0);
+
+/**
+ * Find the tax rules in effect at a time for each of a list of offerings
+ * Offerings are expected to include their serviceType, which gives the category
+ * a rule may target. For each tax name, the most specific rule applies (a
+ * service type over a category over every offering), the one that took effect
+ * last on a tie.
+ * @param {Array<Object>} offerings - Service center offerings
+ * @param {Date} [now] - Time the rules must be in effect at
+ * @returns {Promise<Array<Array<Object>>>} - Tax rules per offering (same
+ * order), sorted by name
+ */
+const getTaxRulesForOfferings = async (offerings, now = new Date()) => {
+  if (offerings.length === 0) return [];
+
+  const targets = offerings.map((offering) => ({
+    serviceTypeId:
+      offering.serviceTypeId ?? offering.serviceType?.serviceTypeId,
+    categoryId: offering.serviceType?.categoryId,
+  }));
+  const valuesOf = (field) =>
+    targets.map((target) => target[field]).filter(Boolean);
+
+  let rules;
+  try {
+    rules = await prisma.taxRule.findMany({
+      where: {
+        isActive: true,
+        effectiveFrom: { lte: now },
+        AND: [
+          { OR: [{ effectiveTo: null }, { effectiveTo: { gt: now } }] },
+          targetCondition('categoryId', valuesOf('categoryId')),
+          targetCondition('serviceTypeId', valuesOf('serviceTypeId')),
+        ],
+      },
+      orderBy: [{ effectiveFrom: 'desc' }, { createdAt: 'desc' }],
+    });
+  } catch (error) {
+    logger.error({
+      message: 'Error loading tax rules for offerings',
+      metadata: { error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw AppError.internal(`Failed to load tax rules: ${error.message}`);
+  }
+
+  return targets.map((target) => {
+    const byName = new Map();
+    rules.forEach((rule) => {
+      const score = specificityOf(rule, target);
+      if (score > (byName.get(rule.name)?.score ?? -1)) {
+        byName.set(rule.name, { rule, score });
+      }
+    });
+    return [...byName.values()]
+      .map(({ rule }) => rule)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  });
+};
+
+/**
+ * Charge tax rules on an amount
+ * Each line is rounded to two decimal places (Decimal(10,2) precision) and the
+ * tax is the sum of the rounded lines, so the lines always add up to it.
+ * @param {Array<Object>} rules - Tax rules returned by getTaxRulesForOfferings
+ * @param {number} taxableAmount - Pre-tax amount
+ * @returns {Object} - { taxableAmount, lines, amount, totalInclusiveOfTax }
+ */
+const applyTaxRules = (rules = [], taxableAmount) => {
+  const lines = rules.map((rule) => ({
+    taxRuleId: rule.taxRuleId,
+    name: rule.name,
+    rate: Number(rule.rate),
+    amount: roundCurrency((taxableAmount * Number(rule.rate)) / 100),
+  }));
+  const amount = roundCurrency(
+    lines.reduce((sum, line) => sum + line.amount, 0),
+  );
+
+  return {
+    taxableAmount,
+    lines,
+    amount,
+    totalInclusiveOfTax: roundCurrency(taxableAmount + amount),
+  };
+};
+
+module.exports = {
+  createTaxRule,
+  getAllTaxRules,
+  getTaxRuleById,
+  updateTaxRule,
+  deleteTaxRule,
+  getTaxRulesForOfferings,
+  applyTaxRules,
+};
@@ -0,0 +1,426 @@
+const prisma = require('../models/index');
+const AppError = require('../utils/appError');
+const { logger } = require('../utils/logger');
+const { publishEvent } = require('../events/eventPublisher');
+const { CATALOG_EVENTS } = require('../events/eventTypes');
+const { injectionClient } = require('../utils/injectionClient');
+const { createWriteErrorMapper } = require('../utils/injectionErrors');
+const { listRecords } = require('../utils/prismaQueryAdapter');
+const { createNotFoundError } = require('../controllers/errorController');
+
+// Fields vehicle pricing lists may be filtered, sorted and selected on
+const VEHICLE_PRICING_QUERY = {
+  primaryKey: 'vehicleBrandServiceOfferingId',
+  filterFields: [
+    'vehicleBrandServiceOfferingId',
+    'brandId',
+    'modelId',
+    'manufactureYearStart',
+    'manufactureYearEnd',
+    'fuelType',
+    'status',
+    'price',
+    'discountPercentage',
+    'timeToComplete',
+    'partsIncluded',
+    'createdAt',
+    'updatedAt',
+  ],
+  selectFields: [
+    'vehicleBrandServiceOfferingId',
+    'offeringId',
+    'brandId',
+    'modelId',
+    'manufactureYearStart',
+    'manufactureYearEnd',
+    'fuelType',
+    'status',
+    'price',
+    'discountPercentage',
+    'timeToComplete',
+    'specialNotes',
+    'partsIncluded',
+    'createdAt',
+    'updatedAt',
+    'brand',
+    'model',
+  ],
+  include: {
+    brand: { select: { id: true, name: true } },
+    model: { select: { id: true, name: true } },
+  },
+  defaultLimit: 20,
+};
+
+// How much each narrowing of an override counts when picking the most specific one
+const SPECIFICITY = { modelId: 4, fuelType: 2, manufactureYear: 1 };
+
+// Path of the vehicle pricing of an offering on the injection service
+const pricingPath = (serviceCenterId, serviceCenterOfferingId, id) =>
+  `/api/v1/service-centers/${serviceCenterId}/offerings/${serviceCenterOfferingId}/vehicle-brands${id ? `/${id}` : ''}`;
+
+// Failed injection-service writes as AppErrors
+const toWriteError = createWriteErrorMapper({
+  resourceType: 'vehicle brand service offering',
+  idField: 'vehicleBrandServiceOfferingId',
+  // An offering has one pricing per brand, model and fuel type
+  passThroughStatuses: [409],
+});
+
+/**
+ * Run a Prisma read, converting its failures into AppErrors
+ * @param {Function} read - Performs the read
+ * @param {string} action - What is being read, for the error message
+ * @returns {Promise<*>} - The result of the read
+ */
+const runRead = async (read, action) => {
+  try {
+    return await read();
+  } catch (error) {
+    logger.error({
+      message: `Error loading ${action}`,
+      metadata: { error: error.message },
+    });
+    if (error.code && error.code.startsWith('P')) {
+      throw AppError.fromPrismaError(error);
+    }
+    throw AppError.internal(`Failed to load ${action}: ${error.message}`);
+  }
+};
+
+/**
+ * Load a model and check that it belongs to a brand
+ * @param {string} modelId - Model ID
+ * @param {string} [brandId] - Brand the model must belong to
+ * @returns {Promise<Object>} - The model
+ * @throws {AppError} 404 when the model does not exist, 400 MODEL_BRAND_MISMATCH
+ */
+const loadModel = async (modelId, brandId) => {
+  const model = await runRead(
+    () => prisma.model.findUnique({ where: { id: modelId } }),
+    'model',
+  );
+  if (!model) {
+    throw createNotFoundError(modelId, 'model');
+  }
+  if (brandId && model.brandId !== brandId) {
+    throw AppError.badRequest(
+      'The model does not belong to the brand',
+      'MODEL_BRAND_MISMATCH',
+      { brandId, modelId },
+    );
+  }
+  return model;
+};
+
+/**
+ * Create vehicle pricing for an offering by forwarding the request to the injection service
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {Object} pricingData - The data for the new vehicle pricing
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The created vehicle pricing
+ */
+const createVehiclePricing = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  pricingData,
+  req,
+) => {
+  if (pricingData.modelId) {
+    await loadModel(pricingData.modelId, pricingData.brandId);
+  }
+
+  try {
+    logger.info({
+      message: 'Forwarding vehicle pricing creation to injection service',
+      metadata: {
+        serviceCenterOfferingId,
+        brandId: pricingData.brandId,
+        modelId: pricingData.modelId,
+      },
+    });
+    const response = await injectionClient.post(
+      pricingPath(serviceCenterId, serviceCenterOfferingId),
+      pricingData,
+      { req },
+    );
+    const pricing = response.data.data;
+    await publishEvent(CATALOG_EVENTS.OFFERING_VEHICLE_PRICING_CREATED, {
+      serviceCenterId,
+      serviceCenterOfferingId,
+      ...pricing,
+    });
+    return pricing;
+  } catch (error) {
+    throw toWriteError(error, 'create vehicle pricing');
+  }
+};
+
+/**
+ * Get the vehicle pricing of an offering with filtering, sorting and pagination
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {Object} queryOptions - Query options
+ * @returns {Promise<Object>} - { data, meta }
+ */
+const getVehiclePricing = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  queryOptions = {},
+) => {
+  try {
+    return await listRecords(
+      prisma.vehicleBrandServiceOffering,
+      {
+        ...VEHICLE_PRICING_QUERY,
+        scope: {
+          offeringId: serviceCenterOfferingId,
+          offering: { serviceCenterId },
+        },
+      },
+      queryOptions,
+    );
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    logger.error({
+      message: 'Error retrieving vehicle pricing',
+      metadata: {
+        serviceCenterOfferingId,
+        error: error.message,
+        stack: error.stack,
+      },
+    });
+    throw AppError.internal(
+      `Failed to retrieve vehicle pricing: ${error.message}`,
+    );
+  }
+};
+
+/**
+ * Update vehicle pricing by forwarding the request to the injection service
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {string} id - Vehicle brand service offering ID
+ * @param {Object} updateData - The fields to update
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<Object>} - The updated vehicle pricing
+ */
+const updateVehiclePricing = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  id,
+  updateData,
+  req,
+) => {
+  if (updateData.modelId && updateData.brandId) {
+    await loadModel(updateData.modelId, updateData.brandId);
+  }
+
+  try {
+    logger.info({
+      message: 'Forwarding vehicle pricing update to injection service',
+      metadata: { vehicleBrandServiceOfferingId: id, updateData },
+    });
+    const response = await injectionClient.patch(
+      pricingPath(serviceCenterId, serviceCenterOfferingId, id),
+      updateData,
+      { req },
+    );
+    const pricing = response.data.data;
+    await publishEvent(CATALOG_EVENTS.OFFERING_VEHICLE_PRICING_UPDATED, {
+      serviceCenterId,
+      serviceCenterOfferingId,
+      ...pricing,
+    });
+    return pricing;
+  } catch (error) {
+    throw toWriteError(error, 'update vehicle pricing', id);
+  }
+};
+
+/**
+ * Delete vehicle pricing by forwarding the request to the injection service
+ * @param {string} serviceCenterId - The ID of the service center
+ * @param {string} serviceCenterOfferingId - The ID of the service center offering
+ * @param {string} id - Vehicle brand service offering ID
+ * @param {Object} req - Express request object with headers for auth token
+ * @returns {Promise<boolean>} - true once deleted
+ */
+const deleteVehiclePricing = async (
+  serviceCenterId,
+  serviceCenterOfferingId,
+  id,
+  req,
+) => {
+  try {
+    logger.info({
+      message: 'Forwarding vehicle pricing deletion to injection service',
+      metadata: { vehicleBrandServiceOfferingId: id },
+    });
+    await injectionClient.delete(
+      pricingPath(serviceCenterId, serviceCenterOfferingId, id),
+      { req },
+    );
+    await publishEvent(CATALOG_EVENTS.OFFERING_VEHICLE_PRICING_DELETED, {
+      serviceCenterId,
+      serviceCenterOfferingId,
+      offeringId: serviceCenterOfferingId,
+      vehicleBrandServiceOfferingId: id,
+    });
+    return true;
+  } catch (error) {
+    throw toWriteError(error, 'delete vehicle pricing', id);
+  }
+};
+
+/**
+ * Resolve the vehicle an offering read is priced for
+ * A vehicleId takes its brand, model, manufacture year and fuel type from the
+ * Vehicle; only its owner and admins may price for it. A modelId must belong to
+ * the brandId when both are given.
+ * @param {Object} selection - Vehicle selection from the query
+ * @param {string} [selection.brandId] - Brand ID
+ * @param {string} [selection.modelId] - Model ID
+ * @param {string} [selection.vehicleId] - Vehicle ID
+ * @param {Object} [user] - Authenticated user ({ id, role })
+ * @returns {Promise<Object|null>} - { vehicleId, brandId, modelId, manufactureYear,
+ * fuelType } or null when no vehicle is selected
+ * @throws {AppError} 404 when the vehicle, model or brand does not exist
+ */
+const resolveVehicle = async ({ brandId, modelId, vehicleId } = {}, user) => {
+  if (vehicleId) {
+    const vehicle = await runRead(
+      () => prisma.vehicle.findUnique({ where: { id: vehicleId } }),
+      'vehicle',
+    );
+    // Another user's vehicle is reported as missing rather than forbidden
+    if (!vehicle || (user?.role !== 'ADMIN' && vehicle.userId !== user?.id)) {
+      throw createNotFoundError(vehicleId, 'vehicle');
+    }
+    return {
+      vehicleId,
+      brandId: vehicle.brandId,
+      modelId: vehicle.modelId,
+      manufactureYear: vehicle.manufactureYear,
+      fuelType: vehicle.fuelType ?? null,
+    };
+  }
+
+  if (modelId) {
+    const model = await loadModel(modelId, brandId);
+    return {
+      vehicleId: null,
+      brandId: model.brandId,
+      modelId,
+      manufactureYear: null,
+      fuelType: null,
+    };
+  }
+
+  if (brandId) {
+    const brand = await runRead(
+      () => prisma.brand.findUnique({ where: { id: brandId } }),
+      'brand',
+    );
+    if (!brand) {
+      throw createNotFoundError(brandId, 'brand');
+    }
+    return {
+      vehicleId: null,
+      brandId,
+      modelId: null,
+      manufactureYear: null,
+      fuelType: null,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * How specific an override is for a vehicle, or -1 when it does not apply
+ * An override applies when every narrowing it sets matches the vehicle; a
+ * manufacture year range only matches vehicles whose year is known.
+ * @param {Object} override - Vehicle brand service offering row
+ * @param {Object} vehicle - Resolved vehicle
+ * @returns {number} - Specificity score
+ */
+const specificityOf = (override, vehicle) => {
+  const { manufactureYearStart: start, manufactureYearEnd: end } = override;
+  const hasYears = start !== null || end !== null;
+  const { manufactureYear: year } = vehicle;
+  if (
+    (override.modelId !== null && override.modelId !== vehicle.modelId) ||
+    (override.fuelType !== null && override.fuelType !== vehicle.fuelType) ||
+    (hasYears &&
+      (year === null ||
+        (start !== null && year < start) ||
+        (end !== null && year > end)))
+  ) {
+    return -1;
+  }
+  return (
+    (override.modelId !== null ? SPECIFICITY.modelId : 0) +
+    (override.fuelType !== null ? SPECIFICITY.fuelType : 0) +
+    (hasYears ? SPECIFICITY.manufactureYear : 0)
+  );
+};
+
+/**
+ * Find the pricing override that applies to a vehicle for each of a list of offerings
+ * Only active overrides of the vehicle's brand are considered; the most specific
+ * one wins (a model over a fuel type over a manufacture year range), the oldest
+ * on a tie.
+ * @param {Array<Object>} offerings - Service center offerings
+ * @param {Object} vehicle - Vehicle returned by resolveVehicle
+ * @returns {Promise<Array<Object|null>>} - Override per offering (same order)
+ */
+const getOverridesForOfferings = async (offerings, vehicle) => {
+  if (offerings.length === 0) return [];
+
+  const overrides = await runRead(
+    () =>
+      prisma.vehicleBrandServiceOffering.findMany({
+        where: {
+          offeringId: {
+            in: offerings.map((offering) => offering.serviceCenterOfferingId),
+          },
+          brandId: vehicle.brandId,
+          status: 'ACTIVE',
+        },
+        orderBy: { createdAt: 'asc' },
+      }),
+    'vehicle pricing',
+  );
+
+  return offerings
+    .map((offering) =>
+      overrides
+        .filter(
+          (override) =>
+            override.offeringId === offering.serviceCenterOfferingId,
+        )
+        .map((override) => ({
+          override,
+          score: specificityOf(override, vehicle),
+        }))
+        .filter(({ score }) => score >= 0)
+        .reduce(
+          (best, match) => (!best || match.score > best.score ? match : best),
+          null,
+        ),
+    )
+    .map((match) => match?.override ?? null);
+};
+
+module.exports = {
+  createVehiclePricing,
+  getVehiclePricing,
+  updateVehiclePricing,
+  deleteVehiclePricing,
+  resolveVehicle,
+  getOverridesForOfferings,
+};
@@ -0,0 +1,290 @@
+// src/utils/__tests__/apiFeatures.test.js
+const APIFeatures = require('../apiFeatures');
+
+// Query builder that records what APIFeatures applies to it
+const createBuilder = () => ({
+  whereConditions: {},
+  orderBy: jest.fn(function (orderBy) {
+    this.orderByConditions = orderBy;
+    return this;
+  }),
+  select: jest.fn(function (select) {
+    this.selectConditions = select;
+    return this;
+  }),
+  where: jest.fn(function (where) {
+    this.whereConditions = { ...this.whereConditions, ...where };
+    return this;
+  }),
+  keyset: jest.fn(function (keyset) {
+    this.keysetConditions = keyset;
+    return this;
+  }),
+  skip: jest.fn(function (skip) {
+    this.skipValue = skip;
+    return this;
+  }),
+  limit: jest.fn(function (limit) {
+    this.takeValue = limit;
+    return this;
+  }),
+});
+
+const records = [
+  { serviceCategoryId: 'c1', name: 'Brakes' },
+  { serviceCategoryId: 'c2', name: 'Engine' },
+  { serviceCategoryId: 'c3', name: 'Tyres' },
+];
+
+const paginate = (queryString) => {
+  const builder = createBuilder();
+  const features = new APIFeatures(builder, queryString, {
+    primaryKey: 'serviceCategoryId',
+  });
+  features.filter().sort().limitFieldsAdvanced().paginate();
+  return { builder, features };
+};
+
+describe('APIFeatures', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('paginate', () => {
+    it('should use skip and limit for page-based pagination', () => {
+      const { builder, features } = paginate({ page: '3', limit: '20' });
+
+      expect(builder.skipValue).toBe(40);
+      expect(builder.takeValue).toBe(20);
+      expect(builder.keyset).not.toHaveBeenCalled();
+      expect(features.isCursorPagination()).toBe(false);
+      expect(features.wantsCount()).toBe(true);
+    });
+
+    it('should not treat cursor parameters as filters', () => {
+      const { builder } = paginate({ cursor: '', count: 'true', name: 'x' });
+
+      expect(builder.whereConditions).toEqual({ name: 'x' });
+    });
+  });
+
+  describe('filter', () => {
+    const filter = (queryString, filterFields) => {
+      const builder = createBuilder();
+      const features = new APIFeatures(builder, queryString, { filterFields });
+      features.filter();
+      return { where: builder.whereConditions, features };
+    };
+
+    it('should translate field operators', () => {
+      expect(
+        filter({ basePrice: { gte: '100', lt: '250.5' }, name: 'Oil' }).where,
+      ).toEqual({ basePrice: { gte: 100, lt: 250.5 }, name: 'Oil' });
+    });
+
+    it('should accept in as a list or comma-separated values', () => {
+      expect(filter({ status: { in: 'ACTIVE,INACTIVE' } }).where).toEqual({
+        status: { in: ['ACTIVE', 'INACTIVE'] },
+      });
+      expect(filter({ displayOrder: ['1', '2'] }).where).toEqual({
+        displayOrder: { in: [1, 2] },
+      });
+    });
+
+    it('should filter on relations with dotted paths or brackets', () => {
+      expect(
+        filter({
+          'category.vehicleType': 'BIKE',
+          category: { name: { contains: 'repair' } },
+        }).where,
+      ).toEqual({
+        category: {
+          vehicleType: 'BIKE',
+          name: { contains: 'repair', mode: 'insensitive' },
+        },
+      });
+      expect(
+        filter({ 'serviceType.categoryId': { in: ['c1', 'c2'] } }).where,
+      ).toEqual({ serviceType: { categoryId: { in: ['c1', 'c2'] } } });
+    });
+
+    it('should build OR groups from a list or an object', () => {
+      expect(
+        filter({
+          or: [
+            { name: { contains: 'oil' } },
+            { isPopular: 'true', displayOrder: { lte: '3' } },
+          ],
+        }).where,
+      ).toEqual({
+        OR: [
+          { name: { contains: 'oil', mode: 'insensitive' } },
+          { isPopular: true, displayOrder: { lte: 3 } },
+        ],
+      });
+      expect(filter({ or: { name: 'Oil', isPopular: 'true' } }).where).toEqual({
+        OR: [{ name: 'Oil' }, { isPopular: true }],
+      });
+    });
+
+    it('should negate conditions with not', () => {
+      expect(
+        filter({ not: { status: 'INACTIVE', 'category.vehicleType': 'BIKE' } })
+          .where,
+      ).toEqual({
+        NOT: [{ status: 'INACTIVE' }, { category: { vehicleType: 'BIKE' } }],
+      });
+    });
+
+    it('should leave out fields that are not allowed, also inside groups', () => {
+      const { where, features } = filter(
+        {
+          name: 'Oil',
+          secret: 'x',
+          or: [{ 'category.vehicleType': 'BIKE' }, { 'category.secret': 'y' }],
+          not: { category: { internal: 'z' } },
+        },
+        ['name', 'category.vehicleType'],
+      );
+
+      expect(where).toEqual({
+        name: 'Oil',
+        OR: [{ category: { vehicleType: 'BIKE' } }],
+      });
+      expect(features.unknownFilters).toEqual([
+        'secret',
+        'category.secret',
+        'category.internal',
+      ]);
+    });
+  });
+
+  describe('cursor pagination', () => {
+    it('should start from the first page and take one extra record', () => {
+      const { builder, features } = paginate({
+        cursor: '',
+        sort: 'name',
+        limit: '2',
+      });
+
+      expect(features.isCursorPagination()).toBe(true);
+      expect(features.wantsCount()).toBe(false);
+      expect(builder.orderByConditions).toEqual([
+        { name: 'asc' },
+        { serviceCategoryId: 'asc' },
+      ]);
+      expect(builder.keyset).not.toHaveBeenCalled();
+      expect(builder.skipValue).toBe(0);
+      expect(builder.takeValue).toBe(3);
+    });
+
+    it('should return the page with a next cursor', () => {
+      const { features } = paginate({ cursor: '', sort: 'name', limit: '2' });
+
+      const { data, meta } = features.cursorPage(records);
+
+      expect(data).toEqual(records.slice(0, 2));
+      expect(meta).toEqual({
+        limit: 2,
+        nextCursor: expect.any(String),
+        prevCursor: null,
+        hasNextPage: true,
+        hasPrevPage: false,
+      });
+    });
+
+    it('should continue after a cursor with a keyset condition', () => {
+      const first = paginate({ cursor: '', sort: 'name', limit: '2' });
+      const { nextCursor } = first.features.cursorPage(records).meta;
+
+      const { builder, features } = paginate({
+        after: nextCursor,
+        sort: 'name',
+        limit: '2',
+        count: 'true',
+      });
+      const { data, meta } = features.cursorPage([records[2]], 3);
+
+      expect(builder.keysetConditions).toEqual({
+        OR: [
+          { name: { gt: 'Engine' } },
+          { name: 'Engine', serviceCategoryId: { gt: 'c2' } },
+        ],
+      });
+      expect(data).toEqual([records[2]]);
+      expect(meta).toEqual({
+        limit: 2,
+        nextCursor: null,
+        prevCursor: expect.any(String),
+        hasNextPage: false,
+        hasPrevPage: true,
+        total: 3,
+      });
+    });
+
+    it('should walk backward from a before cursor', () => {
+      const first = paginate({ cursor: '', sort: 'name', limit: '1' });
+      // Cursor of the first record (Brakes)
+      const { nextCursor } = first.features.cursorPage(records).meta;
+
+      const { builder, features } = paginate({
+        before: nextCursor,
+        sort: 'name',
+        limit: '1',
+      });
+      // Records come back in reversed order, closest to the cursor first
+      const { data, meta } = features.cursorPage([
+        { serviceCategoryId: 'c0', name: 'Battery' },
+        { serviceCategoryId: 'c9', name: 'Aircon' },
+      ]);
+
+      expect(builder.orderByConditions).toEqual([
+        { name: 'desc' },
+        { serviceCategoryId: 'desc' },
+      ]);
+      expect(builder.keysetConditions).toEqual({
+        OR: [
+          { name: { lt: 'Brakes' } },
+          { name: 'Brakes', serviceCategoryId: { lt: 'c1' } },
+        ],
+      });
+      expect(data).toEqual([{ serviceCategoryId: 'c0', name: 'Battery' }]);
+      expect(meta).toMatchObject({ hasNextPage: true, hasPrevPage: true });
+      expect(meta.prevCursor).toEqual(expect.any(String));
+    });
+
+    it('should add the sort keys to a field selection', () => {
+      const { builder } = paginate({
+        cursor: '',
+        sort: 'name',
+        fields: 'icon',
+      });
+
+      expect(builder.selectConditions).toEqual({
+        icon: true,
+        name: true,
+        serviceCategoryId: true,
+      });
+    });
+
+    it('should reject a malformed cursor', () => {
+      expect(() => paginate({ after: 'not-a-cursor' })).toThrow(
+        expect.objectContaining({ statusCode: 400, code: 'INVALID_CURSOR' }),
+      );
+    });
+
+    it('should reject a cursor issued for another sort', () => {
+      const first = paginate({ cursor: '', sort: 'name', limit: '2' });
+      const { nextCursor } = first.features.cursorPage(records).meta;
+
+      expect(() => paginate({ after: nextCursor, sort: '-name' })).toThrow(
+        expect.objectContaining({ code: 'INVALID_CURSOR' }),
+      );
+    });
+  });
+});
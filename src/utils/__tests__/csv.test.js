@@ -0,0 +1,59 @@
+const { escapeCsvValue, toCsvRow, parseCsv } = require('../csv');
+
+describe('csv', () => {
+  describe('escapeCsvValue', () => {
+    it('should leave plain values unquoted', () => {
+      expect(escapeCsvValue('Oil change')).toBe('Oil change');
+      expect(escapeCsvValue(42)).toBe('42');
+      expect(escapeCsvValue(false)).toBe('false');
+    });
+
+    it('should return an empty field for null and undefined', () => {
+      expect(escapeCsvValue(null)).toBe('');
+      expect(escapeCsvValue(undefined)).toBe('');
+    });
+
+    it('should quote commas, quotes and line breaks', () => {
+      expect(escapeCsvValue('Brakes, front')).toBe('"Brakes, front"');
+      expect(escapeCsvValue('15" wheels')).toBe('"15"" wheels"');
+      expect(escapeCsvValue('line 1\nline 2')).toBe('"line 1\nline 2"');
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('should join escaped values and end with CRLF', () => {
+      expect(toCsvRow(['a', 'b,c', null])).toBe('a,"b,c",\r\n');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should map rows onto the header columns', () => {
+      expect(parseCsv('name,cost\r\nFilter,10\r\nPads,25.5\r\n')).toEqual([
+        { name: 'Filter', cost: '10' },
+        { name: 'Pads', cost: '25.5' },
+      ]);
+    });
+
+    it('should round-trip quoted fields', () => {
+      const text =
+        toCsvRow(['name', 'description']) +
+        toCsvRow(['Brakes, front', 'Say "hi"\nnext line']);
+
+      expect(parseCsv(text)).toEqual([
+        { name: 'Brakes, front', description: 'Say "hi"\nnext line' },
+      ]);
+    });
+
+    it('should skip blank lines, strip a byte order mark and fill missing fields', () => {
+      expect(parseCsv('\uFEFFname,cost\n\nFilter\n')).toEqual([
+        { name: 'Filter', cost: '' },
+      ]);
+    });
+
+    it('should reject an unterminated quoted field', () => {
+      expect(() => parseCsv('name\n"open')).toThrow(
+        'Unterminated quoted field in CSV input',
+      );
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const {
+  canonicalJson,
+  createETag,
+  createWeakETag,
+  lastModifiedOf,
+  matchesETag,
+  isNotModified,
+} = require('../etag');
+
+describe('etag', () => {
+  describe('canonicalJson', () => {
+    it('should sort object keys at every level', () => {
+      expect(canonicalJson({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: 3 } })).toBe(
+        '{"a":{"c":3,"d":[2,{"e":0,"f":1}]},"b":1}',
+      );
+    });
+  });
+
+  describe('createETag', () => {
+    it('should return the same quoted tag for equal data', () => {
+      const etag = createETag({ name: 'Repairs', order: 1 });
+
+      expect(etag).toMatch(/^"[A-Za-z0-9_-]+"$/);
+      expect(createETag({ order: 1, name: 'Repairs' })).toBe(etag);
+    });
+
+    it('should change when the data changes', () => {
+      expect(createETag([{ name: 'Repairs' }])).not.toBe(
+        createETag([{ name: 'Maintenance' }]),
+      );
+    });
+  });
+
+  describe('matchesETag', () => {
+    const etag = '"abc"';
+
+    it('should not match without a header', () => {
+      expect(matchesETag(undefined, etag)).toBe(false);
+    });
+
+    it('should match an exact, weak, listed or wildcard tag', () => {
+      expect(matchesETag('"abc"', etag)).toBe(true);
+      expect(matchesETag('W/"abc"', etag)).toBe(true);
+      expect(matchesETag('"old", "abc"', etag)).toBe(true);
+      expect(matchesETag('*', etag)).toBe(true);
+    });
+
+    it('should not match a different tag', () => {
+      expect(matchesETag('"old"', etag)).toBe(false);
+    });
+  });
+
+  describe('createWeakETag', () => {
+    const record = {
+      serviceCategoryId: 'cat-1',
+      name: 'Repairs',
+      updatedAt: new Date('2024-05-01T10:00:00.000Z'),
+    };
+
+    it('should derive a weak tag from the primary key and updatedAt', () => {
+      const etag = createWeakETag(record);
+
+      expect(etag).toMatch(/^W\/"[A-Za-z0-9_-]+"$/);
+      // Other fields do not matter while updatedAt is unchanged
+      expect(createWeakETag({ ...record, name: 'Other' })).toBe(etag);
+      expect(
+        createWeakETag({ ...record, updatedAt: new Date('2024-05-02') }),
+      ).not.toBe(etag);
+    });
+
+    it('should change with the pagination metadata and the variant', () => {
+      const page = { data: [record], meta: { page: 1, total: 3 } };
+      const etag = createWeakETag(page);
+
+      expect(createWeakETag({ ...page, meta: { page: 1, total: 2 } })).not.toBe(
+        etag,
+      );
+      expect(createWeakETag(page, 'name')).not.toBe(etag);
+    });
+
+    it('should change with the promotion applied to an offering', () => {
+      const offering = {
+        serviceCenterOfferingId: 'offering-1',
+        updatedAt: new Date('2024-05-01T10:00:00.000Z'),
+        promotion: null,
+      };
+      const etag = createWeakETag(offering);
+
+      expect(
+        createWeakETag({
+          ...offering,
+          promotion: { applied: [{ promotionId: 'promo-1' }], amount: 10 },
+        }),
+      ).not.toBe(etag);
+    });
+
+    it('should change with the duration roll-up of a service type', () => {
+      const serviceType = {
+        serviceTypeId: 'type-1',
+        updatedAt: new Date('2024-05-01T10:00:00.000Z'),
+        durationRollup: { componentDuration: 45, isMismatched: false },
+      };
+      const etag = createWeakETag(serviceType);
+
+      expect(
+        createWeakETag({
+          ...serviceType,
+          durationRollup: { componentDuration: 90, isMismatched: true },
+        }),
+      ).not.toBe(etag);
+    });
+
+    it('should fall back to the content of records without updatedAt', () => {
+      expect(createWeakETag([{ name: 'A' }])).not.toBe(
+        createWeakETag([{ name: 'B' }]),
+      );
+    });
+  });
+
+  describe('lastModifiedOf', () => {
+    it('should return the latest updatedAt truncated to seconds', () => {
+      expect(
+        lastModifiedOf({
+          data: [
+            { updatedAt: '2024-05-01T10:00:00.000Z' },
+            { updatedAt: '2024-05-03T08:30:15.750Z' },
+          ],
+        }),
+      ).toEqual(new Date('2024-05-03T08:30:15.000Z'));
+    });
+
+    it('should return null when no record has updatedAt', () => {
+      expect(lastModifiedOf([{ name: 'A' }])).toBeNull();
+      expect(lastModifiedOf(null)).toBeNull();
+    });
+  });
+
+  describe('isNotModified', () => {
+    const validators = {
+      etag: 'W/"abc"',
+      lastModified: new Date('2024-05-01T10:00:00.000Z'),
+    };
+
+    it('should compare If-None-Match first', () => {
+      expect(isNotModified({ 'if-none-match': 'W/"abc"' }, validators)).toBe(
+        true,
+      );
+      expect(
+        isNotModified(
+          {
+            'if-none-match': '"old"',
+            'if-modified-since': 'Wed, 01 May 2024 10:00:00 GMT',
+          },
+          validators,
+        ),
+      ).toBe(false);
+    });
+
+    it('should fall back to If-Modified-Since', () => {
+      expect(
+        isNotModified(
+          { 'if-modified-since': 'Wed, 01 May 2024 10:00:00 GMT' },
+          validators,
+        ),
+      ).toBe(true);
+      expect(
+        isNotModified(
+          { 'if-modified-since': 'Tue, 30 Apr 2024 10:00:00 GMT' },
+          validators,
+        ),
+      ).toBe(false);
+      expect(
+        isNotModified({ 'if-modified-since': 'not a date' }, validators),
+      ).toBe(false);
+    });
+  });
+});
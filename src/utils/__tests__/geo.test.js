@@ -0,0 +1,32 @@
+// src/utils/__tests__/geo.test.js
+const { haversineDistanceKm, boundingBox } = require('../geo');
+
+describe('geo', () => {
+  describe('boundingBox', () => {
+    it('should contain every point within the radius', () => {
+      const box = boundingBox(12.9716, 77.5946, 50);
+
+      // Points 50 km due north and due east of the origin
+      expect(
+        haversineDistanceKm(12.9716, 77.5946, box.maxLatitude, 77.5946),
+      ).toBeCloseTo(50, 5);
+      expect(
+        haversineDistanceKm(12.9716, 77.5946, 12.9716, box.maxLongitude),
+      ).toBeGreaterThanOrEqual(50);
+      expect(box.minLatitude).toBeLessThan(12.9716);
+      expect(box.minLongitude).toBeLessThan(77.5946);
+    });
+
+    it('should cover every longitude near the poles and the antimeridian', () => {
+      expect(boundingBox(89.9, 10, 50)).toMatchObject({
+        maxLatitude: 90,
+        minLongitude: -180,
+        maxLongitude: 180,
+      });
+      expect(boundingBox(0, 179.9, 50)).toMatchObject({
+        minLongitude: -180,
+        maxLongitude: 180,
+      });
+    });
+  });
+});
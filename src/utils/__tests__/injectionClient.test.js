@@ -0,0 +1,156 @@
+// src/utils/__tests__/injectionClient.test.js
+const axios = require('axios');
+const { createInjectionClient } = require('../injectionClient');
+const AppError = require('../appError');
+
+jest.mock('axios');
+jest.mock('../logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const networkError = () =>
+  Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+describe('injectionClient', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.requestId = undefined;
+    client = createInjectionClient({
+      url: 'http://injection:5001',
+      timeoutMs: 1000,
+      retries: 2,
+      retryBaseDelayMs: 1,
+      retryMaxDelayMs: 5,
+      circuitBreaker: { failureThreshold: 3, resetTimeoutMs: 50 },
+    });
+  });
+
+  it('should forward the body, timeout, auth and request ID headers', async () => {
+    axios.post.mockResolvedValue({ data: { data: { id: 1 } } });
+    const req = {
+      requestId: 'request-id',
+      headers: { authorization: 'Bearer token' },
+    };
+
+    await client.post('/api/v1/types', { name: 'Oil change' }, { req });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      'http://injection:5001/api/v1/types',
+      { name: 'Oil change' },
+      {
+        timeout: 1000,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Request-ID': 'request-id',
+          Authorization: 'Bearer token',
+        },
+      },
+    );
+  });
+
+  it('should fall back to the global request ID', async () => {
+    global.requestId = 'global-request-id';
+    axios.delete.mockResolvedValue({});
+
+    await client.delete('/api/v1/types/1');
+
+    expect(axios.delete.mock.calls[0][1].headers['X-Request-ID']).toBe(
+      'global-request-id',
+    );
+  });
+
+  it('should retry idempotent requests with backoff', async () => {
+    axios.delete
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce({ response: { status: 503 } })
+      .mockResolvedValueOnce({ status: 204 });
+
+    const response = await client.delete('/api/v1/types/1');
+
+    expect(response).toEqual({ status: 204 });
+    expect(axios.delete).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry non-idempotent requests', async () => {
+    axios.post.mockRejectedValue(networkError());
+
+    await expect(client.post('/api/v1/types', {})).rejects.toMatchObject({
+      statusCode: 503,
+      code: 'INJECTION_SERVICE_UNAVAILABLE',
+    });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('should forward Idempotency-Key and retry writes that carry it', async () => {
+    axios.post
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValueOnce({ data: { data: {} } });
+    const req = { headers: { 'idempotency-key': 'key-1' } };
+
+    await client.post('/api/v1/types', {}, { req });
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(axios.post.mock.calls[1][2].headers['Idempotency-Key']).toBe(
+      'key-1',
+    );
+  });
+
+  it('should pass through error responses from a healthy service', async () => {
+    const notFound = { response: { status: 404, data: { message: 'nope' } } };
+    axios.patch.mockRejectedValue(notFound);
+
+    await expect(client.patch('/api/v1/types/1', {})).rejects.toBe(notFound);
+    expect(client.getCircuitState()).toBe('CLOSED');
+  });
+
+  it('should forward the expected version and report a conflicting write as 412', async () => {
+    axios.patch.mockRejectedValue({ response: { status: 412, data: {} } });
+    const req = { headers: {}, expectedVersion: 1717999999000 };
+
+    await expect(
+      client.patch('/api/v1/types/1', {}, { req }),
+    ).rejects.toMatchObject({
+      statusCode: 412,
+      code: 'PRECONDITION_FAILED',
+    });
+    expect(axios.patch.mock.calls[0][2].headers['X-Expected-Version']).toBe(
+      '1717999999000',
+    );
+  });
+
+  it('should open the circuit and fail fast after repeated failures', async () => {
+    axios.post.mockRejectedValue(networkError());
+
+    for (let i = 0; i < 3; i += 1) {
+      await expect(client.post('/api/v1/types', {})).rejects.toBeInstanceOf(
+        AppError,
+      );
+    }
+    expect(client.getCircuitState()).toBe('OPEN');
+
+    await expect(client.post('/api/v1/types', {})).rejects.toMatchObject({
+      statusCode: 503,
+      code: 'INJECTION_SERVICE_UNAVAILABLE',
+    });
+    expect(axios.post).toHaveBeenCalledTimes(3);
+  });
+
+  it('should close the circuit after a successful trial call', async () => {
+    axios.post.mockRejectedValue(networkError());
+    for (let i = 0; i < 3; i += 1) {
+      await client.post('/api/v1/types', {}).catch(() => {});
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    axios.post.mockResolvedValue({ data: { data: {} } });
+    await client.post('/api/v1/types', {});
+
+    expect(client.getCircuitState()).toBe('CLOSED');
+  });
+});
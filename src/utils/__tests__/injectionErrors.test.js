@@ -0,0 +1,59 @@
+// src/utils/__tests__/injectionErrors.test.js
+const { createWriteErrorMapper } = require('../injectionErrors');
+const AppError = require('../appError');
+
+jest.mock('../logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+describe('injectionErrors', () => {
+  describe('createWriteErrorMapper', () => {
+    const toWriteError = createWriteErrorMapper({
+      resourceType: 'tax rule',
+      idField: 'taxRuleId',
+      passThroughStatuses: [409],
+    });
+    const responseError = (status, message) => ({
+      message: `Request failed with status code ${status}`,
+      response: { status, data: { message } },
+    });
+
+    it('should return AppErrors from the injection client as they are', () => {
+      const unavailable = new AppError('Injection service is unavailable', 503);
+
+      expect(toWriteError(unavailable, 'update tax rule', 'rule-1')).toBe(
+        unavailable,
+      );
+    });
+
+    it('should report a 404 for an existing record as not found', () => {
+      expect(
+        toWriteError(
+          responseError(404, 'Missing'),
+          'update tax rule',
+          'rule-1',
+        ),
+      ).toMatchObject({ statusCode: 404, code: 'RESOURCE_NOT_FOUND' });
+    });
+
+    it('should pass the configured statuses through with their message', () => {
+      expect(
+        toWriteError(responseError(409, 'Rule exists'), 'create tax rule'),
+      ).toMatchObject({ statusCode: 409, message: 'Rule exists' });
+    });
+
+    it('should report any other failure as an internal error', () => {
+      expect(
+        toWriteError(responseError(400, 'Bad rate'), 'create tax rule'),
+      ).toMatchObject({
+        statusCode: 500,
+        code: 'INTERNAL_ERROR',
+        message: 'Bad rate',
+      });
+    });
+  });
+});
@@ -0,0 +1,256 @@
+// src/utils/__tests__/prismaQueryAdapter.test.js
+const { listRecords } = require('../prismaQueryAdapter');
+const AppError = require('../appError');
+
+jest.mock('../logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+  },
+}));
+
+const config = {
+  primaryKey: 'serviceTypeComponentId',
+  filterFields: ['serviceComponentId', 'createdAt', 'serviceComponent.cost'],
+  searchFields: ['serviceComponent.name'],
+  selectFields: ['serviceComponentId', 'createdAt', 'serviceComponent'],
+  scope: { serviceTypeId: 'type-1' },
+  include: { serviceComponent: true },
+  defaultLimit: 20,
+};
+
+const createModel = (records = [], total = records.length) => ({
+  findMany: jest.fn().mockResolvedValue(records),
+  count: jest.fn().mockResolvedValue(total),
+});
+
+describe('prismaQueryAdapter', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('listRecords', () => {
+    it('should list a page with the defaults and page metadata', async () => {
+      const model = createModel([{ serviceTypeComponentId: 'l1' }], 45);
+
+      const result = await listRecords(model, config, { page: '2' });
+
+      expect(model.findMany).toHaveBeenCalledWith({
+        where: { serviceTypeId: 'type-1' },
+        orderBy: { createdAt: 'desc' },
+        include: { serviceComponent: true },
+        skip: 20,
+        take: 20,
+      });
+      expect(model.count).toHaveBeenCalledWith({
+        where: { serviceTypeId: 'type-1' },
+      });
+      expect(result.meta).toEqual({
+        total: 45,
+        page: 2,
+        limit: 20,
+        totalPages: 3,
+        hasNextPage: true,
+        hasPrevPage: true,
+      });
+    });
+
+    it('should apply allowed filters and ignore the others', async () => {
+      const model = createModel();
+
+      await listRecords(model, config, {
+        serviceComponentId: 'comp-1',
+        name: 'Oil filter',
+        serviceTypeId: 'other-type',
+      });
+
+      expect(model.findMany.mock.calls[0][0].where).toEqual({
+        serviceComponentId: 'comp-1',
+        serviceTypeId: 'type-1',
+      });
+    });
+
+    it('should AND a search with an OR filter group', async () => {
+      const model = createModel();
+
+      await listRecords(model, config, {
+        search: 'oil',
+        or: [
+          { serviceComponentId: 'comp-1' },
+          { 'serviceComponent.cost': { lt: '50' } },
+        ],
+      });
+
+      expect(model.findMany.mock.calls[0][0].where).toEqual({
+        AND: [
+          {
+            OR: [
+              { serviceComponentId: 'comp-1' },
+              { serviceComponent: { cost: { lt: 50 } } },
+            ],
+          },
+          {
+            OR: [
+              {
+                serviceComponent: {
+                  name: { contains: 'oil', mode: 'insensitive' },
+                },
+              },
+            ],
+          },
+        ],
+        serviceTypeId: 'type-1',
+      });
+    });
+
+    it('should search the configured fields, including relations', async () => {
+      const model = createModel();
+
+      await listRecords(model, config, { search: 'oil' });
+
+      expect(model.findMany.mock.calls[0][0].where).toEqual({
+        OR: [
+          {
+            serviceComponent: {
+              name: { contains: 'oil', mode: 'insensitive' },
+            },
+          },
+        ],
+        serviceTypeId: 'type-1',
+      });
+    });
+
+    it('should sort and select allowed fields', async () => {
+      const model = createModel();
+
+      await listRecords(model, config, {
+        sort: '-createdAt',
+        fields: 'serviceComponentId',
+      });
+
+      const args = model.findMany.mock.calls[0][0];
+      expect(args.orderBy).toEqual([{ createdAt: 'desc' }]);
+      // Included relations are part of the selection
+      expect(args.select).toEqual({
+        serviceComponent: true,
+        serviceComponentId: true,
+      });
+      expect(args.include).toBeUndefined();
+    });
+
+    it('should omit the fields of an exclusion-only selection', async () => {
+      const model = createModel();
+
+      await listRecords(model, config, { fields: '-createdAt' });
+
+      const args = model.findMany.mock.calls[0][0];
+      expect(args.omit).toEqual({ createdAt: true });
+      expect(args.include).toEqual({ serviceComponent: true });
+      expect(args.select).toBeUndefined();
+    });
+
+    it('should reject unknown sort and fields entries with the allowed fields', async () => {
+      const model = createModel();
+
+      const error = await listRecords(model, config, {
+        sort: '-createdAt,secret',
+        fields: 'serviceComponentId,-hidden',
+      }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.statusCode).toBe(400);
+      expect(error.code).toBe('VALIDATION_ERROR');
+      expect(error.details).toEqual({
+        sort: {
+          message: 'Unknown sort field(s): secret',
+          invalid: ['secret'],
+          allowed: [
+            'serviceComponentId',
+            'createdAt',
+            'serviceTypeComponentId',
+          ],
+        },
+        fields: {
+          message: 'Unknown select field(s): -hidden',
+          invalid: ['-hidden'],
+          allowed: config.selectFields,
+        },
+      });
+      expect(model.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown filters only in strict mode', async () => {
+      const model = createModel();
+      const query = { name: 'Oil filter', page: '1' };
+
+      await expect(listRecords(model, config, query)).resolves.toBeDefined();
+      const error = await listRecords(
+        model,
+        { ...config, strictFilters: true },
+        query,
+      ).catch((err) => err);
+
+      expect(error.statusCode).toBe(400);
+      expect(error.details).toEqual({
+        filter: {
+          message: 'Unknown filter field(s): name',
+          invalid: ['name'],
+          allowed: config.filterFields,
+        },
+      });
+    });
+
+    it('should page with cursors when asked to', async () => {
+      const model = createModel([
+        { serviceTypeComponentId: 'l1', createdAt: '2024-05-02' },
+        { serviceTypeComponentId: 'l2', createdAt: '2024-05-01' },
+      ]);
+
+      const result = await listRecords(model, config, {
+        cursor: '',
+        limit: '1',
+      });
+
+      expect(model.count).not.toHaveBeenCalled();
+      expect(result.data).toHaveLength(1);
+      expect(result.meta.hasNextPage).toBe(true);
+    });
+
+    it('should keep the sort keys of a cursor page with an exclusion-only selection', async () => {
+      const model = createModel([
+        { serviceTypeComponentId: 'l1', createdAt: '2024-05-02' },
+        { serviceTypeComponentId: 'l2', createdAt: '2024-05-01' },
+      ]);
+
+      const result = await listRecords(model, config, {
+        cursor: '',
+        limit: '1',
+        fields: '-createdAt,-serviceComponentId',
+      });
+
+      const args = model.findMany.mock.calls[0][0];
+      expect(args.omit).toEqual({ serviceComponentId: true });
+      expect(args.select).toBeUndefined();
+      const cursor = JSON.parse(
+        Buffer.from(result.meta.nextCursor, 'base64url').toString(),
+      );
+      expect(cursor.v).toEqual(['2024-05-02', 'l1']);
+    });
+
+    it('should convert Prisma errors to AppErrors', async () => {
+      const model = createModel();
+      model.findMany.mockRejectedValue(
+        Object.assign(new Error('Invalid value'), { code: 'P2023' }),
+      );
+
+      await expect(listRecords(model, config, {})).rejects.toBeInstanceOf(
+        AppError,
+      );
+    });
+  });
+});
@@ -3,6 +3,20 @@
  * This class provides methods for filtering, sorting, paginating and field selection
  * with built-in error handling for robust operation
  */
+const AppError = require('./appError');
+
+// Query parameters that control cursor pagination rather than filter results
+const CURSOR_PARAMS = ['cursor', 'after', 'before', 'count'];
+
+// Query parameters that are never treated as filters
+const RESERVED_PARAMS = [
+  'page',
+  'sort',
+  'limit',
+  'fields',
+  'search',
+  ...CURSOR_PARAMS,
+];
 
 // Helper functions for type conversion
 function convertValueType(value, fieldName) {
@@ -48,24 +62,220 @@ function convertValueType(value, fieldName) {
   return value;
 }
 
-// Process nested filter objects (for relationship filtering)
-// function processNestedFilter(filterObj) {
-//   const result = {};
+// Signature of the sort keys, so a cursor cannot be replayed under another sort
+const sortSignature = (keys) =>
+  keys.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const invalidCursorError = () =>
+  AppError.badRequest(
+    'Invalid pagination cursor. Request the first page again.',
+    'INVALID_CURSOR',
+  );
+
+// Encode the sort key values of a record as an opaque cursor
+const encodeCursor = (record, keys) =>
+  Buffer.from(
+    JSON.stringify({
+      k: sortSignature(keys),
+      v: keys.map(([field]) => record[field]),
+    }),
+  ).toString('base64url');
+
+// Decode a cursor into sort key values, checking it was issued for these keys
+const decodeCursor = (cursor, keys) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursorError();
+  }
+  if (
+    payload?.k !== sortSignature(keys) ||
+    !Array.isArray(payload.v) ||
+    payload.v.length !== keys.length
+  ) {
+    throw invalidCursorError();
+  }
+  return payload.v;
+};
+
+// Where condition for the records strictly after the given sort key values:
+// (a > x) OR (a = x AND b > y) OR ... with lt for descending keys
+const keysetWhere = (keys, values) => ({
+  OR: keys.map(([field, direction], index) => ({
+    ...Object.fromEntries(
+      keys.slice(0, index).map(([previous], i) => [previous, values[i]]),
+    ),
+    [field]: { [direction === 'desc' ? 'lt' : 'gt']: values[index] },
+  })),
+});
+
+// Field operators accepted in filters, e.g. basePrice[gte]=100
+const FILTER_OPERATORS = [
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'in',
+  'contains',
+  'startsWith',
+  'endsWith',
+  'equals',
+  'not',
+];
+
+// Logical groups, e.g. or[0][name]=Oil&or[1][isPopular]=true or not[status]=INACTIVE
+const LOGICAL_OPERATORS = { and: 'AND', or: 'OR', not: 'NOT' };
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Whether an object holds field operators ({ gte: 1 }) rather than a relation filter
+const isOperatorObject = (value) =>
+  Object.keys(value).some((key) => FILTER_OPERATORS.includes(key));
+
+// Groups of a logical operator: an array of condition sets, or an object
+// whose entries each form their own group
+const toGroups = (value) => {
+  if (Array.isArray(value)) return value.filter(isPlainObject);
+  if (isPlainObject(value)) {
+    return Object.entries(value).map(([key, condition]) => ({
+      [key]: condition,
+    }));
+  }
+  return [];
+};
+
+// Set a condition at a path, merging with conditions already on that path
+const mergeAt = (target, path, condition) => {
+  const parent = path
+    .slice(0, -1)
+    .reduce((level, part) => (level[part] = level[part] || {}), target);
+  const leaf = path[path.length - 1];
+  parent[leaf] =
+    isPlainObject(parent[leaf]) && isPlainObject(condition)
+      ? { ...parent[leaf], ...condition }
+      : condition;
+};
+
+/**
+ * Build the Prisma conditions for one field from its operators
+ * @param {Object} operators - Operators and values, e.g. { gte: '10', lt: '20' }
+ * @param {string} fieldName - Field name, used for type conversion
+ * @returns {Object|null} Field conditions, null when no operator is known
+ */
+function buildFieldConditions(operators, fieldName) {
+  const fieldConditions = {};
+  let hasValidOperator = false;
+
+  Object.keys(operators).forEach((operator) => {
+    const operatorValue = operators[operator];
+
+    switch (operator) {
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+      case 'equals':
+      case 'not':
+        fieldConditions[operator] = convertValueType(operatorValue, fieldName);
+        hasValidOperator = true;
+        break;
+      case 'in': {
+        // Handle a repeated parameter or a comma-separated list
+        const values = Array.isArray(operatorValue)
+          ? operatorValue
+          : String(operatorValue).split(',');
+        fieldConditions.in = values.map((v) => convertValueType(v, fieldName));
+        hasValidOperator = true;
+        break;
+      }
+      case 'contains':
+      case 'startsWith':
+      case 'endsWith':
+        fieldConditions[operator] = operatorValue;
+        fieldConditions.mode = 'insensitive';
+        hasValidOperator = true;
+        break;
+      default:
+        // Ignore unknown operators
+        console.log(`Ignoring unknown operator: ${operator}`);
+        break;
+    }
+  });
+
+  return hasValidOperator ? fieldConditions : null;
+}
+
+/**
+ * Translate filter query parameters into a Prisma where object
+ * Relations are filtered with a dotted path or nested brackets
+ * (category.vehicleType=BIKE, category[vehicleType]=BIKE); to-many relations
+ * name the Prisma list operator in the path (serviceTypes.some.name=Oil).
+ * Conditions on fields that are not allowed are left out.
+ * @param {Object} queryObj - Filter parameters
+ * @param {Function} isAllowed - (path) => whether the dotted field path may be filtered on
+ * @param {Array<string>} unknown - Collects the paths that were left out
+ * @param {Array<string>} [basePath] - Path of the relation being filtered
+ * @returns {Object} Prisma where conditions
+ */
+function buildWhere(queryObj, isAllowed, unknown, basePath = []) {
+  const where = {};
+
+  Object.keys(queryObj).forEach((key) => {
+    let value = queryObj[key];
+
+    if (LOGICAL_OPERATORS[key]) {
+      const groups = toGroups(value)
+        .map((group) => buildWhere(group, isAllowed, unknown, basePath))
+        .filter((group) => Object.keys(group).length > 0);
+      if (groups.length > 0) {
+        where[LOGICAL_OPERATORS[key]] = groups;
+      }
+      return;
+    }
+
+    const segments = key.split('.');
+    // Operator written as a path segment, e.g. createdAt.gte=2024-01-01
+    const last = segments[segments.length - 1];
+    if (segments.length > 1 && FILTER_OPERATORS.includes(last)) {
+      segments.pop();
+      value = { [last]: value };
+    }
+    const path = [...basePath, ...segments];
 
-//   Object.keys(filterObj).forEach((key) => {
-//     const value = filterObj[key];
+    if (isPlainObject(value) && !isOperatorObject(value)) {
+      // Relation filter written with brackets
+      const nested = buildWhere(value, isAllowed, unknown, path);
+      if (Object.keys(nested).length > 0) {
+        mergeAt(where, segments, nested);
+      }
+      return;
+    }
 
-//     if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-//       // Recursively process nested objects
-//       result[key] = processNestedFilter(value);
-//     } else {
-//       // Handle direct values
-//       result[key] = convertValueType(value, key);
-//     }
-//   });
+    const field = path.join('.');
+    if (!isAllowed(field)) {
+      unknown.push(field);
+      return;
+    }
 
-//   return result;
-// }
+    const fieldName = path[path.length - 1];
+    let condition;
+    if (isPlainObject(value)) {
+      condition = buildFieldConditions(value, fieldName);
+    } else if (Array.isArray(value)) {
+      // A repeated parameter matches any of its values
+      condition = { in: value.map((v) => convertValueType(v, fieldName)) };
+    } else {
+      condition = convertValueType(value, fieldName);
+    }
+    if (condition !== null) {
+      mergeAt(where, segments, condition);
+    }
+  });
+
+  return where;
+}
 
 /**
  * Class implementing the Builder pattern for constructing Prisma queries
@@ -75,15 +285,28 @@ class APIFeatures {
   /**
    * @param {Object} query - The Prisma query builder or adapter
    * @param {Object} queryString - Query parameters from request
+   * @param {Object} [options] - Builder options
+   * @param {string} [options.primaryKey='id'] - Primary key, the tie-breaker for cursor pagination
+   * @param {Array<string>} [options.filterFields] - Field paths that may be filtered on (all when omitted)
    */
-  constructor(query, queryString) {
+  constructor(query, queryString, options = {}) {
     this.query = query;
     this.queryString = queryString;
+    this.primaryKey = options.primaryKey || 'id';
+    this.filterFields = options.filterFields;
+    this.unknownFilters = [];
+    // Kept so cursor pagination can build on the sort and field selection
+    this.orderBy = [{ createdAt: 'desc' }];
+    this.selection = undefined;
+    this.cursor = null;
   }
 
   /**
    * Filter the query based on request query parameters
-   * Supports all standard Prisma filter operators like gt, lt, contains, etc.
+   * Supports the standard Prisma filter operators (gt, lt, contains, etc.),
+   * and/or/not groups and relation filters (see buildWhere). With the
+   * filterFields option, filters on other fields are left out and listed in
+   * unknownFilters.
    * @returns {APIFeatures} - Returns this instance for method chaining
    */
   filter() {
@@ -92,97 +315,16 @@ class APIFeatures {
       const queryObj = { ...this.queryString };
       console.log('Original query object:', queryObj);
 
-      // Define fields to exclude from filtering
-      const excludedFields = ['page', 'sort', 'limit', 'fields', 'search'];
-      excludedFields.forEach((field) => delete queryObj[field]);
-
-      // Process the filter object to create Prisma-compatible where conditions
-      const whereConditions = {};
-
-      // Process each filter field - the query builder adapter will handle field validation
-      Object.keys(queryObj).forEach((key) => {
-        const value = queryObj[key];
+      // Exclude pagination, sorting and selection parameters from filtering
+      RESERVED_PARAMS.forEach((field) => delete queryObj[field]);
 
-        // Handle special filter operators like gt, lt, contains, etc.
-        if (
-          typeof value === 'object' &&
-          value !== null &&
-          !Array.isArray(value)
-        ) {
-          const fieldConditions = {};
-          let hasValidOperator = false;
-
-          // Process each operator (gt, gte, lt, lte, etc.)
-          Object.keys(value).forEach((operator) => {
-            const operatorValue = value[operator];
-
-            // Process known operators
-            switch (operator) {
-              case 'gt':
-                fieldConditions.gt = convertValueType(operatorValue, key);
-                hasValidOperator = true;
-                break;
-              case 'gte':
-                fieldConditions.gte = convertValueType(operatorValue, key);
-                hasValidOperator = true;
-                break;
-              case 'lt':
-                fieldConditions.lt = convertValueType(operatorValue, key);
-                hasValidOperator = true;
-                break;
-              case 'lte':
-                fieldConditions.lte = convertValueType(operatorValue, key);
-                hasValidOperator = true;
-                break;
-              case 'in':
-                // Handle array of values for 'in' operator
-                if (Array.isArray(operatorValue)) {
-                  fieldConditions.in = operatorValue.map((v) =>
-                    convertValueType(v, key),
-                  );
-                  hasValidOperator = true;
-                }
-                break;
-              case 'contains':
-                fieldConditions.contains = operatorValue;
-                fieldConditions.mode = 'insensitive';
-                hasValidOperator = true;
-                break;
-              case 'startsWith':
-                fieldConditions.startsWith = operatorValue;
-                fieldConditions.mode = 'insensitive';
-                hasValidOperator = true;
-                break;
-              case 'endsWith':
-                fieldConditions.endsWith = operatorValue;
-                fieldConditions.mode = 'insensitive';
-                hasValidOperator = true;
-                break;
-              case 'equals':
-                fieldConditions.equals = convertValueType(operatorValue, key);
-                hasValidOperator = true;
-                break;
-              case 'not':
-                fieldConditions.not = convertValueType(operatorValue, key);
-                hasValidOperator = true;
-                break;
-              default:
-                // Ignore unknown operators
-                console.log(`Ignoring unknown operator: ${operator}`);
-                break;
-            }
-          });
-
-          // Only add conditions if there's at least one valid operator
-          if (hasValidOperator) {
-            whereConditions[key] = fieldConditions;
-          }
-        }
-        // Handle direct value assignments (equality)
-        else {
-          whereConditions[key] = convertValueType(value, key);
-        }
-      });
+      const isAllowed = (field) =>
+        !this.filterFields || this.filterFields.includes(field);
+      const whereConditions = buildWhere(
+        queryObj,
+        isAllowed,
+        this.unknownFilters,
+      );
 
       // Apply the where conditions to the query
       if (Object.keys(whereConditions).length > 0) {
@@ -335,6 +477,7 @@ class APIFeatures {
         });
 
         // Apply orderBy to the query
+        this.orderBy = orderBy;
         this.query = this.query.orderBy(orderBy);
         console.log('Sorting by:', orderBy);
       } else {
@@ -370,6 +513,7 @@ class APIFeatures {
         });
 
         // Apply select to the query
+        this.selection = select;
         this.query = this.query.select(select);
         console.log('Selected fields:', select);
       }
@@ -440,6 +584,7 @@ class APIFeatures {
         }
 
         // Apply select to the query
+        this.selection = select;
         this.query = this.query.select(select);
         console.log('Advanced selected fields:', select);
       }
@@ -451,11 +596,140 @@ class APIFeatures {
     }
   }
 
+  /**
+   * Whether the request opted into cursor pagination with cursor, after or before
+   * @returns {boolean} - True for cursor pagination, false for page/limit
+   */
+  isCursorPagination() {
+    return ['cursor', 'after', 'before'].some(
+      (param) => this.queryString[param] !== undefined,
+    );
+  }
+
+  /**
+   * Whether a cursor-paginated request asked for the total count (count=true)
+   * Page/limit pagination always counts.
+   * @returns {boolean} - True when the total should be counted
+   */
+  wantsCount() {
+    return !this.isCursorPagination() || this.queryString.count === 'true';
+  }
+
+  /**
+   * Build the Prisma arguments for a cursor-paginated page
+   * The records are ordered by the sort keys plus the primary key as tie-breaker
+   * and one extra record is taken to detect a following page. Sort keys are
+   * expected to be non-nullable fields.
+   * @param {Array<Object>|Object} [orderBy] - Sort order (defaults to the one from sort())
+   * @returns {Object} - { orderBy, where, take }; where is undefined on the first page
+   * @throws {AppError} - 400 INVALID_CURSOR when the cursor is malformed or was issued for another sort
+   */
+  cursorArgs(orderBy = this.orderBy) {
+    const keys = [].concat(orderBy).flatMap((entry) => Object.entries(entry));
+    if (!keys.some(([field]) => field === this.primaryKey)) {
+      keys.push([this.primaryKey, 'asc']);
+    }
+
+    const { cursor, after, before } = this.queryString;
+    const backward = before !== undefined;
+    const token = backward ? before : after || cursor;
+    const limit = this.queryString.limit * 1 || 100;
+
+    // Going backward walks the reversed order from the cursor, then flips the page
+    const queryKeys = backward
+      ? keys.map(([field, direction]) => [
+          field,
+          direction === 'desc' ? 'asc' : 'desc',
+        ])
+      : keys;
+
+    this.cursor = { keys, limit, backward, hasCursor: Boolean(token) };
+
+    return {
+      orderBy: queryKeys.map(([field, direction]) => ({ [field]: direction })),
+      where: token
+        ? keysetWhere(queryKeys, decodeCursor(token, keys))
+        : undefined,
+      take: limit + 1,
+    };
+  }
+
+  /**
+   * Apply cursor pagination to the query builder
+   * The builder must implement keyset(where) to add the cursor condition. Sort
+   * keys are added to a field selection, and taken out of a selection of
+   * exclusions only (fields=-createdAt), so cursors can be built from the page.
+   * @returns {APIFeatures} - Returns this instance for method chaining
+   */
+  paginateByCursor() {
+    const { orderBy, where, take } = this.cursorArgs();
+
+    this.query = this.query.orderBy(orderBy);
+    if (where) {
+      this.query = this.query.keyset(where);
+    }
+    if (this.selection) {
+      const cursorFields = this.cursor.keys.map(([field]) => field);
+      // limitFieldsAdvanced() adds the id to a selection of exclusions only
+      const exclusionsOnly = Object.entries(this.selection).every(
+        ([field, value]) => value === false || field === 'id',
+      );
+      this.selection = exclusionsOnly
+        ? Object.fromEntries(
+            Object.entries(this.selection).filter(
+              ([field]) => !cursorFields.includes(field),
+            ),
+          )
+        : {
+            ...this.selection,
+            ...Object.fromEntries(cursorFields.map((field) => [field, true])),
+          };
+      this.query = this.query.select(this.selection);
+    }
+    this.query = this.query.skip(0).limit(take);
+
+    return this;
+  }
+
+  /**
+   * Build the page and its metadata from the records fetched with cursorArgs()
+   * @param {Array<Object>} records - Records returned by the query (up to limit + 1)
+   * @param {number} [total] - Total number of matching records, when counted
+   * @returns {Object} - { data, meta } with nextCursor/prevCursor and hasNextPage/hasPrevPage
+   */
+  cursorPage(records, total) {
+    const { keys, limit, backward, hasCursor } = this.cursor;
+    const hasMore = records.length > limit;
+    const page = records.slice(0, limit);
+    const data = backward ? page.reverse() : page;
+
+    const hasNextPage = backward ? hasCursor : hasMore;
+    const hasPrevPage = backward ? hasMore : hasCursor;
+    const first = data[0];
+    const last = data[data.length - 1];
+
+    return {
+      data,
+      meta: {
+        limit,
+        nextCursor: hasNextPage && last ? encodeCursor(last, keys) : null,
+        prevCursor: hasPrevPage && first ? encodeCursor(first, keys) : null,
+        hasNextPage,
+        hasPrevPage,
+        ...(total !== undefined && { total }),
+      },
+    };
+  }
+
   /**
    * Paginate results based on page and limit query parameters
+   * Delegates to paginateByCursor() when the request uses cursor pagination.
    * @returns {APIFeatures} - Returns this instance for method chaining
    */
   paginate() {
+    if (this.isCursorPagination()) {
+      return this.paginateByCursor();
+    }
     try {
       const page = this.queryString.page * 1 || 1;
       const limit = this.queryString.limit * 1 || 100;
@@ -472,4 +746,6 @@ class APIFeatures {
   }
 }
 
+APIFeatures.RESERVED_PARAMS = RESERVED_PARAMS;
+
 module.exports = APIFeatures;
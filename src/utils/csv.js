@@ -0,0 +1,104 @@
+/**
+ * CSV helpers (RFC 4180)
+ * Fields containing a comma, quote or line break are quoted and quotes are doubled.
+ */
+
+/**
+ * Escape a single value for a CSV field
+ * @param {*} value - Field value (null and undefined become an empty field)
+ * @returns {string} Escaped field
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object'
+        ? JSON.stringify(value)
+        : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} CSV line terminated by CRLF
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * Empty fields are returned as empty strings; blank lines are skipped.
+ * @param {string} text - CSV document
+ * @returns {Array<Object>} Parsed rows
+ * @throws {Error} When a quoted field is not closed
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  // Strip a UTF-8 byte order mark added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV input');
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  const [header = [], ...rows] = records;
+  const columns = header.map((column) => column.trim());
+  return rows.map((values) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, values[index] ?? '']),
+    ),
+  );
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  parseCsv,
+};
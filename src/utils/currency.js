@@ -0,0 +1,15 @@
+/**
+ * Helpers for monetary amounts
+ */
+
+/**
+ * Round a monetary amount to two decimal places (Decimal(10,2) precision)
+ * @param {number} value - The amount to round
+ * @returns {number} - The rounded amount
+ */
+const roundCurrency = (value) =>
+  Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  roundCurrency,
+};
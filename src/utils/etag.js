@@ -0,0 +1,159 @@
+/**
+ * Entity tag and Last-Modified helpers
+ * Response envelopes carry a timestamp and request ID, so validators are computed
+ * from the data alone and stay the same while the data is unchanged.
+ */
+const crypto = require('crypto');
+
+/**
+ * Serialize a value with object keys sorted so equal data hashes equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) =>
+  JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.fromEntries(
+          Object.keys(nested)
+            .sort()
+            .map((name) => [name, nested[name]]),
+        )
+      : nested,
+  );
+
+/**
+ * Create a strong ETag from the content of a value
+ * @param {*} value - Response data
+ * @returns {string} Quoted ETag (e.g. "3f2a...")
+ */
+const createETag = (value) =>
+  `"${crypto.createHash('sha256').update(canonicalJson(value)).digest('base64url')}"`;
+
+/**
+ * Whether an If-None-Match header matches an ETag
+ * Uses the weak comparison of RFC 9110, so W/"x" matches "x".
+ * @param {string} [header] - If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} Whether the client already has this representation
+ */
+const matchesETag = (header, etag) => {
+  if (!header) {
+    return false;
+  }
+  if (header.trim() === '*') {
+    return true;
+  }
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some((tag) => opaque(tag) === opaque(etag));
+};
+
+/**
+ * Records of a response payload: a list, a paginated { data, meta } object or a single record
+ * @param {*} data - Response data
+ * @returns {Array<Object>} Records
+ */
+const recordsOf = (data) => {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.data)) return data.data;
+  return data ? [data] : [];
+};
+
+// Fields computed when a record is read, which change without its updatedAt
+// (the promotion and tax applied to an offering start and end on their own
+// schedule, and its vehicle pricing depends on the vehicle it was read for),
+// and relations written separately from it (the items and availability of a
+// service package, whose savings follow the prices of the offerings, and the
+// additional features of an offering, and the duration roll-up of a service
+// type, which follows its components)
+const DERIVED_FIELDS = [
+  'promotion',
+  'vehiclePricing',
+  'tax',
+  'items',
+  'availability',
+  'additionalFeatures',
+  'durationRollup',
+];
+
+/**
+ * Version of a record: its primary key and updatedAt, or its content when it has no updatedAt
+ * Models list their primary key (serviceCategoryId, serviceTypeId, ...) first.
+ * Derived fields the record carries are part of its version.
+ * @param {Object} record - Record
+ * @returns {string} Version string
+ */
+const versionOf = (record) => {
+  const idField = record && Object.keys(record).find((key) => /Id$/.test(key));
+  if (!record?.updatedAt || !idField) {
+    return canonicalJson(record);
+  }
+  const version = `${record[idField]}@${new Date(record.updatedAt).getTime()}`;
+  const derived = DERIVED_FIELDS.filter((field) => field in record);
+  return derived.length > 0
+    ? `${version}:${canonicalJson(derived.map((field) => record[field]))}`
+    : version;
+};
+
+/**
+ * Create a weak ETag from the versions of the records in a response
+ * Pagination metadata and the variant (e.g. the selected fields) are part of the
+ * tag, so a different page or a different representation gets a different tag.
+ * @param {*} data - Response data
+ * @param {string} [variant] - Representation variant
+ * @returns {string} Weak ETag (e.g. W/"3f2a...")
+ */
+const createWeakETag = (data, variant = '') => {
+  const paging =
+    data && !Array.isArray(data) && Array.isArray(data.data)
+      ? { ...data, data: undefined }
+      : null;
+  const digest = crypto
+    .createHash('sha256')
+    .update(canonicalJson([variant, recordsOf(data).map(versionOf), paging]))
+    .digest('base64url');
+  return `W/"${digest}"`;
+};
+
+/**
+ * Latest updatedAt of the records in a response, truncated to whole seconds
+ * (the precision of HTTP dates)
+ * @param {*} data - Response data
+ * @returns {Date|null} Last modification date, null when unknown
+ */
+const lastModifiedOf = (data) => {
+  const times = recordsOf(data)
+    .map((record) => new Date(record?.updatedAt).getTime())
+    .filter((time) => !Number.isNaN(time));
+  if (times.length === 0) {
+    return null;
+  }
+  return new Date(Math.floor(Math.max(...times) / 1000) * 1000);
+};
+
+/**
+ * Whether a conditional GET can be answered with 304 Not Modified
+ * If-Modified-Since is only used when the request has no If-None-Match.
+ * @param {Object} headers - Request headers
+ * @param {Object} validators - Current validators
+ * @param {string} validators.etag - Current ETag
+ * @param {Date|null} validators.lastModified - Current Last-Modified date
+ * @returns {boolean} Whether the client's copy is current
+ */
+const isNotModified = (headers, { etag, lastModified }) => {
+  if (headers['if-none-match']) {
+    return matchesETag(headers['if-none-match'], etag);
+  }
+  const since = Date.parse(headers['if-modified-since']);
+  return Boolean(lastModified) && !Number.isNaN(since)
+    ? lastModified.getTime() <= since
+    : false;
+};
+
+module.exports = {
+  canonicalJson,
+  createETag,
+  createWeakETag,
+  lastModifiedOf,
+  matchesETag,
+  isNotModified,
+};
@@ -0,0 +1,74 @@
+/**
+ * Geographic helper functions
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Length of one degree of latitude (and of longitude at the equator)
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Calculate the great-circle distance between two points using the haversine formula
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometers
+ */
+const haversineDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Calculate the latitude/longitude box that contains every point within a
+ * distance of the origin, to narrow a search before exact distances are computed
+ * Near the poles (and for boxes crossing the antimeridian) the longitude range
+ * covers the whole globe.
+ * @param {number} latitude - Latitude of the origin
+ * @param {number} longitude - Longitude of the origin
+ * @param {number} radiusKm - Distance from the origin in kilometers
+ * @returns {Object} { minLatitude, maxLatitude, minLongitude, maxLongitude }
+ */
+const boundingBox = (latitude, longitude, radiusKm) => {
+  const latitudeDelta = radiusKm / KM_PER_DEGREE;
+  const minLatitude = Math.max(latitude - latitudeDelta, -90);
+  const maxLatitude = Math.min(latitude + latitudeDelta, 90);
+  const widestLatitude = Math.max(Math.abs(minLatitude), Math.abs(maxLatitude));
+  const longitudeDelta =
+    widestLatitude < 90
+      ? radiusKm / (KM_PER_DEGREE * Math.cos(toRadians(widestLatitude)))
+      : 180;
+
+  if (
+    longitudeDelta >= 180 ||
+    longitude - longitudeDelta < -180 ||
+    longitude + longitudeDelta > 180
+  ) {
+    return { minLatitude, maxLatitude, minLongitude: -180, maxLongitude: 180 };
+  }
+  return {
+    minLatitude,
+    maxLatitude,
+    minLongitude: longitude - longitudeDelta,
+    maxLongitude: longitude + longitudeDelta,
+  };
+};
+
+module.exports = {
+  haversineDistanceKm,
+  boundingBox,
+};
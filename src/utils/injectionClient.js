@@ -0,0 +1,267 @@
+/**
+ * Shared HTTP client for the injection service
+ * All catalog writes go through here so that every call gets the same timeout,
+ * retry policy, circuit breaker and forwarded headers (Authorization, X-Request-ID,
+ * Idempotency-Key, X-Expected-Version).
+ */
+const axios = require('axios');
+const config = require('../config');
+const AppError = require('./appError');
+const { logger } = require('./logger');
+
+// Only these verbs are safe to repeat without side effects
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete'];
+
+// Responses that mean the injection service (or its proxy) is unavailable
+const TRANSIENT_STATUS_CODES = [502, 503, 504];
+
+const METHODS_WITH_BODY = ['post', 'put', 'patch'];
+
+/**
+ * Whether an axios error means the injection service could not be reached
+ * Timeouts and connection errors have no response; 4xx and 500 responses are
+ * answers from a healthy service and are passed through to the caller.
+ * @param {Error} error - Axios error
+ * @returns {boolean} Whether the failure is transient
+ */
+const isTransientFailure = (error) =>
+  !error.response || TRANSIENT_STATUS_CODES.includes(error.response.status);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a circuit breaker
+ * After failureThreshold consecutive transient failures the circuit opens and
+ * calls fail fast. Once resetTimeoutMs has passed a single trial call is let
+ * through (half-open); its outcome closes or re-opens the circuit.
+ * @param {Object} options - Breaker options
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+ * @param {number} options.resetTimeoutMs - Time the circuit stays open
+ * @returns {Object} Circuit breaker
+ */
+const createCircuitBreaker = ({ failureThreshold, resetTimeoutMs }) => {
+  let state = 'CLOSED';
+  let failures = 0;
+  let openedAt = 0;
+
+  return {
+    getState: () => state,
+
+    canRequest: () => {
+      if (state === 'OPEN' && Date.now() - openedAt >= resetTimeoutMs) {
+        state = 'HALF_OPEN';
+        return true;
+      }
+      // While half-open only the trial call is in flight
+      return state === 'CLOSED';
+    },
+
+    retryAfterSeconds: () =>
+      Math.max(0, Math.ceil((openedAt + resetTimeoutMs - Date.now()) / 1000)),
+
+    recordSuccess: () => {
+      state = 'CLOSED';
+      failures = 0;
+    },
+
+    recordFailure: () => {
+      failures += 1;
+      if (state === 'HALF_OPEN' || failures >= failureThreshold) {
+        if (state !== 'OPEN') {
+          logger.warn({
+            message: 'Injection service circuit opened',
+            metadata: { failures },
+          });
+        }
+        state = 'OPEN';
+        openedAt = Date.now();
+      }
+    },
+
+    reset: () => {
+      state = 'CLOSED';
+      failures = 0;
+      openedAt = 0;
+    },
+  };
+};
+
+/**
+ * Build the headers forwarded to the injection service
+ * @param {Object} [req] - Incoming Express request, if any
+ * @param {Object} [headers] - Extra headers for this call
+ * @returns {Object} Request headers
+ */
+const buildHeaders = (req, headers = {}) => {
+  const result = { 'Content-Type': 'application/json' };
+
+  const requestId = req?.requestId || global.requestId;
+  if (requestId) {
+    result['X-Request-ID'] = requestId;
+  }
+
+  const authorization = req?.headers?.authorization;
+  if (authorization) {
+    result.Authorization = authorization;
+  }
+
+  const idempotencyKey = req?.headers?.['idempotency-key'];
+  if (idempotencyKey) {
+    result['Idempotency-Key'] = idempotencyKey;
+  }
+
+  // Version the If-Match precondition was checked against (see ifMatch)
+  if (req?.expectedVersion) {
+    result['X-Expected-Version'] = String(req.expectedVersion);
+  }
+
+  return { ...result, ...headers };
+};
+
+/**
+ * Give one of several injection service writes made for a single request its own Idempotency-Key
+ * Forwarding the incoming key unchanged would make the injection service replay
+ * the first write for all the others.
+ * @param {Object} [req] - Incoming Express request, if any
+ * @param {string} suffix - Suffix identifying the write within the request
+ * @returns {Object} Request-like object with the headers to forward
+ */
+const withIdempotencyKeySuffix = (req, suffix) => {
+  const idempotencyKey = req?.headers?.['idempotency-key'];
+  if (!idempotencyKey) {
+    return req;
+  }
+  return {
+    requestId: req.requestId,
+    headers: {
+      ...req.headers,
+      'idempotency-key': `${idempotencyKey}:${suffix}`,
+    },
+  };
+};
+
+/**
+ * Create the 503 error returned when the injection service is unavailable
+ * @param {string} message - Error message
+ * @param {Object} details - Error details
+ * @returns {AppError} AppError instance
+ */
+const createUnavailableError = (message, details) =>
+  new AppError(message, 503, 'INJECTION_SERVICE_UNAVAILABLE', details);
+
+/**
+ * Create an injection service client
+ * @param {Object} options - Client options (see config.injectionService)
+ * @returns {Object} Client with get, post, put, patch and delete methods
+ */
+const createInjectionClient = ({
+  url,
+  timeoutMs,
+  retries,
+  retryBaseDelayMs,
+  retryMaxDelayMs,
+  circuitBreaker,
+}) => {
+  const breaker = createCircuitBreaker(circuitBreaker);
+
+  /**
+   * Send a request to the injection service
+   * @param {string} method - HTTP verb (lowercase)
+   * @param {string} path - Path below the base URL (e.g. '/api/v1/categories')
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.data] - Request body
+   * @param {Object} [options.req] - Incoming request whose headers are forwarded
+   * @param {Object} [options.headers] - Extra headers
+   * @returns {Promise<Object>} Axios response
+   */
+  const request = async (method, path, { data, req, headers } = {}) => {
+    if (!breaker.canRequest()) {
+      throw createUnavailableError(
+        'Injection service is temporarily unavailable, please retry later',
+        { retryAfterSeconds: breaker.retryAfterSeconds() },
+      );
+    }
+
+    const requestUrl = `${url}${path}`;
+    const requestConfig = {
+      timeout: timeoutMs,
+      headers: buildHeaders(req, headers),
+    };
+    // Writes carrying an Idempotency-Key are safe to repeat as well
+    const canRetry =
+      IDEMPOTENT_METHODS.includes(method) ||
+      Boolean(requestConfig.headers['Idempotency-Key']);
+    const maxAttempts = canRetry ? retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        const response = METHODS_WITH_BODY.includes(method)
+          ? await axios[method](requestUrl, data, requestConfig)
+          : await axios[method](requestUrl, requestConfig);
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (!isTransientFailure(error)) {
+          // The service answered, so it is reachable
+          breaker.recordSuccess();
+          // The record changed between the If-Match check and the write
+          if (
+            error.response.status === 412 &&
+            requestConfig.headers['X-Expected-Version']
+          ) {
+            throw new AppError(
+              'The resource has been modified since it was retrieved',
+              412,
+              'PRECONDITION_FAILED',
+            );
+          }
+          throw error;
+        }
+
+        breaker.recordFailure();
+        const reason = error.response?.status || error.code || error.message;
+
+        if (attempt >= maxAttempts || !breaker.canRequest()) {
+          logger.error({
+            message: 'Injection service request failed',
+            metadata: { method, path, attempts: attempt, reason },
+          });
+          throw createUnavailableError(
+            'Injection service is unavailable, please retry later',
+            { method: method.toUpperCase(), path, reason },
+          );
+        }
+
+        const delay = Math.min(
+          retryBaseDelayMs * 2 ** (attempt - 1),
+          retryMaxDelayMs,
+        );
+        logger.warn({
+          message: 'Retrying injection service request',
+          metadata: { method, path, attempt, delay, reason },
+        });
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    baseUrl: url,
+    get: (path, options) => request('get', path, options),
+    post: (path, data, options) => request('post', path, { ...options, data }),
+    put: (path, data, options) => request('put', path, { ...options, data }),
+    patch: (path, data, options) =>
+      request('patch', path, { ...options, data }),
+    delete: (path, options) => request('delete', path, options),
+    getCircuitState: breaker.getState,
+    resetCircuit: breaker.reset,
+  };
+};
+
+const injectionClient = createInjectionClient(config.injectionService);
+
+module.exports = {
+  injectionClient,
+  createInjectionClient,
+  withIdempotencyKeySuffix,
+};
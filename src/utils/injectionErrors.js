@@ -0,0 +1,59 @@
+/**
+ * Conversion of failed injection-service writes into AppErrors
+ * Services forward their writes through the injection client; its errors are
+ * either AppErrors (the service is unavailable) or axios errors carrying the
+ * injection service's response.
+ */
+const AppError = require('./appError');
+const { logger } = require('./logger');
+const {
+  createNotFoundError,
+  createInternalError,
+} = require('../controllers/errorController');
+
+/**
+ * Create the function that logs a failed write of one kind of record and
+ * converts it into an AppError
+ * A 404 for a write on an existing record becomes a not-found error, the
+ * statuses passed through are returned with the injection service's message and
+ * anything else becomes an internal error.
+ * @param {Object} options - Mapper options
+ * @param {string} options.resourceType - Name of the record (e.g. 'tax rule')
+ * @param {string} options.idField - Name of the record's ID in log metadata
+ * @param {Array<number>} [options.passThroughStatuses] - Client errors reported as is
+ * (e.g. 409 for duplicate names)
+ * @returns {Function} (error, action, [id]) => AppError, where action says what
+ * was being done (e.g. "update tax rule") and id is given for existing records
+ */
+const createWriteErrorMapper =
+  ({ resourceType, idField, passThroughStatuses = [] }) =>
+  (error, action, id) => {
+    // Unavailability is reported by the injection client as a 503 AppError
+    if (error instanceof AppError) {
+      return error;
+    }
+    logger.error({
+      message: `Failed to ${action} via Injection Service`,
+      metadata: {
+        [idField]: id,
+        error: error.response?.data?.message || error.message,
+        stack: error.stack,
+      },
+    });
+    if (id && error.response?.status === 404) {
+      return createNotFoundError(id, resourceType);
+    }
+    if (passThroughStatuses.includes(error.response?.status)) {
+      return new AppError(
+        error.response.data?.message || `Failed to ${action}`,
+        error.response.status,
+      );
+    }
+    return createInternalError(
+      error.response?.data?.message || `Failed to ${action}: ${error.message}`,
+    );
+  };
+
+module.exports = {
+  createWriteErrorMapper,
+};
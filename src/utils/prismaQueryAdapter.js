@@ -0,0 +1,319 @@
+/**
+ * Prisma query adapter
+ * A query builder for APIFeatures, configured per model with the fields that
+ * may be filtered, sorted, searched and selected. List endpoints go through
+ * listRecords() so they all filter, search, sort, select and paginate the same way.
+ */
+const AppError = require('./appError');
+const APIFeatures = require('./apiFeatures');
+const { logger } = require('./logger');
+const config = require('../config');
+
+/**
+ * @typedef {Object} QueryConfig
+ * @property {string} primaryKey - Primary key, the tie-breaker for cursor pagination
+ * @property {Array<string>} filterFields - Fields that may be filtered on, dotted for relations (e.g. category.vehicleType)
+ * @property {Array<string>} [sortFields] - Fields that may be sorted on (defaults to the filterFields of the model itself)
+ * @property {Array<string>} [searchFields] - Fields matched by ?search, dotted for relations (e.g. serviceComponent.name)
+ * @property {Array<string>} [selectFields] - Top-level fields (and relations) that may be selected
+ * @property {boolean} [strictFilters] - Reject unknown filter fields (defaults to STRICT_QUERY_FILTERS)
+ * @property {Object} [scope] - Conditions every query is limited to (e.g. the parent ID)
+ * @property {Object} [include] - Relations to include; also added to a field selection
+ * @property {number} [defaultLimit=100] - Page size when the request has no limit
+ */
+
+// Convert Prisma errors to AppErrors, leave anything else as is
+const toAppError = (error) =>
+  error.code?.startsWith('P') && !(error instanceof AppError)
+    ? AppError.fromPrismaError(error)
+    : error;
+
+// Field a sort or fields entry applies to: -name and name.first both apply to name
+const baseFieldOf = (key) => key.replace(/^-/, '').split(/[[.]/)[0];
+
+// Nest a condition under a dotted path: serviceComponent.name -> { serviceComponent: { name } }
+const conditionAt = (path, condition) =>
+  path
+    .split('.')
+    .reduceRight((nested, part) => ({ [part]: nested }), condition);
+
+// Fields of a list that are not allowed; every field is allowed when there is no allowlist
+const unknownFields = (fields, allowed) =>
+  allowed
+    ? fields.filter((field) => !allowed.includes(baseFieldOf(field)))
+    : [];
+
+// Entries of a comma-separated sort or fields parameter (e.g. "-name,createdAt")
+const listEntries = (value) =>
+  value ? String(value).split(',').filter(Boolean) : [];
+
+/**
+ * Check the sort, fields and (in strict mode) filter parameters of a request
+ * against the allowlists of a model
+ * @param {QueryConfig} queryConfig - Query configuration
+ * @param {Object} queryOptions - Request query parameters
+ * @param {Array<string>} [unknownFilters] - Filter paths APIFeatures left out
+ * @throws {AppError} 400 VALIDATION_ERROR listing the unknown and allowed fields per parameter
+ */
+const assertKnownFields = (queryConfig, queryOptions, unknownFilters = []) => {
+  const { primaryKey, filterFields, selectFields } = queryConfig;
+  // Relation paths can be filtered on but not sorted on
+  const sortFields =
+    queryConfig.sortFields ||
+    filterFields.filter((field) => !field.includes('.'));
+  const strictFilters =
+    queryConfig.strictFilters ?? config.listQueries.strictFilters;
+
+  // [parameter, kind of field, unknown fields, allowed fields]
+  const checks = [
+    [
+      'sort',
+      'sort',
+      unknownFields(listEntries(queryOptions.sort), [
+        ...sortFields,
+        primaryKey,
+      ]),
+      [...sortFields, primaryKey],
+    ],
+    [
+      'fields',
+      'select',
+      unknownFields(listEntries(queryOptions.fields), selectFields),
+      selectFields,
+    ],
+  ];
+  if (strictFilters) {
+    checks.push(['filter', 'filter', unknownFilters, filterFields]);
+  }
+
+  const errors = {};
+  checks.forEach(([param, kind, unknown, allowed]) => {
+    if (unknown.length > 0) {
+      errors[param] = {
+        message: `Unknown ${kind} field(s): ${unknown.join(', ')}`,
+        invalid: unknown,
+        allowed: [...new Set(allowed)],
+      };
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    throw AppError.badRequest(
+      'Invalid query parameters',
+      'VALIDATION_ERROR',
+      errors,
+    );
+  }
+};
+
+/**
+ * Create a query builder for a Prisma model
+ * It keeps the conditions applied by APIFeatures and runs them with count() and
+ * findMany().
+ * @param {Object} model - Prisma model delegate (e.g. prisma.serviceCategory)
+ * @param {QueryConfig} queryConfig - Query configuration
+ * @returns {Object} Query builder
+ */
+const createPrismaQueryAdapter = (model, queryConfig) => {
+  const {
+    primaryKey,
+    searchFields = [],
+    scope = {},
+    include,
+    defaultLimit,
+  } = queryConfig;
+
+  return {
+    model,
+    whereConditions: {},
+    searchConditions: undefined,
+    keysetConditions: undefined,
+    orderByConditions: [{ createdAt: 'desc' }],
+    selectConditions: undefined,
+    skipValue: 0,
+    takeValue: defaultLimit || 100,
+
+    // Filters arrive checked against filterFields by APIFeatures
+    where: function (whereParams) {
+      this.whereConditions = { ...this.whereConditions, ...whereParams };
+      return this;
+    },
+
+    search: function (searchTerm) {
+      if (searchTerm && searchFields.length > 0) {
+        this.searchConditions = searchFields.map((field) =>
+          conditionAt(field, { contains: searchTerm, mode: 'insensitive' }),
+        );
+      }
+      return this;
+    },
+
+    // Cursor condition, kept out of whereConditions so it is not counted
+    keyset: function (keysetParams) {
+      this.keysetConditions = keysetParams;
+      return this;
+    },
+
+    orderBy: function (orderByParams) {
+      this.orderByConditions = orderByParams;
+      return this;
+    },
+
+    select: function (selectParams) {
+      this.selectConditions = selectParams;
+      return this;
+    },
+
+    skip: function (skipValue) {
+      this.skipValue = skipValue;
+      return this;
+    },
+
+    limit: function (limitValue) {
+      this.takeValue = limitValue;
+      return this;
+    },
+
+    // Filters, search and scope; the scope cannot be overridden by a filter
+    buildWhere: function () {
+      const search = this.searchConditions && { OR: this.searchConditions };
+      // Filters may have their own OR group, so both are ANDed when searching
+      const conditions =
+        search && Object.keys(this.whereConditions).length > 0
+          ? { AND: [this.whereConditions, search] }
+          : { ...this.whereConditions, ...search };
+      return { ...conditions, ...scope };
+    },
+
+    count: async function () {
+      try {
+        return await this.model.count({ where: this.buildWhere() });
+      } catch (error) {
+        throw toAppError(error);
+      }
+    },
+
+    // Prisma does not accept select and include together, so included relations
+    // are added to a selection of fields. A selection of exclusions only
+    // (fields=-name) becomes omit, without the id APIFeatures adds to it.
+    projection: function () {
+      if (!this.selectConditions) {
+        return include ? { include } : {};
+      }
+      const selection = { ...this.selectConditions };
+      if (primaryKey !== 'id') {
+        delete selection.id;
+      }
+      const fields = Object.keys(selection);
+      const selected = fields.filter((field) => selection[field] !== false);
+      if (selected.length === 0) {
+        return {
+          omit: Object.fromEntries(fields.map((field) => [field, true])),
+          ...(include && { include }),
+        };
+      }
+      return {
+        select: {
+          ...include,
+          ...Object.fromEntries(
+            selected.map((field) => [field, selection[field]]),
+          ),
+        },
+      };
+    },
+
+    findMany: async function () {
+      const where = this.buildWhere();
+      try {
+        return await this.model.findMany({
+          where: this.keysetConditions
+            ? { AND: [where, this.keysetConditions] }
+            : where,
+          orderBy: this.orderByConditions,
+          ...this.projection(),
+          skip: this.skipValue,
+          take: this.takeValue,
+        });
+      } catch (error) {
+        throw toAppError(error);
+      }
+    },
+  };
+};
+
+/**
+ * List the records of a model for request query parameters
+ * Applies filter, search, sort, field selection and page/limit or cursor
+ * pagination. Unknown sort and fields entries are rejected, and so are unknown
+ * filters in strict mode; otherwise unknown filters are ignored.
+ * @param {Object} model - Prisma model delegate
+ * @param {QueryConfig} queryConfig - Query configuration
+ * @param {Object} [queryOptions] - Request query parameters
+ * @returns {Promise<Object>} { data, meta } with page or cursor metadata
+ * @throws {AppError} 400 VALIDATION_ERROR for unknown fields, 400 INVALID_CURSOR for a bad cursor, or a converted Prisma error
+ */
+const listRecords = async (model, queryConfig, queryOptions = {}) => {
+  const defaultLimit = queryConfig.defaultLimit || 100;
+  const queryString = {
+    ...queryOptions,
+    limit: queryOptions.limit || defaultLimit,
+  };
+
+  const query = createPrismaQueryAdapter(model, queryConfig);
+  const features = new APIFeatures(query, queryString, {
+    primaryKey: queryConfig.primaryKey,
+    filterFields: queryConfig.filterFields,
+  });
+
+  features.filter();
+  assertKnownFields(queryConfig, queryOptions, features.unknownFilters);
+  if (features.unknownFilters?.length > 0) {
+    logger.warn({
+      message: 'Ignoring invalid filter fields',
+      metadata: { fields: features.unknownFilters },
+    });
+  }
+  query.search(queryString.search);
+  features.sort().limitFieldsAdvanced().paginate();
+
+  // Cursor pagination only counts on request (count=true)
+  const total = features.wantsCount() ? await query.count() : undefined;
+  const records = await query.findMany();
+
+  if (features.isCursorPagination()) {
+    return features.cursorPage(records, total);
+  }
+
+  const page = parseInt(queryString.page, 10) || 1;
+  const limit = parseInt(queryString.limit, 10) || defaultLimit;
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    data: records,
+    meta: {
+      total,
+      page,
+      limit,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+/**
+ * Where condition matching records that leave a field unset or set it to one of
+ * the values, as used for rules that target some records and default to all
+ * @param {string} field - Field name
+ * @param {Array} values - Values the field may have
+ * @returns {Object} Prisma where condition
+ */
+const targetCondition = (field, values) => ({
+  OR: [{ [field]: null }, { [field]: { in: [...new Set(values)] } }],
+});
+
+module.exports = {
+  createPrismaQueryAdapter,
+  listRecords,
+  targetCondition,
+};
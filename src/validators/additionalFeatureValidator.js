@@ -0,0 +1,82 @@
+const { body, param } = require('express-validator');
+
+/**
+ * Rules shared by creating and updating an additional feature; `optional` is
+ * applied to the fields a create requires
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const featureRules = (isUpdate) => {
+  const required = (chain, message) =>
+    isUpdate ? chain.optional() : chain.notEmpty().withMessage(message);
+
+  return [
+    required(body('name'), 'Name is required')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+
+    // A feature is either complimentary or has a price
+    body('isComplimentary')
+      .optional()
+      .isBoolean()
+      .withMessage('isComplimentary must be a boolean value'),
+
+    body('price')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Price must be a non-negative number'),
+
+    // Multipart form fields arrive as strings
+    body().custom((value) => {
+      const hasPrice = value?.price !== undefined && value?.price !== null;
+      const isComplimentary = String(value?.isComplimentary) === 'true';
+      if (isComplimentary && hasPrice) {
+        throw new Error('A complimentary feature cannot have a price');
+      }
+      if (!isUpdate && !isComplimentary && !hasPrice) {
+        throw new Error(
+          'A price is required unless the feature is complimentary',
+        );
+      }
+      return true;
+    }),
+
+    body('isPopular')
+      .optional()
+      .isBoolean()
+      .withMessage('isPopular must be a boolean value'),
+
+    body('isAvailable')
+      .optional()
+      .isBoolean()
+      .withMessage('isAvailable must be a boolean value'),
+
+    body('displayOrder')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Display order must be a non-negative integer'),
+  ];
+};
+
+const validateFeatureId = [
+  param('additionalFeatureId')
+    .isUUID()
+    .withMessage('Additional feature ID must be a valid UUID'),
+];
+
+const validateFeature = featureRules(false);
+
+const validateUpdateFeature = [...validateFeatureId, ...featureRules(true)];
+
+module.exports = {
+  validateFeature,
+  validateUpdateFeature,
+  validateFeatureId,
+};
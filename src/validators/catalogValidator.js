@@ -0,0 +1,84 @@
+const { body, query } = require('express-validator');
+
+const validateCatalogExport = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be one of: csv, json'),
+];
+
+// CSV uploads are parsed in the controller; these rules cover JSON documents
+const validateCatalogImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean'),
+
+  body(['categories', 'types', 'components', 'typeComponents'])
+    .optional()
+    .isArray()
+    .withMessage('Catalog sections must be arrays'),
+];
+
+const validateCatalogTree = [
+  query('vehicleType')
+    .optional()
+    .isIn(['CAR', 'BIKE', 'NONE'])
+    .withMessage('Vehicle type must be one of: CAR, BIKE, NONE'),
+
+  query('fields')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('fields must be a comma-separated list of field paths'),
+];
+
+const validateCatalogSearch = [
+  query('q')
+    .exists({ checkFalsy: true })
+    .withMessage('Search query (q) is required')
+    .bail()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+
+  query('vehicleType')
+    .optional()
+    .isIn(['CAR', 'BIKE', 'NONE'])
+    .withMessage('Vehicle type must be one of: CAR, BIKE, NONE'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+];
+
+const validateCatalogSuggest = [
+  query('q')
+    .exists({ checkFalsy: true })
+    .withMessage('Search query (q) is required')
+    .bail()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search query must be between 1 and 100 characters'),
+
+  query('vehicleType')
+    .optional()
+    .isIn(['CAR', 'BIKE', 'NONE'])
+    .withMessage('Vehicle type must be one of: CAR, BIKE, NONE'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 25 })
+    .withMessage('Limit must be between 1 and 25'),
+];
+
+module.exports = {
+  validateCatalogExport,
+  validateCatalogTree,
+  validateCatalogSearch,
+  validateCatalogSuggest,
+  validateCatalogImport,
+};
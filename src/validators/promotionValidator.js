@@ -0,0 +1,127 @@
+const { body, param } = require('express-validator');
+
+/**
+ * Rules shared by creating and updating a promotion; `optional` is applied to
+ * the fields a create requires
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const promotionRules = (isUpdate) => {
+  const required = (chain, message) =>
+    isUpdate ? chain.optional() : chain.notEmpty().withMessage(message);
+
+  return [
+    required(body('name'), 'Name is required')
+      .trim()
+      .isLength({ min: 2, max: 255 })
+      .withMessage('Name must be between 2 and 255 characters'),
+
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+
+    required(body('startDate'), 'Start date is required')
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+
+    required(body('endDate'), 'End date is required')
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .custom((endDate, { req }) => {
+        const { startDate } = req.body;
+        if (startDate && new Date(endDate) <= new Date(startDate)) {
+          throw new Error('End date must be after the start date');
+        }
+        return true;
+      }),
+
+    // A promotion is either a percentage or an absolute amount off
+    body('discountPercentage')
+      .optional({ nullable: true })
+      .isFloat({ gt: 0, max: 100 })
+      .withMessage(
+        'Discount percentage must be greater than 0 and at most 100',
+      ),
+
+    body('discountAbsolute')
+      .optional({ nullable: true })
+      .isFloat({ gt: 0 })
+      .withMessage('Absolute discount must be a positive number'),
+
+    body().custom((value) => {
+      const has = (field) =>
+        value?.[field] !== undefined && value?.[field] !== null;
+      if (has('discountPercentage') && has('discountAbsolute')) {
+        throw new Error(
+          'Only one of discountPercentage and discountAbsolute can be set',
+        );
+      }
+      if (!isUpdate && !has('discountPercentage') && !has('discountAbsolute')) {
+        throw new Error(
+          'One of discountPercentage and discountAbsolute is required',
+        );
+      }
+      return true;
+    }),
+
+    // Targets; a promotion without targets applies to every offering
+    body('serviceCenterId')
+      .optional({ nullable: true })
+      .isString()
+      .notEmpty()
+      .withMessage('Service center ID must be a non-empty string'),
+
+    body('serviceTypeId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Service type ID must be a valid UUID'),
+
+    body('categoryId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Category ID must be a valid UUID'),
+
+    body('vehicleType')
+      .optional({ nullable: true })
+      .isIn(['CAR', 'BIKE', 'NONE'])
+      .withMessage('Vehicle type must be one of: CAR, BIKE, NONE'),
+
+    body('isStackable')
+      .optional()
+      .isBoolean()
+      .withMessage('isStackable must be a boolean value'),
+
+    body('priority')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Priority must be a non-negative integer'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value'),
+  ];
+};
+
+const validatePromotionId = [
+  param('id')
+    .notEmpty()
+    .withMessage('Promotion ID is required')
+    .isUUID()
+    .withMessage('Promotion ID must be a valid UUID'),
+];
+
+const validatePromotion = promotionRules(false);
+
+const validateUpdatePromotion = [
+  ...validatePromotionId,
+  ...promotionRules(true),
+];
+
+module.exports = {
+  validatePromotion,
+  validateUpdatePromotion,
+  validatePromotionId,
+};
@@ -1,4 +1,4 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 
 const validateServiceCenterOffering = [
   // Service Type ID validation
@@ -266,7 +266,181 @@ const validateUpdateServiceCenterOffering = [
     .withMessage('Emergency service fee must be a non-negative number'),
 ];
 
+// Maximum number of offerings accepted by one bulk upsert request
+const MAX_BULK_OFFERINGS = 100;
+
+// Envelope of a bulk upsert; each item is checked against validateServiceCenterOffering
+const validateBulkServiceCenterOfferings = [
+  body('offerings')
+    .isArray({ min: 1, max: MAX_BULK_OFFERINGS })
+    .withMessage(
+      `Offerings must be an array of 1 to ${MAX_BULK_OFFERINGS} items`,
+    ),
+
+  body('offerings.*').isObject().withMessage('Each offering must be an object'),
+
+  body('allOrNothing')
+    .optional()
+    .isBoolean()
+    .withMessage('allOrNothing must be a boolean'),
+];
+
+// Vehicle an offering read is priced for: a vehicleId, or a brandId and/or modelId
+const vehicleQueryRules = [
+  query('brandId')
+    .optional()
+    .isUUID()
+    .withMessage('Brand ID must be a valid UUID'),
+
+  query('modelId')
+    .optional()
+    .isUUID()
+    .withMessage('Model ID must be a valid UUID'),
+
+  query('vehicleId')
+    .optional()
+    .isUUID()
+    .withMessage('Vehicle ID must be a valid UUID')
+    .custom((vehicleId, { req }) => {
+      if (req.query.brandId || req.query.modelId) {
+        throw new Error('vehicleId cannot be combined with brandId or modelId');
+      }
+      return true;
+    }),
+];
+
+const validateOfferingRead = [...vehicleQueryRules];
+
+const validateOfferingQuote = [
+  ...vehicleQueryRules,
+
+  query('priority')
+    .optional()
+    .isIn(['NORMAL', 'EXPRESS', 'PREMIUM'])
+    .withMessage('Priority must be one of: NORMAL, EXPRESS, PREMIUM'),
+
+  query('emergency')
+    .optional()
+    .isBoolean()
+    .withMessage('emergency must be a boolean')
+    .toBoolean(),
+];
+
+const validateOfferingConfiguration = [
+  body('componentIds')
+    .isArray({ max: 100 })
+    .withMessage('componentIds must be an array of up to 100 component IDs'),
+
+  body('componentIds.*')
+    .isUUID()
+    .withMessage('Each component ID must be a valid UUID'),
+
+  body('priority')
+    .optional()
+    .isIn(['NORMAL', 'EXPRESS', 'PREMIUM'])
+    .withMessage('Priority must be one of: NORMAL, EXPRESS, PREMIUM'),
+
+  body('emergency')
+    .optional()
+    .isBoolean()
+    .withMessage('emergency must be a boolean')
+    .toBoolean(),
+];
+
+const validateOfferingSearch = [
+  query('serviceTypeId')
+    .optional()
+    .isUUID()
+    .withMessage('Service Type ID must be a valid UUID'),
+
+  query('categoryId')
+    .optional()
+    .isUUID()
+    .withMessage('Category ID must be a valid UUID'),
+
+  query('serviceTypeId')
+    .custom((value, { req }) => Boolean(value || req.query.categoryId))
+    .withMessage('Either serviceTypeId or categoryId is required'),
+
+  // Price range validation
+  query('minPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum price must be a non-negative number'),
+
+  query('maxPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum price must be a non-negative number'),
+
+  query('hasEmergencyService')
+    .optional()
+    .isBoolean()
+    .withMessage('hasEmergencyService must be a boolean'),
+
+  query('status')
+    .optional()
+    .isIn(['ACTIVE', 'PENDING', 'TEMPORARILY_UNAVAILABLE', 'COMING_SOON'])
+    .withMessage(
+      'Status must be one of: ACTIVE, PENDING, TEMPORARILY_UNAVAILABLE, COMING_SOON',
+    ),
+
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum rating must be between 0 and 5'),
+
+  // Location validation
+  query('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  query('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  query('latitude')
+    .custom(
+      (value, { req }) =>
+        (value === undefined) === (req.query.longitude === undefined),
+    )
+    .withMessage('Latitude and longitude must be provided together'),
+
+  query('radius')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Radius must be a positive number of kilometers')
+    .bail()
+    .custom(
+      (value, { req }) =>
+        req.query.latitude !== undefined && req.query.longitude !== undefined,
+    )
+    .withMessage('Radius requires a latitude and longitude'),
+
+  ...vehicleQueryRules,
+
+  // Pagination validation
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
 module.exports = {
   validateServiceCenterOffering,
   validateUpdateServiceCenterOffering,
+  validateBulkServiceCenterOfferings,
+  validateOfferingRead,
+  vehicleQueryRules,
+  validateOfferingQuote,
+  validateOfferingConfiguration,
+  validateOfferingSearch,
+  MAX_BULK_OFFERINGS,
 };
@@ -0,0 +1,214 @@
+const { body, param, query } = require('express-validator');
+const { vehicleQueryRules } = require('./serviceCenterOfferingValidator');
+
+// Most service types a package can bundle
+const MAX_PACKAGE_ITEMS = 50;
+
+const PACKAGE_TYPES = ['ONE_TIME', 'SUBSCRIPTION', 'MEMBERSHIP'];
+
+/**
+ * Rules shared by creating and updating a service package; `optional` is applied
+ * to the fields a create requires
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const servicePackageRules = (isUpdate) => {
+  const required = (chain, message) =>
+    isUpdate ? chain.optional() : chain.notEmpty().withMessage(message);
+
+  return [
+    required(body('name'), 'Name is required')
+      .trim()
+      .isLength({ min: 2, max: 255 })
+      .withMessage('Name must be between 2 and 255 characters'),
+
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+
+    body('longDescription')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 5000 })
+      .withMessage('Long description must be at most 5000 characters'),
+
+    body('packageType')
+      .optional()
+      .isIn(PACKAGE_TYPES)
+      .withMessage(`Package type must be one of: ${PACKAGE_TYPES.join(', ')}`),
+
+    required(body('vehicleType'), 'Vehicle type is required')
+      .isIn(['CAR', 'BIKE', 'NONE'])
+      .withMessage('Vehicle type must be one of: CAR, BIKE, NONE'),
+
+    required(body('price'), 'Price is required')
+      .isFloat({ min: 0 })
+      .withMessage('Price must be a non-negative number'),
+
+    body('validityDays')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Validity days must be a positive integer'),
+
+    // Only a subscription is redeemed a limited number of times; an update
+    // that does not send the type is checked against the stored package
+    body('usageLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be a positive integer')
+      .custom((usageLimit, { req }) => {
+        const packageType =
+          req.body.packageType ?? (isUpdate ? undefined : 'ONE_TIME');
+        if (
+          usageLimit !== null &&
+          packageType &&
+          packageType !== 'SUBSCRIPTION'
+        ) {
+          throw new Error(
+            'Usage limit can only be set on SUBSCRIPTION packages',
+          );
+        }
+        return true;
+      }),
+
+    body('isPopular')
+      .optional()
+      .isBoolean()
+      .withMessage('isPopular must be a boolean value'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value'),
+
+    // Items are set with the package on create and through the items routes after
+    ...(isUpdate
+      ? [
+          body('items')
+            .not()
+            .exists()
+            .withMessage('Items are changed through the package items routes'),
+        ]
+      : [
+          body('items')
+            .isArray({ min: 1, max: MAX_PACKAGE_ITEMS })
+            .withMessage(
+              `Items must be an array of 1 to ${MAX_PACKAGE_ITEMS} service types`,
+            )
+            .custom((items) => {
+              const serviceTypeIds = items.map((item) => item?.serviceTypeId);
+              if (new Set(serviceTypeIds).size !== serviceTypeIds.length) {
+                throw new Error(
+                  'Each service type can only be in a package once',
+                );
+              }
+              return true;
+            }),
+
+          body('items.*.serviceTypeId')
+            .isUUID()
+            .withMessage('Each item service type ID must be a valid UUID'),
+
+          body('items.*.quantity')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Each item quantity must be a positive integer'),
+
+          body('items.*.displayOrder')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage(
+              'Each item display order must be a non-negative integer',
+            ),
+        ]),
+  ];
+};
+
+const validateServicePackageId = [
+  param('id')
+    .notEmpty()
+    .withMessage('Service package ID is required')
+    .isUUID()
+    .withMessage('Service package ID must be a valid UUID'),
+];
+
+// Service center whose availability and savings a read is limited to, and the
+// vehicle the savings are priced for
+const validateServicePackageRead = [
+  query('serviceCenterId')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Service center ID must be a non-empty string'),
+  ...vehicleQueryRules,
+];
+
+const validateServicePackage = servicePackageRules(false);
+
+const validateUpdateServicePackage = [
+  ...validateServicePackageId,
+  ...servicePackageRules(true),
+];
+
+const validatePackageItemId = [
+  ...validateServicePackageId,
+  param('serviceTypeId')
+    .isUUID()
+    .withMessage('Service type ID must be a valid UUID'),
+];
+
+const validatePackageItem = [
+  ...validatePackageItemId,
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer'),
+
+  body('displayOrder')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Display order must be a non-negative integer'),
+];
+
+const validatePackageAvailabilityId = [
+  ...validateServicePackageId,
+  param('serviceCenterId')
+    .isString()
+    .notEmpty()
+    .withMessage('Service center ID must be a non-empty string'),
+];
+
+const validatePackageAvailability = [
+  ...validatePackageAvailabilityId,
+  body('status')
+    .optional()
+    .isIn(['ACTIVE', 'PENDING', 'TEMPORARILY_UNAVAILABLE', 'COMING_SOON'])
+    .withMessage(
+      'Status must be one of: ACTIVE, PENDING, TEMPORARILY_UNAVAILABLE, COMING_SOON',
+    ),
+
+  // No price means the package price applies at the center
+  body('price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a non-negative number'),
+
+  body('termsAndConditions')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Terms and conditions must be at most 5000 characters'),
+];
+
+module.exports = {
+  validateServicePackage,
+  validateUpdateServicePackage,
+  validateServicePackageId,
+  validateServicePackageRead,
+  validatePackageItem,
+  validatePackageItemId,
+  validatePackageAvailability,
+  validatePackageAvailabilityId,
+};
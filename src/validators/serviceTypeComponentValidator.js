@@ -1,5 +1,37 @@
 const { body } = require('express-validator');
 
+// Options of a component on a service type, shared by create and update
+const typeComponentOptions = [
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value'),
+
+  body('isRequired')
+    .optional()
+    .isBoolean()
+    .withMessage('isRequired must be a boolean value')
+    // A required component is always included, so it cannot be an add-on
+    .custom((isRequired, { req }) => {
+      const isDefault = req.body.isDefault;
+      if (
+        String(isRequired) === 'true' &&
+        isDefault !== undefined &&
+        String(isDefault) !== 'true'
+      ) {
+        throw new Error(
+          'A required component must also be a default component',
+        );
+      }
+      return true;
+    }),
+
+  body('additionalPrice')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Additional price must be a non-negative number'),
+];
+
 const validateTypeComponent = [
   body('serviceComponentId')
     .notEmpty()
@@ -7,22 +39,27 @@ const validateTypeComponent = [
     .isUUID()
     .withMessage('Service component ID must be a valid UUID'),
 
-  // body('isDefault')
-  //   .optional()
-  //   .isBoolean()
-  //   .withMessage('isDefault must be a boolean value'),
+  ...typeComponentOptions,
+];
+
+const validateUpdateTypeComponent = [
+  body('serviceComponentId')
+    .not()
+    .exists()
+    .withMessage('The component of an association cannot be changed'),
 
-  // body('isRequired')
-  //   .optional()
-  //   .isBoolean()
-  //   .withMessage('isRequired must be a boolean value'),
+  body().custom((value) => {
+    const fields = ['isDefault', 'isRequired', 'additionalPrice'];
+    if (!fields.some((field) => value && value[field] !== undefined)) {
+      throw new Error(`At least one of ${fields.join(', ')} is required`);
+    }
+    return true;
+  }),
 
-  // body('additionalPrice')
-  //   .optional()
-  //   .isFloat({ min: 0 })
-  //   .withMessage('Additional price must be a non-negative number'),
+  ...typeComponentOptions,
 ];
 
 module.exports = {
   validateTypeComponent,
+  validateUpdateTypeComponent,
 };
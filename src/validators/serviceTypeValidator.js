@@ -1,4 +1,4 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const AppError = require('../utils/appError');
 // const {
 //   isValidString,
@@ -152,6 +152,18 @@ const validateServiceTypeId = [
     .withMessage('Service type ID must be a valid UUID'),
 ];
 
+/**
+ * Validation rules for the duration roll-up of a service type
+ */
+const validateTypeDuration = [
+  ...validateServiceTypeId,
+
+  query('threshold')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Threshold must be a non-negative integer (in minutes)'),
+];
+
 /**
  * Middleware to validate service type data
  */
@@ -169,4 +181,5 @@ module.exports = {
   validateServiceTypeId,
   validateServiceTypeData,
   validateUpdateServiceType,
+  validateTypeDuration,
 };
@@ -0,0 +1,81 @@
+const { body, param } = require('express-validator');
+
+/**
+ * Rules shared by creating and updating a tax rule; `optional` is applied to
+ * the fields a create requires
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const taxRuleRules = (isUpdate) => {
+  const required = (chain, message) =>
+    isUpdate ? chain.optional() : chain.notEmpty().withMessage(message);
+
+  return [
+    // Rules with the same name replace each other, e.g. a lower GST rate for a
+    // service type
+    required(body('name'), 'Name is required')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+
+    required(body('rate'), 'Rate is required')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rate must be a percentage between 0 and 100'),
+
+    // Targets; a rule without targets applies to every offering
+    body('categoryId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Category ID must be a valid UUID'),
+
+    body('serviceTypeId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Service type ID must be a valid UUID'),
+
+    required(body('effectiveFrom'), 'Effective from date is required')
+      .isISO8601()
+      .withMessage('Effective from must be a valid date'),
+
+    body('effectiveTo')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Effective to must be a valid date')
+      .custom((effectiveTo, { req }) => {
+        const { effectiveFrom } = req.body;
+        if (effectiveFrom && new Date(effectiveTo) <= new Date(effectiveFrom)) {
+          throw new Error('Effective to must be after effective from');
+        }
+        return true;
+      }),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean value'),
+  ];
+};
+
+const validateTaxRuleId = [
+  param('id')
+    .notEmpty()
+    .withMessage('Tax rule ID is required')
+    .isUUID()
+    .withMessage('Tax rule ID must be a valid UUID'),
+];
+
+const validateTaxRule = taxRuleRules(false);
+
+const validateUpdateTaxRule = [...validateTaxRuleId, ...taxRuleRules(true)];
+
+module.exports = {
+  validateTaxRule,
+  validateUpdateTaxRule,
+  validateTaxRuleId,
+};
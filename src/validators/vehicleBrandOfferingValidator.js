@@ -0,0 +1,105 @@
+const { body, param } = require('express-validator');
+
+/**
+ * Rules shared by creating and updating vehicle pricing; `optional` is applied
+ * to the fields a create requires
+ * @param {boolean} isUpdate - Whether every field is optional
+ * @returns {Array} express-validator chains
+ */
+const vehiclePricingRules = (isUpdate) => [
+  (isUpdate
+    ? body('brandId').optional()
+    : body('brandId').notEmpty().withMessage('Brand ID is required')
+  )
+    .isUUID()
+    .withMessage('Brand ID must be a valid UUID'),
+
+  // Narrowings of the brand; an override without them applies to every vehicle
+  // of the brand
+  body('modelId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Model ID must be a valid UUID'),
+
+  body('manufactureYearStart')
+    .optional({ nullable: true })
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Manufacture year start must be a year between 1900 and 2100'),
+
+  body('manufactureYearEnd')
+    .optional({ nullable: true })
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Manufacture year end must be a year between 1900 and 2100')
+    .custom((end, { req }) => {
+      const start = req.body.manufactureYearStart;
+      if (
+        start !== undefined &&
+        start !== null &&
+        Number(end) < Number(start)
+      ) {
+        throw new Error(
+          'Manufacture year end must not be before the manufacture year start',
+        );
+      }
+      return true;
+    }),
+
+  body('fuelType')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Fuel type must be between 1 and 50 characters'),
+
+  body('status')
+    .optional()
+    .isIn(['ACTIVE', 'PENDING', 'TEMPORARILY_UNAVAILABLE', 'COMING_SOON'])
+    .withMessage(
+      'Status must be one of: ACTIVE, PENDING, TEMPORARILY_UNAVAILABLE, COMING_SOON',
+    ),
+
+  // Overrides of the offering's own pricing; unset fields fall back to it
+  body('price')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a non-negative number'),
+
+  body('discountPercentage')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Discount percentage must be between 0 and 100'),
+
+  body('timeToComplete')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Time to complete must be a positive integer (minutes)'),
+
+  body('specialNotes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Special notes must be at most 1000 characters'),
+
+  body('partsIncluded')
+    .optional()
+    .isBoolean()
+    .withMessage('partsIncluded must be a boolean value'),
+];
+
+const validateVehiclePricingId = [
+  param('vehicleBrandServiceOfferingId')
+    .isUUID()
+    .withMessage('Vehicle brand service offering ID must be a valid UUID'),
+];
+
+const validateVehiclePricing = vehiclePricingRules(false);
+
+const validateUpdateVehiclePricing = [
+  ...validateVehiclePricingId,
+  ...vehiclePricingRules(true),
+];
+
+module.exports = {
+  validateVehiclePricing,
+  validateUpdateVehiclePricing,
+  validateVehiclePricingId,
+};